@@ -0,0 +1,10 @@
+/**
+ * Redis client for tests: it never connects, so the cache service uses its
+ * in-memory fallback and no connection is left open
+ */
+const createClient = () => ({
+  on: () => {},
+  connect: () => Promise.reject(new Error("Redis is not used in tests")),
+});
+
+module.exports = { createClient };
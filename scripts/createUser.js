@@ -0,0 +1,94 @@
+require("dotenv").config();
+const logger = require("../src/logger");
+const readline = require("readline");
+const { userService } = require("../src/services/userService");
+const { dealerService } = require("../src/services/dealerService");
+const { ROLES } = require("../src/config/roles");
+
+/**
+ * Create a user who signs in at POST /api/auth/login, or reset the password
+ * of an existing one
+ *
+ *   npm run user:create -- <username> [--role <role>] [--dealer <dealer ID>]
+ *
+ * The password is read from the terminal (or the first line of stdin). The
+ * role is one of consumer, dealer_user, dealer_admin and platform_admin
+ * (see src/config/roles.js); dealer roles need the dealer ID and only see
+ * that dealer's data. It defaults to dealer_user with a dealer ID and
+ * platform_admin otherwise.
+ */
+const MIN_PASSWORD_LENGTH = 12;
+
+const getOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const readPassword = () =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: Boolean(process.stdin.isTTY),
+    });
+
+    // Don't echo the password on a terminal
+    if (process.stdin.isTTY) {
+      rl._writeToOutput = (text) => {
+        if (text.startsWith("Password")) rl.output.write(text);
+      };
+    }
+
+    rl.question("Password: ", (password) => {
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write("\n");
+      resolve(password);
+    });
+  });
+
+const main = async () => {
+  const username = process.argv[2];
+  const dealerId = getOption("dealer");
+  const role =
+    getOption("role") || (dealerId ? "dealer_user" : "platform_admin");
+
+  if (!username || username.startsWith("--")) {
+    throw new Error(
+      "Usage: createUser.js <username> [--role <role>] [--dealer <dealer ID>]"
+    );
+  }
+  if (!ROLES[role]) {
+    throw new Error(
+      `Unknown role: ${role}, use one of ${Object.keys(ROLES).join(", ")}`
+    );
+  }
+  if (ROLES[role].dealer !== Boolean(dealerId)) {
+    throw new Error(
+      ROLES[role].dealer
+        ? `Role ${role} needs --dealer`
+        : `Role ${role} can't belong to a dealer`
+    );
+  }
+  if (dealerId && !dealerService.get(dealerId)) {
+    throw new Error(`Unknown dealer: ${dealerId}`);
+  }
+
+  const password = await readPassword();
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+
+  const user = await userService.save({ username, password, role, dealerId });
+  logger.info(
+    `Saved user ${user.username} (${user.role}${
+      user.dealer_id ? `, dealer ${user.dealer_id}` : ""
+    })`
+  );
+};
+
+main().catch((error) => {
+  logger.error(`Creating user failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+require("dotenv").config();
+const logger = require("../src/logger");
+const express = require("express");
+const { providerRegistry } = require("../src/services/providerRegistry");
+const SimulatorAdapter = require("../src/services/adapters/simulatorAdapter");
+
+/**
+ * Local stand-in for provider APIs
+ * Serves simulated quotes and contracts over HTTP using the standard mapper
+ * format, so a provider can be switched to the http adapter without a real
+ * provider API:
+ *
+ *   PROVIDER_A_ADAPTER=http
+ *   PROVIDER_A_MAPPER=standard
+ *   PROVIDER_A_URL=http://localhost:4010/providerA
+ *
+ * MOCK_PROVIDER_DELAY_MS adds latency and MOCK_PROVIDER_FAILING lists
+ * provider IDs that answer with errors, to exercise timeouts and breakers.
+ */
+const app = express();
+const PORT = process.env.MOCK_PROVIDER_PORT || 4010;
+const DELAY_MS = parseInt(process.env.MOCK_PROVIDER_DELAY_MS) || 0;
+const FAILING = (process.env.MOCK_PROVIDER_FAILING || "")
+  .split(",")
+  .filter(Boolean);
+
+app.use(express.json());
+
+/**
+ * Handle a provider API call with the simulator adapter
+ * @param {Function} call - Called with (adapter, body), returns the response
+ */
+const simulate = (call) => async (req, res) => {
+  const { providerId } = req.params;
+  const provider = providerRegistry.getProvider(providerId);
+
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown provider ${providerId}` });
+  }
+
+  if (FAILING.includes(providerId)) {
+    return res.status(503).json({ error: "Provider unavailable" });
+  }
+
+  try {
+    await new Promise((resolve) => setTimeout(resolve, DELAY_MS));
+    const adapter = new SimulatorAdapter(providerId, provider);
+    res.status(200).json(await call(adapter, req.body));
+  } catch (error) {
+    logger.error(`Mock provider ${providerId} failed:`, error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.post(
+  "/:providerId/quotes",
+  simulate((adapter, body) => adapter.getQuotes(body))
+);
+
+app.post(
+  "/:providerId/contracts",
+  simulate((adapter, body) => adapter.submitContract(body))
+);
+
+app.listen(PORT, () => {
+  logger.info(`Mock provider server running on port ${PORT}`);
+});
@@ -0,0 +1,122 @@
+require("dotenv").config();
+const logger = require("../src/logger");
+const express = require("express");
+const OfflineDecoder = require("../src/services/vinDecoders/offlineDecoder");
+
+/**
+ * Local stand-in for VIN decoding APIs
+ * Serves the vPIC and vendor formats, so the external decoders can be tested
+ * without network access or a vendor account:
+ *
+ *   VIN_DECODERS=vendor,vpic,offline
+ *   VPIC_URL=http://localhost:4020/vpic
+ *   VIN_VENDOR_URL=http://localhost:4020/vendor
+ *
+ * The make and year come from the offline decoder; the model details come
+ * from the sample table below, keyed by VIN positions 1-8. vPIC only knows
+ * the model, and the vendor the trim and equipment, so merging shows up in
+ * the results. MOCK_VIN_DELAY_MS adds latency and MOCK_VIN_FAILING lists the
+ * stand-ins ("vpic", "vendor") that answer with errors.
+ */
+const app = express();
+const PORT = process.env.MOCK_VIN_PORT || 4020;
+const DELAY_MS = parseInt(process.env.MOCK_VIN_DELAY_MS) || 0;
+const FAILING = (process.env.MOCK_VIN_FAILING || "").split(",").filter(Boolean);
+
+const samples = {
+  "1FTFW1E5": {
+    model: "F-150",
+    trim: "XLT",
+    body_style: "Pickup",
+    engine: "5.0L 8-cylinder",
+    transmission: "Automatic",
+  },
+  "1HGCM826": {
+    model: "Accord",
+    trim: "EX",
+    body_style: "Sedan",
+    engine: "3.0L 6-cylinder",
+    transmission: "Automatic",
+  },
+  "5YJ3E1EA": {
+    model: "Model 3",
+    trim: "Long Range",
+    body_style: "Sedan",
+    engine: "Electric",
+    transmission: "Single-speed",
+  },
+};
+
+const offlineDecoder = new OfflineDecoder();
+
+/**
+ * Look up a VIN in the stand-in data
+ * @param {string} vin - VIN
+ * @returns {Promise<Object|null>} - Vehicle, or null if unknown
+ */
+const lookup = async (vin) => {
+  const value = String(vin).toUpperCase();
+  const sample = samples[value.substring(0, 8)];
+
+  if (!sample) return null;
+
+  await new Promise((resolve) => setTimeout(resolve, DELAY_MS));
+  return { ...(await offlineDecoder.decode(value)), ...sample };
+};
+
+app.use(express.json());
+
+app.get("/vpic/vehicles/DecodeVinValues/:vin", async (req, res) => {
+  if (FAILING.includes("vpic")) {
+    return res.status(503).json({ Message: "Service unavailable" });
+  }
+
+  const vehicle = await lookup(req.params.vin);
+
+  res.status(200).json({
+    Count: 1,
+    Message: "Results returned successfully",
+    Results: [
+      {
+        VIN: req.params.vin,
+        ErrorCode: vehicle ? "0" : "1",
+        Make: vehicle ? vehicle.make.toUpperCase() : "",
+        Manufacturer: vehicle ? vehicle.manufacturer.toUpperCase() : "",
+        ModelYear: vehicle ? String(vehicle.year) : "",
+        Model: vehicle ? vehicle.model : "",
+        Trim: "",
+        BodyClass: "",
+        DisplacementL: "",
+        EngineCylinders: "",
+        TransmissionStyle: "",
+        PlantCountry: "",
+      },
+    ],
+  });
+});
+
+app.post("/vendor/vin/decode", async (req, res) => {
+  if (FAILING.includes("vendor")) {
+    return res.status(503).json({ error: "Service unavailable" });
+  }
+
+  const vehicle = await lookup(req.body.vin);
+
+  if (!vehicle) {
+    return res.status(404).json({ error: "VIN not found" });
+  }
+
+  res.status(200).json({
+    vehicle: {
+      year: vehicle.year,
+      trim: vehicle.trim,
+      body_style: vehicle.body_style,
+      engine: vehicle.engine,
+      transmission: vehicle.transmission,
+    },
+  });
+});
+
+app.listen(PORT, () => {
+  logger.info(`Mock VIN decoder server running on port ${PORT}`);
+});
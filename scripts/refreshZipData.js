@@ -0,0 +1,78 @@
+require("dotenv").config();
+const logger = require("../src/logger");
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const { zipConfig } = require("../src/config");
+
+/**
+ * Rebuild the ZIP code dataset used to resolve ZIP codes
+ *
+ *   npm run refresh:zips -- <file or URL>
+ *
+ * The source is a GeoNames postal code export for the US (US.txt from
+ * https://download.geonames.org/export/zip/US.zip, unzipped), or any file in
+ * the same tab-separated format:
+ *
+ *   country, zip, city, state name, state code, county, ...
+ *
+ * The dataset is written to ZIP_DATA_FILE (data/zip-codes.json by default)
+ * and picked up by running servers without a restart.
+ */
+const MIN_ZIP_COUNT = 30000; // A complete US export has about 41,000
+
+const readSource = async (source) => {
+  if (/^https?:\/\//.test(source)) {
+    const response = await axios.get(source, { responseType: "text" });
+    return response.data;
+  }
+  return fs.promises.readFile(source, "utf8");
+};
+
+const main = async () => {
+  const source = process.argv[2];
+  const force = process.argv.includes("--force");
+
+  if (!source) {
+    throw new Error("Usage: refreshZipData.js <file or URL> [--force]");
+  }
+
+  const zips = {};
+
+  (await readSource(source)).split("\n").forEach((line) => {
+    const [country, zip, city, , state, county] = line.split("\t");
+
+    if (country !== "US" || !/^\d{5}$/.test(zip) || !state || zips[zip]) {
+      return;
+    }
+
+    zips[zip] = [city || null, county || null, state];
+  });
+
+  const count = Object.keys(zips).length;
+
+  // Refuse to replace the dataset with a partial one by mistake
+  if (count < MIN_ZIP_COUNT && !force) {
+    throw new Error(
+      `Only ${count} ZIP codes found in ${source}, use --force to install anyway`
+    );
+  }
+
+  const dataset = {
+    source,
+    generated_at: new Date().toISOString(),
+    zips,
+  };
+
+  await fs.promises.mkdir(path.dirname(zipConfig.file), { recursive: true });
+  const tmpFile = `${zipConfig.file}.tmp`;
+  await fs.promises.writeFile(tmpFile, JSON.stringify(dataset));
+  await fs.promises.rename(tmpFile, zipConfig.file);
+
+  logger.info(`Wrote ${count} ZIP codes to ${zipConfig.file}`);
+};
+
+main().catch((error) => {
+  logger.error(`Refreshing ZIP codes failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+/**
+ * Normalized coverage taxonomy per product type
+ * Each component lists the coverage keys providers use for it (aliases are
+ * compared ignoring case, spaces, dashes and underscores). Boolean components
+ * are covered or not; amount components carry a dollar limit.
+ */
+const coverageTaxonomy = {
+  vsc: [
+    { key: 'engine', label: 'Engine', category: 'Powertrain', type: 'boolean', aliases: ['engine', 'motor'] },
+    { key: 'transmission', label: 'Transmission', category: 'Powertrain', type: 'boolean', aliases: ['transmission', 'transaxle'] },
+    { key: 'drivetrain', label: 'Drive Axle', category: 'Powertrain', type: 'boolean', aliases: ['drivetrain', 'drive_axle', 'drive_system'] },
+    { key: 'steering', label: 'Steering', category: 'Chassis', type: 'boolean', aliases: ['steering'] },
+    { key: 'suspension', label: 'Suspension', category: 'Chassis', type: 'boolean', aliases: ['suspension', 'front_suspension'] },
+    { key: 'brakes', label: 'Brakes', category: 'Chassis', type: 'boolean', aliases: ['brakes', 'brake_system'] },
+    { key: 'electrical', label: 'Electrical', category: 'Electrical', type: 'boolean', aliases: ['electrical', 'electrical_system'] },
+    { key: 'high_tech', label: 'High-Tech Electronics', category: 'Electrical', type: 'boolean', aliases: ['high_tech', 'hi_tech', 'electronics', 'navigation'] },
+    { key: 'air_conditioning', label: 'Air Conditioning', category: 'Comfort', type: 'boolean', aliases: ['air_conditioning', 'ac', 'a_c', 'hvac'] },
+    { key: 'fuel_system', label: 'Fuel System', category: 'Powertrain', type: 'boolean', aliases: ['fuel_system', 'fuel'] }
+  ],
+  gap: [
+    { key: 'loan_payoff', label: 'Loan Payoff', category: 'Benefit', type: 'boolean', aliases: ['loan_payoff', 'gap_payoff', 'balance_payoff'] },
+    { key: 'insurance_deductible', label: 'Insurance Deductible', category: 'Benefit', type: 'boolean', aliases: ['insurance_deductible', 'deductible_reimbursement'] },
+    { key: 'max_benefit', label: 'Maximum Benefit', category: 'Limit', type: 'amount', aliases: ['max_benefit', 'maximum_benefit', 'benefit_limit'] }
+  ],
+  tire: [
+    { key: 'tire_replacement', label: 'Tire Replacement', category: 'Repair', type: 'boolean', aliases: ['tire_replacement', 'tires'] },
+    { key: 'wheel_replacement', label: 'Wheel Replacement', category: 'Repair', type: 'boolean', aliases: ['wheel_replacement', 'wheels', 'rims'] },
+    { key: 'roadside_assistance', label: 'Roadside Assistance', category: 'Service', type: 'boolean', aliases: ['roadside_assistance', 'roadside', 'towing'] }
+  ],
+  dent: [
+    { key: 'paintless_dent_repair', label: 'Paintless Dent Repair', category: 'Repair', type: 'boolean', aliases: ['paintless_dent_repair', 'pdr', 'dent_repair'] },
+    { key: 'unlimited_repairs', label: 'Unlimited Repairs', category: 'Limit', type: 'boolean', aliases: ['unlimited_repairs', 'unlimited_claims'] }
+  ]
+};
+
+module.exports = {
+  coverageTaxonomy
+};
@@ -1,3 +1,5 @@
+const path = require('path');
+
 /**
  * Configuration for Redis cache
  */
@@ -5,7 +7,8 @@ const redisConfig = {
   host: process.env.REDIS_HOST || 'localhost',
   port: process.env.REDIS_PORT || 6379,
   password: process.env.REDIS_PASSWORD || '',
-  ttl: 600 // Cache TTL in seconds (10 minutes)
+  ttl: 600, // Cache TTL in seconds (10 minutes)
+  partialTtl: 60 // Cache TTL for responses missing some providers (1 minute)
 };
 
 /**
@@ -13,51 +16,141 @@ const redisConfig = {
  */
 const providerConfig = {
   // Default timeout for provider API requests in milliseconds
-  requestTimeout: 5000,
-  
-  // Default provider configurations
-  providers: {
-    providerA: {
-      name: 'Provider A',
-      baseUrl: process.env.PROVIDER_A_URL || 'https://api.provider-a.example.com',
-      apiKey: process.env.PROVIDER_A_KEY || 'demo_key',
-      products: ['vsc', 'gap'],
-      markup: 1.2, // 20% markup
-      priority: 1
-    },
-    providerB: {
-      name: 'Provider B',
-      baseUrl: process.env.PROVIDER_B_URL || 'https://api.provider-b.example.com',
-      apiKey: process.env.PROVIDER_B_KEY || 'demo_key',
-      products: ['vsc', 'tire', 'dent'],
-      markup: 1.15, // 15% markup
-      priority: 2
-    },
-    providerC: {
-      name: 'Provider C',
-      baseUrl: process.env.PROVIDER_C_URL || 'https://api.provider-c.example.com',
-      apiKey: process.env.PROVIDER_C_KEY || 'demo_key',
-      products: ['gap'],
-      markup: 1.25, // 25% markup
-      priority: 3
-    },
-    providerD: {
-      name: 'Provider D',
-      baseUrl: process.env.PROVIDER_D_URL || 'https://api.provider-d.example.com',
-      apiKey: process.env.PROVIDER_D_KEY || 'demo_key',
-      products: ['tire', 'dent'],
-      markup: 1.3, // 30% markup
-      priority: 4
-    }
+  // (a provider's own `timeout` setting takes precedence)
+  requestTimeout: parseInt(process.env.PROVIDER_TIMEOUT_MS) || 5000,
+
+  // Circuit breaker settings, applied to each provider separately
+  circuitBreaker: {
+    failureThreshold: 5, // Consecutive failures before the circuit opens
+    cooldownMs: 30 * 1000, // Time to skip the provider before a trial request
+    halfOpenMaxCalls: 1 // Trial requests allowed while half-open
+  },
+
+  // Provider registry: providers, products, markups and priorities
+  registry: {
+    source: process.env.PROVIDER_REGISTRY_SOURCE || 'file', // 'file' or 'cache'
+    file: process.env.PROVIDER_REGISTRY_FILE || path.join(__dirname, 'providers.json'),
+    cacheKey: process.env.PROVIDER_REGISTRY_CACHE_KEY || 'config:providers',
+    pollInterval: 5000 // How often to check the source for changes, in milliseconds
   }
 };
 
 /**
- * Configuration for state restrictions
+ * Configuration for VIN decoding
+ */
+const vinDecoderConfig = {
+  // Decoders to use, highest priority first; each field of the result comes
+  // from the first decoder that knows it
+  decoders: (process.env.VIN_DECODERS || 'offline').split(',').map((type) => type.trim()).filter(Boolean),
+  timeout: parseInt(process.env.VIN_DECODER_TIMEOUT_MS) || 3000,
+  cacheTtl: parseInt(process.env.VIN_CACHE_TTL) || 30 * 24 * 60 * 60, // Decoded VINs are cached for 30 days
+
+  // NHTSA vPIC or a service answering in the same format
+  vpic: {
+    baseUrl: process.env.VPIC_URL || 'https://vpic.nhtsa.dot.gov/api'
+  },
+
+  // Licensed data vendor
+  vendor: {
+    baseUrl: process.env.VIN_VENDOR_URL,
+    apiKey: process.env.VIN_VENDOR_KEY,
+    auth: { scheme: process.env.VIN_VENDOR_AUTH || 'apiKeyHeader' }
+  }
+};
+
+/**
+ * Configuration for dealer pricing rules
+ */
+const pricingConfig = {
+  rulesFile: process.env.PRICING_RULES_FILE || path.join(__dirname, 'pricingRules.json')
+};
+
+/**
+ * Configuration for underwriting (eligibility) rules
+ */
+const eligibilityConfig = {
+  rulesFile: process.env.ELIGIBILITY_RULES_FILE || path.join(__dirname, 'eligibilityRules.json')
+};
+
+/**
+ * Configuration for the state regulatory compliance matrix
  */
-const stateRestrictions = {
-  gap: ['NY', 'CA'], // States where GAP is restricted
-  vsc: [] // No state restrictions for VSC
+const complianceConfig = {
+  file: process.env.COMPLIANCE_MATRIX_FILE || path.join(__dirname, 'compliance.json')
+};
+
+/**
+ * Configuration for quote tagging strategies
+ */
+const taggingConfig = {
+  file: process.env.TAGGING_CONFIG_FILE || path.join(__dirname, 'tagging.json'),
+  // Times a plan is shown before its selection rate counts
+  minSelectionHistory: parseInt(process.env.TAGGING_MIN_SELECTION_HISTORY) || 20
+};
+
+/**
+ * Configuration for dealer branding on proposal documents
+ */
+const brandingConfig = {
+  file: process.env.BRANDING_CONFIG_FILE || path.join(__dirname, 'branding.json')
+};
+
+/**
+ * Configuration for saved quotes
+ */
+const quoteConfig = {
+  // Days a quoted price is honored; indicative quotes are never locked
+  priceLockDays: parseInt(process.env.QUOTE_PRICE_LOCK_DAYS) || 30,
+  // Days quote sessions and their quotes are kept in the cache
+  sessionTtlDays: parseInt(process.env.QUOTE_SESSION_TTL_DAYS) || 90
+};
+
+/**
+ * Configuration for saved KPI reports
+ */
+const kpiReportConfig = {
+  // How often the scheduler checks for saved reports due to run, in milliseconds
+  schedulerInterval: parseInt(process.env.KPI_SCHEDULER_INTERVAL_MS) || 60000,
+  // Snapshots kept per saved report; older ones are deleted
+  snapshotRetention: parseInt(process.env.KPI_SNAPSHOT_RETENTION) || 30
+};
+
+/**
+ * Configuration for token authentication
+ */
+const authConfig = {
+  // Key that signs new tokens, named by the `kid` token header
+  signingKey: {
+    kid: process.env.JWT_KEY_ID || 'primary',
+    secret: process.env.JWT_SECRET || 'default_secret_change_in_production'
+  },
+  // Retired keys still verifying tokens during a rollover, as comma-separated
+  // kid=secret, each optionally followed by @ and the time (ISO 8601) it
+  // stops verifying
+  previousKeys: process.env.JWT_PREVIOUS_KEYS || '',
+  // Placeholder secrets the server refuses to start with in production
+  insecureSecrets: [
+    'default_secret_change_in_production',
+    'your-super-secret-key-change-in-production'
+  ],
+  accessTokenTtl: parseInt(process.env.AUTH_ACCESS_TOKEN_TTL) || 900, // 15 minutes
+  refreshTokenTtl: parseInt(process.env.AUTH_REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60 // 7 days
+};
+
+/**
+ * Configuration for local data storage (audit log and other records)
+ */
+const storageConfig = {
+  dataDir: process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data')
+};
+
+/**
+ * Configuration for ZIP code resolution
+ */
+const zipConfig = {
+  // Dataset built by scripts/refreshZipData.js
+  file: process.env.ZIP_DATA_FILE || path.join(storageConfig.dataDir, 'zip-codes.json'),
+  pollInterval: 60000 // How often to check the dataset for changes, in milliseconds
 };
 
 /**
@@ -71,12 +164,26 @@ const rateLimits = {
   admin: {
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 50 // 50 requests per 15 minutes
+  },
+  auth: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20 // 20 sign-in attempts per 15 minutes
   }
 };
 
 module.exports = {
   redisConfig,
   providerConfig,
-  stateRestrictions,
+  vinDecoderConfig,
+  pricingConfig,
+  eligibilityConfig,
+  complianceConfig,
+  taggingConfig,
+  brandingConfig,
+  quoteConfig,
+  kpiReportConfig,
+  authConfig,
+  storageConfig,
+  zipConfig,
   rateLimits
 };
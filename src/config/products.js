@@ -0,0 +1,29 @@
+/**
+ * Product types offered, in the order they are presented
+ */
+const productTypes = [
+  {
+    id: 'vsc',
+    name: 'Vehicle Service Contract',
+    description: "Covers mechanical breakdowns and repairs after the manufacturer's warranty expires."
+  },
+  {
+    id: 'gap',
+    name: 'GAP Insurance',
+    description: "Covers the difference between what you owe on your vehicle and what it's worth if it's totaled."
+  },
+  {
+    id: 'tire',
+    name: 'Tire & Wheel Protection',
+    description: 'Covers damage to tires and wheels from road hazards.'
+  },
+  {
+    id: 'dent',
+    name: 'Dent & Ding Protection',
+    description: 'Covers minor dents and dings on your vehicle.'
+  }
+];
+
+module.exports = {
+  productTypes
+};
@@ -0,0 +1,55 @@
+/**
+ * Permissions checked by `authorize(...)` on routes
+ */
+const PERMISSIONS = {
+  QUOTES_REQUEST: 'quotes:request', // Get and compare quotes, view saved quotes and proposals
+  QUOTES_PURCHASE: 'quotes:purchase', // Select, give the buyer and purchase quotes
+  QUOTES_VIEW_COST: 'quotes:view_cost', // See dealer cost and margin on quotes
+  KPI_REPORT: 'kpi:report', // Run, save and download KPI reports
+  ANALYTICS_READ: 'analytics:read', // Provider analytics across all dealers
+  DEALER_DATA_ALL: 'dealer_data:all', // Every dealer's quotes, proposals, purchases and reports
+  PRICING_RULES_MANAGE: 'pricing_rules:manage', // Pricing rules (dealers: their own)
+  PROVIDERS_MANAGE: 'providers:manage', // Providers and markups
+  COMPLIANCE_MANAGE: 'compliance:manage', // State restrictions
+  DEALERS_MANAGE: 'dealers:manage', // Dealer accounts and API keys
+  AUDIT_READ: 'audit:read' // Configuration change log
+};
+
+const consumer = [PERMISSIONS.QUOTES_REQUEST, PERMISSIONS.QUOTES_PURCHASE];
+const dealerUser = [...consumer, PERMISSIONS.QUOTES_VIEW_COST, PERMISSIONS.KPI_REPORT];
+
+/**
+ * Roles and their permissions
+ * Dealer roles (`dealer: true`) belong to one dealer, named by the dealer_id
+ * claim, and only see that dealer's data.
+ */
+const ROLES = {
+  // Shoppers, signed in or anonymous: retail prices only
+  consumer: { dealer: false, permissions: consumer },
+  // Dealership staff and dealer API keys: cost and margin, KPIs
+  dealer_user: { dealer: true, permissions: dealerUser },
+  // Dealership managers: also the dealer's own pricing rules
+  dealer_admin: { dealer: true, permissions: [...dealerUser, PERMISSIONS.PRICING_RULES_MANAGE] },
+  // Platform operators: everything
+  platform_admin: { dealer: false, permissions: Object.values(PERMISSIONS) }
+};
+
+/**
+ * Role of requests without credentials
+ */
+const ANONYMOUS_ROLE = 'consumer';
+
+/**
+ * Role names used before roles had permissions, still found in tokens
+ */
+const ROLE_ALIASES = {
+  operator: 'platform_admin',
+  dealer: 'dealer_user'
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ANONYMOUS_ROLE,
+  ROLE_ALIASES
+};
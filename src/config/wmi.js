@@ -0,0 +1,167 @@
+/**
+ * World Manufacturer Identifiers (VIN positions 1-3)
+ * Covers the manufacturers whose vehicles are commonly sold in the US.
+ * A WMI missing from this table decodes as an unknown vehicle.
+ */
+const wmiTable = {
+  // Ford
+  '1FA': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FB': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FC': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FD': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FM': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1FT': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '1ZV': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'United States' },
+  '2FA': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Canada' },
+  '2FM': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Canada' },
+  '2FT': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Canada' },
+  '3FA': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Mexico' },
+  '3FM': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Mexico' },
+  '3FT': { manufacturer: 'Ford Motor Company', make: 'Ford', country: 'Mexico' },
+  '1LN': { manufacturer: 'Ford Motor Company', make: 'Lincoln', country: 'United States' },
+  '2LM': { manufacturer: 'Ford Motor Company', make: 'Lincoln', country: 'Canada' },
+  '5LM': { manufacturer: 'Ford Motor Company', make: 'Lincoln', country: 'United States' },
+
+  // General Motors
+  '1G1': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'United States' },
+  '1GC': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'United States' },
+  '1GN': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'United States' },
+  '2G1': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Canada' },
+  '2GN': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Canada' },
+  '3G1': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Mexico' },
+  '3GC': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Mexico' },
+  '3GN': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'Mexico' },
+  'KL7': { manufacturer: 'General Motors', make: 'Chevrolet', country: 'South Korea' },
+  '1GT': { manufacturer: 'General Motors', make: 'GMC', country: 'United States' },
+  '1GK': { manufacturer: 'General Motors', make: 'GMC', country: 'United States' },
+  '2GT': { manufacturer: 'General Motors', make: 'GMC', country: 'Canada' },
+  '3GT': { manufacturer: 'General Motors', make: 'GMC', country: 'Mexico' },
+  '3GK': { manufacturer: 'General Motors', make: 'GMC', country: 'Mexico' },
+  '1G4': { manufacturer: 'General Motors', make: 'Buick', country: 'United States' },
+  '5GA': { manufacturer: 'General Motors', make: 'Buick', country: 'United States' },
+  'KL4': { manufacturer: 'General Motors', make: 'Buick', country: 'South Korea' },
+  '1G6': { manufacturer: 'General Motors', make: 'Cadillac', country: 'United States' },
+  '1GY': { manufacturer: 'General Motors', make: 'Cadillac', country: 'United States' },
+
+  // Stellantis
+  '1C3': { manufacturer: 'FCA US LLC', make: 'Chrysler', country: 'United States' },
+  '2C3': { manufacturer: 'FCA US LLC', make: 'Chrysler', country: 'Canada' },
+  '2C4': { manufacturer: 'FCA US LLC', make: 'Chrysler', country: 'Canada' },
+  '1C4': { manufacturer: 'FCA US LLC', make: 'Jeep', country: 'United States' },
+  '1J4': { manufacturer: 'FCA US LLC', make: 'Jeep', country: 'United States' },
+  '1J8': { manufacturer: 'FCA US LLC', make: 'Jeep', country: 'United States' },
+  '1B3': { manufacturer: 'FCA US LLC', make: 'Dodge', country: 'United States' },
+  '2B3': { manufacturer: 'FCA US LLC', make: 'Dodge', country: 'Canada' },
+  '1D7': { manufacturer: 'FCA US LLC', make: 'Dodge', country: 'United States' },
+  '1C6': { manufacturer: 'FCA US LLC', make: 'Ram', country: 'United States' },
+  '3C6': { manufacturer: 'FCA US LLC', make: 'Ram', country: 'Mexico' },
+  '3D7': { manufacturer: 'FCA US LLC', make: 'Ram', country: 'Mexico' },
+
+  // Tesla
+  '5YJ': { manufacturer: 'Tesla, Inc.', make: 'Tesla', country: 'United States' },
+  '7SA': { manufacturer: 'Tesla, Inc.', make: 'Tesla', country: 'United States' },
+
+  // Honda
+  '1HG': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '2HG': { manufacturer: 'Honda', make: 'Honda', country: 'Canada' },
+  '2HK': { manufacturer: 'Honda', make: 'Honda', country: 'Canada' },
+  '5FN': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '5FP': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '5J6': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '7FA': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  'JHM': { manufacturer: 'Honda', make: 'Honda', country: 'Japan' },
+  '19U': { manufacturer: 'Honda', make: 'Acura', country: 'United States' },
+  '19X': { manufacturer: 'Honda', make: 'Honda', country: 'United States' },
+  '5J8': { manufacturer: 'Honda', make: 'Acura', country: 'United States' },
+  'JH4': { manufacturer: 'Honda', make: 'Acura', country: 'Japan' },
+
+  // Toyota
+  '4T1': { manufacturer: 'Toyota', make: 'Toyota', country: 'United States' },
+  '4T3': { manufacturer: 'Toyota', make: 'Toyota', country: 'United States' },
+  '5TD': { manufacturer: 'Toyota', make: 'Toyota', country: 'United States' },
+  '5TF': { manufacturer: 'Toyota', make: 'Toyota', country: 'United States' },
+  '2T1': { manufacturer: 'Toyota', make: 'Toyota', country: 'Canada' },
+  '2T3': { manufacturer: 'Toyota', make: 'Toyota', country: 'Canada' },
+  '3TM': { manufacturer: 'Toyota', make: 'Toyota', country: 'Mexico' },
+  'JTD': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  'JTE': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  'JTM': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  'JTN': { manufacturer: 'Toyota', make: 'Toyota', country: 'Japan' },
+  '2T2': { manufacturer: 'Toyota', make: 'Lexus', country: 'Canada' },
+  '58A': { manufacturer: 'Toyota', make: 'Lexus', country: 'United States' },
+  'JTH': { manufacturer: 'Toyota', make: 'Lexus', country: 'Japan' },
+  'JTJ': { manufacturer: 'Toyota', make: 'Lexus', country: 'Japan' },
+
+  // Nissan
+  '1N4': { manufacturer: 'Nissan', make: 'Nissan', country: 'United States' },
+  '1N6': { manufacturer: 'Nissan', make: 'Nissan', country: 'United States' },
+  '5N1': { manufacturer: 'Nissan', make: 'Nissan', country: 'United States' },
+  '3N1': { manufacturer: 'Nissan', make: 'Nissan', country: 'Mexico' },
+  '3N6': { manufacturer: 'Nissan', make: 'Nissan', country: 'Mexico' },
+  'JN1': { manufacturer: 'Nissan', make: 'Nissan', country: 'Japan' },
+  'JN8': { manufacturer: 'Nissan', make: 'Nissan', country: 'Japan' },
+  '5N3': { manufacturer: 'Nissan', make: 'Infiniti', country: 'United States' },
+  'JNK': { manufacturer: 'Nissan', make: 'Infiniti', country: 'Japan' },
+
+  // Hyundai Motor Group
+  'KMH': { manufacturer: 'Hyundai', make: 'Hyundai', country: 'South Korea' },
+  'KM8': { manufacturer: 'Hyundai', make: 'Hyundai', country: 'South Korea' },
+  '5NP': { manufacturer: 'Hyundai', make: 'Hyundai', country: 'United States' },
+  '5NM': { manufacturer: 'Hyundai', make: 'Hyundai', country: 'United States' },
+  'KMT': { manufacturer: 'Hyundai', make: 'Genesis', country: 'South Korea' },
+  'KNA': { manufacturer: 'Kia', make: 'Kia', country: 'South Korea' },
+  'KND': { manufacturer: 'Kia', make: 'Kia', country: 'South Korea' },
+  '5XX': { manufacturer: 'Kia', make: 'Kia', country: 'United States' },
+  '5XY': { manufacturer: 'Kia', make: 'Kia', country: 'United States' },
+  '3KP': { manufacturer: 'Kia', make: 'Kia', country: 'Mexico' },
+
+  // Subaru and Mazda
+  'JF1': { manufacturer: 'Subaru', make: 'Subaru', country: 'Japan' },
+  'JF2': { manufacturer: 'Subaru', make: 'Subaru', country: 'Japan' },
+  '4S3': { manufacturer: 'Subaru', make: 'Subaru', country: 'United States' },
+  '4S4': { manufacturer: 'Subaru', make: 'Subaru', country: 'United States' },
+  'JM1': { manufacturer: 'Mazda', make: 'Mazda', country: 'Japan' },
+  'JM3': { manufacturer: 'Mazda', make: 'Mazda', country: 'Japan' },
+  '3MZ': { manufacturer: 'Mazda', make: 'Mazda', country: 'Mexico' },
+  '7MM': { manufacturer: 'Mazda', make: 'Mazda', country: 'United States' },
+
+  // Mitsubishi
+  'JA3': { manufacturer: 'Mitsubishi', make: 'Mitsubishi', country: 'Japan' },
+  'JA4': { manufacturer: 'Mitsubishi', make: 'Mitsubishi', country: 'Japan' },
+
+  // Volkswagen Group
+  'WVW': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'Germany' },
+  'WVG': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'Germany' },
+  '1VW': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'United States' },
+  '3VW': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'Mexico' },
+  '3VV': { manufacturer: 'Volkswagen', make: 'Volkswagen', country: 'Mexico' },
+  'WAU': { manufacturer: 'Audi', make: 'Audi', country: 'Germany' },
+  'WA1': { manufacturer: 'Audi', make: 'Audi', country: 'Germany' },
+  'WP0': { manufacturer: 'Porsche', make: 'Porsche', country: 'Germany' },
+  'WP1': { manufacturer: 'Porsche', make: 'Porsche', country: 'Germany' },
+
+  // BMW
+  'WBA': { manufacturer: 'BMW', make: 'BMW', country: 'Germany' },
+  'WBS': { manufacturer: 'BMW', make: 'BMW', country: 'Germany' },
+  'WBX': { manufacturer: 'BMW', make: 'BMW', country: 'Germany' },
+  '5UX': { manufacturer: 'BMW', make: 'BMW', country: 'United States' },
+  'WMW': { manufacturer: 'BMW', make: 'MINI', country: 'United Kingdom' },
+
+  // Mercedes-Benz
+  'WDD': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  'WDC': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  'W1K': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  'W1N': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'Germany' },
+  '4JG': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'United States' },
+  '55S': { manufacturer: 'Mercedes-Benz', make: 'Mercedes-Benz', country: 'United States' },
+
+  // Volvo and Jaguar Land Rover
+  'YV1': { manufacturer: 'Volvo Cars', make: 'Volvo', country: 'Sweden' },
+  'YV4': { manufacturer: 'Volvo Cars', make: 'Volvo', country: 'Sweden' },
+  'SAJ': { manufacturer: 'Jaguar Land Rover', make: 'Jaguar', country: 'United Kingdom' },
+  'SAL': { manufacturer: 'Jaguar Land Rover', make: 'Land Rover', country: 'United Kingdom' }
+};
+
+module.exports = {
+  wmiTable
+};
@@ -0,0 +1,558 @@
+require("dotenv").config();
+const { providerRegistry } = require("../services/providerRegistry");
+const { auditService } = require("../services/auditService");
+const { dealerService } = require("../services/dealerService");
+const { pricingService } = require("../services/pricingService");
+const { isDealer } = require("../middleware/auth");
+const { ApiError } = require("../middleware/errorHandler");
+
+class AdminController {
+  /**
+   * List all providers, including disabled and not yet effective ones
+   */
+  static async listProviders(req, res, next) {
+    try {
+      const providers = providerRegistry.getAllProviders();
+
+      res.status(200).json(
+        Object.keys(providers).map((providerId) =>
+          AdminController.formatProvider(providerId, providers[providerId])
+        )
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a provider
+   */
+  static async createProvider(req, res, next) {
+    try {
+      const { id, ...provider } = req.body;
+
+      if (providerRegistry.getProvider(id)) {
+        throw ApiError.conflict(`Provider ${id} already exists`);
+      }
+
+      await providerRegistry.update((definition) => {
+        definition.providers[id] = provider;
+      });
+      await auditService.record(
+        req.user,
+        "provider.create",
+        `provider:${id}`,
+        { before: null, after: AdminController.redact(provider) }
+      );
+
+      res
+        .status(201)
+        .json(
+          AdminController.formatProvider(id, providerRegistry.getProvider(id))
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a provider
+   */
+  static async updateProvider(req, res, next) {
+    try {
+      const { providerId } = req.params;
+      await AdminController.changeProvider(
+        req,
+        providerId,
+        "provider.update",
+        req.body
+      );
+
+      res
+        .status(200)
+        .json(
+          AdminController.formatProvider(
+            providerId,
+            providerRegistry.getProvider(providerId)
+          )
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change a provider's markup
+   */
+  static async updateMarkup(req, res, next) {
+    try {
+      const { providerId } = req.params;
+      await AdminController.changeProvider(
+        req,
+        providerId,
+        "provider.markup",
+        { markup: req.body.markup }
+      );
+
+      res
+        .status(200)
+        .json(
+          AdminController.formatProvider(
+            providerId,
+            providerRegistry.getProvider(providerId)
+          )
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Disable a provider, so it is no longer quoted
+   */
+  static async disableProvider(req, res, next) {
+    try {
+      const { providerId } = req.params;
+      await AdminController.changeProvider(
+        req,
+        providerId,
+        "provider.disable",
+        { enabled: false }
+      );
+
+      res
+        .status(200)
+        .json(
+          AdminController.formatProvider(
+            providerId,
+            providerRegistry.getProvider(providerId)
+          )
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Enable a provider
+   */
+  static async enableProvider(req, res, next) {
+    try {
+      const { providerId } = req.params;
+      await AdminController.changeProvider(
+        req,
+        providerId,
+        "provider.enable",
+        { enabled: true }
+      );
+
+      res
+        .status(200)
+        .json(
+          AdminController.formatProvider(
+            providerId,
+            providerRegistry.getProvider(providerId)
+          )
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the state restrictions matrix
+   */
+  static async getStateRestrictions(req, res) {
+    res.status(200).json(providerRegistry.getStateRestrictions());
+  }
+
+  /**
+   * Set the states where a product may not be sold
+   */
+  static async updateStateRestriction(req, res, next) {
+    try {
+      const { product } = req.params;
+      const { states } = req.body;
+      const before = providerRegistry.getStateRestrictions()[product] || [];
+
+      await providerRegistry.update((definition) => {
+        definition.stateRestrictions = {
+          ...definition.stateRestrictions,
+          [product]: states,
+        };
+      });
+      await auditService.record(
+        req.user,
+        "state_restrictions.update",
+        `state_restrictions:${product}`,
+        { before, after: states }
+      );
+
+      res.status(200).json(providerRegistry.getStateRestrictions());
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List dealer accounts
+   */
+  static async listDealers(req, res) {
+    res.status(200).json(dealerService.list());
+  }
+
+  /**
+   * Create a dealer account
+   */
+  static async createDealer(req, res, next) {
+    try {
+      const { id } = req.body;
+
+      if (dealerService.get(id)) {
+        throw ApiError.conflict(`Dealer ${id} already exists`);
+      }
+
+      const dealer = await dealerService.create(req.body);
+      await auditService.record(req.user, "dealer.create", `dealer:${id}`, {
+        before: null,
+        after: req.body,
+      });
+
+      res.status(201).json(dealer);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a dealer's profile
+   */
+  static async updateDealer(req, res, next) {
+    try {
+      const { dealerId } = req.params;
+      const before = dealerService.get(dealerId);
+
+      if (!before) {
+        throw ApiError.notFound(`Dealer ${dealerId} not found`);
+      }
+
+      const dealer = await dealerService.update(dealerId, req.body);
+      await auditService.record(
+        req.user,
+        "dealer.update",
+        `dealer:${dealerId}`,
+        {
+          before: AdminController.pick(before, Object.keys(req.body)),
+          after: req.body,
+        }
+      );
+
+      res.status(200).json(dealer);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue an API key to a dealer
+   * The key is only ever returned here.
+   */
+  static async issueApiKey(req, res, next) {
+    try {
+      const { dealerId } = req.params;
+      const apiKey = await dealerService.issueKey(dealerId, req.body.name);
+
+      if (!apiKey) {
+        throw ApiError.notFound(`Dealer ${dealerId} not found`);
+      }
+
+      const { key, ...details } = apiKey;
+      await auditService.record(
+        req.user,
+        "dealer.api_key.issue",
+        `dealer:${dealerId}`,
+        { before: null, after: details }
+      );
+
+      res.status(201).json(apiKey);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke a dealer's API key
+   */
+  static async revokeApiKey(req, res, next) {
+    try {
+      const { dealerId, keyId } = req.params;
+      const apiKey = await dealerService.revokeKey(dealerId, keyId);
+
+      if (!apiKey) {
+        throw ApiError.notFound(`API key ${keyId} not found`);
+      }
+
+      await auditService.record(
+        req.user,
+        "dealer.api_key.revoke",
+        `dealer:${dealerId}`,
+        { before: { id: keyId }, after: apiKey }
+      );
+
+      res.status(200).json(apiKey);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List pricing rules; dealers get their own
+   */
+  static async listPricingRules(req, res) {
+    res
+      .status(200)
+      .json(
+        pricingService
+          .getRules()
+          .filter((rule) => AdminController.canManageRule(req.user, rule))
+      );
+  }
+
+  /**
+   * Create a pricing rule
+   * Dealers' rules always match their own dealer ID only.
+   */
+  static async createPricingRule(req, res, next) {
+    try {
+      const rule = AdminController.scopeRule(req.user, req.body);
+
+      if (pricingService.getRule(rule.id)) {
+        throw ApiError.conflict(`Pricing rule ${rule.id} already exists`);
+      }
+
+      await pricingService.update((rules) => [...rules, rule]);
+      await auditService.record(
+        req.user,
+        "pricing_rule.create",
+        `pricing_rule:${rule.id}`,
+        { before: null, after: rule }
+      );
+
+      res.status(201).json(pricingService.getRule(rule.id));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace a pricing rule
+   */
+  static async replacePricingRule(req, res, next) {
+    try {
+      const { ruleId } = req.params;
+      const before = AdminController.findManagedRule(req.user, ruleId);
+      const rule = AdminController.scopeRule(req.user, {
+        id: ruleId,
+        ...req.body,
+      });
+
+      await pricingService.update((rules) =>
+        rules.map((existing) => (existing.id === ruleId ? rule : existing))
+      );
+      await auditService.record(
+        req.user,
+        "pricing_rule.update",
+        `pricing_rule:${ruleId}`,
+        { before, after: rule }
+      );
+
+      res.status(200).json(pricingService.getRule(ruleId));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a pricing rule
+   */
+  static async deletePricingRule(req, res, next) {
+    try {
+      const { ruleId } = req.params;
+      const before = AdminController.findManagedRule(req.user, ruleId);
+
+      await pricingService.update((rules) =>
+        rules.filter(({ id }) => id !== ruleId)
+      );
+      await auditService.record(
+        req.user,
+        "pricing_rule.delete",
+        `pricing_rule:${ruleId}`,
+        { before, after: null }
+      );
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List audit log entries
+   */
+  static async getAuditLog(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const entries = await auditService.list({
+        target: req.query.target,
+        limit,
+      });
+
+      res.status(200).json(entries);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Apply changes to an existing provider and record them
+   * @param {Object} req - Request, for the acting user
+   * @param {string} providerId - Provider ID
+   * @param {string} action - Audit action name
+   * @param {Object} changes - Provider fields to change
+   */
+  static async changeProvider(req, providerId, action, changes) {
+    const before = providerRegistry.getProviderDefinition(providerId);
+
+    if (!before) {
+      throw ApiError.notFound(`Provider ${providerId} not found`);
+    }
+
+    await providerRegistry.update((definition) => {
+      definition.providers[providerId] = {
+        ...definition.providers[providerId],
+        ...changes,
+      };
+    });
+
+    const after = providerRegistry.getProviderDefinition(providerId);
+    await auditService.record(req.user, action, `provider:${providerId}`, {
+      before: AdminController.redact(
+        AdminController.pick(before, Object.keys(changes))
+      ),
+      after: AdminController.redact(
+        AdminController.pick(after, Object.keys(changes))
+      ),
+    });
+  }
+
+  /**
+   * Check whether a user may manage a pricing rule
+   * Dealers manage the rules matching their dealer ID alone; platform
+   * admins manage every rule.
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} rule - Pricing rule
+   * @returns {boolean} - True if the user may manage the rule
+   */
+  static canManageRule(user, rule) {
+    return (
+      !isDealer(user) || (rule.match && rule.match.dealer_id === user.dealer_id)
+    );
+  }
+
+  /**
+   * Find a pricing rule the user may manage
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} ruleId - Rule ID
+   * @returns {Object} - Pricing rule
+   * @throws {ApiError} - If there is no such rule, or it isn't the user's
+   */
+  static findRule(user, ruleId) {
+    const rule = pricingService.getRule(ruleId);
+
+    if (!rule || !AdminController.canManageRule(user, rule)) {
+      throw ApiError.notFound(`Pricing rule ${ruleId} not found`);
+    }
+
+    return rule;
+  }
+
+  /**
+   * Find a pricing rule the user may change through the API
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} ruleId - Rule ID
+   * @returns {Object} - Pricing rule
+   * @throws {ApiError} - If there is no such rule, it isn't the user's, or it
+   *   comes from the rules file
+   */
+  static findManagedRule(user, ruleId) {
+    const rule = AdminController.findRule(user, ruleId);
+
+    if (!pricingService.isManaged(ruleId)) {
+      throw ApiError.conflict(
+        `Pricing rule ${ruleId} is defined in the rules file, change it there`
+      );
+    }
+
+    return rule;
+  }
+
+  /**
+   * Limit a dealer's pricing rule to the dealer
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} rule - Validated pricing rule
+   * @returns {Object} - Pricing rule, matching the dealer ID for dealers
+   * @throws {ApiError} - If a dealer's rule matches another dealer
+   */
+  static scopeRule(user, rule) {
+    if (!isDealer(user)) return rule;
+
+    const match = rule.match || {};
+    if (match.dealer_id !== undefined && match.dealer_id !== user.dealer_id) {
+      throw ApiError.forbidden(
+        "Dealers can only manage their own pricing rules",
+        { dealer_id: user.dealer_id }
+      );
+    }
+
+    return { ...rule, match: { ...match, dealer_id: user.dealer_id } };
+  }
+
+  /**
+   * Format a provider for admin responses
+   * @param {string} providerId - Provider ID
+   * @param {Object} provider - Provider configuration
+   * @returns {Object} - Provider with ID, active flag and no API key
+   */
+  static formatProvider(providerId, provider) {
+    return {
+      id: providerId,
+      ...AdminController.redact(provider),
+      active: providerRegistry.isActive(provider),
+    };
+  }
+
+  /**
+   * Mask the API key of a provider
+   * @param {Object} provider - Provider configuration
+   * @returns {Object} - Provider configuration with masked API key
+   */
+  static redact(provider) {
+    if (!provider || provider.apiKey === undefined) return provider;
+    return { ...provider, apiKey: "********" };
+  }
+
+  /**
+   * Pick fields from an object
+   * @param {Object} source - Source object
+   * @param {Array<string>} fields - Fields to pick
+   * @returns {Object} - Object with only the picked fields
+   */
+  static pick(source, fields) {
+    return fields.reduce((result, field) => {
+      result[field] = source[field] === undefined ? null : source[field];
+      return result;
+    }, {});
+  }
+}
+
+module.exports = AdminController;
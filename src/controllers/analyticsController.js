@@ -0,0 +1,67 @@
+require("dotenv").config();
+const {
+  providerAnalyticsService,
+} = require("../services/providerAnalyticsService");
+const { providerRegistry } = require("../services/providerRegistry");
+const { ApiError } = require("../middleware/errorHandler");
+
+// Days reported when no date range is given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Provider analytics
+ */
+class AnalyticsController {
+  /**
+   * Get each provider's call outcomes, latency percentiles, and how often
+   * its quotes were cheapest, tagged and selected, with a trend per day,
+   * week or month
+   * Dates are UTC days. Without a date range, the last 30 days are reported.
+   */
+  static async getProviderAnalytics(req, res, next) {
+    try {
+      const { provider, interval } = req.query;
+      const to = req.query.to || new Date().toISOString().slice(0, 10);
+      const from =
+        req.query.from ||
+        new Date(
+          new Date(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000
+        )
+          .toISOString()
+          .slice(0, 10);
+
+      if (from > to) {
+        throw ApiError.badRequest('"from" must not be after "to"', {
+          from,
+          to,
+        });
+      }
+
+      const providers = providerAnalyticsService
+        .report({ from, to, provider, interval })
+        .map((analytics) => {
+          // Current settings, to weigh the provider's priority against
+          const config = providerRegistry.getProvider(analytics.provider_id);
+          return {
+            provider_id: analytics.provider_id,
+            name: config ? config.name : analytics.provider_id,
+            priority: config ? config.priority : null,
+            active: config ? providerRegistry.isActive(config) : false,
+            ...analytics,
+          };
+        });
+
+      res.status(200).json({
+        from,
+        to,
+        interval,
+        count: providers.length,
+        providers,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AnalyticsController;
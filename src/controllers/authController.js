@@ -0,0 +1,151 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { tokenService, TOKEN_TYPES } = require("../services/tokenService");
+const { userService } = require("../services/userService");
+const { dealerService } = require("../services/dealerService");
+const { getActiveDealer, toAuthError } = require("../middleware/auth");
+const { ApiError } = require("../middleware/errorHandler");
+
+class AuthController {
+  /**
+   * Sign in with a username and password
+   */
+  static async login(req, res, next) {
+    try {
+      const { username, password } = req.body;
+
+      const user = await userService.authenticate(username, password);
+      if (!user) {
+        throw ApiError.unauthorized("Invalid username or password");
+      }
+
+      const claims = AuthController.userClaims(user);
+      logger.info(`User ${username} signed in`);
+      res.status(200).json(tokenService.issue(claims));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Exchange a dealer's client credentials (dealer ID and API key) for tokens
+   */
+  static async token(req, res, next) {
+    try {
+      const { client_id, client_secret } = req.body;
+
+      const found = dealerService.authenticateKey(client_secret);
+      if (!found || found.dealer.id !== client_id) {
+        throw ApiError.unauthorized("Invalid client credentials");
+      }
+      getActiveDealer(client_id);
+
+      const claims = AuthController.dealerClaims(client_id, found.keyId);
+      logger.info(`Dealer ${client_id} exchanged API key ${found.keyId}`);
+      res.status(200).json(tokenService.issue(claims));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * The refresh token is used up: it is revoked and a new one issued. The
+   * user, dealer and API key behind it must still be active.
+   */
+  static async refresh(req, res, next) {
+    try {
+      const claims = await tokenService
+        .verify(req.body.refresh_token, TOKEN_TYPES.REFRESH)
+        .catch((error) => {
+          throw toAuthError(error);
+        });
+
+      const current = await AuthController.currentClaims(claims);
+      await tokenService.revoke(claims);
+
+      res.status(200).json(tokenService.issue(current));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sign out: revoke the access token, and the refresh token if given
+   */
+  static async logout(req, res, next) {
+    try {
+      await tokenService.revoke(req.user);
+
+      const { refresh_token } = req.body;
+      if (refresh_token) {
+        // An invalid or expired refresh token can't be used anyway
+        const claims = await tokenService
+          .verify(refresh_token, TOKEN_TYPES.REFRESH)
+          .catch(() => null);
+
+        if (claims && claims.sub === req.user.sub) {
+          await tokenService.revoke(claims);
+        }
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rebuild a refresh token's claims from the current accounts
+   * @param {Object} claims - Refresh token claims
+   * @returns {Promise<Object>} - Claims for the new tokens
+   * @throws {ApiError} - If the user, dealer or API key is no longer active
+   */
+  static async currentClaims(claims) {
+    if (claims.api_key_id) {
+      getActiveDealer(claims.dealer_id);
+      if (!dealerService.isKeyActive(claims.dealer_id, claims.api_key_id)) {
+        throw ApiError.unauthorized("Invalid API key");
+      }
+      return AuthController.dealerClaims(claims.dealer_id, claims.api_key_id);
+    }
+
+    const user = await userService.get(claims.sub);
+    if (!user || !user.enabled) {
+      throw ApiError.unauthorized("User account is not active");
+    }
+    return AuthController.userClaims(user);
+  }
+
+  /**
+   * Build the token claims of a user
+   * @param {Object} user - User
+   * @returns {Object} - Claims
+   * @throws {ApiError} - If the user's dealer account is not active
+   */
+  static userClaims(user) {
+    if (!user.dealer_id) {
+      return { sub: user.username, role: user.role };
+    }
+
+    getActiveDealer(user.dealer_id);
+    return { sub: user.username, role: user.role, dealer_id: user.dealer_id };
+  }
+
+  /**
+   * Build the token claims of a dealer's API key, like the key itself gets
+   * @param {string} dealerId - Dealer ID
+   * @param {string} keyId - API key ID
+   * @returns {Object} - Claims
+   */
+  static dealerClaims(dealerId, keyId) {
+    return {
+      sub: `dealer:${dealerId}`,
+      role: "dealer_user",
+      dealer_id: dealerId,
+      api_key_id: keyId,
+    };
+  }
+}
+
+module.exports = AuthController;
@@ -0,0 +1,249 @@
+require("dotenv").config();
+const { kpiService } = require("../services/kpiService");
+const { kpiReportService } = require("../services/kpiReportService");
+const { getExporter } = require("../services/kpiExporters");
+const { auditService, AuditService } = require("../services/auditService");
+const { ApiError } = require("../middleware/errorHandler");
+const {
+  isDealer,
+  hasPermission,
+  canAccessDealer,
+} = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+
+// Days reported when no date range is given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * KPI reporting
+ */
+class KpiController {
+  /**
+   * Get quote, conversion, revenue and margin KPIs
+   * Dates are UTC days. Without a date range, the last 30 days are reported.
+   * CSV and XLSX formats are sent as downloads. Dealers only get their own
+   * dealership's KPIs.
+   */
+  static async getReport(req, res, next) {
+    try {
+      const { product, provider, interval, format } = req.query;
+      const dealer_id = KpiController.scopeToDealer(
+        req.user,
+        req.query.dealer_id
+      );
+      const to = req.query.to || new Date().toISOString().slice(0, 10);
+      const from =
+        req.query.from ||
+        new Date(
+          new Date(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000
+        )
+          .toISOString()
+          .slice(0, 10);
+
+      if (from > to) {
+        throw ApiError.badRequest('"from" must not be after "to"', {
+          from,
+          to,
+        });
+      }
+
+      const groupBy = [...new Set(req.query.group_by.split(","))];
+      const report = kpiService.report({
+        from,
+        to,
+        dealerId: dealer_id,
+        product,
+        provider,
+        groupBy,
+        interval,
+      });
+
+      if (format === "json") {
+        return res.status(200).json(report);
+      }
+
+      const exporter = getExporter(format);
+      res
+        .status(200)
+        .set({
+          "Content-Type": exporter.contentType,
+          "Content-Disposition": `attachment; filename="kpi-report-${from}-to-${to}.${exporter.extension}"`,
+        })
+        .send(await exporter.render(report));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List saved reports (a dealer's own, for dealers)
+   */
+  static async listSavedReports(req, res) {
+    const reports = kpiReportService
+      .list()
+      .filter((report) => KpiController.canAccessReport(req.user, report));
+    res.status(200).json({ count: reports.length, reports });
+  }
+
+  /**
+   * Get a saved report and its snapshots
+   */
+  static async getSavedReport(req, res, next) {
+    try {
+      res
+        .status(200)
+        .json(KpiController.findSavedReport(req.params.reportId, req.user));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Save a report definition to run on a cadence
+   * A dealer's reports are always on its own dealership.
+   */
+  static async createSavedReport(req, res, next) {
+    try {
+      const dealerId = KpiController.scopeToDealer(
+        req.user,
+        req.body.dealer_id
+      );
+      if (dealerId) req.body.dealer_id = dealerId;
+
+      const report = await kpiReportService.create(
+        req.body,
+        AuditService.getActor(req.user)
+      );
+
+      await auditService.record(
+        req.user,
+        "kpi_report.create",
+        `kpi_report:${report.id}`,
+        { after: req.body }
+      );
+
+      res.status(201).json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a saved report and its snapshots
+   */
+  static async deleteSavedReport(req, res, next) {
+    try {
+      const { reportId } = req.params;
+      KpiController.findSavedReport(reportId, req.user);
+      const report = await kpiReportService.remove(reportId);
+
+      await auditService.record(
+        req.user,
+        "kpi_report.delete",
+        `kpi_report:${reportId}`,
+        { before: { name: report.name, cadence: report.cadence } }
+      );
+
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Run a saved report now, on its last complete period
+   */
+  static async runSavedReport(req, res, next) {
+    try {
+      KpiController.findSavedReport(req.params.reportId, req.user);
+      const snapshot = await kpiReportService.run(req.params.reportId);
+
+      res.status(201).json(snapshot);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download a snapshot of a saved report
+   */
+  static async downloadSnapshot(req, res, next) {
+    try {
+      const { reportId, snapshotId } = req.params;
+      KpiController.findSavedReport(reportId, req.user);
+      const found = await kpiReportService.getSnapshot(reportId, snapshotId);
+
+      if (!found) {
+        throw ApiError.notFound("Snapshot not found");
+      }
+
+      const { snapshot, content } = found;
+      res
+        .status(200)
+        .set({
+          "Content-Type": getExporter(snapshot.format).contentType,
+          "Content-Disposition": `attachment; filename="${snapshot.file_name}"`,
+        })
+        .send(content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a saved report
+   * @param {string} reportId - Report ID
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {Object} - Saved report
+   * @throws {ApiError} - If there is no such report, or it is another
+   *   dealer's
+   */
+  static findSavedReport(reportId, user) {
+    const report = kpiReportService.get(reportId);
+
+    if (!report || !KpiController.canAccessReport(user, report)) {
+      throw ApiError.notFound("Saved report not found");
+    }
+
+    return report;
+  }
+
+  /**
+   * Check whether a user may see a saved report
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} report - Saved report
+   * @returns {boolean} - True if the user may see the report's dealer, or
+   *   every dealer for reports across dealerships
+   */
+  static canAccessReport(user, report) {
+    return report.dealer_id
+      ? canAccessDealer(user, report.dealer_id)
+      : hasPermission(user, PERMISSIONS.DEALER_DATA_ALL);
+  }
+
+  /**
+   * Limit a dealer's reporting to its own dealership
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string} dealerId - Requested dealer ID filter, if any
+   * @returns {string|undefined} - Dealer ID to report on
+   * @throws {ApiError} - If the user may not see the requested dealership,
+   *   or every dealership when none is requested
+   */
+  static scopeToDealer(user, dealerId) {
+    const scopedId = dealerId || (isDealer(user) ? user.dealer_id : undefined);
+
+    if (scopedId && !canAccessDealer(user, scopedId)) {
+      throw ApiError.forbidden(
+        isDealer(user)
+          ? "Dealers can only report on their own dealership"
+          : "Not allowed to report on this dealership"
+      );
+    }
+    if (!scopedId && !hasPermission(user, PERMISSIONS.DEALER_DATA_ALL)) {
+      throw ApiError.forbidden("Not allowed to report across dealerships");
+    }
+    return scopedId;
+  }
+}
+
+module.exports = KpiController;
@@ -0,0 +1,97 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { purchaseService } = require("../services/purchaseService");
+const { quoteSessionService } = require("../services/quoteSessionService");
+const { ApiError } = require("../middleware/errorHandler");
+const { canAccessDealer } = require("../middleware/auth");
+
+/**
+ * Quote purchase workflow: select a quote, give the buyer's details, then
+ * purchase it to have the provider issue the contract. Selecting returns a
+ * purchase token, sent as the X-Purchase-Token header in the later steps.
+ */
+class PurchaseController {
+  /**
+   * Get the purchase status of a quote
+   */
+  static async getPurchase(req, res, next) {
+    try {
+      await PurchaseController.checkAccess(req);
+      res
+        .status(200)
+        .json(
+          await purchaseService.get(
+            req.params.quoteId,
+            req.get("X-Purchase-Token")
+          )
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Select a quote for purchase
+   */
+  static async selectQuote(req, res, next) {
+    try {
+      await PurchaseController.checkAccess(req);
+      res.status(200).json(await purchaseService.select(req.params.quoteId));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the buyer of a selected quote
+   */
+  static async setBuyer(req, res, next) {
+    try {
+      await PurchaseController.checkAccess(req);
+      res
+        .status(200)
+        .json(
+          await purchaseService.setBuyer(
+            req.params.quoteId,
+            req.body,
+            req.get("X-Purchase-Token")
+          )
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Submit a selected quote to its provider for a contract
+   */
+  static async purchaseQuote(req, res, next) {
+    try {
+      await PurchaseController.checkAccess(req);
+      const purchase = await purchaseService.purchase(
+        req.params.quoteId,
+        req.get("X-Purchase-Token")
+      );
+      logger.info(`Quote ${req.params.quoteId} purchase ${purchase.status}`);
+      res.status(200).json(purchase);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check that the user may work on the quote
+   * Another dealer's quotes are reported as not found.
+   * @param {Object} req - Request, with the quote ID and user
+   * @throws {ApiError} - If the quote belongs to another dealer
+   */
+  static async checkAccess(req) {
+    const saved = await quoteSessionService.getQuote(req.params.quoteId);
+
+    if (saved && !canAccessDealer(req.user, saved.session.inputs.dealer_id)) {
+      throw ApiError.notFound("Quote not found");
+    }
+  }
+}
+
+module.exports = PurchaseController;
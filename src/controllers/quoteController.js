@@ -1,10 +1,36 @@
 require("dotenv").config();
 const logger = require("../logger");
-const { providerConfig, stateRestrictions } = require("../config");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { redisConfig, quoteConfig } = require("../config");
+const { productTypes } = require("../config/products");
 const { cacheService } = require("../services/cacheService");
 const ProviderService = require("../services/providerService");
 const VehicleService = require("../services/vehicleService");
+const CoverageService = require("../services/coverageService");
+const { providerRegistry } = require("../services/providerRegistry");
+const { pricingService } = require("../services/pricingService");
+const { taggingService } = require("../services/taggingService");
+const { eligibilityService } = require("../services/eligibilityService");
+const { complianceService } = require("../services/complianceService");
+const {
+  selectionStatsService,
+} = require("../services/selectionStatsService");
+const { quoteSessionService } = require("../services/quoteSessionService");
+const { kpiService } = require("../services/kpiService");
+const {
+  providerAnalyticsService,
+} = require("../services/providerAnalyticsService");
+const { proposalService } = require("../services/proposalService");
+const { dealerService } = require("../services/dealerService");
+const { getRenderer } = require("../services/proposalRenderers");
 const { ApiError } = require("../middleware/errorHandler");
+const { hasPermission, canAccessDealer } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+const { PROVIDER_STATUS } = ProviderService;
+
+// Provider outcomes that count towards a complete response
+const SUCCESS_STATUSES = [PROVIDER_STATUS.OK, PROVIDER_STATUS.INELIGIBLE];
 
 class QuoteController {
   /**
@@ -12,179 +38,891 @@ class QuoteController {
    */
   static async getQuotes(req, res, next) {
     try {
-      const { vin, zip, mileage, price, products, dealer_id } = req.body;
-
-      if (!vin || !zip || !Array.isArray(products)) {
-        return next(
-          ApiError.badRequest("VIN, ZIP, and product list are required.")
-        );
-      }
+      const context = await QuoteController.prepareQuoteRequest(req.body);
 
       // Check cache first
-      const cacheKey = `quotes:${vin}:${zip}:${mileage}:${price}:${products.join(
-        ","
-      )}:${dealer_id || "none"}`;
+      const cacheKey = QuoteController.getCacheKey(req.body);
       const cachedQuotes = await cacheService.get(cacheKey);
 
       if (cachedQuotes) {
-        return res.status(200).json(JSON.parse(cachedQuotes));
-      }
+        const response = QuoteController.reissueResponse(
+          JSON.parse(cachedQuotes),
+          context
+        );
+        await QuoteController.saveQuoteSession(response, context);
 
-      // Get vehicle details from VIN
-      const vehicleDetails = await VehicleService.getVehicleDetails(vin);
+        QuoteController.recordShown(response, req.body);
+        return res
+          .status(200)
+          .json(QuoteController.forAudience(response, req.user));
+      }
 
-      if (!vehicleDetails) {
-        throw ApiError.badRequest("Invalid VIN or vehicle details not found");
+      if (context.availableProducts.length === 0) {
+        return res
+          .status(200)
+          .json(QuoteController.buildRestrictedResponse(context));
       }
 
-      // Get state from ZIP code
-      const state = await VehicleService.getStateFromZip(zip);
-
-      // Check state restrictions
-      const stateRestrictedProducts = [];
-      products.forEach((product) => {
-        if (
-          stateRestrictions[product] &&
-          stateRestrictions[product].includes(state)
-        ) {
-          stateRestrictedProducts.push(product);
-        }
+      // Get quotes from all providers
+      const providerService = new ProviderService();
+      const { results: providerQuotes, statuses: providerStatuses } =
+        await providerService.getQuotesFromAllProviders(
+          context.providerRequest
+        );
+
+      // Normalize and aggregate quotes
+      const aggregatedQuotes = {};
+      context.availableProducts.forEach((product) => {
+        aggregatedQuotes[product] = [];
+      });
+
+      Object.keys(providerQuotes).forEach((providerId) => {
+        QuoteController.mergeQuotes(
+          aggregatedQuotes,
+          QuoteController.normalizeProviderQuotes(
+            providerId,
+            providerQuotes[providerId],
+            context
+          )
+        );
       });
 
-      // Filter out restricted products
-      const availableProducts = products.filter(
-        (product) => !stateRestrictedProducts.includes(product)
+      const response = QuoteController.buildQuoteResponse(
+        aggregatedQuotes,
+        context,
+        providerStatuses
+      );
+      await QuoteController.saveQuoteSession(response, context);
+      await QuoteController.cacheQuoteResponse(
+        cacheKey,
+        response,
+        providerStatuses
       );
 
-      if (availableProducts.length === 0) {
-        return res.status(200).json({
-          meta: {
-            vehicle_eligibility: "ineligible",
-            coverage_disclaimer: "No products available in your state.",
-            state_restrictions: {
-              restricted_products: stateRestrictedProducts,
-              state,
-            },
-          },
-        });
-      }
+      QuoteController.recordShown(response, req.body);
+      res.status(200).json(QuoteController.forAudience(response, req.user));
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Prepare request for providers
-      const providerRequest = {
-        vehicle: {
-          vin,
-          year: vehicleDetails.year,
-          make: vehicleDetails.make,
-          model: vehicleDetails.model,
-          trim: vehicleDetails.trim,
-          mileage,
-        },
-        customer: {
-          zip,
-          state,
-        },
-        dealer: {
-          id: dealer_id || "direct",
-          name: dealer_id ? "Dealer Partner" : "Direct Consumer",
-        },
-        options: {
-          price,
-          products: availableProducts,
-        },
-      };
+  /**
+   * Stream quotes for a vehicle as Server-Sent Events
+   * Events: "vehicle" first, then one "provider" event per provider as it
+   * answers, then "complete" with the same body as POST /api/quotes.
+   * An "error" event is sent if quoting fails after the stream has started.
+   */
+  static async streamQuotes(req, res, next) {
+    let context;
 
-      // Get quotes from all providers
-      const providerService = new ProviderService();
-      const providerQuotes = await providerService.getQuotesFromAllProviders(
-        providerRequest
-      );
+    try {
+      context = await QuoteController.prepareQuoteRequest(req.body);
+    } catch (error) {
+      return next(error);
+    }
+
+    const { vehicleDetails } = context;
+    const cacheKey = QuoteController.getCacheKey(req.body);
+    let closed = false;
+
+    res.on("close", () => {
+      closed = true;
+    });
+
+    const send = (event, data) => {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    try {
+      send("vehicle", { ...vehicleDetails, state: context.state });
+
+      const cachedQuotes = await cacheService.get(cacheKey);
+
+      if (cachedQuotes) {
+        const response = QuoteController.reissueResponse(
+          JSON.parse(cachedQuotes),
+          context
+        );
+        await QuoteController.saveQuoteSession(response, context);
+
+        QuoteController.recordShown(response, req.body);
+        send("complete", QuoteController.forAudience(response, req.user));
+        return res.end();
+      }
+
+      if (context.availableProducts.length === 0) {
+        send("complete", QuoteController.buildRestrictedResponse(context));
+        return res.end();
+      }
 
-      // Normalize and aggregate quotes
       const aggregatedQuotes = {};
-      availableProducts.forEach((product) => {
+      context.availableProducts.forEach((product) => {
         aggregatedQuotes[product] = [];
       });
 
-      // Process quotes from each provider
-      Object.keys(providerQuotes).forEach((providerId) => {
-        const provider = providerConfig.providers[providerId];
-        const quotes = providerQuotes[providerId];
-
-        if (!quotes || !quotes.quotes) return;
-
-        quotes.quotes.forEach((quote) => {
-          if (availableProducts.includes(quote.product_type)) {
-            // Apply markup
-            const retailPrice = quote.retail_price * (provider.markup || 1);
-
-            // Add to aggregated quotes
-            aggregatedQuotes[quote.product_type].push({
-              id: quote.product_id,
-              provider: quote.provider.name,
-              name: quote.name,
-              term: quote.term.months,
-              mileage: quote.term.miles,
-              deductible: quote.deductible,
-              price: Math.round(retailPrice * 100) / 100,
-              coverage: quote.coverage,
-              tags: [], // Tags will be added later
-            });
+      // Send each provider's quotes as soon as it answers
+      const providerService = new ProviderService();
+      const { statuses: providerStatuses } =
+        await providerService.getQuotesFromAllProviders(
+          context.providerRequest,
+          {
+            onProviderResult: (providerId, result, status) => {
+              const quotes = QuoteController.normalizeProviderQuotes(
+                providerId,
+                result,
+                context
+              );
+              QuoteController.mergeQuotes(aggregatedQuotes, quotes);
+
+              send("provider", {
+                id: providerId,
+                ...status,
+                quotes: QuoteController.forAudience(quotes, req.user),
+              });
+            },
           }
-        });
+        );
+
+      const response = QuoteController.buildQuoteResponse(
+        aggregatedQuotes,
+        context,
+        providerStatuses
+      );
+      await QuoteController.saveQuoteSession(response, context);
+      await QuoteController.cacheQuoteResponse(
+        cacheKey,
+        response,
+        providerStatuses
+      );
+
+      QuoteController.recordShown(response, req.body);
+      send("complete", QuoteController.forAudience(response, req.user));
+      res.end();
+    } catch (error) {
+      logger.error("Error streaming quotes:", error);
+      send("error", {
+        code: error.code || "INTERNAL_ERROR",
+        message: error.message || "Internal Server Error",
+      });
+      res.end();
+    }
+  }
+
+  /**
+   * Get the quote set ID for a quote request
+   * Requests with the same inputs share a quote set, cached for a while and
+   * referenced by the compare endpoint.
+   * @param {Object} body - Validated quote request body
+   * @returns {string} - Quote set ID
+   */
+  static getQuoteSetId(body) {
+    const { zip, mileage, price, products, dealer_id, commercial_use } = body;
+    const vehicle = QuoteController.getVehicleKey(body);
+
+    if (!vehicle || !zip || !Array.isArray(products)) {
+      throw ApiError.badRequest(
+        "VIN (or year, make and model), ZIP, and product list are required."
+      );
+    }
+
+    return crypto
+      .createHash("sha256")
+      .update(
+        `${vehicle}:${zip}:${mileage}:${price}:${products.join(",")}:${
+          dealer_id || "none"
+        }:${commercial_use ? "commercial" : "personal"}`
+      )
+      .digest("hex")
+      .slice(0, 24);
+  }
+
+  /**
+   * Identify the vehicle of a quote request, by VIN or by selection
+   * @param {Object} body - Validated quote request body
+   * @returns {string|null} - Vehicle key, null if the vehicle is missing
+   */
+  static getVehicleKey(body) {
+    const { vin, year, make, model, trim } = body;
+
+    if (vin) return vin.toUpperCase();
+    if (!year || !make || !model) return null;
+
+    return [year, make, model, trim || ""].join("|").toLowerCase();
+  }
+
+  /**
+   * Build the cache key for a quote request
+   * @param {Object} body - Validated quote request body
+   * @returns {string} - Cache key
+   */
+  static getCacheKey(body) {
+    return `quotes:${QuoteController.getQuoteSetId(body)}`;
+  }
+
+  /**
+   * Resolve vehicle, state and available products for a quote request
+   * Without a VIN the vehicle comes from the year, make, model and trim
+   * selection, and the quotes are indicative.
+   * @param {Object} body - Validated quote request body
+   * @returns {Promise<Object>} - Quote request context
+   */
+  static async prepareQuoteRequest(body) {
+    const { vin, zip, mileage, price, products, dealer_id, commercial_use } =
+      body;
+    const quoteSetId = QuoteController.getQuoteSetId(body);
+    const dealer = dealer_id ? dealerService.get(dealer_id) : null;
+    const indicative = !vin;
+    const createdAt = new Date();
+
+    const vehicleDetails = indicative
+      ? QuoteController.getSelectedVehicle(body)
+      : await QuoteController.getDecodedVehicle(vin);
+
+    // Get state, county and city from ZIP code
+    const location = await VehicleService.getLocationFromZip(zip);
+
+    if (!location) {
+      throw ApiError.badRequest("Unknown ZIP code", { zip });
+    }
+
+    const { state } = location;
+
+    // Check state restrictions
+    const stateRestrictions = providerRegistry.getStateRestrictions();
+    const stateRestrictedProducts = [];
+    products.forEach((product) => {
+      if (
+        stateRestrictions[product] &&
+        stateRestrictions[product].includes(state)
+      ) {
+        stateRestrictedProducts.push(product);
+      }
+    });
+
+    // Filter out restricted products
+    const availableProducts = products.filter(
+      (product) => !stateRestrictedProducts.includes(product)
+    );
+
+    // Prepare request for providers
+    const providerRequest = {
+      vehicle: {
+        vin,
+        year: vehicleDetails.year,
+        make: vehicleDetails.make,
+        model: vehicleDetails.model,
+        trim: vehicleDetails.trim,
+        mileage,
+      },
+      customer: {
+        zip,
+        state,
+        county: location.county,
+        city: location.city,
+      },
+      dealer: {
+        id: dealer ? dealer.id : "direct",
+        name: dealer ? dealer.name : "Direct Consumer",
+      },
+      options: {
+        price,
+        products: availableProducts,
+        commercial_use: Boolean(commercial_use),
+      },
+    };
+
+    return {
+      quoteSetId,
+      sessionId: uuidv4(),
+      createdAt: createdAt.toISOString(),
+      // Indicative prices can change once the VIN is known, so aren't locked
+      priceLockedUntil: indicative
+        ? null
+        : new Date(
+            createdAt.getTime() + quoteConfig.priceLockDays * 24 * 60 * 60 * 1000
+          ).toISOString(),
+      inputs: body,
+      indicative,
+      dealerId: dealer_id,
+      vehicleDetails,
+      state,
+      stateRestrictedProducts,
+      availableProducts,
+      providerRequest,
+      // Quotes left out by the eligibility rules, filled in as providers answer
+      excludedQuotes: [],
+      // Quotes withdrawn by the compliance matrix, filled in the same way
+      withdrawnQuotes: [],
+    };
+  }
+
+  /**
+   * Get vehicle details from VIN
+   * @param {string} vin - VIN
+   * @returns {Promise<Object>} - Vehicle details
+   */
+  static async getDecodedVehicle(vin) {
+    const vinErrors = VehicleService.validateVin(vin);
+    if (vinErrors.length > 0) {
+      throw ApiError.badRequest("Invalid VIN", { errors: vinErrors });
+    }
+
+    const vehicleDetails = await VehicleService.getVehicleDetails(vin);
+
+    // Quoting a vehicle we can't identify would misprice it
+    if (vehicleDetails.status === "unknown") {
+      throw ApiError.badRequest("Vehicle could not be identified from VIN", {
+        wmi: vehicleDetails.wmi,
       });
+    }
 
-      // Add tags based on business rules
-      Object.keys(aggregatedQuotes).forEach((product) => {
-        const quotes = aggregatedQuotes[product];
+    return vehicleDetails;
+  }
 
-        if (quotes.length === 0) return;
+  /**
+   * Get vehicle details from a year, make, model and trim selection
+   * @param {Object} body - Validated quote request body
+   * @returns {Object} - Vehicle details
+   */
+  static getSelectedVehicle(body) {
+    const { year, make, model, trim } = body;
+    const vehicleDetails = VehicleService.getVehicleFromSelection({
+      year,
+      make,
+      model,
+      trim,
+    });
+
+    if (!vehicleDetails) {
+      throw ApiError.badRequest("Unknown vehicle", {
+        year,
+        make,
+        model,
+        trim: trim || null,
+      });
+    }
 
-        // Sort by price
-        quotes.sort((a, b) => a.price - b.price);
+    return vehicleDetails;
+  }
 
-        // Add "Best Value" tag to lowest price
-        if (quotes[0]) {
-          quotes[0].tags.push("Best Value");
-        }
+  /**
+   * Normalize one provider's quotes and price them for the dealer
+   * @param {string} providerId - Provider ID
+   * @param {Object|null} result - Provider response, null if the call failed
+   * @param {Object} context - Quote request context
+   * @returns {Object} - Normalized quotes keyed by product type
+   */
+  static normalizeProviderQuotes(providerId, result, context) {
+    const provider = providerRegistry.getProvider(providerId);
+    const {
+      availableProducts,
+      indicative,
+      priceLockedUntil,
+      dealerId,
+      state,
+      providerRequest,
+    } = context;
+    const normalizedQuotes = {};
+
+    if (!result || !result.quotes) return normalizedQuotes;
+
+    result.quotes.forEach((quote) => {
+      if (!availableProducts.includes(quote.product_type)) return;
+
+      // Apply the state compliance matrix
+      const compliance = complianceService.evaluate(quote, state);
+
+      if (!compliance.available) {
+        context.withdrawnQuotes.push({
+          product_type: quote.product_type,
+          id: quote.product_id,
+          provider: quote.provider.name,
+          reasons: compliance.reasons,
+        });
+        return;
+      }
 
-        // Add "Most Popular" tag based on coverage and price
-        const popularIndex = Math.min(1, quotes.length - 1);
-        if (quotes[popularIndex]) {
-          quotes[popularIndex].tags.push("Most Popular");
-        }
+      // Apply the provider's underwriting rules
+      const reasons = eligibilityService.check(quote, {
+        ...providerRequest.vehicle,
+        price: providerRequest.options.price,
+        commercial_use: providerRequest.options.commercial_use,
+      });
 
-        // Add "Dealer Recommended" tag if dealer_id is provided
-        if (dealer_id && quotes.length > 2) {
-          quotes[2].tags.push("Dealer Recommended");
-        }
+      if (reasons.length > 0) {
+        context.excludedQuotes.push({
+          product_type: quote.product_type,
+          id: quote.product_id,
+          provider: quote.provider.name,
+          reasons,
+        });
+        return;
+      }
+
+      // Apply the dealer's pricing rules
+      const pricing = pricingService.price(quote, provider, {
+        dealerId,
+        state,
+        vehicle: providerRequest.vehicle,
       });
 
-      // Prepare response
-      const response = {
-        ...aggregatedQuotes,
-        meta: {
-          vehicle_eligibility: "eligible",
-          coverage_disclaimer:
-            "Coverage is subject to terms and conditions of the service contract.",
-          state_restrictions:
-            stateRestrictedProducts.length > 0
-              ? {
-                  restricted_products: stateRestrictedProducts,
-                  state,
-                }
-              : {},
+      if (!normalizedQuotes[quote.product_type]) {
+        normalizedQuotes[quote.product_type] = [];
+      }
+
+      normalizedQuotes[quote.product_type].push({
+        id: uuidv4(),
+        product_id: quote.product_id,
+        provider: quote.provider.name,
+        provider_id: quote.provider.id,
+        name: quote.name,
+        term: quote.term.months,
+        mileage: quote.term.miles,
+        deductible: quote.deductible,
+        price: pricing.price,
+        indicative,
+        price_locked_until: priceLockedUntil,
+        pricing_rule: pricing.rule,
+        dealer_pricing: QuoteController.buildDealerPricing(
+          quote.dealer_cost,
+          pricing.price
+        ),
+        coverage: quote.coverage,
+        exclusions: quote.exclusions || [],
+        sample_contract_url: quote.sample_contract_url || null,
+        disclosures: compliance.disclosures,
+        tags: [], // Tags will be added later
+      });
+    });
+
+    return normalizedQuotes;
+  }
+
+  /**
+   * Build the dealer cost and margin breakdown of a quote
+   * @param {number|null} cost - Dealer cost from the provider
+   * @param {number} price - Retail price
+   * @returns {Object} - Cost, retail price and margin
+   */
+  static buildDealerPricing(cost, price) {
+    const hasCost = typeof cost === "number";
+    const margin = hasCost ? Math.round((price - cost) * 100) / 100 : null;
+
+    return {
+      cost: hasCost ? cost : null,
+      retail_price: price,
+      margin,
+      margin_percent:
+        hasCost && price > 0 ? Math.round((margin / price) * 1000) / 10 : null,
+    };
+  }
+
+  /**
+   * Remove dealer cost and margin unless the user may see them
+   * Quote bodies are built and cached with dealer pricing included, and
+   * stripped here on the way out, so consumers only see retail prices.
+   * @param {Object} body - Quote response, or quotes keyed by product type
+   * @param {Object} user - Authenticated user (req.user), if any
+   * @returns {Object} - Body safe to send to the user
+   */
+  static forAudience(body, user) {
+    if (hasPermission(user, PERMISSIONS.QUOTES_VIEW_COST)) return body;
+
+    const result = {};
+    Object.keys(body).forEach((key) => {
+      result[key] = Array.isArray(body[key])
+        ? body[key].map(({ dealer_pricing, ...quote }) => quote)
+        : body[key];
+    });
+
+    return result;
+  }
+
+  /**
+   * Record a quote response as shown, for selection rates, the KPI report
+   * and provider analytics
+   * @param {Object} response - Quote response
+   * @param {Object} body - Validated quote request body
+   */
+  static recordShown(response, body) {
+    const quotes = QuoteController.listQuotes(response);
+
+    selectionStatsService.recordShown(quotes.map((quote) => quote.product_id));
+    kpiService.recordQuoteRequest({
+      sessionId: response.meta.quote_session_id,
+      dealerId: body.dealer_id,
+      products: Object.keys(response).filter((key) =>
+        Array.isArray(response[key])
+      ),
+      quotes,
+    });
+    providerAnalyticsService.recordQuotesShown(quotes);
+  }
+
+  /**
+   * List the quotes of a quote response
+   * @param {Object} response - Quote response
+   * @returns {Array<Object>} - Quotes, each with its product_type
+   */
+  static listQuotes(response) {
+    const quotes = [];
+    Object.keys(response).forEach((key) => {
+      if (Array.isArray(response[key])) {
+        quotes.push(
+          ...response[key].map((quote) => ({ ...quote, product_type: key }))
+        );
+      }
+    });
+    return quotes;
+  }
+
+  /**
+   * Merge normalized quotes into the aggregated quotes
+   * @param {Object} aggregatedQuotes - Quotes keyed by product type
+   * @param {Object} quotes - Quotes keyed by product type
+   */
+  static mergeQuotes(aggregatedQuotes, quotes) {
+    Object.keys(quotes).forEach((product) => {
+      aggregatedQuotes[product].push(...quotes[product]);
+    });
+  }
+
+  /**
+   * Tag aggregated quotes and build the quote response body
+   * @param {Object} aggregatedQuotes - Quotes keyed by product type
+   * @param {Object} context - Quote request context
+   * @param {Object} providerStatuses - Outcome of each provider call
+   * @returns {Object} - Quote response
+   */
+  static buildQuoteResponse(aggregatedQuotes, context, providerStatuses) {
+    const { quoteSetId, sessionId, indicative, priceLockedUntil, dealerId } =
+      context;
+
+    taggingService.tagQuotes(aggregatedQuotes, dealerId);
+
+    return {
+      ...aggregatedQuotes,
+      meta: {
+        quote_set_id: quoteSetId,
+        quote_session_id: sessionId,
+        price_locked_until: priceLockedUntil,
+        indicative,
+        ...(indicative && {
+          indicative_notice:
+            "Prices are indicative. Request quotes with the VIN for final pricing.",
+        }),
+        vehicle_eligibility: QuoteController.buildEligibility(
+          aggregatedQuotes,
+          context
+        ),
+        coverage_disclaimer:
+          "Coverage is subject to terms and conditions of the service contract.",
+        state_restrictions: QuoteController.buildStateRestrictions(context),
+        providers: providerStatuses,
+      },
+    };
+  }
+
+  /**
+   * Make a cached quote response into a new quote session's response
+   * The cache holds the priced quotes of a quote set; each response gets its
+   * own session, quote IDs and price lock.
+   * @param {Object} cachedResponse - Cached quote response
+   * @param {Object} context - Quote request context
+   * @returns {Object} - Quote response
+   */
+  static reissueResponse(cachedResponse, context) {
+    const response = {
+      meta: {
+        ...cachedResponse.meta,
+        quote_session_id: context.sessionId,
+        price_locked_until: context.priceLockedUntil,
+      },
+    };
+
+    Object.keys(cachedResponse).forEach((key) => {
+      if (!Array.isArray(cachedResponse[key])) return;
+
+      response[key] = cachedResponse[key].map((quote) => ({
+        ...quote,
+        id: uuidv4(),
+        price_locked_until: context.priceLockedUntil,
+      }));
+    });
+
+    return response;
+  }
+
+  /**
+   * Summarize which products the vehicle is eligible for, and why not
+   * A product is partially eligible when the rules left out some of its plans.
+   * @param {Object} aggregatedQuotes - Eligible quotes keyed by product type
+   * @param {Object} context - Quote request context
+   * @returns {Object} - { status, reasons, products }
+   */
+  static buildEligibility(aggregatedQuotes, context) {
+    const products = {};
+    const reasons = new Set();
+
+    context.availableProducts.forEach((product) => {
+      const excluded = context.excludedQuotes
+        .filter((quote) => quote.product_type === product)
+        .map(({ product_type, ...quote }) => quote);
+      const offered = (aggregatedQuotes[product] || []).length;
+
+      excluded.forEach((quote) =>
+        quote.reasons.forEach(({ reason }) => reasons.add(reason))
+      );
+
+      let status = "eligible";
+      if (excluded.length > 0) {
+        status = offered > 0 ? "partially_eligible" : "ineligible";
+      }
+
+      products[product] = { status, excluded };
+    });
+
+    const statuses = Object.values(products).map((product) => product.status);
+    let status = "partially_eligible";
+    if (statuses.every((productStatus) => productStatus === "eligible")) {
+      status = "eligible";
+    } else if (statuses.every((productStatus) => productStatus === "ineligible")) {
+      status = "ineligible";
+    }
+
+    return { status, reasons: [...reasons], products };
+  }
+
+  /**
+   * Summarize the products and plans the customer's state doesn't allow
+   * @param {Object} context - Quote request context
+   * @returns {Object} - { restricted_products, withdrawn_plans, state }, or
+   *   an empty object if nothing was restricted
+   */
+  static buildStateRestrictions(context) {
+    const { state, stateRestrictedProducts, withdrawnQuotes } = context;
+
+    if (stateRestrictedProducts.length === 0 && withdrawnQuotes.length === 0) {
+      return {};
+    }
+
+    return {
+      restricted_products: stateRestrictedProducts,
+      withdrawn_plans: withdrawnQuotes,
+      state,
+    };
+  }
+
+  /**
+   * Build the response for a request where every product is restricted
+   * @param {Object} context - Quote request context
+   * @returns {Object} - Quote response
+   */
+  static buildRestrictedResponse(context) {
+    return {
+      meta: {
+        vehicle_eligibility: {
+          status: "ineligible",
+          reasons: ["No products available in your state."],
+          products: {},
         },
-      };
+        coverage_disclaimer: "No products available in your state.",
+        state_restrictions: QuoteController.buildStateRestrictions(context),
+      },
+    };
+  }
 
-      // Cache the response
-      await cacheService.set(cacheKey, JSON.stringify(response), 600); // 10 minutes TTL
+  /**
+   * Save the quote session of a quote response, with each of its quotes
+   * @param {Object} response - Quote response
+   * @param {Object} context - Quote request context
+   * @returns {Promise<Object>} - Saved session
+   */
+  static async saveQuoteSession(response, context) {
+    const quotes = QuoteController.listQuotes(response);
+
+    return quoteSessionService.save({
+      id: context.sessionId,
+      quote_set_id: context.quoteSetId,
+      created_at: context.createdAt,
+      price_locked_until: context.priceLockedUntil,
+      indicative: context.indicative,
+      inputs: context.inputs,
+      vehicle: context.vehicleDetails,
+      customer: {
+        state: context.state,
+        county: context.providerRequest.customer.county,
+        city: context.providerRequest.customer.city,
+      },
+      quotes,
+    });
+  }
 
-      res.status(200).json(response);
+  /**
+   * Cache a quote response, briefly if some providers failed to answer
+   * @param {string} cacheKey - Cache key
+   * @param {Object} response - Quote response
+   * @param {Object} providerStatuses - Outcome of each provider call
+   */
+  static async cacheQuoteResponse(cacheKey, response, providerStatuses) {
+    const isPartial = Object.values(providerStatuses).some(
+      (provider) => !SUCCESS_STATUSES.includes(provider.status)
+    );
+
+    await cacheService.set(
+      cacheKey,
+      JSON.stringify(response),
+      isPartial ? redisConfig.partialTtl : redisConfig.ttl
+    );
+  }
+
+  /**
+   * Compare quotes from one quote set side by side
+   */
+  static async compareQuotes(req, res, next) {
+    try {
+      const { quote_set_id, quote_ids } = req.body;
+
+      // Quotes of another quote set, or another dealer's, count as missing
+      const saved = await Promise.all(
+        quote_ids.map((quoteId) => quoteSessionService.getQuote(quoteId))
+      );
+      const found = saved.filter(
+        (item) =>
+          item &&
+          item.session.quote_set_id === quote_set_id &&
+          canAccessDealer(req.user, item.session.inputs.dealer_id)
+      );
+
+      const missing = quote_ids.filter(
+        (id) => !found.some(({ quote }) => quote.id === id)
+      );
+      if (missing.length > 0) {
+        throw ApiError.badRequest("Quotes not found in quote set", {
+          missing,
+        });
+      }
+
+      const productTypes = [
+        ...new Set(found.map(({ quote }) => quote.product_type)),
+      ];
+      if (productTypes.length > 1) {
+        throw ApiError.badRequest(
+          "Only quotes for the same product type can be compared",
+          { product_types: productTypes }
+        );
+      }
+
+      // Keep the order the quotes were asked for
+      const { quotes } = QuoteController.forAudience(
+        {
+          quotes: found.map(
+            ({ quote: { product_type, session_id, ...quote } }) => quote
+          ),
+        },
+        req.user
+      );
+
+      res.status(200).json(CoverageService.compare(productTypes[0], quotes));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a saved quote by its quote ID
+   * The quote is returned as quoted, with the vehicle and state it was
+   * quoted for and whether its price is still locked.
+   */
+  static async getQuote(req, res, next) {
+    try {
+      const saved = await quoteSessionService.getQuote(req.params.quoteId);
+
+      // Another dealer's quotes are reported as not found
+      if (
+        !saved ||
+        !canAccessDealer(req.user, saved.session.inputs.dealer_id)
+      ) {
+        throw ApiError.notFound("Quote not found");
+      }
+
+      const { session_id, ...quote } = saved.quote;
+
+      res.status(200).json({
+        quote: QuoteController.forAudience({ quotes: [quote] }, req.user)
+          .quotes[0],
+        session: QuoteController.describeSession(saved.session),
+        price_lock: quoteSessionService.getPriceLock(saved.session),
+      });
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Describe a saved quote session to the client
+   * The request inputs stay out: they are the caller's, not the quote's.
+   * @param {Object} session - Saved quote session
+   * @returns {Object} - { id, quote_set_id, created_at, indicative, vehicle,
+   *   state }
+   */
+  static describeSession(session) {
+    return {
+      id: session.id,
+      quote_set_id: session.quote_set_id,
+      created_at: session.created_at,
+      indicative: session.indicative,
+      vehicle: session.vehicle,
+      state: session.customer.state,
+    };
+  }
+
+  /**
+   * Render the proposal (F&I menu) of a quote session as HTML or PDF
+   */
+  static async getProposal(req, res, next) {
+    try {
+      const { sessionId } = req.params;
+      const proposal = await proposalService.build(sessionId);
+
+      if (!proposal || !canAccessDealer(req.user, proposal.dealer_id)) {
+        throw ApiError.notFound("Quote session not found");
+      }
+
+      const renderer = getRenderer(req.query.format);
+      const document = await renderer.render(proposal);
+
+      res
+        .status(200)
+        .set({
+          "Content-Type": renderer.contentType,
+          "Content-Disposition": `inline; filename="proposal-${sessionId}.${renderer.extension}"`,
+          // The dealer's logo is loaded from the dealer's own host
+          "Content-Security-Policy":
+            "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'",
+        })
+        .send(document);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the normalized coverage taxonomy
+   */
+  static async getCoverageTaxonomy(req, res) {
+    res.status(200).json(CoverageService.getTaxonomy());
+  }
+
   /**
    * Get vehicle details from VIN
    */
@@ -207,20 +945,15 @@ class QuoteController {
         );
       }
 
-      if (vin.length !== 17) {
-        logger.error(`Invalid VIN length: ${vin.length} (expected 17)`);
-        throw ApiError.badRequest(
-          `Invalid VIN length: ${vin.length} (expected 17)`
-        );
+      const vinErrors = VehicleService.validateVin(vin);
+      if (vinErrors.length > 0) {
+        logger.error(`Invalid VIN ${vin}: ${vinErrors.join(", ")}`);
+        throw ApiError.badRequest("Invalid VIN", { errors: vinErrors });
       }
 
+      // An unrecognised VIN is returned with status "unknown"
       const vehicleDetails = await VehicleService.getVehicleDetails(vin);
 
-      if (!vehicleDetails) {
-        logger.error(`Vehicle details not found for VIN: ${vin}`);
-        throw ApiError.notFound("Vehicle details not found");
-      }
-
       logger.info(`Vehicle details found for VIN: ${vin}`, vehicleDetails);
       res.status(200).json(vehicleDetails);
     } catch (error) {
@@ -233,32 +966,7 @@ class QuoteController {
    * Get available product types
    */
   static async getAvailableProducts(req, res) {
-    const products = [
-      {
-        id: "vsc",
-        name: "Vehicle Service Contract",
-        description:
-          "Covers mechanical breakdowns and repairs after the manufacturer's warranty expires.",
-      },
-      {
-        id: "gap",
-        name: "GAP Insurance",
-        description:
-          "Covers the difference between what you owe on your vehicle and what it's worth if it's totaled.",
-      },
-      {
-        id: "tire",
-        name: "Tire & Wheel Protection",
-        description: "Covers damage to tires and wheels from road hazards.",
-      },
-      {
-        id: "dent",
-        name: "Dent & Ding Protection",
-        description: "Covers minor dents and dings on your vehicle.",
-      },
-    ];
-
-    res.status(200).json(products);
+    res.status(200).json(productTypes);
   }
 }
 
@@ -0,0 +1,60 @@
+require("dotenv").config();
+const VehicleService = require("../services/vehicleService");
+const { ApiError } = require("../middleware/errorHandler");
+
+/**
+ * Cascading year, make, model and trim lookups for quoting without a VIN
+ */
+class VehicleController {
+  /**
+   * Get model years
+   */
+  static async getYears(req, res) {
+    res.status(200).json(VehicleService.getYears());
+  }
+
+  /**
+   * Get makes for a model year
+   */
+  static async getMakes(req, res) {
+    res.status(200).json(VehicleService.getMakes(req.query.year));
+  }
+
+  /**
+   * Get models of a make for a model year
+   */
+  static async getModels(req, res, next) {
+    try {
+      const { year, make } = req.query;
+      const models = VehicleService.getModels(year, make);
+
+      if (!models) {
+        throw ApiError.notFound(`Unknown make: ${make}`);
+      }
+
+      res.status(200).json(models);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get trims of a model for a model year
+   */
+  static async getTrims(req, res, next) {
+    try {
+      const { year, make, model } = req.query;
+      const trims = VehicleService.getTrims(year, make, model);
+
+      if (!trims) {
+        throw ApiError.notFound(`Unknown vehicle: ${year} ${make} ${model}`);
+      }
+
+      res.status(200).json(trims);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = VehicleController;
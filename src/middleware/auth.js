@@ -1,14 +1,25 @@
 require('dotenv').config();
 const logger = require('../logger');
-const jwt = require('jsonwebtoken');
 const { ApiError } = require('./errorHandler');
+const { dealerService } = require('../services/dealerService');
+const { tokenService, TOKEN_TYPES } = require('../services/tokenService');
+const { PERMISSIONS, ROLES, ANONYMOUS_ROLE, ROLE_ALIASES } = require('../config/roles');
 
 /**
  * Authentication middleware
- * Verifies JWT token in Authorization header
+ * Verifies the dealer API key in the X-API-Key header, or the access token in
+ * the Authorization header (see tokenService). A token with a dealer_id claim
+ * identifies that dealer, like its API keys; the dealer account must exist
+ * and be enabled, and a token exchanged for an API key stops working when
+ * the key is revoked.
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      return authenticateApiKey(req, apiKey, next);
+    }
+
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -18,23 +29,173 @@ const authenticate = (req, res, next) => {
     const token = authHeader.split(' ')[1];
     
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret_change_in_production');
+    const decoded = await tokenService.verify(token, TOKEN_TYPES.ACCESS);
+
+    if (decoded.dealer_id) {
+      req.dealer = getActiveDealer(decoded.dealer_id);
+    }
+    if (decoded.api_key_id && !dealerService.isKeyActive(decoded.dealer_id, decoded.api_key_id)) {
+      throw ApiError.unauthorized('Invalid API key');
+    }
     
     // Add user info to request
     req.user = decoded;
+    req.token = token;
     
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      next(ApiError.unauthorized('Invalid token'));
-    } else if (error.name === 'TokenExpiredError') {
-      next(ApiError.unauthorized('Token expired'));
-    } else {
-      next(error);
-    }
+    next(toAuthError(error));
+  }
+};
+
+/**
+ * Convert a token verification error to an API error
+ * @param {Error} error - Error from verifying a token
+ * @returns {Error} - 401 API error for invalid or expired tokens, otherwise
+ *   the error itself
+ */
+const toAuthError = (error) => {
+  if (error.name === 'TokenExpiredError') {
+    return ApiError.unauthorized('Token expired');
+  }
+  if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+    return ApiError.unauthorized('Invalid token');
+  }
+  return error;
+};
+
+/**
+ * Authenticate a dealer by API key
+ * @param {Object} req - Request
+ * @param {string} apiKey - API key
+ * @param {Function} next - Next middleware
+ */
+const authenticateApiKey = (req, apiKey, next) => {
+  const found = dealerService.authenticateKey(apiKey);
+  if (!found) {
+    throw ApiError.unauthorized('Invalid API key');
+  }
+
+  req.dealer = getActiveDealer(found.dealer.id);
+  req.user = {
+    sub: `dealer:${found.dealer.id}`,
+    role: 'dealer_user',
+    dealer_id: found.dealer.id,
+    api_key_id: found.keyId
+  };
+
+  next();
+};
+
+/**
+ * Get an enabled dealer account
+ * @param {string} dealerId - Dealer ID from the credentials
+ * @returns {Object} - Dealer
+ * @throws {ApiError} - If the account doesn't exist or is disabled
+ */
+const getActiveDealer = (dealerId) => {
+  const dealer = dealerService.get(dealerId);
+
+  if (!dealer || !dealer.enabled) {
+    throw ApiError.unauthorized('Dealer account is not active');
+  }
+
+  return dealer;
+};
+
+/**
+ * Optional authentication middleware
+ * Verifies the credentials if any are sent; requests without them continue
+ * anonymously. Invalid or expired credentials are still rejected.
+ */
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization && !req.headers['x-api-key']) {
+    return next();
+  }
+  
+  authenticate(req, res, next);
+};
+
+/**
+ * Authorization middleware
+ * Requires the caller's role to have every given permission (see
+ * config/roles.js). Requests without credentials have the consumer role;
+ * if that isn't enough, they are asked to authenticate.
+ * @param {...string} permissions - Required permissions, from PERMISSIONS
+ * @returns {Function} - Middleware
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  const role = getRole(req.user);
+  const missing = permissions.filter((permission) => !ROLES[role].permissions.includes(permission));
+
+  if (missing.length === 0) {
+    return next();
+  }
+  if (!req.user) {
+    return next(ApiError.unauthorized('Missing or invalid authorization token'));
   }
+
+  next(ApiError.forbidden(`Missing permission: ${missing.join(', ')}`, {
+    role,
+    required: permissions,
+    missing
+  }));
+};
+
+/**
+ * Get the role of a user
+ * Tokens from before roles had permissions may carry "operator" or
+ * "dealer". A missing or unknown role gets no more than an anonymous caller.
+ * @param {Object} user - Authenticated user (req.user), if any
+ * @returns {string} - Role, a key of ROLES
+ */
+const getRole = (user) => {
+  if (!user || !user.role) return ANONYMOUS_ROLE;
+
+  const role = ROLE_ALIASES[user.role] || user.role;
+  return Object.prototype.hasOwnProperty.call(ROLES, role) ? role : ANONYMOUS_ROLE;
+};
+
+/**
+ * Check whether a user has a permission
+ * @param {Object} user - Authenticated user (req.user), if any
+ * @param {string} permission - Permission, from PERMISSIONS
+ * @returns {boolean} - True if the user's role has the permission
+ */
+const hasPermission = (user, permission) => ROLES[getRole(user)].permissions.includes(permission);
+
+/**
+ * Check whether the authenticated user is a dealer
+ * @param {Object} user - Decoded token payload (req.user)
+ * @returns {boolean} - True for dealer users
+ */
+const isDealer = (user) => Boolean(user && (ROLES[getRole(user)].dealer || user.dealer_id));
+
+/**
+ * Check whether a user may see a dealer's data (saved quotes, purchases,
+ * proposals, reports)
+ * Dealers only see their own, and only roles allowed every dealer's data
+ * (platform admins) see the rest. Data without a dealer (direct consumers)
+ * is open to anyone holding its ID.
+ * @param {Object} user - Authenticated user (req.user), if any
+ * @param {string|null} dealerId - Dealer the data belongs to
+ * @returns {boolean} - True if the user may see the data
+ */
+const canAccessDealer = (user, dealerId) => {
+  if (!dealerId) return true;
+  if (!user) return false;
+  if (isDealer(user)) return user.dealer_id === dealerId;
+  return hasPermission(user, PERMISSIONS.DEALER_DATA_ALL);
 };
 
 module.exports = {
-  authenticate
+  authenticate,
+  optionalAuthenticate,
+  authorize,
+  getRole,
+  hasPermission,
+  isDealer,
+  canAccessDealer,
+  getActiveDealer,
+  toAuthError
 };
@@ -0,0 +1,44 @@
+require('dotenv').config();
+const { ApiError } = require('./errorHandler');
+const { zipService } = require('../services/zipService');
+
+/**
+ * Bind a quote request to the dealer of the credentials
+ * The dealer comes from the API key or token (req.dealer), never from the
+ * body: a body dealer_id must match it, and is set from it. The dealer's
+ * profile limits the states it can quote customers in and the products it
+ * can quote. Runs after the quote request body is validated.
+ */
+const bindDealer = (req, res, next) => {
+  const { dealer } = req;
+  const dealerId = dealer ? dealer.id : null;
+
+  if (req.body.dealer_id && req.body.dealer_id !== dealerId) {
+    return next(ApiError.forbidden('dealer_id does not match your credentials'));
+  }
+  req.body.dealer_id = dealerId;
+
+  if (!dealer) return next();
+
+  const disabled = req.body.products.filter((product) => !dealer.products.includes(product));
+  if (disabled.length > 0) {
+    return next(ApiError.badRequest('Products not enabled for your dealership', {
+      products: disabled,
+      enabled: dealer.products
+    }));
+  }
+
+  const { state } = zipService.lookup(req.body.zip);
+  if (!dealer.states.includes(state)) {
+    return next(ApiError.badRequest(`Your dealership does not sell in ${state}`, {
+      state,
+      states: dealer.states
+    }));
+  }
+
+  next();
+};
+
+module.exports = {
+  bindDealer
+};
@@ -37,14 +37,18 @@ class ApiError extends Error {
     return new ApiError(message, 401, 'UNAUTHORIZED');
   }
   
-  static forbidden(message = 'Forbidden') {
-    return new ApiError(message, 403, 'FORBIDDEN');
+  static forbidden(message = 'Forbidden', details) {
+    return new ApiError(message, 403, 'FORBIDDEN', details);
   }
   
   static notFound(message = 'Resource not found') {
     return new ApiError(message, 404, 'NOT_FOUND');
   }
   
+  static conflict(message = 'Conflict', details) {
+    return new ApiError(message, 409, 'CONFLICT', details);
+  }
+  
   static tooManyRequests(message = 'Too many requests') {
     return new ApiError(message, 429, 'TOO_MANY_REQUESTS');
   }
@@ -52,6 +56,10 @@ class ApiError extends Error {
   static internal(message = 'Internal server error') {
     return new ApiError(message, 500, 'INTERNAL_ERROR');
   }
+  
+  static badGateway(message = 'Bad gateway', details) {
+    return new ApiError(message, 502, 'BAD_GATEWAY', details);
+  }
 }
 
 module.exports = {
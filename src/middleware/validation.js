@@ -2,19 +2,69 @@ require('dotenv').config();
 const logger = require('../logger');
 const Joi = require('joi');
 const { ApiError } = require('./errorHandler');
+const { providerSchema, PRODUCTS } = require('../services/providerRegistry');
+const { zipService } = require('../services/zipService');
+const { formats } = require('../services/proposalRenderers');
+const { KPI_DIMENSIONS, KPI_INTERVALS } = require('../services/kpiService');
+const { formats: kpiFormats } = require('../services/kpiExporters');
+const { CADENCES } = require('../services/kpiReportService');
+const { brandingSchema } = require('../services/proposalService');
+const { ruleSchema } = require('../services/pricingService');
+
+/**
+ * Validate request body against a schema, replacing it with the validated value
+ */
+const validateBody = (schema, options = {}) => (req, res, next) => {
+  const { error, value } = schema.validate(req.body, options);
+
+  if (error) {
+    return next(ApiError.badRequest('Invalid request data', error.details));
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validate query parameters against a schema, replacing them with the validated value
+ */
+const validateQuery = (schema) => (req, res, next) => {
+  const { error, value } = schema.validate(req.query);
+
+  if (error) {
+    return next(ApiError.badRequest('Invalid query parameters', error.details));
+  }
+
+  req.query = value;
+  next();
+};
+
+const vehicleYear = Joi.number().integer().min(1980).max(new Date().getFullYear() + 1);
 
 /**
  * Validate quote request body
+ * The vehicle is given by VIN, or by year, make, model and (optionally) trim
+ * for an indicative quote.
  */
 const validateQuoteRequest = (req, res, next) => {
   const schema = Joi.object({
-    vin: Joi.string().length(17).required(),
-    zip: Joi.string().pattern(/^\d{5}$/).required(),
+    vin: Joi.string().length(17),
+    year: vehicleYear,
+    make: Joi.string(),
+    model: Joi.string(),
+    trim: Joi.string().allow(null, ''),
+    zip: Joi.string().pattern(/^\d{5}$/).required().custom((zip, helpers) => (
+      zipService.lookup(zip) ? zip : helpers.message('"zip" is not a known ZIP code')
+    )),
     mileage: Joi.number().integer().min(0).required(),
     price: Joi.number().min(0).required(),
     products: Joi.array().items(Joi.string().valid('vsc', 'gap', 'tire', 'dent')).default(['vsc']),
-    dealer_id: Joi.string().allow(null, '')
-  });
+    dealer_id: Joi.string().allow(null, ''),
+    commercial_use: Joi.boolean().default(false)
+  })
+    .xor('vin', 'year')
+    .with('year', ['make', 'model'])
+    .without('vin', ['make', 'model', 'trim']);
 
   const { error, value } = schema.validate(req.body);
   
@@ -27,6 +77,313 @@ const validateQuoteRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate vehicle lookup query parameters
+ * @param {...string} fields - Required parameters, from year, make and model
+ */
+const validateVehicleLookup = (...fields) => {
+  const keys = { year: vehicleYear, make: Joi.string(), model: Joi.string() };
+
+  return validateQuery(
+    Joi.object(
+      fields.reduce((schema, field) => {
+        schema[field] = keys[field].required();
+        return schema;
+      }, {})
+    )
+  );
+};
+
+/**
+ * Validate quote comparison request body
+ */
+const validateCompareRequest = validateBody(
+  Joi.object({
+    quote_set_id: Joi.string().hex().required(),
+    quote_ids: Joi.array().items(Joi.string().guid()).min(2).max(4).unique().required()
+  })
+);
+
+/**
+ * Validate buyer details body of a quote purchase
+ */
+const validateBuyer = validateBody(
+  Joi.object({
+    first_name: Joi.string().trim().max(100).required(),
+    last_name: Joi.string().trim().max(100).required(),
+    email: Joi.string().email().required(),
+    phone: Joi.string().pattern(/^\+?[0-9 ().-]{7,20}$/).required(),
+    address: Joi.object({
+      line1: Joi.string().trim().max(200).required(),
+      line2: Joi.string().trim().max(200).allow(null, ''),
+      city: Joi.string().trim().max(100).required(),
+      state: Joi.string().uppercase().pattern(/^[A-Z]{2}$/).required(),
+      zip: Joi.string().pattern(/^\d{5}$/).required()
+    }).required()
+  })
+);
+
+/**
+ * Validate KPI report query parameters
+ */
+const kpiDimensions = Object.keys(KPI_DIMENSIONS).join('|');
+
+const validateKpiQuery = validateQuery(
+  Joi.object({
+    from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    dealer_id: Joi.string(),
+    product: Joi.string().valid(...PRODUCTS),
+    provider: Joi.string(),
+    group_by: Joi.string()
+      .pattern(new RegExp(`^(${kpiDimensions})(,(${kpiDimensions}))*$`))
+      .default('date'),
+    interval: Joi.string().valid(...KPI_INTERVALS).default('day'),
+    format: Joi.string().valid(...kpiFormats).default('json')
+  })
+);
+
+/**
+ * Validate provider analytics query parameters
+ */
+const validateAnalyticsQuery = validateQuery(
+  Joi.object({
+    from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    provider: Joi.string(),
+    interval: Joi.string().valid(...KPI_INTERVALS).default('day')
+  })
+);
+
+/**
+ * Validate saved KPI report definition body
+ */
+const validateKpiReportDefinition = validateBody(
+  Joi.object({
+    name: Joi.string().trim().max(100).required(),
+    dealer_id: Joi.string(),
+    product: Joi.string().valid(...PRODUCTS),
+    provider: Joi.string(),
+    group_by: Joi.array()
+      .items(Joi.string().valid(...Object.keys(KPI_DIMENSIONS)))
+      .min(1)
+      .unique()
+      .default(['date']),
+    interval: Joi.string().valid(...KPI_INTERVALS).default('day'),
+    format: Joi.string().valid(...kpiFormats).default('csv'),
+    cadence: Joi.string().valid(...CADENCES).required()
+  })
+);
+
+/**
+ * Validate new provider body
+ */
+const validateProviderCreate = validateBody(
+  providerSchema.keys({
+    id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).required()
+  }),
+  { noDefaults: true }
+);
+
+/**
+ * Validate provider update body (any subset of provider fields)
+ */
+const validateProviderUpdate = validateBody(
+  providerSchema
+    .fork(['name', 'baseUrl', 'products', 'markup', 'priority'], (field) => field.optional())
+    .min(1),
+  { noDefaults: true }
+);
+
+/**
+ * Validate provider markup body
+ */
+const validateMarkup = validateBody(
+  Joi.object({
+    markup: Joi.number().min(0).required()
+  })
+);
+
+const dealerSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  // States the dealer sells in
+  states: Joi.array().items(Joi.string().uppercase().pattern(/^[A-Z]{2}$/)).min(1).unique().required(),
+  products: Joi.array().items(Joi.string().valid(...PRODUCTS)).min(1).unique().default(PRODUCTS),
+  branding: brandingSchema.default({}),
+  enabled: Joi.boolean().default(true)
+});
+
+/**
+ * Validate new dealer body
+ */
+const validateDealerCreate = validateBody(
+  dealerSchema.keys({
+    // "direct" labels consumers quoting without a dealer
+    id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).invalid('direct').required()
+  })
+);
+
+/**
+ * Validate dealer update body (any subset of profile fields)
+ */
+const validateDealerUpdate = validateBody(
+  dealerSchema.fork(['name', 'states'], (field) => field.optional()).min(1),
+  { noDefaults: true }
+);
+
+/**
+ * Validate new API key body
+ */
+const validateApiKeyCreate = validateBody(
+  Joi.object({
+    name: Joi.string().trim().max(100)
+  })
+);
+
+/**
+ * Validate sign-in body
+ */
+const validateLogin = validateBody(
+  Joi.object({
+    username: Joi.string().trim().max(100).required(),
+    password: Joi.string().max(200).required()
+  })
+);
+
+/**
+ * Validate client credentials body (dealer ID and API key)
+ */
+const validateClientCredentials = validateBody(
+  Joi.object({
+    grant_type: Joi.string().valid('client_credentials').default('client_credentials'),
+    client_id: Joi.string().required(),
+    client_secret: Joi.string().required()
+  })
+);
+
+/**
+ * Validate refresh token body
+ */
+const validateRefresh = validateBody(
+  Joi.object({
+    refresh_token: Joi.string().required()
+  })
+);
+
+/**
+ * Validate sign-out body
+ */
+const validateLogout = validateBody(
+  Joi.object({
+    refresh_token: Joi.string()
+  })
+);
+
+/**
+ * Validate new pricing rule body
+ */
+const validatePricingRuleCreate = validateBody(ruleSchema, { noDefaults: true });
+
+/**
+ * Validate replacement pricing rule body (the rule ID is in the route)
+ */
+const validatePricingRuleReplace = validateBody(ruleSchema.fork(['id'], (field) => field.forbidden()), {
+  noDefaults: true
+});
+
+/**
+ * Validate state restriction body for one product
+ */
+const validateStateRestriction = validateBody(
+  Joi.object({
+    states: Joi.array().items(Joi.string().uppercase().pattern(/^[A-Z]{2}$/)).unique().required()
+  })
+);
+
+/**
+ * Validate product route parameter
+ */
+const validateProductParam = (req, res, next) => {
+  if (!PRODUCTS.includes(req.params.product)) {
+    return next(ApiError.badRequest(`Unknown product: ${req.params.product}`));
+  }
+  next();
+};
+
+/**
+ * Validate a UUID route parameter
+ * @param {string} param - Parameter name
+ * @param {string} label - Name of the ID in error messages
+ */
+const validateIdParam = (param, label) => (req, res, next) => {
+  const { error } = Joi.string().guid().validate(req.params[param]);
+
+  if (error) {
+    return next(ApiError.badRequest(`Invalid ${label}: ${req.params[param]}`));
+  }
+  next();
+};
+
+/**
+ * Validate quote ID route parameter
+ */
+const validateQuoteIdParam = validateIdParam('quoteId', 'quote ID');
+
+/**
+ * Validate quote session ID route parameter
+ */
+const validateSessionIdParam = validateIdParam('sessionId', 'quote session ID');
+
+/**
+ * Validate saved KPI report ID route parameter
+ */
+const validateReportIdParam = validateIdParam('reportId', 'report ID');
+
+/**
+ * Validate KPI report snapshot ID route parameter
+ */
+const validateSnapshotIdParam = validateIdParam('snapshotId', 'snapshot ID');
+
+/**
+ * Validate API key ID route parameter
+ */
+const validateApiKeyIdParam = validateIdParam('keyId', 'API key ID');
+
+/**
+ * Validate proposal query parameters
+ */
+const validateProposalQuery = validateQuery(
+  Joi.object({
+    format: Joi.string().valid(...formats).default('html')
+  })
+);
+
 module.exports = {
-  validateQuoteRequest
+  validateQuoteRequest,
+  validateCompareRequest,
+  validateQuoteIdParam,
+  validateSessionIdParam,
+  validateProposalQuery,
+  validateBuyer,
+  validateKpiQuery,
+  validateKpiReportDefinition,
+  validateReportIdParam,
+  validateSnapshotIdParam,
+  validateAnalyticsQuery,
+  validateVehicleLookup,
+  validateProviderCreate,
+  validateProviderUpdate,
+  validateMarkup,
+  validateStateRestriction,
+  validateDealerCreate,
+  validateDealerUpdate,
+  validateApiKeyCreate,
+  validateApiKeyIdParam,
+  validateProductParam,
+  validateLogin,
+  validateClientCredentials,
+  validateRefresh,
+  validateLogout,
+  validatePricingRuleCreate,
+  validatePricingRuleReplace
 };
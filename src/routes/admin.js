@@ -0,0 +1,247 @@
+require("dotenv").config();
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const router = express.Router();
+const { rateLimits } = require("../config");
+const { authenticate, authorize } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  validateProviderCreate,
+  validateProviderUpdate,
+  validateMarkup,
+  validateStateRestriction,
+  validateProductParam,
+  validateDealerCreate,
+  validateDealerUpdate,
+  validateApiKeyCreate,
+  validateApiKeyIdParam,
+  validatePricingRuleCreate,
+  validatePricingRuleReplace,
+} = require("../middleware/validation");
+const AdminController = require("../controllers/adminController");
+
+// All admin routes are authenticated and rate limited, and each needs its
+// permission: dealer admins only get to their own pricing rules
+router.use(
+  rateLimit({
+    ...rateLimits.admin,
+    standardHeaders: true,
+    legacyHeaders: false,
+  })
+);
+router.use(authenticate);
+
+/**
+ * @route GET /api/admin/providers
+ * @description List all providers
+ * @access Private
+ */
+router.get(
+  "/providers",
+  authorize(PERMISSIONS.PROVIDERS_MANAGE),
+  AdminController.listProviders
+);
+
+/**
+ * @route POST /api/admin/providers
+ * @description Create a provider
+ * @access Private
+ */
+router.post(
+  "/providers",
+  authorize(PERMISSIONS.PROVIDERS_MANAGE),
+  validateProviderCreate,
+  AdminController.createProvider
+);
+
+/**
+ * @route PATCH /api/admin/providers/:providerId
+ * @description Update a provider
+ * @access Private
+ */
+router.patch(
+  "/providers/:providerId",
+  authorize(PERMISSIONS.PROVIDERS_MANAGE),
+  validateProviderUpdate,
+  AdminController.updateProvider
+);
+
+/**
+ * @route PUT /api/admin/providers/:providerId/markup
+ * @description Change a provider's markup
+ * @access Private
+ */
+router.put(
+  "/providers/:providerId/markup",
+  authorize(PERMISSIONS.PROVIDERS_MANAGE),
+  validateMarkup,
+  AdminController.updateMarkup
+);
+
+/**
+ * @route POST /api/admin/providers/:providerId/disable
+ * @description Disable a provider
+ * @access Private
+ */
+router.post(
+  "/providers/:providerId/disable",
+  authorize(PERMISSIONS.PROVIDERS_MANAGE),
+  AdminController.disableProvider
+);
+
+/**
+ * @route POST /api/admin/providers/:providerId/enable
+ * @description Enable a provider
+ * @access Private
+ */
+router.post(
+  "/providers/:providerId/enable",
+  authorize(PERMISSIONS.PROVIDERS_MANAGE),
+  AdminController.enableProvider
+);
+
+/**
+ * @route GET /api/admin/state-restrictions
+ * @description Get the states where each product may not be sold
+ * @access Private
+ */
+router.get(
+  "/state-restrictions",
+  authorize(PERMISSIONS.COMPLIANCE_MANAGE),
+  AdminController.getStateRestrictions
+);
+
+/**
+ * @route PUT /api/admin/state-restrictions/:product
+ * @description Set the states where a product may not be sold
+ * @access Private
+ */
+router.put(
+  "/state-restrictions/:product",
+  authorize(PERMISSIONS.COMPLIANCE_MANAGE),
+  validateProductParam,
+  validateStateRestriction,
+  AdminController.updateStateRestriction
+);
+
+/**
+ * @route GET /api/admin/dealers
+ * @description List dealer accounts and their API keys (without the keys)
+ * @access Private
+ */
+router.get(
+  "/dealers",
+  authorize(PERMISSIONS.DEALERS_MANAGE),
+  AdminController.listDealers
+);
+
+/**
+ * @route POST /api/admin/dealers
+ * @description Create a dealer account: name, states it sells in, enabled
+ *   products and branding
+ * @access Private
+ */
+router.post(
+  "/dealers",
+  authorize(PERMISSIONS.DEALERS_MANAGE),
+  validateDealerCreate,
+  AdminController.createDealer
+);
+
+/**
+ * @route PATCH /api/admin/dealers/:dealerId
+ * @description Update a dealer's profile, or disable it (enabled: false)
+ * @access Private
+ */
+router.patch(
+  "/dealers/:dealerId",
+  authorize(PERMISSIONS.DEALERS_MANAGE),
+  validateDealerUpdate,
+  AdminController.updateDealer
+);
+
+/**
+ * @route POST /api/admin/dealers/:dealerId/api-keys
+ * @description Issue an API key to a dealer, sent as the X-API-Key header.
+ *   The key is only returned in this response.
+ * @access Private
+ */
+router.post(
+  "/dealers/:dealerId/api-keys",
+  authorize(PERMISSIONS.DEALERS_MANAGE),
+  validateApiKeyCreate,
+  AdminController.issueApiKey
+);
+
+/**
+ * @route DELETE /api/admin/dealers/:dealerId/api-keys/:keyId
+ * @description Revoke a dealer's API key
+ * @access Private
+ */
+router.delete(
+  "/dealers/:dealerId/api-keys/:keyId",
+  authorize(PERMISSIONS.DEALERS_MANAGE),
+  validateApiKeyIdParam,
+  AdminController.revokeApiKey
+);
+
+/**
+ * @route GET /api/admin/pricing-rules
+ * @description List pricing rules. Dealer admins get their dealer's rules.
+ * @access Private
+ */
+router.get(
+  "/pricing-rules",
+  authorize(PERMISSIONS.PRICING_RULES_MANAGE),
+  AdminController.listPricingRules
+);
+
+/**
+ * @route POST /api/admin/pricing-rules
+ * @description Create a pricing rule. Dealer admins' rules only match their
+ *   own dealer.
+ * @access Private
+ */
+router.post(
+  "/pricing-rules",
+  authorize(PERMISSIONS.PRICING_RULES_MANAGE),
+  validatePricingRuleCreate,
+  AdminController.createPricingRule
+);
+
+/**
+ * @route PUT /api/admin/pricing-rules/:ruleId
+ * @description Replace a pricing rule created through the API (rules from
+ * the rules file are changed there)
+ * @access Private
+ */
+router.put(
+  "/pricing-rules/:ruleId",
+  authorize(PERMISSIONS.PRICING_RULES_MANAGE),
+  validatePricingRuleReplace,
+  AdminController.replacePricingRule
+);
+
+/**
+ * @route DELETE /api/admin/pricing-rules/:ruleId
+ * @description Delete a pricing rule created through the API
+ * @access Private
+ */
+router.delete(
+  "/pricing-rules/:ruleId",
+  authorize(PERMISSIONS.PRICING_RULES_MANAGE),
+  AdminController.deletePricingRule
+);
+
+/**
+ * @route GET /api/admin/audit
+ * @description List configuration changes, newest first
+ * @access Private
+ */
+router.get(
+  "/audit",
+  authorize(PERMISSIONS.AUDIT_READ),
+  AdminController.getAuditLog
+);
+
+module.exports = router;
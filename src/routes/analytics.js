@@ -0,0 +1,29 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const { authenticate, authorize } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+const { validateAnalyticsQuery } = require("../middleware/validation");
+const AnalyticsController = require("../controllers/analyticsController");
+
+// Analytics span every dealer, so are for platform admins only
+router.use(authenticate);
+router.use(authorize(PERMISSIONS.ANALYTICS_READ));
+
+/**
+ * @route GET /api/analytics/providers
+ * @description Per provider: quote calls by status, success, error and
+ *   timeout rates, latency average, min, max and estimated percentiles
+ *   (p50, p90, p95, p99), quotes returned, win rate (cheapest quote for a product), tag rate and
+ *   selection rate, with a trend per period. Query: from and to
+ *   (YYYY-MM-DD, inclusive, default the last 30 days), provider, and
+ *   interval (day, week or month; default day).
+ * @access Private
+ */
+router.get(
+  "/providers",
+  validateAnalyticsQuery,
+  AnalyticsController.getProviderAnalytics
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+require("dotenv").config();
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const router = express.Router();
+const { rateLimits } = require("../config");
+const { authenticate } = require("../middleware/auth");
+const {
+  validateLogin,
+  validateClientCredentials,
+  validateRefresh,
+  validateLogout,
+} = require("../middleware/validation");
+const AuthController = require("../controllers/authController");
+
+// Token endpoints are rate limited more tightly, against password guessing
+router.use(
+  rateLimit({
+    ...rateLimits.auth,
+    standardHeaders: true,
+    legacyHeaders: false,
+  })
+);
+
+/**
+ * @route POST /api/auth/login
+ * @description Sign in with a username and password for an access token and
+ * a refresh token
+ * @access Public
+ */
+router.post("/login", validateLogin, AuthController.login);
+
+/**
+ * @route POST /api/auth/token
+ * @description Exchange dealer client credentials (client_id: dealer ID,
+ * client_secret: API key) for an access token and a refresh token
+ * @access Public
+ */
+router.post("/token", validateClientCredentials, AuthController.token);
+
+/**
+ * @route POST /api/auth/refresh
+ * @description Exchange a refresh token for new tokens
+ * @access Public
+ */
+router.post("/refresh", validateRefresh, AuthController.refresh);
+
+/**
+ * @route POST /api/auth/logout
+ * @description Revoke the access token, and the refresh token if given
+ * @access Private
+ */
+router.post("/logout", authenticate, validateLogout, AuthController.logout);
+
+module.exports = router;
@@ -1,14 +1,114 @@
-
-const express = require('express');
+require("dotenv").config();
+const express = require("express");
 const router = express.Router();
+const { authenticate, authorize } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+const {
+  validateKpiQuery,
+  validateKpiReportDefinition,
+  validateReportIdParam,
+  validateSnapshotIdParam,
+} = require("../middleware/validation");
+const KpiController = require("../controllers/kpiController");
+
+/**
+ * @route GET /api/kpi-report
+ * @description Quote requests, quotes shown, selections, conversions,
+ *   conversion rate, revenue and average dealer margin from daily
+ *   aggregates. Query: from and to (YYYY-MM-DD, inclusive, default the last
+ *   30 days), dealer_id, product, provider, group_by (comma-separated
+ *   date, dealer, product and provider; default date), interval (day, week
+ *   or month dates are grouped by; default day) and format (json, csv or
+ *   xlsx; default json). Dealers only get their own dealership's KPIs.
+ * @access Private
+ */
+router.get(
+  "/kpi-report",
+  authenticate,
+  authorize(PERMISSIONS.KPI_REPORT),
+  validateKpiQuery,
+  KpiController.getReport
+);
+
+// Dealers only see and save reports on their own dealership
+
+/**
+ * @route GET /api/kpi-reports
+ * @description List saved reports
+ * @access Private
+ */
+router.get(
+  "/kpi-reports",
+  authenticate,
+  authorize(PERMISSIONS.KPI_REPORT),
+  KpiController.listSavedReports
+);
+
+/**
+ * @route POST /api/kpi-reports
+ * @description Save a report definition (name, filters, group_by, interval,
+ *   format) to run daily, weekly or monthly on the last complete period
+ * @access Private
+ */
+router.post(
+  "/kpi-reports",
+  authenticate,
+  authorize(PERMISSIONS.KPI_REPORT),
+  validateKpiReportDefinition,
+  KpiController.createSavedReport
+);
+
+/**
+ * @route GET /api/kpi-reports/:reportId
+ * @description Get a saved report and its snapshots, newest first
+ * @access Private
+ */
+router.get(
+  "/kpi-reports/:reportId",
+  authenticate,
+  authorize(PERMISSIONS.KPI_REPORT),
+  validateReportIdParam,
+  KpiController.getSavedReport
+);
+
+/**
+ * @route DELETE /api/kpi-reports/:reportId
+ * @description Delete a saved report and its snapshots
+ * @access Private
+ */
+router.delete(
+  "/kpi-reports/:reportId",
+  authenticate,
+  authorize(PERMISSIONS.KPI_REPORT),
+  validateReportIdParam,
+  KpiController.deleteSavedReport
+);
+
+/**
+ * @route POST /api/kpi-reports/:reportId/run
+ * @description Run a saved report now and save a snapshot
+ * @access Private
+ */
+router.post(
+  "/kpi-reports/:reportId/run",
+  authenticate,
+  authorize(PERMISSIONS.KPI_REPORT),
+  validateReportIdParam,
+  KpiController.runSavedReport
+);
 
-router.get('/kpi-report', (req, res) => {
-  const sample = [
-    { date: '2025-07-01', dealerId: '123', quotes: 5, conversions: 2, revenue: 900 },
-    { date: '2025-07-02', dealerId: '123', quotes: 7, conversions: 3, revenue: 1400 },
-    { date: '2025-07-03', dealerId: '123', quotes: 4, conversions: 1, revenue: 450 }
-  ];
-  res.status(200).json(sample);
-});
+/**
+ * @route GET /api/kpi-reports/:reportId/snapshots/:snapshotId
+ * @description Download a snapshot of a saved report
+ * @access Private
+ */
+router.get(
+  "/kpi-reports/:reportId/snapshots/:snapshotId",
+  authenticate,
+  authorize(PERMISSIONS.KPI_REPORT),
+  validateReportIdParam,
+  validateSnapshotIdParam,
+  KpiController.downloadSnapshot
+);
 
 module.exports = router;
@@ -2,8 +2,22 @@ require("dotenv").config();
 const logger = require("../logger");
 const express = require("express");
 const router = express.Router();
-const { validateQuoteRequest } = require("../middleware/validation");
+const {
+  validateQuoteRequest,
+  validateCompareRequest,
+  validateQuoteIdParam,
+  validateSessionIdParam,
+  validateProposalQuery,
+  validateBuyer,
+} = require("../middleware/validation");
+const { optionalAuthenticate, authorize } = require("../middleware/auth");
+const { PERMISSIONS } = require("../config/roles");
+const { bindDealer } = require("../middleware/dealer");
 const QuoteController = require("../controllers/quoteController");
+const PurchaseController = require("../controllers/purchaseController");
+
+// Saved quotes, quote sets, proposals and purchases of a dealer's quote
+// requests are only found with that dealer's (or an operator's) credentials
 
 /**
  * @route GET /api/quotes
@@ -16,8 +30,21 @@ router.get("/", (req, res) => {
     endpoints: {
       "GET /api/quotes": "This endpoint (returns available products)",
       "POST /api/quotes": "Get quotes for a vehicle",
+      "POST /api/quotes/stream":
+        "Get quotes for a vehicle as Server-Sent Events, as providers answer",
       "GET /api/quotes/vehicle/:vin": "Get vehicle details from VIN",
+      "POST /api/quotes/compare": "Compare quotes side by side",
       "GET /api/quotes/products": "Get available product types",
+      "GET /api/quotes/coverage-taxonomy":
+        "Get the normalized coverage components per product type",
+      "GET /api/quotes/:quoteId": "Get a saved quote by its quote ID",
+      "POST /api/quotes/:quoteId/select": "Select a quote for purchase",
+      "PUT /api/quotes/:quoteId/buyer": "Give the buyer of a selected quote",
+      "POST /api/quotes/:quoteId/purchase":
+        "Submit a quote to its provider for a contract",
+      "GET /api/quotes/:quoteId/purchase": "Get the purchase status of a quote",
+      "GET /api/quotes/sessions/:sessionId/proposal":
+        "Get the printable proposal of a quote session (?format=html|pdf)",
     },
     timestamp: new Date().toISOString(),
   });
@@ -25,10 +52,49 @@ router.get("/", (req, res) => {
 
 /**
  * @route POST /api/quotes
- * @description Get quotes for a vehicle
+ * @description Get quotes for a vehicle, given by VIN or by year, make, model
+ *   and trim. Quotes without a VIN are indicative until requested again with
+ *   the VIN. Dealers (X-API-Key or dealer token) are quoted with their
+ *   settings. Dealer users and platform admins also get dealer cost and
+ *   margin for each quote; consumers only get retail prices.
+ * @access Public
+ */
+router.post(
+  "/",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_REQUEST),
+  validateQuoteRequest,
+  bindDealer,
+  QuoteController.getQuotes
+);
+
+/**
+ * @route POST /api/quotes/stream
+ * @description Stream quotes for a vehicle as Server-Sent Events
  * @access Public
  */
-router.post("/", validateQuoteRequest, QuoteController.getQuotes);
+router.post(
+  "/stream",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_REQUEST),
+  validateQuoteRequest,
+  bindDealer,
+  QuoteController.streamQuotes
+);
+
+/**
+ * @route POST /api/quotes/compare
+ * @description Compare 2 to 4 quotes of the same product type from a quote
+ *   set (meta.quote_set_id of a quote response)
+ * @access Public
+ */
+router.post(
+  "/compare",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_REQUEST),
+  validateCompareRequest,
+  QuoteController.compareQuotes
+);
 
 /**
  * @route GET /api/quotes/vehicle/:vin
@@ -44,4 +110,106 @@ router.get("/vehicle/:vin", QuoteController.getVehicleDetails);
  */
 router.get("/products", QuoteController.getAvailableProducts);
 
+/**
+ * @route GET /api/quotes/coverage-taxonomy
+ * @description Get the normalized coverage components per product type
+ * @access Public
+ */
+router.get("/coverage-taxonomy", QuoteController.getCoverageTaxonomy);
+
+/**
+ * @route GET /api/quotes/sessions/:sessionId/proposal
+ * @description Get the printable F&I menu of a quote session
+ *   (meta.quote_session_id of a quote response), with each product's plans
+ *   in good, better and best columns and the dealer's branding.
+ *   ?format=html (default) or pdf.
+ * @access Public
+ */
+router.get(
+  "/sessions/:sessionId/proposal",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_REQUEST),
+  validateSessionIdParam,
+  validateProposalQuery,
+  QuoteController.getProposal
+);
+
+/**
+ * @route GET /api/quotes/:quoteId
+ * @description Get a saved quote by its quote ID (the id of a quote in a
+ *   quote response), with the vehicle and state it was quoted for and its
+ *   price lock. Dealer users and platform admins also get dealer cost and
+ *   margin.
+ * @access Public
+ */
+router.get(
+  "/:quoteId",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_REQUEST),
+  validateQuoteIdParam,
+  QuoteController.getQuote
+);
+
+/**
+ * @route GET /api/quotes/:quoteId/purchase
+ * @description Get the purchase status of a quote: quoted, selected,
+ *   buyer_collected, submitted, issued, rejected or failed. The buyer's
+ *   details and the contract need the X-Purchase-Token header.
+ * @access Public
+ */
+router.get(
+  "/:quoteId/purchase",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_PURCHASE),
+  validateQuoteIdParam,
+  PurchaseController.getPurchase
+);
+
+/**
+ * @route POST /api/quotes/:quoteId/select
+ * @description Select a quote for purchase. Indicative quotes, quotes
+ *   whose price lock has expired and quotes from providers that don't take
+ *   contracts through their API can't be selected. Returns the
+ *   purchase_token the next steps send as the X-Purchase-Token header.
+ * @access Public
+ */
+router.post(
+  "/:quoteId/select",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_PURCHASE),
+  validateQuoteIdParam,
+  PurchaseController.selectQuote
+);
+
+/**
+ * @route PUT /api/quotes/:quoteId/buyer
+ * @description Give (or correct) the buyer of a selected quote. The buyer
+ *   must live in the state the quote was made for. Needs the
+ *   X-Purchase-Token header.
+ * @access Public
+ */
+router.put(
+  "/:quoteId/buyer",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_PURCHASE),
+  validateQuoteIdParam,
+  validateBuyer,
+  PurchaseController.setBuyer
+);
+
+/**
+ * @route POST /api/quotes/:quoteId/purchase
+ * @description Submit a quote with its buyer to the provider, which issues
+ *   the contract. Can be retried if the provider couldn't be reached.
+ *   Needs the X-Purchase-Token header.
+ * @access Public
+ */
+router.post(
+  "/:quoteId/purchase",
+  optionalAuthenticate,
+  authorize(PERMISSIONS.QUOTES_PURCHASE),
+  validateQuoteIdParam,
+  PurchaseController.purchaseQuote
+);
+
 module.exports = router;
@@ -0,0 +1,47 @@
+require("dotenv").config();
+const express = require("express");
+const router = express.Router();
+const { validateVehicleLookup } = require("../middleware/validation");
+const VehicleController = require("../controllers/vehicleController");
+
+/**
+ * @route GET /api/vehicles/years
+ * @description Get model years, newest first
+ * @access Public
+ */
+router.get("/years", VehicleController.getYears);
+
+/**
+ * @route GET /api/vehicles/makes?year=
+ * @description Get makes for a model year
+ * @access Public
+ */
+router.get(
+  "/makes",
+  validateVehicleLookup("year"),
+  VehicleController.getMakes
+);
+
+/**
+ * @route GET /api/vehicles/models?year=&make=
+ * @description Get models of a make for a model year
+ * @access Public
+ */
+router.get(
+  "/models",
+  validateVehicleLookup("year", "make"),
+  VehicleController.getModels
+);
+
+/**
+ * @route GET /api/vehicles/trims?year=&make=&model=
+ * @description Get trims of a model for a model year
+ * @access Public
+ */
+router.get(
+  "/trims",
+  validateVehicleLookup("year", "make", "model"),
+  VehicleController.getTrims
+);
+
+module.exports = router;
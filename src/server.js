@@ -9,10 +9,26 @@ const rateLimit = require("express-rate-limit");
 
 // Import routes
 const quoteRoutes = require("./routes/quotes");
+const adminRoutes = require("./routes/admin");
+const vehicleRoutes = require("./routes/vehicles");
+const analyticsRoutes = require("./routes/analytics");
+const authRoutes = require("./routes/auth");
 
 // Import middleware
 const { errorHandler } = require("./middleware/errorHandler");
 
+// Import services
+const { providerRegistry } = require("./services/providerRegistry");
+const { pricingService } = require("./services/pricingService");
+const { taggingService } = require("./services/taggingService");
+const { eligibilityService } = require("./services/eligibilityService");
+const { complianceService } = require("./services/complianceService");
+const { proposalService } = require("./services/proposalService");
+const { zipService } = require("./services/zipService");
+const { kpiReportService } = require("./services/kpiReportService");
+const { kpiService } = require("./services/kpiService");
+const { tokenService } = require("./services/tokenService");
+
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -48,11 +64,70 @@ app.get("/", (req, res) => {
     endpoints: {
       "GET /": "This endpoint (API information)",
       "GET /health": "Health check",
+      "POST /api/auth/login": "Sign in for access and refresh tokens",
+      "POST /api/auth/token":
+        "Exchange dealer client credentials for access and refresh tokens",
+      "POST /api/auth/refresh": "Exchange a refresh token for new tokens",
+      "POST /api/auth/logout": "Revoke tokens (authenticated)",
       "GET /api/quotes": "API information and available endpoints",
       "POST /api/quotes": "Get quotes for a vehicle",
+      "POST /api/quotes/stream": "Stream quotes for a vehicle (SSE)",
       "GET /api/quotes/vehicle/:vin": "Get vehicle details from VIN",
+      "POST /api/quotes/compare": "Compare quotes side by side",
+      "GET /api/quotes/:quoteId": "Get a saved quote by its quote ID",
+      "POST /api/quotes/:quoteId/select": "Select a quote for purchase",
+      "PUT /api/quotes/:quoteId/buyer": "Give the buyer of a selected quote",
+      "POST /api/quotes/:quoteId/purchase":
+        "Submit a quote to its provider for a contract",
+      "GET /api/quotes/sessions/:sessionId/proposal":
+        "Printable proposal of a quote session (HTML or PDF)",
+      "GET /api/vehicles/years": "Model years for quoting without a VIN",
+      "GET /api/vehicles/makes": "Makes for a model year",
+      "GET /api/vehicles/models": "Models of a make for a model year",
+      "GET /api/vehicles/trims": "Trims of a model for a model year",
       "GET /api/quotes/products": "Get available product types",
-      "GET /api/kpi-report": "KPI reporting",
+      "GET /api/kpi-report":
+        "KPI reporting (JSON, CSV or XLSX) (authenticated)",
+      "GET /api/kpi-reports": "List saved KPI reports (authenticated)",
+      "POST /api/kpi-reports":
+        "Save a KPI report to run on a schedule (authenticated)",
+      "GET /api/kpi-reports/:reportId":
+        "Get a saved KPI report and its snapshots (authenticated)",
+      "DELETE /api/kpi-reports/:reportId":
+        "Delete a saved KPI report (authenticated)",
+      "POST /api/kpi-reports/:reportId/run":
+        "Run a saved KPI report now (authenticated)",
+      "GET /api/kpi-reports/:reportId/snapshots/:snapshotId":
+        "Download a saved KPI report snapshot (authenticated)",
+      "GET /api/analytics/providers":
+        "Provider latency, error rate and win rate (authenticated)",
+      "GET /api/admin/providers": "List providers (authenticated)",
+      "POST /api/admin/providers": "Create a provider (authenticated)",
+      "PATCH /api/admin/providers/:providerId":
+        "Update a provider (authenticated)",
+      "PUT /api/admin/providers/:providerId/markup":
+        "Change a provider's markup (authenticated)",
+      "POST /api/admin/providers/:providerId/disable":
+        "Disable a provider (authenticated)",
+      "PUT /api/admin/state-restrictions/:product":
+        "Set restricted states for a product (authenticated)",
+      "GET /api/admin/dealers": "List dealer accounts (authenticated)",
+      "POST /api/admin/dealers": "Create a dealer account (authenticated)",
+      "PATCH /api/admin/dealers/:dealerId":
+        "Update a dealer's profile (authenticated)",
+      "POST /api/admin/dealers/:dealerId/api-keys":
+        "Issue a dealer API key (authenticated)",
+      "DELETE /api/admin/dealers/:dealerId/api-keys/:keyId":
+        "Revoke a dealer API key (authenticated)",
+      "GET /api/admin/pricing-rules":
+        "List pricing rules (authenticated, dealer admins: their own)",
+      "POST /api/admin/pricing-rules":
+        "Create a pricing rule (authenticated, dealer admins: their own)",
+      "PUT /api/admin/pricing-rules/:ruleId":
+        "Replace a pricing rule (authenticated, dealer admins: their own)",
+      "DELETE /api/admin/pricing-rules/:ruleId":
+        "Delete a pricing rule (authenticated, dealer admins: their own)",
+      "GET /api/admin/audit": "Configuration change log (authenticated)",
     },
     documentation: "http://localhost:3000/api/quotes",
     timestamp: new Date().toISOString(),
@@ -60,7 +135,11 @@ app.get("/", (req, res) => {
 });
 
 // API routes
+app.use("/api/auth", authRoutes);
 app.use("/api/quotes", quoteRoutes);
+app.use("/api/vehicles", vehicleRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/analytics", analyticsRoutes);
 
 // Error handling middleware
 const kpiRoutes = require("./routes/kpi");
@@ -69,12 +148,39 @@ app.use(errorHandler);
 
 // Start the server
 try {
-  app.listen(PORT, () => {
+  // Don't sign tokens with a placeholder secret in production
+  tokenService.assertSecureConfig();
+  // Flag ZIP codes resolving from the ZIP3 table alone outside development
+  zipService.checkDataset();
+
+  // Reload provider registry, pricing, eligibility, compliance, tagging and
+  // branding changes without a restart
+  providerRegistry.watch();
+  pricingService.watch();
+  eligibilityService.watch();
+  complianceService.watch();
+  taggingService.watch();
+  proposalService.watch();
+  zipService.watch();
+
+  // Run saved KPI reports when due
+  kpiReportService.start();
+
+  const server = app.listen(PORT, () => {
     logger.info(`🚀 Auto Quote API Server running on port ${PORT}`);
     logger.info(`📊 Health check: http://localhost:${PORT}/health`);
     logger.info(`📋 API Documentation: http://localhost:${PORT}/api/quotes`);
     logger.info(`🔧 Environment: ${process.env.NODE_ENV || "development"}`);
   });
+
+  // Stop taking requests and finish logging KPI events before exiting
+  const shutdown = (signal) => {
+    logger.info(`${signal} received, shutting down`);
+    server.close();
+    kpiService.flush().finally(() => process.exit(0));
+  };
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT", () => shutdown("SIGINT"));
 } catch (error) {
   logger.error("Failed to start server:", error);
   process.exit(1);
@@ -0,0 +1,72 @@
+/**
+ * Auth schemes for provider API requests
+ * Each scheme takes the provider configuration and the outgoing axios request
+ * config, and returns the request config with credentials applied.
+ */
+const authSchemes = {
+  /**
+   * No authentication
+   */
+  none: (provider, config) => config,
+
+  /**
+   * API key sent in a request header (X-API-Key by default)
+   */
+  apiKeyHeader: (provider, config) => {
+    const header = (provider.auth && provider.auth.header) || "X-API-Key";
+    return {
+      ...config,
+      headers: { ...config.headers, [header]: provider.apiKey },
+    };
+  },
+
+  /**
+   * API key sent as a query string parameter (api_key by default)
+   */
+  apiKeyQuery: (provider, config) => {
+    const param = (provider.auth && provider.auth.param) || "api_key";
+    return {
+      ...config,
+      params: { ...config.params, [param]: provider.apiKey },
+    };
+  },
+
+  /**
+   * API key sent as a bearer token
+   */
+  bearer: (provider, config) => ({
+    ...config,
+    headers: { ...config.headers, Authorization: `Bearer ${provider.apiKey}` },
+  }),
+
+  /**
+   * HTTP basic auth, using the configured username and the API key as password
+   */
+  basic: (provider, config) => ({
+    ...config,
+    auth: {
+      username: (provider.auth && provider.auth.username) || "",
+      password: provider.apiKey,
+    },
+  }),
+};
+
+/**
+ * Get auth scheme by name
+ * @param {string} name - Auth scheme name
+ * @returns {Function} - Auth scheme function
+ */
+const getAuthScheme = (name = "apiKeyHeader") => {
+  const scheme = authSchemes[name];
+
+  if (!scheme) {
+    throw new Error(`Unknown provider auth scheme: ${name}`);
+  }
+
+  return scheme;
+};
+
+module.exports = {
+  authSchemes,
+  getAuthScheme,
+};
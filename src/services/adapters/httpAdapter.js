@@ -0,0 +1,103 @@
+require("dotenv").config();
+const logger = require("../../logger");
+const axios = require("axios");
+const { getMapper } = require("./mappers");
+const { getAuthScheme } = require("./authSchemes");
+
+/**
+ * HTTP adapter
+ * Calls a provider's quoting API. The provider's mapper translates the
+ * request and response, and its auth scheme applies credentials.
+ */
+class HttpAdapter {
+  /**
+   * @param {string} providerId - Provider ID
+   * @param {Object} provider - Provider configuration
+   */
+  constructor(providerId, provider) {
+    this.providerId = providerId;
+    this.provider = provider;
+    this.mapper = getMapper(provider.mapper || providerId);
+    this.applyAuth = getAuthScheme(provider.auth && provider.auth.scheme);
+  }
+
+  /**
+   * Get quotes from the provider API
+   * @param {Object} request - Quote request data
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {AbortSignal} options.signal - Signal to abort the request
+   * @returns {Promise<Object>} - Normalized provider response
+   */
+  async getQuotes(request, { timeout, signal } = {}) {
+    const { provider, providerId, mapper } = this;
+    const response = await this.send(
+      mapper.mapRequest(request, providerId, provider),
+      { timeout, signal }
+    );
+
+    return {
+      quotes: mapper.mapResponse(response.data, providerId, provider),
+      meta: (response.data && response.data.meta) || {},
+    };
+  }
+
+  /**
+   * Check whether the provider accepts contracts through its API
+   * @returns {boolean} - True if the provider's mapper maps contracts
+   */
+  acceptsContracts() {
+    return Boolean(this.mapper.mapContractRequest);
+  }
+
+  /**
+   * Submit a contract to the provider API
+   * @param {Object} submission - Contract submission data
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {AbortSignal} options.signal - Signal to abort the request
+   * @returns {Promise<Object>} - Normalized contract result
+   */
+  async submitContract(submission, { timeout, signal } = {}) {
+    const { provider, providerId, mapper } = this;
+
+    if (!this.acceptsContracts()) {
+      throw new Error(
+        `Provider ${providerId} does not accept contracts through its API`
+      );
+    }
+
+    const response = await this.send(
+      mapper.mapContractRequest(submission, providerId, provider),
+      { timeout, signal }
+    );
+
+    return mapper.mapContractResponse(response.data, providerId, provider);
+  }
+
+  /**
+   * Send a mapped request to the provider API with its credentials
+   * @param {Object} request - { method, url, data, params } from the mapper
+   * @param {Object} options - { timeout, signal }
+   * @returns {Promise<Object>} - Axios response
+   */
+  async send({ method, url, data, params }, { timeout, signal }) {
+    const { provider, providerId } = this;
+
+    const config = this.applyAuth(provider, {
+      baseURL: provider.baseUrl,
+      method,
+      url,
+      data,
+      params,
+      headers: { "Content-Type": "application/json" },
+      timeout,
+      signal,
+    });
+
+    logger.debug(`Calling ${providerId}: ${method} ${url}`);
+    return axios.request(config);
+  }
+}
+
+module.exports = HttpAdapter;
@@ -0,0 +1,64 @@
+const SimulatorAdapter = require("./simulatorAdapter");
+const HttpAdapter = require("./httpAdapter");
+
+/**
+ * Provider adapters
+ * An adapter gets quotes for one provider and returns them in the normalized
+ * quote shape consumed by QuoteController:
+ *
+ *   {
+ *     quotes: [{ product_type, product_id, provider: { id, name, logo_url },
+ *                name, description, term: { months, miles }, deductible,
+ *                retail_price, dealer_cost, coverage, exclusions,
+ *                sample_contract_url }],
+ *     meta: {}
+ *   }
+ *
+ * Adapter interface:
+ *   constructor(providerId, provider)
+ *   getQuotes(request, { timeout, signal }) => Promise<{ quotes, meta }>
+ *   acceptsContracts() => boolean
+ *   submitContract(submission, { timeout, signal })
+ *     => Promise<{ status: "issued" | "rejected", contract_number,
+ *                  contract_url, issued_at, reason }>
+ *
+ * A contract submission is built by PurchaseService:
+ *
+ *   { reference, quote: { product_id, product_type, name, term, mileage,
+ *     deductible, price }, vehicle, buyer, dealer: { id } }
+ */
+const adapters = {
+  simulator: SimulatorAdapter,
+  http: HttpAdapter,
+};
+
+/**
+ * Create the adapter configured for a provider
+ * @param {string} providerId - Provider ID
+ * @param {Object} provider - Provider configuration
+ * @returns {Object} - Adapter instance
+ */
+const createAdapter = (providerId, provider) => {
+  const name = provider.adapter || "simulator";
+  const Adapter = adapters[name];
+
+  if (!Adapter) {
+    throw new Error(`Unknown adapter "${name}" for provider ${providerId}`);
+  }
+
+  return new Adapter(providerId, provider);
+};
+
+/**
+ * Register an adapter
+ * @param {string} name - Adapter name
+ * @param {Function} Adapter - Adapter class
+ */
+const registerAdapter = (name, Adapter) => {
+  adapters[name] = Adapter;
+};
+
+module.exports = {
+  createAdapter,
+  registerAdapter,
+};
@@ -0,0 +1,50 @@
+/**
+ * Provider request/response mappers
+ * A mapper translates the internal quote request into a provider's API
+ * request, and the provider's API response into normalized quotes.
+ *
+ * Mapper interface:
+ *   mapRequest(request, providerId, provider) => { method, url, data, params }
+ *   mapResponse(body, providerId, provider) => Array<Object> (normalized quotes)
+ *
+ * Mappers for providers that accept contracts through their API also have:
+ *   mapContractRequest(submission, providerId, provider)
+ *     => { method, url, data, params }
+ *   mapContractResponse(body, providerId, provider) => Object (contract result)
+ */
+const mappers = {
+  standard: require("./standard"),
+  providerA: require("./providerA"),
+  providerB: require("./providerB"),
+  providerC: require("./providerC"),
+  providerD: require("./providerD"),
+};
+
+/**
+ * Get mapper by name
+ * @param {string} name - Mapper name
+ * @returns {Object} - Mapper with mapRequest and mapResponse
+ */
+const getMapper = (name) => {
+  const mapper = mappers[name];
+
+  if (!mapper) {
+    throw new Error(`Unknown provider mapper: ${name}`);
+  }
+
+  return mapper;
+};
+
+/**
+ * Register a mapper
+ * @param {string} name - Mapper name
+ * @param {Object} mapper - Mapper with mapRequest and mapResponse
+ */
+const registerMapper = (name, mapper) => {
+  mappers[name] = mapper;
+};
+
+module.exports = {
+  getMapper,
+  registerMapper,
+};
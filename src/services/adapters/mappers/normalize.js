@@ -0,0 +1,30 @@
+/**
+ * Helpers for building normalized quotes from provider responses
+ */
+
+/**
+ * Build the provider block of a normalized quote
+ * @param {string} providerId - Provider ID
+ * @param {Object} provider - Provider configuration
+ * @returns {Object} - Provider block
+ */
+const providerInfo = (providerId, provider) => ({
+  id: providerId,
+  name: provider.name,
+  logo_url: `https://example.com/logos/${providerId}.png`,
+});
+
+/**
+ * Convert a price to a number, rounded to whole dollars
+ * @param {number|string} value - Price value
+ * @returns {number|null} - Rounded price or null if not a number
+ */
+const toPrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isNaN(price) ? null : Math.round(price);
+};
+
+module.exports = {
+  providerInfo,
+  toPrice,
+};
@@ -0,0 +1,51 @@
+const { providerInfo, toPrice } = require("./normalize");
+
+/**
+ * Provider A mapper
+ * POST /v1/rates with a flat snake_case body, answers with a list of rates.
+ */
+const mapRequest = (request) => {
+  const { vehicle, customer, dealer, options } = request;
+
+  return {
+    method: "post",
+    url: "/v1/rates",
+    data: {
+      vin: vehicle.vin,
+      model_year: vehicle.year,
+      make: vehicle.make,
+      model: vehicle.model,
+      trim: vehicle.trim,
+      odometer: vehicle.mileage,
+      zip_code: customer.zip,
+      state: customer.state,
+      vehicle_price: options.price,
+      products: options.products,
+      dealer_code: dealer.id,
+    },
+  };
+};
+
+const mapResponse = (body, providerId, provider) =>
+  ((body && body.rates) || []).map((rate) => ({
+    product_type: rate.product,
+    product_id: `${providerId}_${rate.product}_${rate.plan_code}`,
+    provider: providerInfo(providerId, provider),
+    name: rate.plan_name,
+    description: rate.description || "",
+    term: {
+      months: rate.term_months,
+      miles: rate.term_miles || null,
+    },
+    deductible: rate.deductible || 0,
+    retail_price: toPrice(rate.retail_rate),
+    dealer_cost: toPrice(rate.dealer_cost),
+    coverage: rate.coverages || {},
+    exclusions: rate.exclusions || [],
+    sample_contract_url: rate.contract_form_url || null,
+  }));
+
+module.exports = {
+  mapRequest,
+  mapResponse,
+};
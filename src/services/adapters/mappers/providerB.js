@@ -0,0 +1,79 @@
+const { providerInfo, toPrice } = require("./normalize");
+
+// Provider B uses its own product codes
+const productCodes = {
+  vsc: "VSC",
+  tire: "TWP",
+  dent: "PDR",
+};
+
+const productTypes = Object.keys(productCodes).reduce((types, type) => {
+  types[productCodes[type]] = type;
+  return types;
+}, {});
+
+/**
+ * Provider B mapper
+ * POST /api/quote with a camelCase body, answers with plans grouped by product.
+ */
+const mapRequest = (request) => {
+  const { vehicle, customer, options } = request;
+
+  return {
+    method: "post",
+    url: "/api/quote",
+    data: {
+      vehicle: {
+        vin: vehicle.vin,
+        year: vehicle.year,
+        make: vehicle.make,
+        model: vehicle.model,
+        trim: vehicle.trim,
+        mileage: vehicle.mileage,
+      },
+      location: {
+        postalCode: customer.zip,
+        state: customer.state,
+      },
+      productCodes: options.products
+        .map((product) => productCodes[product])
+        .filter(Boolean),
+    },
+  };
+};
+
+const mapResponse = (body, providerId, provider) => {
+  const quotes = [];
+
+  ((body && body.products) || []).forEach((product) => {
+    const productType = productTypes[product.productCode];
+    if (!productType) return;
+
+    (product.plans || []).forEach((plan) => {
+      quotes.push({
+        product_type: productType,
+        product_id: `${providerId}_${productType}_${plan.planId}`,
+        provider: providerInfo(providerId, provider),
+        name: plan.planName,
+        description: plan.description || "",
+        term: {
+          months: plan.termMonths,
+          miles: plan.termMiles || null,
+        },
+        deductible: plan.deductible || 0,
+        retail_price: toPrice(plan.retailPrice),
+        dealer_cost: toPrice(plan.dealerCost),
+        coverage: plan.coverage || {},
+        exclusions: plan.exclusions || [],
+        sample_contract_url: plan.sampleContractUrl || null,
+      });
+    });
+  });
+
+  return quotes;
+};
+
+module.exports = {
+  mapRequest,
+  mapResponse,
+};
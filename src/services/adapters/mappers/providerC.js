@@ -0,0 +1,46 @@
+const { providerInfo, toPrice } = require("./normalize");
+
+/**
+ * Provider C mapper
+ * GAP-only carrier. POST /gap/quotes priced on the amount financed.
+ */
+const mapRequest = (request) => {
+  const { vehicle, customer, options } = request;
+
+  return {
+    method: "post",
+    url: "/gap/quotes",
+    data: {
+      vin: vehicle.vin,
+      year: vehicle.year,
+      make: vehicle.make,
+      model: vehicle.model,
+      state: customer.state,
+      amount_financed: options.price,
+    },
+  };
+};
+
+const mapResponse = (body, providerId, provider) =>
+  ((body && body.quotes) || []).map((quote) => ({
+    product_type: "gap",
+    product_id: `${providerId}_gap_${quote.id}`,
+    provider: providerInfo(providerId, provider),
+    name: quote.name,
+    description: quote.description || "",
+    term: {
+      months: quote.term,
+      miles: null,
+    },
+    deductible: quote.deductible || 0,
+    retail_price: toPrice(quote.price && quote.price.retail),
+    dealer_cost: toPrice(quote.price && quote.price.cost),
+    coverage: quote.benefits || {},
+    exclusions: quote.exclusions || [],
+    sample_contract_url: quote.contract_url || null,
+  }));
+
+module.exports = {
+  mapRequest,
+  mapResponse,
+};
@@ -0,0 +1,45 @@
+const { providerInfo, toPrice } = require("./normalize");
+
+/**
+ * Provider D mapper
+ * GET /rates with query string parameters, answers with a flat data list.
+ * Quotes by VIN only (requiresVin in the registry), so it isn't called for
+ * indicative quotes.
+ */
+const mapRequest = (request) => {
+  const { vehicle, customer, options } = request;
+
+  return {
+    method: "get",
+    url: "/rates",
+    params: {
+      vin: vehicle.vin,
+      zip: customer.zip,
+      products: options.products.join(","),
+    },
+  };
+};
+
+const mapResponse = (body, providerId, provider) =>
+  ((body && body.data) || []).map((rate) => ({
+    product_type: rate.type,
+    product_id: `${providerId}_${rate.type}_${rate.code}`,
+    provider: providerInfo(providerId, provider),
+    name: rate.title,
+    description: rate.description || "",
+    term: {
+      months: rate.months,
+      miles: null,
+    },
+    deductible: rate.deductible || 0,
+    retail_price: toPrice(rate.msrp),
+    dealer_cost: toPrice(rate.cost),
+    coverage: rate.coverage || {},
+    exclusions: rate.exclusions || [],
+    sample_contract_url: rate.sample_url || null,
+  }));
+
+module.exports = {
+  mapRequest,
+  mapResponse,
+};
@@ -0,0 +1,35 @@
+/**
+ * Standard mapper
+ * The provider speaks the internal request format and already answers with
+ * normalized quotes and contract results. Used by the local mock provider
+ * server.
+ */
+const mapRequest = (request) => ({
+  method: "post",
+  url: "/quotes",
+  data: request,
+});
+
+const mapResponse = (body) =>
+  body && Array.isArray(body.quotes) ? body.quotes : [];
+
+const mapContractRequest = (submission) => ({
+  method: "post",
+  url: "/contracts",
+  data: submission,
+});
+
+const mapContractResponse = (body) => ({
+  status: body.status,
+  contract_number: body.contract_number || null,
+  contract_url: body.contract_url || null,
+  issued_at: body.issued_at || null,
+  reason: body.reason || null,
+});
+
+module.exports = {
+  mapRequest,
+  mapResponse,
+  mapContractRequest,
+  mapContractResponse,
+};
@@ -0,0 +1,66 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { v4: uuidv4 } = require("uuid");
+const { AppendLog } = require("./fileStore");
+
+/**
+ * Audit service for recording configuration changes
+ */
+class AuditService {
+  constructor() {
+    this.log = new AppendLog("audit");
+  }
+
+  /**
+   * Record a change
+   * @param {Object} user - Authenticated user making the change (req.user)
+   * @param {string} action - Action name, e.g. "provider.update"
+   * @param {string} target - What was changed, e.g. "provider:providerA"
+   * @param {Object} changes - Values before and after the change
+   * @returns {Promise<Object>} - Audit entry
+   */
+  async record(user, action, target, changes = {}) {
+    const entry = {
+      id: uuidv4(),
+      actor: AuditService.getActor(user),
+      action,
+      target,
+      changes,
+      timestamp: new Date().toISOString(),
+    };
+
+    logger.info(`Audit: ${entry.actor} ${action} ${target}`);
+    return this.log.append(entry);
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} filters - Filters
+   * @param {string} filters.target - Only entries for this target
+   * @param {number} filters.limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>} - Audit entries
+   */
+  async list({ target, limit = 100 } = {}) {
+    const entries = await this.log.readAll();
+
+    return entries
+      .filter((entry) => !target || entry.target === target)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Identify the user making a change
+   * @param {Object} user - Authenticated user (JWT payload)
+   * @returns {string} - Actor identifier
+   */
+  static getActor(user) {
+    if (!user) return "unknown";
+    return user.sub || user.email || user.username || user.id || "unknown";
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+module.exports = { auditService, AuditService };
@@ -3,6 +3,16 @@ const logger = require("../logger");
 const redis = require("redis");
 const { redisConfig } = require("../config");
 
+// Longest delay setTimeout supports (about 24.8 days)
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Deletes a key only while it holds the expected value, in one step
+const DELETE_IF_EQUALS_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0`;
+
 /**
  * Cache service for storing and retrieving data
  */
@@ -10,6 +20,8 @@ class CacheService {
   constructor() {
     this.client = null;
     this.isConnected = false;
+    // Used until Redis connects, and whenever it is unavailable
+    this.memoryCache = new Map();
     this.initialize();
   }
 
@@ -39,8 +51,6 @@ class CacheService {
       await this.client.connect();
     } catch (error) {
       logger.warn("Redis not available, using in-memory cache");
-      // Fallback to in-memory cache if Redis is not available
-      this.memoryCache = new Map();
       this.isConnected = false;
     }
   }
@@ -71,34 +81,111 @@ class CacheService {
    * Set value in cache
    * @param {string} key - Cache key
    * @param {string} value - Value to cache
-   * @param {number} ttl - Time to live in seconds
+   * @param {number} ttl - Time to live in seconds (0 to never expire)
    * @returns {Promise<boolean>} - Success status
    */
   async set(key, value, ttl = redisConfig.ttl) {
     try {
       if (this.isConnected && this.client) {
-        await this.client.set(key, value, { EX: ttl });
+        await this.client.set(key, value, ttl ? { EX: ttl } : {});
       } else if (this.memoryCache) {
-        this.memoryCache.set(key, value);
-        // Simple TTL for memory cache
-        setTimeout(() => {
-          this.memoryCache.delete(key);
-        }, ttl * 1000);
+        this.setInMemory(key, value, ttl);
       }
       return true;
     } catch (error) {
       // Silent fallback to memory cache
       if (this.memoryCache) {
-        this.memoryCache.set(key, value);
-        setTimeout(() => {
-          this.memoryCache.delete(key);
-        }, ttl * 1000);
+        this.setInMemory(key, value, ttl);
         return true;
       }
       return false;
     }
   }
 
+  /**
+   * Set value in cache unless the key is already set, e.g. to take a lock
+   * @param {string} key - Cache key
+   * @param {string} value - Value to cache
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<boolean>} - True if the value was set
+   */
+  async setIfAbsent(key, value, ttl) {
+    try {
+      if (this.isConnected && this.client) {
+        const reply = await this.client.set(key, value, { NX: true, EX: ttl });
+        return reply === "OK";
+      }
+    } catch (error) {
+      // Silent fallback to memory cache
+    }
+
+    if (this.memoryCache.has(key)) return false;
+    this.setInMemory(key, value, ttl);
+    return true;
+  }
+
+  /**
+   * Delete value from cache if it still holds the given value, e.g. to
+   * release a lock without releasing one taken since
+   * @param {string} key - Cache key
+   * @param {string} value - Expected value
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteIfEquals(key, value) {
+    try {
+      if (this.isConnected && this.client) {
+        await this.client.eval(DELETE_IF_EQUALS_SCRIPT, {
+          keys: [key],
+          arguments: [value],
+        });
+        return true;
+      }
+    } catch (error) {
+      // Silent fallback to memory cache
+    }
+
+    if (this.memoryCache.get(key) === value) {
+      this.memoryCache.delete(key);
+    }
+    return true;
+  }
+
+  /**
+   * Set value in memory cache
+   * @param {string} key - Cache key
+   * @param {string} value - Value to cache
+   * @param {number} ttl - Time to live in seconds (0 to never expire)
+   */
+  setInMemory(key, value, ttl) {
+    this.memoryCache.set(key, value);
+    // Simple TTL for memory cache
+    if (ttl) {
+      this.scheduleExpiry(key, value, Date.now() + ttl * 1000);
+    }
+  }
+
+  /**
+   * Remove a memory cache entry when it expires
+   * Delays longer than setTimeout supports are waited out in steps.
+   * @param {string} key - Cache key
+   * @param {string} value - Cached value
+   * @param {number} expiresAt - Expiry time in milliseconds since the epoch
+   */
+  scheduleExpiry(key, value, expiresAt) {
+    const delay = Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMEOUT_MS);
+
+    setTimeout(() => {
+      // The key has been set again since, with its own expiry
+      if (this.memoryCache.get(key) !== value) return;
+
+      if (Date.now() < expiresAt) {
+        this.scheduleExpiry(key, value, expiresAt);
+      } else {
+        this.memoryCache.delete(key);
+      }
+    }, delay).unref();
+  }
+
   /**
    * Delete value from cache
    * @param {string} key - Cache key
@@ -0,0 +1,146 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { providerConfig } = require("../config");
+
+const STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+/**
+ * Circuit breaker for a single provider
+ * Closed: requests flow normally and consecutive failures are counted.
+ * Open: requests are skipped until the cool-down period has passed.
+ * Half-open: a limited number of trial requests decide whether to close again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in log messages
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.cooldownMs - Time to stay open before a trial request
+   * @param {number} options.halfOpenMaxCalls - Trial requests allowed while half-open
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+  }
+
+  /**
+   * Check whether a request may be made, moving to half-open after cool-down
+   * @returns {boolean} - True if the request may be made
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+
+      logger.info(`Circuit for ${this.name} is half-open`);
+      this.state = STATES.HALF_OPEN;
+      this.halfOpenCalls = 0;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        return false;
+      }
+      this.halfOpenCalls++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`Circuit for ${this.name} is closed`);
+    }
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a failed request
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (
+      this.state === STATES.HALF_OPEN ||
+      this.failures >= this.failureThreshold
+    ) {
+      if (this.state !== STATES.OPEN) {
+        logger.warn(
+          `Circuit for ${this.name} is open after ${this.failures} failures`
+        );
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get breaker status
+   * @returns {Object} - Current state and failure count
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+    };
+  }
+}
+
+/**
+ * Registry of circuit breakers, one per provider
+ * Shared across ProviderService instances so state survives between requests.
+ */
+class CircuitBreakerRegistry {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  /**
+   * Get (or create) the breaker for a provider
+   * @param {string} providerId - Provider ID
+   * @param {Object} options - Breaker options, used when creating the breaker
+   * @returns {CircuitBreaker} - Provider circuit breaker
+   */
+  get(providerId, options = providerConfig.circuitBreaker) {
+    if (!this.breakers.has(providerId)) {
+      this.breakers.set(providerId, new CircuitBreaker(providerId, options));
+    }
+
+    return this.breakers.get(providerId);
+  }
+
+  /**
+   * Reset all breakers
+   */
+  reset() {
+    this.breakers.clear();
+  }
+}
+
+// Create singleton instance
+const circuitBreakers = new CircuitBreakerRegistry();
+
+module.exports = {
+  CircuitBreaker,
+  circuitBreakers,
+  STATES,
+};
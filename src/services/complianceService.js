@@ -0,0 +1,150 @@
+require("dotenv").config();
+const Joi = require("joi");
+const { complianceConfig } = require("../config");
+const { ConfigFile } = require("./configFile");
+const { PRODUCTS } = require("./providerRegistry");
+
+const oneOrMany = (schema) =>
+  Joi.alternatives(schema, Joi.array().items(schema));
+
+/**
+ * Schema for the compliance matrix file
+ */
+const ruleSchema = Joi.object({
+  id: Joi.string().required(),
+  description: Joi.string().allow("").default(""),
+  // State, product, provider and plan the rule covers; a missing criterion
+  // matches anything
+  match: Joi.object({
+    state: oneOrMany(Joi.string().pattern(/^[A-Z]{2}$/)),
+    product: oneOrMany(Joi.string().valid(...PRODUCTS)),
+    provider: oneOrMany(Joi.string()),
+    // Plan (product) IDs, where * matches any characters
+    plan: oneOrMany(Joi.string()),
+  }).default({}),
+  effective_from: Joi.date().iso().allow(null).default(null),
+  effective_to: Joi.date().iso().allow(null).default(null),
+  // false if the plans covered can't be sold
+  available: Joi.boolean().default(true),
+  reason: Joi.string().when("available", {
+    is: false,
+    then: Joi.required(),
+  }),
+  // Disclosure text to show with the plans covered
+  disclosure: Joi.string(),
+}).or("disclosure", "reason");
+
+const matrixSchema = Joi.object({
+  rules: Joi.array().items(ruleSchema).unique("id").required(),
+});
+
+/**
+ * Compliance service
+ * Applies the state regulatory matrix to quotes: rules keyed by state,
+ * product, provider and plan, each in force between its effective dates,
+ * either withdraw the plans they cover or require a disclosure with them.
+ */
+class ComplianceService {
+  constructor() {
+    this.config = new ConfigFile({
+      name: "compliance matrix",
+      file: complianceConfig.file,
+      schema: matrixSchema,
+    });
+  }
+
+  /**
+   * Watch the matrix file and reload on change
+   */
+  watch() {
+    this.config.watch();
+  }
+
+  /**
+   * Get all compliance rules
+   * @returns {Array<Object>} - Compliance rules
+   */
+  getRules() {
+    return this.config.get().rules;
+  }
+
+  /**
+   * Check a provider quote against the rules in force for a state
+   * @param {Object} quote - Normalized provider quote
+   * @param {string} state - Customer state
+   * @param {Date} date - Date the rules must be in force on
+   * @returns {Object} - { available, reasons, disclosures } where reasons are
+   *   { rule, reason } and disclosures { id, text }
+   */
+  evaluate(quote, state, date = new Date()) {
+    const reasons = [];
+    const disclosures = [];
+
+    this.getRules().forEach((rule) => {
+      if (!ComplianceService.inForce(rule, date)) return;
+      if (!ComplianceService.matches(rule.match, quote, state)) return;
+
+      if (!rule.available) {
+        reasons.push({ rule: rule.id, reason: rule.reason });
+      } else if (rule.disclosure) {
+        disclosures.push({ id: rule.id, text: rule.disclosure });
+      }
+    });
+
+    return { available: reasons.length === 0, reasons, disclosures };
+  }
+
+  /**
+   * Check whether a rule is in force
+   * @param {Object} rule - Compliance rule
+   * @param {Date} date - Date to check
+   * @returns {boolean} - True if the date is within the rule's effective dates
+   */
+  static inForce(rule, date) {
+    if (rule.effective_from && date < rule.effective_from) return false;
+    if (rule.effective_to && date >= rule.effective_to) return false;
+    return true;
+  }
+
+  /**
+   * Check whether a rule covers a quote
+   * @param {Object} match - Rule criteria
+   * @param {Object} quote - Normalized provider quote
+   * @param {string} state - Customer state
+   * @returns {boolean} - True if every criterion is met
+   */
+  static matches(match, quote, state) {
+    return (
+      ComplianceService.includes(match.state, state) &&
+      ComplianceService.includes(match.product, quote.product_type) &&
+      ComplianceService.includes(match.provider, quote.provider.id) &&
+      ComplianceService.includes(match.plan, quote.product_id)
+    );
+  }
+
+  /**
+   * Check a value against a criterion that is a pattern or a list of patterns
+   * @param {string|Array<string>|undefined} expected - Criterion
+   * @param {string} actual - Value to check
+   * @returns {boolean} - True if there is no criterion or the value meets it
+   */
+  static includes(expected, actual) {
+    if (expected === undefined) return true;
+    const patterns = Array.isArray(expected) ? expected : [expected];
+    return patterns.some((pattern) => {
+      const regex = new RegExp(
+        `^${pattern
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*")}$`,
+        "i"
+      );
+      return regex.test(String(actual));
+    });
+  }
+}
+
+// Create singleton instance
+const complianceService = new ComplianceService();
+
+module.exports = { complianceService };
@@ -0,0 +1,104 @@
+require("dotenv").config();
+const logger = require("../logger");
+const fs = require("fs");
+const { ApiError } = require("../middleware/errorHandler");
+
+/**
+ * JSON configuration file
+ * Validates the file against a Joi schema when loaded, reloads it when it
+ * changes on disk. A file that fails validation is rejected and the
+ * previous value stays in use.
+ */
+class ConfigFile {
+  /**
+   * @param {Object} options - File options
+   * @param {string} options.name - Name used in log messages
+   * @param {string} options.file - File path
+   * @param {Object} options.schema - Joi schema for the file contents
+   * @param {number} options.pollInterval - Change check interval in milliseconds
+   */
+  constructor({ name, file, schema, pollInterval = 5000 }) {
+    this.name = name;
+    this.file = file;
+    this.schema = schema;
+    this.pollInterval = pollInterval;
+    this.value = null;
+    this.raw = null;
+    this.watching = false;
+
+    this.load();
+  }
+
+  /**
+   * Validate file contents
+   * @param {Object} contents - Parsed file contents
+   * @returns {Object} - Validated value
+   */
+  validate(contents) {
+    const { error, value } = this.schema.validate(contents, {
+      abortEarly: false,
+    });
+
+    if (error) {
+      throw ApiError.badRequest(`Invalid ${this.name}`, {
+        errors: error.details.map((detail) => detail.message),
+      });
+    }
+
+    return value;
+  }
+
+  /**
+   * Load the file if it has changed
+   */
+  load() {
+    const raw = fs.readFileSync(this.file, "utf8");
+
+    if (raw !== this.raw) {
+      this.value = this.validate(JSON.parse(raw));
+      this.raw = raw;
+      logger.info(`Loaded ${this.name} from ${this.file}`);
+    }
+  }
+
+  /**
+   * Reload the file, keeping the current value if it is invalid
+   * @returns {boolean} - True if the reload succeeded
+   */
+  reload() {
+    try {
+      this.load();
+      return true;
+    } catch (error) {
+      const errors = error.details ? error.details.errors : [error.message];
+      logger.error(`Reloading ${this.name} failed: ${errors.join("; ")}`);
+      return false;
+    }
+  }
+
+  /**
+   * Watch the file and reload on change
+   */
+  watch() {
+    if (this.watching) return;
+
+    fs.watchFile(this.file, { interval: this.pollInterval }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) {
+        this.reload();
+      }
+    }).unref();
+    this.watching = true;
+  }
+
+  /**
+   * Get the current validated value
+   * @returns {Object} - File contents
+   */
+  get() {
+    return this.value;
+  }
+}
+
+module.exports = {
+  ConfigFile,
+};
@@ -0,0 +1,200 @@
+require("dotenv").config();
+const { coverageTaxonomy } = require("../config/coverageTaxonomy");
+
+/**
+ * Reduce a coverage key or exclusion to a comparable form
+ * @param {string} value - Key or text
+ * @returns {string} - Lower case letters and digits only
+ */
+const canonical = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Coverage service for normalizing and comparing coverage across providers
+ */
+class CoverageService {
+  /**
+   * Get the coverage taxonomy
+   * @param {string} productType - Product type, or all product types if omitted
+   * @returns {Object|Array<Object>} - Taxonomy components
+   */
+  static getTaxonomy(productType) {
+    return productType ? coverageTaxonomy[productType] : coverageTaxonomy;
+  }
+
+  /**
+   * Map a provider's coverage object onto the taxonomy
+   * @param {string} productType - Product type
+   * @param {Object} coverage - Provider coverage object
+   * @returns {Object} - Values keyed by taxonomy component, plus `other` for
+   *   provider keys the taxonomy doesn't know
+   */
+  static normalizeCoverage(productType, coverage = {}) {
+    const components = coverageTaxonomy[productType] || [];
+    const normalized = {};
+    const other = {};
+
+    components.forEach((component) => {
+      normalized[component.key] = component.type === "amount" ? null : false;
+    });
+
+    Object.keys(coverage).forEach((providerKey) => {
+      const component = components.find((candidate) =>
+        candidate.aliases.some(
+          (alias) => canonical(alias) === canonical(providerKey)
+        )
+      );
+
+      if (component) {
+        normalized[component.key] = coverage[providerKey];
+      } else {
+        other[providerKey] = coverage[providerKey];
+      }
+    });
+
+    return { ...normalized, other };
+  }
+
+  /**
+   * List what a quote covers, in taxonomy order
+   * @param {string} productType - Product type
+   * @param {Object} coverage - Provider coverage object
+   * @returns {Array<string>} - Labels of covered components, with the limit
+   *   of amount components
+   */
+  static getHighlights(productType, coverage = {}) {
+    const normalized = CoverageService.normalizeCoverage(productType, coverage);
+
+    return (coverageTaxonomy[productType] || []).reduce(
+      (highlights, component) => {
+        const value = normalized[component.key];
+
+        if (component.type === "amount" && typeof value === "number") {
+          highlights.push(
+            `${component.label}: $${value.toLocaleString("en-US")}`
+          );
+        } else if (component.type !== "amount" && value === true) {
+          highlights.push(component.label);
+        }
+        return highlights;
+      },
+      []
+    );
+  }
+
+  /**
+   * Build a side-by-side comparison of quotes for the same product type
+   * Each row holds one value per quote, in the order given, and is flagged
+   * when the values differ.
+   * @param {string} productType - Product type
+   * @param {Array<Object>} quotes - Quotes from a quote response
+   * @returns {Object} - Comparison matrix
+   */
+  static compare(productType, quotes) {
+    const rows = [];
+    const addRow = (section, key, label, values) => {
+      rows.push({
+        section,
+        key,
+        label,
+        values,
+        differs: new Set(values.map((value) => JSON.stringify(value))).size > 1,
+      });
+    };
+
+    addRow(
+      "price",
+      "price",
+      "Price",
+      quotes.map((quote) => quote.price)
+    );
+    addRow(
+      "term",
+      "term_months",
+      "Term (months)",
+      quotes.map((quote) => quote.term)
+    );
+    addRow(
+      "term",
+      "term_miles",
+      "Term (miles)",
+      quotes.map((quote) => quote.mileage)
+    );
+    addRow(
+      "deductible",
+      "deductible",
+      "Deductible",
+      quotes.map((quote) => quote.deductible)
+    );
+
+    // Coverage components, in taxonomy order
+    const coverages = quotes.map((quote) =>
+      CoverageService.normalizeCoverage(productType, quote.coverage)
+    );
+    (coverageTaxonomy[productType] || []).forEach((component) => {
+      addRow(
+        "coverage",
+        component.key,
+        component.label,
+        coverages.map((coverage) => coverage[component.key])
+      );
+    });
+
+    // Coverage the taxonomy doesn't know, shown as reported by the provider
+    const otherKeys = new Set();
+    coverages.forEach((coverage) =>
+      Object.keys(coverage.other).forEach((key) => otherKeys.add(key))
+    );
+    otherKeys.forEach((key) => {
+      addRow(
+        "coverage",
+        key,
+        key,
+        coverages.map((coverage) =>
+          coverage.other[key] === undefined ? null : coverage.other[key]
+        )
+      );
+    });
+
+    // Exclusions: whether each quote lists each exclusion
+    const exclusions = new Map();
+    quotes.forEach((quote) =>
+      (quote.exclusions || []).forEach((exclusion) => {
+        if (!exclusions.has(canonical(exclusion))) {
+          exclusions.set(canonical(exclusion), exclusion);
+        }
+      })
+    );
+    exclusions.forEach((label, key) => {
+      addRow(
+        "exclusions",
+        key,
+        label,
+        quotes.map((quote) =>
+          (quote.exclusions || []).some(
+            (exclusion) => canonical(exclusion) === key
+          )
+        )
+      );
+    });
+
+    return {
+      product_type: productType,
+      quotes: quotes.map((quote) => ({
+        id: quote.id,
+        product_id: quote.product_id,
+        provider: quote.provider,
+        name: quote.name,
+        price: quote.price,
+        disclosures: quote.disclosures || [],
+        tags: quote.tags,
+      })),
+      rows,
+      differences: rows.filter((row) => row.differs).map((row) => row.key),
+    };
+  }
+}
+
+module.exports = CoverageService;
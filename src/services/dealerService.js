@@ -0,0 +1,206 @@
+require("dotenv").config();
+const logger = require("../logger");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { JsonDocument } = require("./fileStore");
+
+// Prefix of issued API keys, so they are recognizable in logs and scanners
+const API_KEY_PREFIX = "aqk_";
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} - SHA-256 hash (hex)
+ */
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Dealer service
+ * Keeps dealer accounts: the dealer's profile (name, states it sells in,
+ * enabled products, branding) and the API keys issued to it. Keys are shown
+ * once when issued and stored only as hashes.
+ */
+class DealerService {
+  constructor() {
+    this.document = new JsonDocument("dealers");
+    this.dealers = this.document.readSync({});
+    this.indexKeys();
+  }
+
+  /**
+   * List dealers
+   * @returns {Array<Object>} - Dealers, without key hashes
+   */
+  list() {
+    return Object.values(this.dealers).map((dealer) =>
+      DealerService.format(dealer)
+    );
+  }
+
+  /**
+   * Get a dealer
+   * @param {string} dealerId - Dealer ID
+   * @returns {Object|null} - Dealer, without key hashes
+   */
+  get(dealerId) {
+    const dealer = this.dealers[dealerId];
+    return dealer ? DealerService.format(dealer) : null;
+  }
+
+  /**
+   * Create a dealer
+   * @param {Object} profile - Validated profile, with the dealer ID
+   * @returns {Promise<Object>} - Dealer
+   */
+  async create({ id, ...profile }) {
+    const now = new Date().toISOString();
+    this.dealers[id] = {
+      id,
+      ...profile,
+      api_keys: [],
+      created_at: now,
+      updated_at: now,
+    };
+    await this.save();
+
+    logger.info(`Created dealer ${id}`);
+    return this.get(id);
+  }
+
+  /**
+   * Update a dealer's profile
+   * @param {string} dealerId - Dealer ID
+   * @param {Object} changes - Validated profile fields to change
+   * @returns {Promise<Object|null>} - Dealer, or null if there is no such
+   *   dealer
+   */
+  async update(dealerId, changes) {
+    const dealer = this.dealers[dealerId];
+    if (!dealer) return null;
+
+    Object.assign(dealer, changes, { updated_at: new Date().toISOString() });
+    await this.save();
+
+    return this.get(dealerId);
+  }
+
+  /**
+   * Issue an API key to a dealer
+   * @param {string} dealerId - Dealer ID
+   * @param {string} name - What the key is for, e.g. "DMS integration"
+   * @returns {Promise<Object|null>} - Key details with the key itself, which
+   *   can't be retrieved later, or null if there is no such dealer
+   */
+  async issueKey(dealerId, name) {
+    const dealer = this.dealers[dealerId];
+    if (!dealer) return null;
+
+    const key =
+      API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+    const apiKey = {
+      id: uuidv4(),
+      name: name || null,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      created_at: new Date().toISOString(),
+      revoked_at: null,
+    };
+
+    dealer.api_keys.push(apiKey);
+    await this.save();
+    this.indexKeys();
+
+    logger.info(`Issued API key ${apiKey.id} to dealer ${dealerId}`);
+    const { hash, ...details } = apiKey;
+    return { ...details, key };
+  }
+
+  /**
+   * Revoke a dealer's API key
+   * @param {string} dealerId - Dealer ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object|null>} - Revoked key details, or null if the
+   *   dealer has no such key
+   */
+  async revokeKey(dealerId, keyId) {
+    const dealer = this.dealers[dealerId];
+    const apiKey = dealer && dealer.api_keys.find(({ id }) => id === keyId);
+    if (!apiKey) return null;
+
+    if (!apiKey.revoked_at) {
+      apiKey.revoked_at = new Date().toISOString();
+      await this.save();
+      this.indexKeys();
+    }
+
+    const { hash, ...details } = apiKey;
+    return details;
+  }
+
+  /**
+   * Find the dealer an API key was issued to
+   * @param {string} key - API key
+   * @returns {Object|null} - { dealer, keyId }, or null for an unknown or
+   *   revoked key
+   */
+  authenticateKey(key) {
+    const entry = this.keys.get(hashKey(key));
+    if (!entry) return null;
+
+    return { dealer: this.get(entry.dealerId), keyId: entry.keyId };
+  }
+
+  /**
+   * Check whether a dealer's API key is still active
+   * @param {string} dealerId - Dealer ID
+   * @param {string} keyId - API key ID
+   * @returns {boolean} - True if the dealer has the key and it isn't revoked
+   */
+  isKeyActive(dealerId, keyId) {
+    const dealer = this.dealers[dealerId];
+    return Boolean(
+      dealer &&
+        dealer.api_keys.some(({ id, revoked_at }) => id === keyId && !revoked_at)
+    );
+  }
+
+  /**
+   * Rebuild the lookup of active API keys by hash
+   */
+  indexKeys() {
+    this.keys = new Map();
+
+    Object.values(this.dealers).forEach((dealer) => {
+      dealer.api_keys
+        .filter((apiKey) => !apiKey.revoked_at)
+        .forEach((apiKey) => {
+          this.keys.set(apiKey.hash, { dealerId: dealer.id, keyId: apiKey.id });
+        });
+    });
+  }
+
+  /**
+   * Save the dealers
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.document.write(this.dealers);
+  }
+
+  /**
+   * Format a dealer for output, without key hashes
+   * @param {Object} dealer - Stored dealer
+   * @returns {Object} - Dealer
+   */
+  static format(dealer) {
+    return {
+      ...dealer,
+      api_keys: dealer.api_keys.map(({ hash, ...apiKey }) => apiKey),
+    };
+  }
+}
+
+// Create singleton instance
+const dealerService = new DealerService();
+
+module.exports = { dealerService };
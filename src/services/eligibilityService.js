@@ -0,0 +1,191 @@
+require("dotenv").config();
+const Joi = require("joi");
+const { eligibilityConfig } = require("../config");
+const { ConfigFile } = require("./configFile");
+const { PRODUCTS } = require("./providerRegistry");
+
+const oneOrMany = (schema) =>
+  Joi.alternatives(schema, Joi.array().items(schema));
+
+/**
+ * Schema for the eligibility rules file
+ */
+const ruleSchema = Joi.object({
+  id: Joi.string().required(),
+  description: Joi.string().allow("").default(""),
+  // Quotes the rule applies to; a missing criterion matches anything
+  match: Joi.object({
+    provider: oneOrMany(Joi.string()),
+    product: oneOrMany(Joi.string().valid(...PRODUCTS)),
+    // Plan (product) IDs, where * matches any characters
+    plan: oneOrMany(Joi.string()),
+  }).default({}),
+  // Conditions the vehicle must meet
+  max_age_years: Joi.number().integer().min(0),
+  min_model_year: Joi.number().integer(),
+  max_mileage: Joi.number().integer().min(0),
+  excluded_makes: Joi.array().items(Joi.string()),
+  excluded_models: Joi.array().items(
+    Joi.object({ make: Joi.string().required(), model: Joi.string().required() })
+  ),
+  max_vehicle_price: Joi.number().min(0),
+  // false to exclude vehicles in commercial use
+  commercial_use: Joi.boolean(),
+});
+
+const rulesSchema = Joi.object({
+  rules: Joi.array().items(ruleSchema).unique("id").required(),
+});
+
+const formatNumber = (value) => Number(value).toLocaleString("en-US");
+
+const sameText = (a, b) =>
+  String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Vehicle conditions
+ * Each condition checks the vehicle against one rule setting and returns the
+ * reason the vehicle fails it, or null if it passes.
+ *
+ *   condition(setting, vehicle) => string | null
+ *
+ * vehicle: { year, make, model, mileage, price, commercial_use }
+ */
+const conditions = {
+  max_age_years: (maxAge, vehicle) => {
+    const age = new Date().getFullYear() - parseInt(vehicle.year);
+    return age > maxAge
+      ? `Vehicle is ${age} years old, the limit is ${maxAge} years`
+      : null;
+  },
+
+  min_model_year: (minYear, vehicle) =>
+    parseInt(vehicle.year) < minYear
+      ? `Model year ${vehicle.year} is before ${minYear}`
+      : null,
+
+  max_mileage: (maxMileage, vehicle) =>
+    parseInt(vehicle.mileage) > maxMileage
+      ? `Mileage of ${formatNumber(vehicle.mileage)} exceeds the limit of ${formatNumber(maxMileage)}`
+      : null,
+
+  excluded_makes: (makes, vehicle) =>
+    makes.some((make) => sameText(make, vehicle.make))
+      ? `${vehicle.make} vehicles are excluded`
+      : null,
+
+  excluded_models: (models, vehicle) =>
+    models.some(
+      ({ make, model }) =>
+        sameText(make, vehicle.make) && sameText(model, vehicle.model)
+    )
+      ? `${vehicle.make} ${vehicle.model} vehicles are excluded`
+      : null,
+
+  max_vehicle_price: (maxPrice, vehicle) =>
+    vehicle.price > maxPrice
+      ? `Vehicle price of $${formatNumber(vehicle.price)} exceeds the cap of $${formatNumber(maxPrice)}`
+      : null,
+
+  commercial_use: (allowed, vehicle) =>
+    !allowed && vehicle.commercial_use
+      ? "Vehicles in commercial use are excluded"
+      : null,
+};
+
+/**
+ * Eligibility service
+ * Checks quotes against the underwriting rules for their provider and plan.
+ * Every rule that applies to a quote must pass for the quote to be offered.
+ */
+class EligibilityService {
+  constructor() {
+    this.config = new ConfigFile({
+      name: "eligibility rules",
+      file: eligibilityConfig.rulesFile,
+      schema: rulesSchema,
+    });
+  }
+
+  /**
+   * Watch the rules file and reload on change
+   */
+  watch() {
+    this.config.watch();
+  }
+
+  /**
+   * Get all eligibility rules
+   * @returns {Array<Object>} - Eligibility rules
+   */
+  getRules() {
+    return this.config.get().rules;
+  }
+
+  /**
+   * Check a provider quote against the rules that apply to it
+   * @param {Object} quote - Normalized provider quote
+   * @param {Object} vehicle - Vehicle (year, make, model, mileage, price,
+   *   commercial_use)
+   * @returns {Array<Object>} - Reasons the quote is ineligible as
+   *   { rule, reason }, empty if it is eligible
+   */
+  check(quote, vehicle) {
+    const reasons = [];
+
+    this.getRules().forEach((rule) => {
+      if (!EligibilityService.matches(rule.match, quote)) return;
+
+      Object.keys(conditions).forEach((name) => {
+        if (rule[name] === undefined) return;
+
+        const reason = conditions[name](rule[name], vehicle);
+        if (reason) {
+          reasons.push({ rule: rule.id, reason });
+        }
+      });
+    });
+
+    return reasons;
+  }
+
+  /**
+   * Check whether a rule applies to a quote
+   * @param {Object} match - Rule criteria
+   * @param {Object} quote - Normalized provider quote
+   * @returns {boolean} - True if every criterion is met
+   */
+  static matches(match, quote) {
+    return (
+      EligibilityService.includes(match.provider, quote.provider.id) &&
+      EligibilityService.includes(match.product, quote.product_type) &&
+      EligibilityService.includes(match.plan, quote.product_id)
+    );
+  }
+
+  /**
+   * Check a value against a criterion that is a pattern or a list of patterns
+   * @param {string|Array<string>|undefined} expected - Criterion
+   * @param {string} actual - Value to check
+   * @returns {boolean} - True if there is no criterion or the value meets it
+   */
+  static includes(expected, actual) {
+    if (expected === undefined) return true;
+    const patterns = Array.isArray(expected) ? expected : [expected];
+    return patterns.some((pattern) => {
+      const regex = new RegExp(
+        `^${pattern
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*")}$`,
+        "i"
+      );
+      return regex.test(String(actual));
+    });
+  }
+}
+
+// Create singleton instance
+const eligibilityService = new EligibilityService();
+
+module.exports = { eligibilityService };
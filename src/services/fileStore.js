@@ -0,0 +1,245 @@
+require("dotenv").config();
+const logger = require("../logger");
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { storageConfig } = require("../config");
+
+// Last queued write of each file, so writes to a file run one at a time
+const writeQueues = new Map();
+
+/**
+ * Run a write once the writes already queued for the same file are done
+ * @param {string} file - File path
+ * @param {Function} task - Async function doing the write
+ * @returns {Promise<*>} - Result of the task
+ */
+const enqueueWrite = (file, task) => {
+  const queued = (writeQueues.get(file) || Promise.resolve())
+    .catch(() => {})
+    .then(task);
+
+  writeQueues.set(file, queued);
+  queued
+    .catch(() => {})
+    .then(() => {
+      if (writeQueues.get(file) === queued) writeQueues.delete(file);
+    });
+
+  return queued;
+};
+
+/**
+ * Replace a file's contents
+ * Writes to a temporary file of its own first, so a crash can't leave a
+ * partial file and concurrent writers never share a temporary file.
+ * @param {string} file - File path
+ * @param {string|Buffer} data - File contents
+ * @returns {Promise<void>}
+ */
+const replaceFile = async (file, data) => {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${uuidv4()}.tmp`;
+
+  try {
+    await fs.promises.writeFile(tmpFile, data);
+    await fs.promises.rename(tmpFile, file);
+  } catch (error) {
+    await fs.promises.rm(tmpFile, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * Append-only log of JSON records, stored one per line in the data directory
+ */
+class AppendLog {
+  /**
+   * @param {string} name - Log name, used as the file name
+   */
+  constructor(name) {
+    this.file = path.join(storageConfig.dataDir, `${name}.jsonl`);
+  }
+
+  /**
+   * Append a record to the log
+   * @param {Object} record - Record to append
+   * @returns {Promise<Object>} - The appended record
+   */
+  async append(record) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.appendFile(this.file, `${JSON.stringify(record)}\n`);
+    return record;
+  }
+
+  /**
+   * Read all records in the log, oldest first
+   * @returns {Promise<Array<Object>>} - Log records
+   */
+  async readAll() {
+    let raw;
+
+    try {
+      raw = await fs.promises.readFile(this.file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    return this.parse(raw);
+  }
+
+  /**
+   * Read all records in the log, oldest first, blocking until done
+   * @returns {Array<Object>} - Log records
+   */
+  readAllSync() {
+    let raw;
+
+    try {
+      raw = fs.readFileSync(this.file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    return this.parse(raw);
+  }
+
+  /**
+   * Parse the lines of the log, skipping corrupt ones
+   * @param {string} raw - Log contents
+   * @returns {Array<Object>} - Log records
+   */
+  parse(raw) {
+    return raw
+      .split("\n")
+      .filter(Boolean)
+      .reduce((records, line) => {
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          logger.warn(`Skipping corrupt line in ${this.file}`);
+        }
+        return records;
+      }, []);
+  }
+}
+
+/**
+ * JSON document stored as a single file in the data directory
+ */
+class JsonDocument {
+  /**
+   * @param {string} name - Document name, used as the file name
+   */
+  constructor(name) {
+    this.file = path.join(storageConfig.dataDir, `${name}.json`);
+  }
+
+  /**
+   * Read the document
+   * @param {*} fallback - Value to return if the document doesn't exist
+   * @returns {*} - Document contents
+   */
+  readSync(fallback = null) {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn(`Could not read ${this.file}: ${error.message}`);
+      }
+      return fallback;
+    }
+  }
+
+  /**
+   * Read the document without blocking
+   * @param {*} fallback - Value to return if the document doesn't exist
+   * @returns {Promise<*>} - Document contents
+   */
+  async read(fallback = null) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return fallback;
+      throw error;
+    }
+  }
+
+  /**
+   * Write the document, replacing its contents
+   * Writes to the same document are applied in the order they are made.
+   * @param {*} value - Document contents
+   * @returns {Promise<void>}
+   */
+  write(value) {
+    const data = JSON.stringify(value);
+    return enqueueWrite(this.file, () => replaceFile(this.file, data));
+  }
+
+  /**
+   * Read, change and write the document, one change at a time
+   * @param {Function} change - Called with the current contents, returns
+   *   (or resolves to) the new contents
+   * @param {*} fallback - Contents to change if the document doesn't exist
+   * @returns {Promise<*>} - New contents
+   */
+  update(change, fallback = null) {
+    return enqueueWrite(this.file, async () => {
+      const value = await change(await this.read(fallback));
+      await replaceFile(this.file, JSON.stringify(value));
+      return value;
+    });
+  }
+}
+
+/**
+ * File of any content (e.g. a generated document) in the data directory
+ */
+class DataFile {
+  /**
+   * @param {string} name - File name, with its extension
+   */
+  constructor(name) {
+    this.file = path.join(storageConfig.dataDir, name);
+  }
+
+  /**
+   * Read the file
+   * @returns {Promise<Buffer|null>} - File contents, or null if the file
+   *   doesn't exist
+   */
+  async read() {
+    try {
+      return await fs.promises.readFile(this.file);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write the file, replacing its contents
+   * Writes to the same file are applied in the order they are made.
+   * @param {string|Buffer} data - File contents
+   * @returns {Promise<void>}
+   */
+  write(data) {
+    return enqueueWrite(this.file, () => replaceFile(this.file, data));
+  }
+
+  /**
+   * Delete the file, or a directory of files, if it exists
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    await fs.promises.rm(this.file, { force: true, recursive: true });
+  }
+}
+
+module.exports = {
+  AppendLog,
+  JsonDocument,
+  DataFile,
+};
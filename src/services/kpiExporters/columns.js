@@ -0,0 +1,69 @@
+/**
+ * Columns of an exported KPI report
+ */
+
+// Heading of the date column for each date bucket size
+const DATE_HEADERS = {
+  day: "Date",
+  week: "Week Of",
+  month: "Month",
+};
+
+const DIMENSION_COLUMNS = {
+  dealer: { key: "dealer_id", header: "Dealer" },
+  product: { key: "product", header: "Product" },
+  provider: { key: "provider", header: "Provider" },
+};
+
+/**
+ * Metric columns, with how each is formatted
+ */
+const METRIC_COLUMNS = [
+  { key: "quotes", header: "Quotes", type: "count" },
+  { key: "quotes_shown", header: "Quotes Shown", type: "count" },
+  { key: "selections", header: "Selections", type: "count" },
+  { key: "conversions", header: "Conversions", type: "count" },
+  { key: "conversion_rate", header: "Conversion Rate", type: "rate" },
+  { key: "revenue", header: "Revenue", type: "currency" },
+  { key: "average_margin", header: "Average Margin", type: "currency" },
+];
+
+/**
+ * Get the columns of a report: its grouping dimensions, then the metrics
+ * @param {Object} report - KPI report
+ * @returns {Array<Object>} - Columns, { key, header, type }
+ */
+const getColumns = (report) => [
+  ...report.group_by.map((dimension) =>
+    dimension === "date"
+      ? { key: "date", header: DATE_HEADERS[report.interval], type: "text" }
+      : { ...DIMENSION_COLUMNS[dimension], type: "text" }
+  ),
+  ...METRIC_COLUMNS,
+];
+
+/**
+ * Get the table of a report: a row per group and a totals row
+ * The totals row is labelled in the first column, and leaves the other
+ * dimension columns empty.
+ * @param {Object} report - KPI report
+ * @returns {Object} - { columns, rows, totals }, rows and totals as arrays
+ *   of cell values in column order (null for empty cells)
+ */
+const getTable = (report) => {
+  const columns = getColumns(report);
+  const toCells = (row) =>
+    columns.map((column) =>
+      row[column.key] === undefined ? null : row[column.key]
+    );
+
+  const totals = toCells(report.totals);
+  totals[0] = "Total";
+
+  return { columns, rows: report.rows.map(toCells), totals };
+};
+
+module.exports = {
+  getColumns,
+  getTable,
+};
@@ -0,0 +1,37 @@
+const { getTable } = require("./columns");
+
+/**
+ * Escape a CSV cell
+ * Text starting with a formula character is prefixed with an apostrophe, so
+ * spreadsheets opening the file show it rather than evaluate it.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const escape = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a KPI report as CSV
+ * Conversion rates are fractions (0.25 for 25%) and amounts are in dollars.
+ * @param {Object} report - KPI report
+ * @returns {string} - CSV document
+ */
+const render = (report) => {
+  const { columns, rows, totals } = getTable(report);
+
+  return `${[columns.map((column) => column.header), ...rows, totals]
+    .map((cells) => cells.map(escape).join(","))
+    .join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  contentType: "text/csv; charset=utf-8",
+  extension: "csv",
+  render,
+};
@@ -0,0 +1,31 @@
+const csv = require("./csv");
+const json = require("./json");
+const xlsx = require("./xlsx");
+
+/**
+ * KPI report exporters by format
+ * An exporter turns a report built by KpiService into a downloadable
+ * document, with column headers and a totals row.
+ *
+ * Exporter interface:
+ *   contentType
+ *   extension
+ *   render(report) => string | Buffer | Promise<string | Buffer>
+ */
+const exporters = {
+  json,
+  csv,
+  xlsx,
+};
+
+/**
+ * Get the exporter for a format
+ * @param {string} format - Format name
+ * @returns {Object|undefined} - Exporter
+ */
+const getExporter = (format) => exporters[format];
+
+module.exports = {
+  getExporter,
+  formats: Object.keys(exporters),
+};
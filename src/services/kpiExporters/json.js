@@ -0,0 +1,12 @@
+/**
+ * Render a KPI report as JSON
+ * @param {Object} report - KPI report
+ * @returns {string} - JSON document
+ */
+const render = (report) => JSON.stringify(report, null, 2);
+
+module.exports = {
+  contentType: "application/json; charset=utf-8",
+  extension: "json",
+  render,
+};
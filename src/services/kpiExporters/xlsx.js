@@ -0,0 +1,44 @@
+const ExcelJS = require("exceljs");
+const { getTable } = require("./columns");
+
+const NUMBER_FORMATS = {
+  count: "#,##0",
+  rate: "0.0%",
+  currency: "$#,##0.00",
+};
+
+/**
+ * Render a KPI report as an Excel workbook
+ * @param {Object} report - KPI report
+ * @returns {Promise<Buffer>} - XLSX document
+ */
+const render = async (report) => {
+  const { columns, rows, totals } = getTable(report);
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet("KPI Report", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+
+  sheet.columns = columns.map((column) => ({
+    header: column.header,
+    width: Math.max(column.header.length + 2, 12),
+    style: NUMBER_FORMATS[column.type]
+      ? { numFmt: NUMBER_FORMATS[column.type] }
+      : {},
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  sheet.addRows(rows);
+  sheet.addRow(totals).font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  contentType:
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  extension: "xlsx",
+  render,
+};
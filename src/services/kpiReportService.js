@@ -0,0 +1,311 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { v4: uuidv4 } = require("uuid");
+const { kpiReportConfig } = require("../config");
+const { JsonDocument, DataFile } = require("./fileStore");
+const { kpiService } = require("./kpiService");
+const { getExporter } = require("./kpiExporters");
+
+/**
+ * How often a saved report runs
+ */
+const CADENCES = ["daily", "weekly", "monthly"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add days to a date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {Date} - New date
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Format a date as a UTC day
+ * @param {Date} date - Date
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * KPI report service
+ * Keeps saved report definitions (filters, grouping, format and cadence) and
+ * runs each one when due, on the last complete day, week (Monday to Sunday)
+ * or month, saving the exported report as a snapshot to download later.
+ */
+class KpiReportService {
+  constructor() {
+    this.document = new JsonDocument("kpi-reports");
+    this.reports = this.document.readSync({});
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * List saved reports
+   * @returns {Array<Object>} - Saved reports, oldest first
+   */
+  list() {
+    return Object.values(this.reports).sort((a, b) =>
+      a.created_at.localeCompare(b.created_at)
+    );
+  }
+
+  /**
+   * Get a saved report
+   * @param {string} reportId - Report ID
+   * @returns {Object|null} - Saved report
+   */
+  get(reportId) {
+    return this.reports[reportId] || null;
+  }
+
+  /**
+   * Save a report definition
+   * @param {Object} definition - Validated definition
+   * @param {string} createdBy - Who saved it
+   * @returns {Promise<Object>} - Saved report
+   */
+  async create(definition, createdBy) {
+    const now = new Date();
+    const report = {
+      id: uuidv4(),
+      ...definition,
+      created_by: createdBy,
+      created_at: now.toISOString(),
+      last_run_at: null,
+      next_run_at: KpiReportService.getNextRun(definition.cadence, now),
+      snapshots: [],
+    };
+
+    this.reports[report.id] = report;
+    await this.save();
+
+    logger.info(`Saved ${report.cadence} KPI report ${report.id}`);
+    return report;
+  }
+
+  /**
+   * Delete a saved report and its snapshots
+   * @param {string} reportId - Report ID
+   * @returns {Promise<Object|null>} - Deleted report, or null if there is no
+   *   such report
+   */
+  async remove(reportId) {
+    const report = this.get(reportId);
+    if (!report) return null;
+
+    delete this.reports[reportId];
+    await this.save();
+    await new DataFile(`kpi-snapshots/${reportId}`).remove();
+
+    return report;
+  }
+
+  /**
+   * Run a saved report on its last complete period and save a snapshot
+   * @param {string} reportId - Report ID
+   * @param {Date} date - When the report runs
+   * @returns {Promise<Object|null>} - Snapshot, or null if there is no such
+   *   report
+   */
+  async run(reportId, date = new Date()) {
+    const report = this.get(reportId);
+    if (!report) return null;
+
+    const { from, to } = KpiReportService.getPeriod(report.cadence, date);
+    const exporter = getExporter(report.format);
+    const content = await exporter.render(
+      kpiService.report({
+        from,
+        to,
+        dealerId: report.dealer_id,
+        product: report.product,
+        provider: report.provider,
+        groupBy: report.group_by,
+        interval: report.interval,
+      })
+    );
+
+    const snapshot = {
+      id: uuidv4(),
+      from,
+      to,
+      format: report.format,
+      file_name: `kpi-report-${from}-to-${to}.${exporter.extension}`,
+      size: Buffer.byteLength(content),
+      created_at: date.toISOString(),
+    };
+    await KpiReportService.snapshotFile(report.id, snapshot).write(content);
+
+    // Newest first, keeping the configured number
+    report.snapshots.unshift(snapshot);
+    const expired = report.snapshots.splice(kpiReportConfig.snapshotRetention);
+    report.last_run_at = snapshot.created_at;
+    await this.save();
+
+    await Promise.all(
+      expired.map((old) =>
+        KpiReportService.snapshotFile(report.id, old).remove()
+      )
+    );
+
+    logger.info(
+      `Ran KPI report ${report.id} for ${from} to ${to} (snapshot ${snapshot.id})`
+    );
+    return snapshot;
+  }
+
+  /**
+   * Get a snapshot of a saved report and its contents
+   * @param {string} reportId - Report ID
+   * @param {string} snapshotId - Snapshot ID
+   * @returns {Promise<Object|null>} - { snapshot, content }, or null if there
+   *   is no such snapshot
+   */
+  async getSnapshot(reportId, snapshotId) {
+    const report = this.get(reportId);
+    const snapshot =
+      report && report.snapshots.find(({ id }) => id === snapshotId);
+    if (!snapshot) return null;
+
+    const content = await KpiReportService.snapshotFile(
+      reportId,
+      snapshot
+    ).read();
+    return content ? { snapshot, content } : null;
+  }
+
+  /**
+   * Run the saved reports that are due
+   * A report that missed runs (e.g. while the server was down) runs once,
+   * on its last complete period.
+   * @param {Date} date - Current time
+   * @returns {Promise<void>}
+   */
+  async runDue(date = new Date()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const due = this.list().filter(
+        (report) => new Date(report.next_run_at) <= date
+      );
+
+      for (const report of due) {
+        try {
+          await this.run(report.id, date);
+        } catch (error) {
+          logger.error(`KPI report ${report.id} failed: ${error.message}`);
+        }
+
+        // Deleted while running
+        if (!this.reports[report.id]) continue;
+        report.next_run_at = KpiReportService.getNextRun(report.cadence, date);
+        await this.save();
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start running saved reports when due
+   */
+  start() {
+    if (this.timer) return;
+
+    const tick = () =>
+      this.runDue().catch((error) => {
+        logger.error(`KPI report scheduler failed: ${error.message}`);
+      });
+
+    this.timer = setInterval(tick, kpiReportConfig.schedulerInterval);
+    this.timer.unref();
+    tick();
+
+    logger.info(
+      `KPI report scheduler checking every ${kpiReportConfig.schedulerInterval}ms`
+    );
+  }
+
+  /**
+   * Stop running saved reports
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Save the report definitions
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.document.write(this.reports);
+  }
+
+  /**
+   * Get the start of the period a date is in
+   * @param {string} cadence - One of CADENCES
+   * @param {Date} date - Date
+   * @returns {Date} - Midnight (UTC) starting the day, week (Monday) or month
+   */
+  static getPeriodStart(cadence, date) {
+    const day = new Date(`${toDay(date)}T00:00:00Z`);
+
+    if (cadence === "weekly") {
+      return addDays(day, -((day.getUTCDay() + 6) % 7));
+    }
+    if (cadence === "monthly") {
+      return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    }
+    return day;
+  }
+
+  /**
+   * Get the last complete period before a date
+   * @param {string} cadence - One of CADENCES
+   * @param {Date} date - Date
+   * @returns {Object} - { from, to }, dates (YYYY-MM-DD), inclusive
+   */
+  static getPeriod(cadence, date) {
+    const end = KpiReportService.getPeriodStart(cadence, date);
+    const start = KpiReportService.getPeriodStart(cadence, addDays(end, -1));
+
+    return { from: toDay(start), to: toDay(addDays(end, -1)) };
+  }
+
+  /**
+   * Get when a report next runs: the start of the next period
+   * @param {string} cadence - One of CADENCES
+   * @param {Date} date - Date
+   * @returns {string} - ISO timestamp
+   */
+  static getNextRun(cadence, date) {
+    const start = KpiReportService.getPeriodStart(cadence, date);
+    const next =
+      cadence === "monthly"
+        ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+        : addDays(start, cadence === "weekly" ? 7 : 1);
+
+    return next.toISOString();
+  }
+
+  /**
+   * Get the file of a snapshot
+   * @param {string} reportId - Report ID
+   * @param {Object} snapshot - Snapshot
+   * @returns {DataFile} - Snapshot file
+   */
+  static snapshotFile(reportId, snapshot) {
+    const { extension } = getExporter(snapshot.format);
+    return new DataFile(`kpi-snapshots/${reportId}/${snapshot.id}.${extension}`);
+  }
+}
+
+// Create singleton instance
+const kpiReportService = new KpiReportService();
+
+module.exports = { kpiReportService, CADENCES };
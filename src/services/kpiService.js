@@ -0,0 +1,411 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { v4: uuidv4 } = require("uuid");
+const { AppendLog } = require("./fileStore");
+
+/**
+ * KPI event types
+ */
+const KPI_EVENTS = {
+  QUOTE_REQUESTED: "quote.requested",
+  QUOTE_SELECTED: "quote.selected",
+  CONTRACT_SOLD: "contract.sold",
+};
+
+/**
+ * Dimensions a KPI report can be grouped by, and the aggregate field of each
+ */
+const KPI_DIMENSIONS = {
+  date: "date",
+  dealer: "dealer_id",
+  product: "product",
+  provider: "provider",
+};
+
+/**
+ * Date bucket sizes a KPI report can be grouped by
+ */
+const KPI_INTERVALS = ["day", "week", "month"];
+
+/**
+ * Get the bucket of a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} interval - One of KPI_INTERVALS
+ * @returns {string} - The date, the Monday starting its week (YYYY-MM-DD)
+ *   or its month (YYYY-MM)
+ */
+const bucketDate = (date, interval) => {
+  if (interval === "month") return date.slice(0, 7);
+  if (interval !== "week") return date;
+
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimals
+ * @returns {number} - Rounded value
+ */
+const round = (value, decimals = 2) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * KPI service
+ * Logs quote requests, selections and sales as events, and rolls them up
+ * into daily (UTC) aggregates per dealer, product and provider for the KPI
+ * report. The event log is the record: the aggregates are rebuilt from it
+ * when the service starts.
+ *
+ * Aggregates with a provider count the quotes shown, selected and sold, and
+ * `offered`, the quote requests the provider quoted the product for. Quote
+ * requests across providers are counted in aggregates without a provider,
+ * since one request is quoted by several providers.
+ */
+class KpiService {
+  constructor() {
+    this.events = new AppendLog("kpi-events");
+    this.daily = {};
+    this.pending = new Set();
+    this.load();
+  }
+
+  /**
+   * Rebuild the daily aggregates from the event log
+   */
+  load() {
+    this.daily = {};
+
+    try {
+      this.events.readAllSync().forEach((event) => this.rollUp(event));
+    } catch (error) {
+      logger.error(`Reading KPI events failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a quote request and the quotes shown for it
+   * @param {Object} request - Quote request
+   * @param {string} request.sessionId - Quote session ID
+   * @param {string} request.dealerId - Dealer ID, if any
+   * @param {Array<string>} request.products - Product types quoted for,
+   *   including those no provider returned a quote for
+   * @param {Array<Object>} request.quotes - Quotes shown, with product_type
+   *   and provider_id
+   * @returns {Promise<Object>} - Recorded event
+   */
+  async recordQuoteRequest({ sessionId, dealerId, products, quotes }) {
+    return this.record({
+      type: KPI_EVENTS.QUOTE_REQUESTED,
+      session_id: sessionId,
+      dealer_id: dealerId || null,
+      products,
+      quotes: quotes.map((quote) => ({
+        quote_id: quote.id,
+        product: quote.product_type,
+        provider: quote.provider_id,
+      })),
+    });
+  }
+
+  /**
+   * Record the selection of a quote
+   * @param {Object} saved - Saved quote and session
+   * @returns {Promise<Object>} - Recorded event
+   */
+  async recordSelection(saved) {
+    return this.record(
+      KpiService.buildQuoteEvent(KPI_EVENTS.QUOTE_SELECTED, saved)
+    );
+  }
+
+  /**
+   * Record the sale of a quote (contract issued)
+   * @param {Object} saved - Saved quote and session
+   * @returns {Promise<Object>} - Recorded event
+   */
+  async recordSale(saved) {
+    return this.record(
+      KpiService.buildQuoteEvent(KPI_EVENTS.CONTRACT_SOLD, saved)
+    );
+  }
+
+  /**
+   * Log an event and add it to the daily aggregates
+   * Failures are logged rather than thrown, so losing an event never fails
+   * the quote or purchase it is about.
+   * @param {Object} details - Event details
+   * @returns {Promise<Object|null>} - Recorded event, or null if it couldn't
+   *   be logged
+   */
+  async record(details) {
+    const event = {
+      id: uuidv4(),
+      ...details,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.rollUp(event);
+
+    const appended = this.events.append(event).catch((error) => {
+      logger.error(`Logging KPI event ${event.type} failed: ${error.message}`);
+      return null;
+    });
+
+    this.pending.add(appended);
+    try {
+      return await appended;
+    } finally {
+      this.pending.delete(appended);
+    }
+  }
+
+  /**
+   * Wait for the events being logged, before shutting down
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * Add an event to the daily aggregates
+   * @param {Object} event - KPI event
+   */
+  rollUp(event) {
+    const date = event.timestamp.slice(0, 10);
+    const dealerId = event.dealer_id || "direct";
+
+    if (event.type === KPI_EVENTS.QUOTE_REQUESTED) {
+      // A request counts for every product it asked for, even one no
+      // provider quoted
+      const products = new Set(event.products || []);
+      const offers = new Set();
+
+      event.quotes.forEach(({ product, provider }) => {
+        this.getAggregate(date, dealerId, product, provider).shown++;
+        products.add(product);
+        offers.add(`${product}|${provider}`);
+      });
+
+      products.forEach((product) => {
+        this.getAggregate(date, dealerId, product, null).requests++;
+      });
+      offers.forEach((offer) => {
+        const [product, provider] = offer.split("|");
+        this.getAggregate(date, dealerId, product, provider).offered++;
+      });
+      return;
+    }
+
+    const aggregate = this.getAggregate(
+      date,
+      dealerId,
+      event.product,
+      event.provider
+    );
+
+    if (event.type === KPI_EVENTS.QUOTE_SELECTED) {
+      aggregate.selected++;
+    } else if (event.type === KPI_EVENTS.CONTRACT_SOLD) {
+      aggregate.sold++;
+      aggregate.revenue = round(aggregate.revenue + event.price);
+      if (typeof event.margin === "number") {
+        aggregate.margin = round(aggregate.margin + event.margin);
+        aggregate.margin_count++;
+      }
+    }
+  }
+
+  /**
+   * Build the KPI report
+   * @param {Object} options - Report options
+   * @param {string} options.from - First date (YYYY-MM-DD), inclusive
+   * @param {string} options.to - Last date (YYYY-MM-DD), inclusive
+   * @param {string} options.dealerId - Only this dealer ("direct" for
+   *   consumers quoting without a dealer)
+   * @param {string} options.product - Only this product type
+   * @param {string} options.provider - Only this provider
+   * @param {Array<string>} options.groupBy - Dimensions to group rows by,
+   *   from KPI_DIMENSIONS
+   * @param {string} options.interval - Date bucket size when grouping by
+   *   date, from KPI_INTERVALS
+   * @returns {Object} - { from, to, filters, group_by, interval, rows,
+   *   totals }
+   */
+  report({
+    from,
+    to,
+    dealerId,
+    product,
+    provider,
+    groupBy = ["date"],
+    interval = "day",
+  }) {
+    // Split by provider, quote requests are those the provider quoted. The
+    // totals are only split by the provider filter, so they don't depend on
+    // the grouping.
+    const totalsByProvider = Boolean(provider);
+    const rowsByProvider = totalsByProvider || groupBy.includes("provider");
+    const groups = new Map();
+    const totals = KpiService.createCounts();
+
+    Object.values(this.daily).forEach((aggregate) => {
+      if (aggregate.date < from || aggregate.date > to) return;
+      if (dealerId && aggregate.dealer_id !== dealerId) return;
+      if (product && aggregate.product !== product) return;
+      if (provider && aggregate.provider !== provider) return;
+
+      KpiService.addCounts(totals, aggregate, totalsByProvider);
+      if (aggregate.provider === null && rowsByProvider) return;
+
+      const group = {};
+      groupBy.forEach((dimension) => {
+        const field = KPI_DIMENSIONS[dimension];
+        group[field] =
+          field === "date"
+            ? bucketDate(aggregate.date, interval)
+            : aggregate[field];
+      });
+
+      const key = Object.values(group).join("|");
+      if (!groups.has(key)) {
+        groups.set(key, { group, counts: KpiService.createCounts() });
+      }
+
+      KpiService.addCounts(groups.get(key).counts, aggregate, rowsByProvider);
+    });
+
+    const rows = [...groups.keys()].sort().map((key) => {
+      const { group, counts } = groups.get(key);
+      return { ...group, ...KpiService.buildMetrics(counts) };
+    });
+
+    return {
+      from,
+      to,
+      filters: {
+        dealer_id: dealerId || null,
+        product: product || null,
+        provider: provider || null,
+      },
+      group_by: groupBy,
+      interval,
+      rows,
+      totals: KpiService.buildMetrics(totals),
+    };
+  }
+
+  /**
+   * Get (or create) the aggregate of a day, dealer, product and provider
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} dealerId - Dealer ID
+   * @param {string} product - Product type
+   * @param {string|null} provider - Provider ID, null for quote requests
+   * @returns {Object} - Aggregate
+   */
+  getAggregate(date, dealerId, product, provider) {
+    const key = [date, dealerId, product, provider || ""].join("|");
+
+    if (!this.daily[key]) {
+      this.daily[key] = {
+        date,
+        dealer_id: dealerId,
+        product,
+        provider,
+        requests: 0,
+        offered: 0,
+        shown: 0,
+        selected: 0,
+        sold: 0,
+        revenue: 0,
+        margin: 0,
+        margin_count: 0,
+      };
+    }
+    return this.daily[key];
+  }
+
+  /**
+   * Build a selection or sale event
+   * @param {string} type - Event type
+   * @param {Object} saved - Saved quote and session
+   * @returns {Object} - Event details
+   */
+  static buildQuoteEvent(type, { quote, session }) {
+    return {
+      type,
+      session_id: session.id,
+      quote_id: quote.id,
+      dealer_id: session.inputs.dealer_id || null,
+      product: quote.product_type,
+      provider: quote.provider_id,
+      price: quote.price,
+      margin: quote.dealer_pricing ? quote.dealer_pricing.margin : null,
+    };
+  }
+
+  /**
+   * Create empty report counts
+   * @returns {Object} - Counts
+   */
+  static createCounts() {
+    return {
+      quotes: 0,
+      shown: 0,
+      selected: 0,
+      sold: 0,
+      revenue: 0,
+      margin: 0,
+      margin_count: 0,
+    };
+  }
+
+  /**
+   * Add an aggregate to report counts
+   * @param {Object} counts - Report counts
+   * @param {Object} aggregate - Daily aggregate
+   * @param {boolean} byProvider - Whether the report is split by provider
+   */
+  static addCounts(counts, aggregate, byProvider) {
+    counts.quotes += byProvider ? aggregate.offered : aggregate.requests;
+    counts.shown += aggregate.shown;
+    counts.selected += aggregate.selected;
+    counts.sold += aggregate.sold;
+    counts.revenue += aggregate.revenue;
+    counts.margin += aggregate.margin;
+    counts.margin_count += aggregate.margin_count;
+  }
+
+  /**
+   * Build report metrics from counts
+   * @param {Object} counts - Report counts
+   * @returns {Object} - Metrics
+   */
+  static buildMetrics(counts) {
+    return {
+      quotes: counts.quotes,
+      quotes_shown: counts.shown,
+      selections: counts.selected,
+      conversions: counts.sold,
+      conversion_rate:
+        counts.quotes > 0 ? round(counts.sold / counts.quotes, 4) : null,
+      revenue: round(counts.revenue),
+      average_margin:
+        counts.margin_count > 0 ? round(counts.margin / counts.margin_count) : null,
+    };
+  }
+}
+
+// Create singleton instance
+const kpiService = new KpiService();
+
+module.exports = {
+  kpiService,
+  KPI_EVENTS,
+  KPI_DIMENSIONS,
+  KPI_INTERVALS,
+  bucketDate,
+};
@@ -0,0 +1,292 @@
+require("dotenv").config();
+const Joi = require("joi");
+const { pricingConfig } = require("../config");
+const { ConfigFile } = require("./configFile");
+const { JsonDocument } = require("./fileStore");
+const { PRODUCTS } = require("./providerRegistry");
+const { ApiError } = require("../middleware/errorHandler");
+
+const ROUNDING = ["none", "dollar", "end_in_9", "end_in_99_cents"];
+
+const oneOrMany = (schema) =>
+  Joi.alternatives(schema, Joi.array().items(schema));
+
+/**
+ * Schema for the pricing rules file
+ */
+const ruleSchema = Joi.object({
+  id: Joi.string().required(),
+  description: Joi.string().allow("").default(""),
+  priority: Joi.number().integer().default(0),
+  // Criteria the quote must meet; a missing criterion matches anything
+  match: Joi.object({
+    dealer_id: oneOrMany(Joi.string()),
+    provider: oneOrMany(Joi.string()),
+    product: oneOrMany(Joi.string().valid(...PRODUCTS)),
+    state: oneOrMany(Joi.string().pattern(/^[A-Z]{2}$/)),
+    vehicle: Joi.object({
+      make: oneOrMany(Joi.string()),
+      model: oneOrMany(Joi.string()),
+      min_year: Joi.number().integer(),
+      max_year: Joi.number().integer(),
+      min_mileage: Joi.number().integer().min(0),
+      max_mileage: Joi.number().integer().min(0),
+    }),
+  }).default({}),
+  // Percentage added to the provider price; the provider markup if missing
+  markup_percent: Joi.number(),
+  flat_addon: Joi.number().default(0),
+  min_price: Joi.number().min(0),
+  max_price: Joi.number().min(0),
+  rounding: Joi.string().valid(...ROUNDING).default("none"),
+});
+
+const rulesSchema = Joi.object({
+  rules: Joi.array().items(ruleSchema).unique("id").required(),
+});
+
+/**
+ * Pricing service
+ * Prices provider quotes using the most specific matching pricing rule.
+ * A quote no rule matches is priced with its provider's markup.
+ *
+ * Rules come from the rules file, which is only read, and from the data
+ * directory, where rules managed through the admin API are saved.
+ */
+class PricingService {
+  constructor() {
+    this.config = new ConfigFile({
+      name: "pricing rules",
+      file: pricingConfig.rulesFile,
+      schema: rulesSchema,
+    });
+    this.document = new JsonDocument("pricing-rules");
+    this.managed = this.validate(this.document.readSync({ rules: [] })).rules;
+  }
+
+  /**
+   * Watch the rules file and reload on change
+   */
+  watch() {
+    this.config.watch();
+  }
+
+  /**
+   * Get all pricing rules, those from the rules file first
+   * @returns {Array<Object>} - Pricing rules
+   */
+  getRules() {
+    return [...this.config.get().rules, ...this.managed];
+  }
+
+  /**
+   * Get a pricing rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Object|null} - Pricing rule
+   */
+  getRule(ruleId) {
+    return this.getRules().find(({ id }) => id === ruleId) || null;
+  }
+
+  /**
+   * Check whether a pricing rule is managed through the admin API
+   * @param {string} ruleId - Rule ID
+   * @returns {boolean} - True if the rule is saved in the data directory,
+   *   false if it comes from the rules file or doesn't exist
+   */
+  isManaged(ruleId) {
+    return this.managed.some(({ id }) => id === ruleId);
+  }
+
+  /**
+   * Change the rules managed through the admin API and save them
+   * @param {Function} change - Called with a copy of the managed rules,
+   *   returns the new managed rules
+   * @returns {Promise<Array<Object>>} - New pricing rules
+   * @throws {ApiError} - If the rules are invalid, or reuse the ID of a rule
+   *   from the rules file
+   */
+  async update(change) {
+    const rules = change(JSON.parse(JSON.stringify(this.managed)));
+
+    const { rules: managed } = this.validate({ rules });
+    const fileRule = managed.find(({ id }) =>
+      this.config.get().rules.some((rule) => rule.id === id)
+    );
+    if (fileRule) {
+      throw ApiError.conflict(
+        `Pricing rule ${fileRule.id} is defined in the rules file`
+      );
+    }
+
+    this.managed = managed;
+    await this.document.write({ rules: managed });
+
+    return this.getRules();
+  }
+
+  /**
+   * Validate pricing rules
+   * @param {Object} contents - { rules }
+   * @returns {Object} - Validated { rules }
+   * @throws {ApiError} - If the rules are invalid
+   */
+  validate(contents) {
+    const { error, value } = rulesSchema.validate(contents, {
+      abortEarly: false,
+    });
+
+    if (error) {
+      throw ApiError.badRequest("Invalid pricing rules", {
+        errors: error.details.map((detail) => detail.message),
+      });
+    }
+
+    return value;
+  }
+
+  /**
+   * Price a provider quote
+   * @param {Object} quote - Normalized provider quote
+   * @param {Object} provider - Provider configuration
+   * @param {Object} context - Pricing context
+   * @param {string} context.dealerId - Dealer ID, if any
+   * @param {string} context.state - Customer state
+   * @param {Object} context.vehicle - Vehicle (year, make, model, mileage)
+   * @returns {Object} - { price, rule } where rule is the ID of the rule used
+   */
+  price(quote, provider, context) {
+    const rule = this.findRule(quote, context);
+    const basePrice = quote.retail_price;
+
+    // Without a rule, fall back to the provider's flat markup
+    if (!rule) {
+      const price = basePrice * (provider.markup || 1);
+      return {
+        price: PricingService.round(price, "none"),
+        rule: `provider-markup:${quote.provider.id}`,
+      };
+    }
+
+    const multiplier =
+      rule.markup_percent === undefined
+        ? provider.markup || 1
+        : 1 + rule.markup_percent / 100;
+
+    let price = basePrice * multiplier + rule.flat_addon;
+    price = PricingService.round(price, rule.rounding);
+
+    if (rule.min_price !== undefined) price = Math.max(price, rule.min_price);
+    if (rule.max_price !== undefined) price = Math.min(price, rule.max_price);
+
+    return { price, rule: rule.id };
+  }
+
+  /**
+   * Find the rule that prices a quote
+   * The rule with the most criteria wins; ties go to the higher priority,
+   * then to the rule listed first.
+   * @param {Object} quote - Normalized provider quote
+   * @param {Object} context - Pricing context
+   * @returns {Object|null} - Matching rule
+   */
+  findRule(quote, context) {
+    let best = null;
+    let bestScore = -1;
+
+    this.getRules().forEach((rule) => {
+      if (!PricingService.matches(rule.match, quote, context)) return;
+
+      const score = PricingService.specificity(rule.match);
+
+      if (
+        score > bestScore ||
+        (score === bestScore && rule.priority > best.priority)
+      ) {
+        best = rule;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Check whether a quote meets a rule's criteria
+   * @param {Object} match - Rule criteria
+   * @param {Object} quote - Normalized provider quote
+   * @param {Object} context - Pricing context
+   * @returns {boolean} - True if every criterion is met
+   */
+  static matches(match, quote, context) {
+    const vehicle = context.vehicle || {};
+    const criteria = match.vehicle || {};
+    const year = parseInt(vehicle.year);
+    const mileage = parseInt(vehicle.mileage);
+
+    return (
+      PricingService.includes(match.dealer_id, context.dealerId) &&
+      PricingService.includes(match.provider, quote.provider.id) &&
+      PricingService.includes(match.product, quote.product_type) &&
+      PricingService.includes(match.state, context.state) &&
+      PricingService.includes(criteria.make, vehicle.make) &&
+      PricingService.includes(criteria.model, vehicle.model) &&
+      (criteria.min_year === undefined || year >= criteria.min_year) &&
+      (criteria.max_year === undefined || year <= criteria.max_year) &&
+      (criteria.min_mileage === undefined || mileage >= criteria.min_mileage) &&
+      (criteria.max_mileage === undefined || mileage <= criteria.max_mileage)
+    );
+  }
+
+  /**
+   * Check a value against a criterion that is a value or a list of values
+   * @param {string|Array<string>|undefined} expected - Criterion
+   * @param {string} actual - Value to check
+   * @returns {boolean} - True if there is no criterion or the value meets it
+   */
+  static includes(expected, actual) {
+    if (expected === undefined) return true;
+    const values = Array.isArray(expected) ? expected : [expected];
+    return values.some(
+      (value) => String(value).toLowerCase() === String(actual).toLowerCase()
+    );
+  }
+
+  /**
+   * Count the criteria of a rule
+   * @param {Object} match - Rule criteria
+   * @returns {number} - Number of criteria
+   */
+  static specificity(match) {
+    const { vehicle = {}, ...criteria } = match;
+    return Object.keys(criteria).length + Object.keys(vehicle).length;
+  }
+
+  /**
+   * Round a price
+   * @param {number} price - Price
+   * @param {string} rounding - Rounding rule
+   * @returns {number} - Rounded price
+   */
+  static round(price, rounding) {
+    switch (rounding) {
+      case "dollar":
+        return Math.round(price);
+      case "end_in_9":
+        // Up to the next whole dollar amount ending in 9, e.g. 1323.60 -> 1329
+        return Math.ceil((price + 1) / 10) * 10 - 1;
+      case "end_in_99_cents": {
+        // Up to the next amount ending in .99, e.g. 1323.60 -> 1323.99
+        const cents = Math.round(price * 100);
+        return (Math.ceil((cents + 1) / 100) * 100 - 1) / 100;
+      }
+      default:
+        return Math.round(price * 100) / 100;
+    }
+  }
+}
+
+// Create singleton instance
+const pricingService = new PricingService();
+
+module.exports = { pricingService, ruleSchema };
@@ -0,0 +1,79 @@
+/**
+ * Helpers for presenting proposal values
+ */
+
+const TIER_LABELS = {
+  good: "Good",
+  better: "Better",
+  best: "Best",
+};
+
+/**
+ * Format a price in dollars
+ * @param {number} value - Price
+ * @returns {string} - Price, e.g. "$1,234.50"
+ */
+const formatPrice = (value) =>
+  `$${Number(value).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * Format a plan's term
+ * @param {Object} item - Menu entry
+ * @returns {string} - Term, e.g. "36 months / 36,000 miles"
+ */
+const formatTerm = (item) => {
+  const months = `${item.term} months`;
+  return item.mileage
+    ? `${months} / ${item.mileage.toLocaleString("en-US")} miles`
+    : months;
+};
+
+/**
+ * Format a date
+ * @param {string} value - ISO date
+ * @returns {string} - Date, e.g. "November 18, 2026"
+ */
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+/**
+ * Describe the proposal's vehicle
+ * @param {Object} proposal - Proposal
+ * @returns {string} - Vehicle, e.g. "2018 Ford F-150 XLT"
+ */
+const describeVehicle = ({ vehicle }) =>
+  [vehicle.year, vehicle.make, vehicle.model, vehicle.trim]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Describe the proposal's price lock
+ * @param {Object} proposal - Proposal
+ * @returns {string} - Price lock notice
+ */
+const describePriceLock = ({ price_lock }) => {
+  if (price_lock.status === "indicative") {
+    return "Prices are indicative until confirmed with your vehicle's VIN.";
+  }
+  if (price_lock.status === "expired") {
+    return `These prices expired on ${formatDate(price_lock.locked_until)}.`;
+  }
+  return `Prices are guaranteed until ${formatDate(price_lock.locked_until)}.`;
+};
+
+module.exports = {
+  TIER_LABELS,
+  formatPrice,
+  formatTerm,
+  formatDate,
+  describeVehicle,
+  describePriceLock,
+};
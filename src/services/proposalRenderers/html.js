@@ -0,0 +1,146 @@
+const {
+  TIER_LABELS,
+  formatPrice,
+  formatTerm,
+  formatDate,
+  describeVehicle,
+  describePriceLock,
+} = require("./format");
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+const escape = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Render a menu cell
+ * @param {Object} item - Menu entry
+ * @returns {string} - Cell HTML
+ */
+const renderItem = (item) => `
+        <td>
+          <div class="plan">${escape(item.name)}</div>
+          <div class="provider">${escape(item.provider)}</div>
+          <div class="price">${formatPrice(item.price)}</div>
+          <div class="terms">${escape(formatTerm(item))} &middot; ${formatPrice(item.deductible)} deductible</div>
+          <ul class="highlights">${item.highlights
+            .map((highlight) => `<li>${escape(highlight)}</li>`)
+            .join("")}</ul>
+          ${
+            item.exclusions.length > 0
+              ? `<div class="exclusions">Not covered: ${escape(
+                  item.exclusions.join(", ")
+                )}</div>`
+              : ""
+          }
+          ${
+            item.sample_contract_url
+              ? `<a class="contract" href="${escape(
+                  item.sample_contract_url
+                )}">Sample contract</a>`
+              : ""
+          }
+        </td>`;
+
+/**
+ * Render a proposal as a standalone HTML page
+ * @param {Object} proposal - Proposal
+ * @returns {string} - HTML
+ */
+const render = (proposal) => {
+  const { branding, tiers, products, totals } = proposal;
+  const color = escape(branding.primary_color);
+  const contact = [branding.address, branding.phone, branding.website]
+    .filter(Boolean)
+    .map(escape)
+    .join(" &middot; ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(branding.name)} Protection Menu</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 32px; }
+    header { border-bottom: 4px solid ${color}; padding-bottom: 12px; margin-bottom: 16px; }
+    header img { max-height: 60px; }
+    h1 { color: ${color}; margin: 0; }
+    .contact, .meta { color: #555; font-size: 13px; }
+    table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+    th, td { border: 1px solid #ccc; padding: 10px; vertical-align: top; }
+    thead th { background: ${color}; color: #fff; font-size: 18px; }
+    tbody th { text-align: left; width: 18%; background: #f5f5f5; }
+    .product-description { font-weight: normal; font-size: 12px; color: #555; }
+    .plan { font-weight: bold; }
+    .provider, .terms, .exclusions { font-size: 12px; color: #555; }
+    .price { font-size: 20px; color: ${color}; margin: 6px 0; }
+    .highlights { padding-left: 18px; font-size: 13px; }
+    .exclusions { margin-top: 6px; }
+    .contract { font-size: 12px; }
+    tfoot th { font-size: 18px; }
+    .disclosures { font-size: 11px; color: #555; margin-top: 16px; }
+    @media print { body { margin: 0; } a { color: inherit; } }
+  </style>
+</head>
+<body>
+  <header>
+    ${branding.logo_url ? `<img src="${escape(branding.logo_url)}" alt="${escape(branding.name)}">` : ""}
+    <h1>${escape(branding.name)}</h1>
+    ${contact ? `<div class="contact">${contact}</div>` : ""}
+  </header>
+  <div class="meta">
+    <strong>${escape(describeVehicle(proposal))}</strong>
+    ${proposal.vehicle.vin ? ` &middot; VIN ${escape(proposal.vehicle.vin)}` : ""}
+    &middot; ${escape(proposal.mileage.toLocaleString("en-US"))} miles
+    &middot; Prepared ${escape(formatDate(proposal.created_at))}
+  </div>
+  <p class="meta">${escape(describePriceLock(proposal))}</p>
+  <table>
+    <thead>
+      <tr>
+        <th></th>
+        ${tiers.map((tier) => `<th>${TIER_LABELS[tier]}</th>`).join("")}
+      </tr>
+    </thead>
+    <tbody>
+      ${products
+        .map(
+          (product) => `<tr>
+        <th>${escape(product.name)}<div class="product-description">${escape(
+            product.description
+          )}</div></th>
+        ${tiers.map((tier) => renderItem(product.tiers[tier])).join("")}
+      </tr>`
+        )
+        .join("\n      ")}
+    </tbody>
+    <tfoot>
+      <tr>
+        <th>Total</th>
+        ${tiers.map((tier) => `<th>${formatPrice(totals[tier])}</th>`).join("")}
+      </tr>
+    </tfoot>
+  </table>
+  <div class="disclosures">
+    ${proposal.disclosures.map((text) => `<p>${escape(text)}</p>`).join("\n    ")}
+    <p>${escape(proposal.coverage_disclaimer)}</p>
+    ${branding.footer ? `<p>${escape(branding.footer)}</p>` : ""}
+  </div>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  contentType: "text/html; charset=utf-8",
+  extension: "html",
+  render,
+};
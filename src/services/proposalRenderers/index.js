@@ -0,0 +1,28 @@
+const html = require("./html");
+const pdf = require("./pdf");
+
+/**
+ * Proposal renderers by format
+ * A renderer turns a proposal built by ProposalService into a document.
+ *
+ * Renderer interface:
+ *   contentType
+ *   extension
+ *   render(proposal) => string | Buffer | Promise<string | Buffer>
+ */
+const renderers = {
+  html,
+  pdf,
+};
+
+/**
+ * Get the renderer for a format
+ * @param {string} format - Format name
+ * @returns {Object|undefined} - Renderer
+ */
+const getRenderer = (format) => renderers[format];
+
+module.exports = {
+  getRenderer,
+  formats: Object.keys(renderers),
+};
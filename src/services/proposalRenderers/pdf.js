@@ -0,0 +1,255 @@
+const PDFDocument = require("pdfkit");
+const {
+  TIER_LABELS,
+  formatPrice,
+  formatTerm,
+  formatDate,
+  describeVehicle,
+  describePriceLock,
+} = require("./format");
+
+// Landscape US letter, in points
+const PAGE = { size: "LETTER", layout: "landscape", margin: 36 };
+const LABEL_WIDTH = 140;
+const PADDING = 6;
+const MUTED = "#555555";
+const BORDER = "#cccccc";
+
+/**
+ * Lines of text in a menu cell
+ * @param {Object} item - Menu entry
+ * @param {string} color - Brand color
+ * @returns {Array<Object>} - { text, font, size, color, link }
+ */
+const itemLines = (item, color) => {
+  const lines = [
+    { text: item.name, font: "Helvetica-Bold", size: 10 },
+    { text: item.provider, size: 8, color: MUTED },
+    { text: formatPrice(item.price), font: "Helvetica-Bold", size: 14, color },
+    {
+      text: `${formatTerm(item)} · ${formatPrice(item.deductible)} deductible`,
+      size: 8,
+      color: MUTED,
+    },
+    ...item.highlights.map((highlight) => ({ text: `• ${highlight}`, size: 8 })),
+  ];
+
+  if (item.exclusions.length > 0) {
+    lines.push({
+      text: `Not covered: ${item.exclusions.join(", ")}`,
+      size: 7,
+      color: MUTED,
+    });
+  }
+
+  if (item.sample_contract_url) {
+    lines.push({
+      text: "Sample contract",
+      size: 8,
+      color,
+      link: item.sample_contract_url,
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Set the font of a line
+ * @param {PDFDocument} doc - Document
+ * @param {Object} line - Line of text
+ */
+const useFont = (doc, line) =>
+  doc.font(line.font || "Helvetica").fontSize(line.size || 9);
+
+/**
+ * Measure lines of text
+ * @param {PDFDocument} doc - Document
+ * @param {Array<Object>} lines - Lines of text
+ * @param {number} width - Available width
+ * @returns {number} - Height
+ */
+const measureLines = (doc, lines, width) =>
+  lines.reduce(
+    (height, line) =>
+      height + useFont(doc, line).heightOfString(line.text, { width }) + 2,
+    0
+  );
+
+/**
+ * Write lines of text
+ * @param {PDFDocument} doc - Document
+ * @param {Array<Object>} lines - Lines of text
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Available width
+ */
+const writeLines = (doc, lines, x, y, width) => {
+  let top = y;
+  lines.forEach((line) => {
+    useFont(doc, line)
+      .fillColor(line.color || "#222222")
+      .text(line.text, x, top, {
+        width,
+        link: line.link,
+        underline: Boolean(line.link),
+      });
+    top = doc.y + 2;
+  });
+};
+
+/**
+ * Render a proposal as a PDF
+ * @param {Object} proposal - Proposal
+ * @returns {Promise<Buffer>} - PDF
+ */
+const render = (proposal) =>
+  new Promise((resolve, reject) => {
+    const { branding, tiers, products, totals } = proposal;
+    const color = branding.primary_color;
+    const doc = new PDFDocument({
+      ...PAGE,
+      info: { Title: `${branding.name} Protection Menu` },
+    });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = PAGE.margin;
+    const right = doc.page.width - PAGE.margin;
+    const bottom = doc.page.height - PAGE.margin;
+    const columnWidth = (right - left - LABEL_WIDTH) / tiers.length;
+    const columnX = (index) => left + LABEL_WIDTH + index * columnWidth;
+
+    // Dealer header
+    doc.font("Helvetica-Bold").fontSize(20).fillColor(color);
+    doc.text(branding.name, left, PAGE.margin);
+    const contact = [branding.address, branding.phone, branding.website]
+      .filter(Boolean)
+      .join(" · ");
+    if (contact) {
+      doc.font("Helvetica").fontSize(9).fillColor(MUTED).text(contact);
+    }
+    doc
+      .moveTo(left, doc.y + 4)
+      .lineTo(right, doc.y + 4)
+      .lineWidth(3)
+      .stroke(color)
+      .lineWidth(1);
+    doc.y += 12;
+
+    // Vehicle and price lock
+    const vehicle = [
+      describeVehicle(proposal),
+      proposal.vehicle.vin && `VIN ${proposal.vehicle.vin}`,
+      `${proposal.mileage.toLocaleString("en-US")} miles`,
+      `Prepared ${formatDate(proposal.created_at)}`,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    doc.font("Helvetica-Bold").fontSize(10).fillColor("#222222");
+    doc.text(vehicle, left, doc.y);
+    doc.font("Helvetica").fontSize(9).fillColor(MUTED);
+    doc.text(describePriceLock(proposal));
+    doc.y += 8;
+
+    const drawTierHeader = () => {
+      const top = doc.y;
+      doc.rect(left, top, right - left, 22).fill(color);
+      doc.font("Helvetica-Bold").fontSize(12).fillColor("#ffffff");
+      tiers.forEach((tier, index) => {
+        doc.text(TIER_LABELS[tier], columnX(index), top + 6, {
+          width: columnWidth,
+          align: "center",
+        });
+      });
+      doc.y = top + 22;
+    };
+
+    drawTierHeader();
+
+    // One row per product
+    products.forEach((product) => {
+      const label = [
+        { text: product.name, font: "Helvetica-Bold", size: 10 },
+        { text: product.description, size: 7, color: MUTED },
+      ];
+      const cells = tiers.map((tier) => itemLines(product.tiers[tier], color));
+      const innerWidth = columnWidth - 2 * PADDING;
+      const height =
+        Math.max(
+          measureLines(doc, label, LABEL_WIDTH - 2 * PADDING),
+          ...cells.map((lines) => measureLines(doc, lines, innerWidth))
+        ) +
+        2 * PADDING;
+
+      if (doc.y + height > bottom) {
+        doc.addPage();
+        doc.y = PAGE.margin;
+        drawTierHeader();
+      }
+
+      const top = doc.y;
+      doc.rect(left, top, LABEL_WIDTH, height).fill("#f5f5f5");
+      doc.rect(left, top, right - left, height).stroke(BORDER);
+      writeLines(
+        doc,
+        label,
+        left + PADDING,
+        top + PADDING,
+        LABEL_WIDTH - 2 * PADDING
+      );
+      cells.forEach((lines, index) => {
+        doc
+          .moveTo(columnX(index), top)
+          .lineTo(columnX(index), top + height)
+          .stroke(BORDER);
+        writeLines(
+          doc,
+          lines,
+          columnX(index) + PADDING,
+          top + PADDING,
+          innerWidth
+        );
+      });
+      doc.y = top + height;
+    });
+
+    // Totals
+    if (doc.y + 24 > bottom) {
+      doc.addPage();
+      doc.y = PAGE.margin;
+    }
+    const totalsTop = doc.y;
+    doc.rect(left, totalsTop, right - left, 24).stroke(BORDER);
+    doc.font("Helvetica-Bold").fontSize(12).fillColor("#222222");
+    doc.text("Total", left + PADDING, totalsTop + 7, { width: LABEL_WIDTH });
+    tiers.forEach((tier, index) => {
+      doc
+        .fillColor(color)
+        .text(formatPrice(totals[tier]), columnX(index), totalsTop + 7, {
+          width: columnWidth,
+          align: "center",
+        });
+    });
+    doc.y = totalsTop + 34;
+
+    // Disclosures
+    doc.font("Helvetica").fontSize(7).fillColor(MUTED);
+    [...proposal.disclosures, proposal.coverage_disclaimer, branding.footer]
+      .filter(Boolean)
+      .forEach((text) => {
+        doc.text(text, left, doc.y, { width: right - left });
+        doc.y += 3;
+      });
+
+    doc.end();
+  });
+
+module.exports = {
+  contentType: "application/pdf",
+  extension: "pdf",
+  render,
+};
@@ -0,0 +1,193 @@
+require("dotenv").config();
+const logger = require("../logger");
+const Joi = require("joi");
+const { brandingConfig } = require("../config");
+const { productTypes } = require("../config/products");
+const { ConfigFile } = require("./configFile");
+const CoverageService = require("./coverageService");
+const { quoteSessionService } = require("./quoteSessionService");
+const { dealerService } = require("./dealerService");
+
+/**
+ * Menu columns, from the least to the most coverage
+ */
+const TIERS = ["good", "better", "best"];
+
+const brandingSchema = Joi.object({
+  name: Joi.string(),
+  logo_url: Joi.string().uri().allow(null),
+  primary_color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/),
+  phone: Joi.string().allow(null),
+  website: Joi.string().uri().allow(null),
+  address: Joi.string().allow(null),
+  footer: Joi.string().allow(null, ""),
+});
+
+const brandingFileSchema = Joi.object({
+  default: brandingSchema
+    .fork(["name", "primary_color"], (field) => field.required())
+    .required(),
+  dealers: Joi.object().pattern(Joi.string(), brandingSchema).default({}),
+});
+
+/**
+ * Proposal service
+ * Builds the F&I menu for a saved quote session: each product's plans laid
+ * out in good, better and best columns, with the dealer's branding.
+ */
+class ProposalService {
+  constructor() {
+    this.branding = new ConfigFile({
+      name: "dealer branding",
+      file: brandingConfig.file,
+      schema: brandingFileSchema,
+    });
+  }
+
+  /**
+   * Watch the branding file and reload on change
+   */
+  watch() {
+    this.branding.watch();
+  }
+
+  /**
+   * Get the branding for a dealer
+   * @param {string} dealerId - Dealer ID, if any
+   * @returns {Object} - Branding: the dealer account's settings over the
+   *   dealer's settings in the branding file, over the default
+   */
+  getBranding(dealerId) {
+    const config = this.branding.get();
+    const dealer = dealerId ? dealerService.get(dealerId) : null;
+
+    return {
+      ...config.default,
+      ...((dealerId && config.dealers[dealerId]) || {}),
+      ...((dealer && dealer.branding) || {}),
+    };
+  }
+
+  /**
+   * Build the proposal for a quote session
+   * @param {string} sessionId - Quote session ID
+   * @returns {Promise<Object|null>} - Proposal, or null if there is no such
+   *   session
+   */
+  async build(sessionId) {
+    const saved = await quoteSessionService.getSession(sessionId);
+    if (!saved) return null;
+
+    const { session, quotes } = saved;
+    const products = productTypes
+      .map((productType) => ({
+        product_type: productType.id,
+        name: productType.name,
+        description: productType.description,
+        tiers: ProposalService.assignTiers(
+          quotes
+            .filter((quote) => quote.product_type === productType.id)
+            .map((quote) => ProposalService.buildItem(quote))
+        ),
+      }))
+      .filter((product) => product.tiers.good);
+
+    const totals = {};
+    TIERS.forEach((tier) => {
+      totals[tier] =
+        Math.round(
+          products.reduce((sum, product) => sum + product.tiers[tier].price, 0) *
+            100
+        ) / 100;
+    });
+
+    // Each disclosure once, however many plans require it
+    const disclosures = new Map();
+    quotes.forEach((quote) =>
+      (quote.disclosures || []).forEach((disclosure) =>
+        disclosures.set(disclosure.id, disclosure.text)
+      )
+    );
+
+    logger.debug(`Built proposal for quote session ${sessionId}`);
+
+    return {
+      session_id: session.id,
+      dealer_id: session.inputs.dealer_id || null,
+      created_at: session.created_at,
+      price_lock: quoteSessionService.getPriceLock(session),
+      indicative: session.indicative,
+      branding: this.getBranding(session.inputs.dealer_id),
+      vehicle: session.vehicle,
+      mileage: session.inputs.mileage,
+      customer: session.customer,
+      tiers: TIERS,
+      products,
+      totals,
+      disclosures: [...disclosures.values()],
+      coverage_disclaimer:
+        "Coverage is subject to terms and conditions of the service contract.",
+    };
+  }
+
+  /**
+   * Build the menu entry for a quote
+   * @param {Object} quote - Saved quote
+   * @returns {Object} - Menu entry
+   */
+  static buildItem(quote) {
+    return {
+      quote_id: quote.id,
+      provider: quote.provider,
+      name: quote.name,
+      price: quote.price,
+      term: quote.term,
+      mileage: quote.mileage,
+      deductible: quote.deductible,
+      highlights: CoverageService.getHighlights(
+        quote.product_type,
+        quote.coverage
+      ),
+      exclusions: quote.exclusions || [],
+      sample_contract_url: quote.sample_contract_url || null,
+    };
+  }
+
+  /**
+   * Lay out a product's plans in the good, better and best columns
+   * Plans are grouped into coverage levels by how many components they
+   * cover, and the cheapest plan of each level stands for it: the lowest
+   * level is good, the highest best, and the middle one better. With fewer
+   * than three levels, a plan fills more than one column.
+   * @param {Array<Object>} items - Menu entries of one product
+   * @returns {Object} - Menu entries keyed by tier, empty without plans
+   */
+  static assignTiers(items) {
+    if (items.length === 0) return {};
+
+    const levels = new Map();
+    [...items]
+      .sort((a, b) => a.price - b.price || b.term - a.term)
+      .forEach((item) => {
+        if (!levels.has(item.highlights.length)) {
+          levels.set(item.highlights.length, item);
+        }
+      });
+
+    const ranked = [...levels.keys()]
+      .sort((a, b) => a - b)
+      .map((level) => levels.get(level));
+    const last = ranked.length - 1;
+
+    return {
+      good: ranked[0],
+      better: ranked[Math.floor(last / 2)],
+      best: ranked[last],
+    };
+  }
+}
+
+// Create singleton instance
+const proposalService = new ProposalService();
+
+module.exports = { proposalService, brandingSchema, TIERS };
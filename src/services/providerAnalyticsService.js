@@ -0,0 +1,394 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { JsonDocument } = require("./fileStore");
+const { bucketDate } = require("./kpiService");
+
+// Wait this long after a change before saving, to batch writes
+const SAVE_DELAY_MS = 5000;
+
+/**
+ * Upper bounds (milliseconds) of the latency histogram buckets; the last
+ * bucket holds anything slower
+ */
+const LATENCY_BUCKETS = [
+  25, 50, 75, 100, 150, 200, 300, 400, 500, 750, 1000, 1500, 2000, 3000, 4000,
+  5000, 7500, 10000, 15000, 30000,
+];
+
+/**
+ * Latency percentiles reported
+ */
+const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimals
+ * @returns {number} - Rounded value
+ */
+const round = (value, decimals = 2) =>
+  Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Divide, or null when there is nothing to divide by
+ * @param {number} count - Count
+ * @param {number} total - Total
+ * @returns {number|null} - Rate, to 4 decimals
+ */
+const rate = (count, total) => (total > 0 ? round(count / total, 4) : null);
+
+/**
+ * Provider analytics service
+ * Rolls up how each provider's quote calls turn out (status, latency, quotes
+ * returned) and how its quotes fare against the other providers' (cheapest,
+ * tagged, selected) into daily (UTC) aggregates per provider.
+ *
+ * Latencies are kept as histograms with the fastest and slowest latency, so
+ * percentiles are estimated: interpolated within the bucket they fall in,
+ * and kept within the latencies seen.
+ */
+class ProviderAnalyticsService {
+  constructor() {
+    this.document = new JsonDocument("provider-daily");
+    this.daily = this.document.readSync({});
+    this.saveTimer = null;
+  }
+
+  /**
+   * Record the outcome of a provider quote call
+   * @param {string} providerId - Provider ID
+   * @param {Object} status - Provider status ({ status, latency_ms,
+   *   quote_count })
+   */
+  recordCall(providerId, { status, latency_ms, quote_count }) {
+    const aggregate = this.getAggregate(providerId);
+
+    aggregate.calls++;
+    aggregate.statuses[status] = (aggregate.statuses[status] || 0) + 1;
+    aggregate.quotes += quote_count;
+
+    if (typeof latency_ms === "number") {
+      aggregate.latency_total += latency_ms;
+      aggregate.latency_count++;
+      aggregate.latency_min = ProviderAnalyticsService.combine(
+        Math.min,
+        aggregate.latency_min,
+        latency_ms
+      );
+      aggregate.latency_max = ProviderAnalyticsService.combine(
+        Math.max,
+        aggregate.latency_max,
+        latency_ms
+      );
+      aggregate.latency_histogram[
+        ProviderAnalyticsService.getBucket(latency_ms)
+      ]++;
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Record how the providers' quotes compared in a quote response
+   * For each product, every provider with a quote shown competed, the
+   * provider(s) with the lowest price were cheapest, and each tagged quote
+   * counts for its provider.
+   * @param {Array<Object>} quotes - Quotes shown, with product_type,
+   *   provider_id, price and tags
+   */
+  recordQuotesShown(quotes) {
+    const products = new Map();
+
+    quotes.forEach((quote) => {
+      const aggregate = this.getAggregate(quote.provider_id);
+      aggregate.shown++;
+      if (quote.tags && quote.tags.length > 0) aggregate.tagged++;
+
+      if (!products.has(quote.product_type)) {
+        products.set(quote.product_type, []);
+      }
+      products.get(quote.product_type).push(quote);
+    });
+
+    products.forEach((productQuotes) => {
+      const lowest = Math.min(...productQuotes.map((quote) => quote.price));
+      const providers = new Set(productQuotes.map((quote) => quote.provider_id));
+      const cheapest = new Set(
+        productQuotes
+          .filter((quote) => quote.price === lowest)
+          .map((quote) => quote.provider_id)
+      );
+
+      providers.forEach((providerId) => {
+        const aggregate = this.getAggregate(providerId);
+        aggregate.competed++;
+        if (cheapest.has(providerId)) aggregate.cheapest++;
+      });
+    });
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Record the selection of a provider's quote
+   * @param {string} providerId - Provider ID
+   */
+  recordSelected(providerId) {
+    this.getAggregate(providerId).selected++;
+    this.scheduleSave();
+  }
+
+  /**
+   * Build provider analytics
+   * @param {Object} options - Report options
+   * @param {string} options.from - First date (YYYY-MM-DD), inclusive
+   * @param {string} options.to - Last date (YYYY-MM-DD), inclusive
+   * @param {string} options.provider - Only this provider
+   * @param {string} options.interval - Trend period size (day, week or month)
+   * @returns {Array<Object>} - Metrics per provider over the whole range,
+   *   each with a trend of the same metrics per period
+   */
+  report({ from, to, provider, interval = "day" }) {
+    const providers = new Map();
+
+    Object.values(this.daily)
+      .filter(
+        (aggregate) =>
+          aggregate.date >= from &&
+          aggregate.date <= to &&
+          (!provider || aggregate.provider === provider)
+      )
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .forEach((aggregate) => {
+        if (!providers.has(aggregate.provider)) {
+          providers.set(aggregate.provider, {
+            total: ProviderAnalyticsService.createCounts(),
+            periods: new Map(),
+          });
+        }
+
+        const { total, periods } = providers.get(aggregate.provider);
+        const period = bucketDate(aggregate.date, interval);
+        if (!periods.has(period)) {
+          periods.set(period, ProviderAnalyticsService.createCounts());
+        }
+
+        ProviderAnalyticsService.addCounts(total, aggregate);
+        ProviderAnalyticsService.addCounts(periods.get(period), aggregate);
+      });
+
+    return [...providers.keys()].sort().map((providerId) => {
+      const { total, periods } = providers.get(providerId);
+
+      return {
+        provider_id: providerId,
+        ...ProviderAnalyticsService.buildMetrics(total),
+        trend: [...periods.entries()].map(([period, counts]) => ({
+          period,
+          ...ProviderAnalyticsService.buildMetrics(counts),
+        })),
+      };
+    });
+  }
+
+  /**
+   * Get (or create) today's aggregate of a provider
+   * @param {string} providerId - Provider ID
+   * @returns {Object} - Aggregate
+   */
+  getAggregate(providerId) {
+    const date = new Date().toISOString().slice(0, 10);
+    const key = `${date}|${providerId}`;
+
+    if (!this.daily[key]) {
+      this.daily[key] = {
+        date,
+        provider: providerId,
+        ...ProviderAnalyticsService.createCounts(),
+      };
+    }
+    return this.daily[key];
+  }
+
+  /**
+   * Save the aggregates after a short delay
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.document.write(this.daily).catch((error) => {
+        logger.error(`Saving provider analytics failed: ${error.message}`);
+      });
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Get the latency histogram bucket of a latency
+   * @param {number} latency - Latency in milliseconds
+   * @returns {number} - Bucket index
+   */
+  static getBucket(latency) {
+    const index = LATENCY_BUCKETS.findIndex((bound) => latency <= bound);
+    return index === -1 ? LATENCY_BUCKETS.length : index;
+  }
+
+  /**
+   * Create empty counts
+   * @returns {Object} - Counts
+   */
+  static createCounts() {
+    return {
+      calls: 0,
+      statuses: {},
+      quotes: 0,
+      latency_total: 0,
+      latency_count: 0,
+      latency_min: null,
+      latency_max: null,
+      latency_histogram: new Array(LATENCY_BUCKETS.length + 1).fill(0),
+      shown: 0,
+      tagged: 0,
+      competed: 0,
+      cheapest: 0,
+      selected: 0,
+    };
+  }
+
+  /**
+   * Add an aggregate to counts
+   * @param {Object} counts - Counts
+   * @param {Object} aggregate - Daily aggregate
+   */
+  static addCounts(counts, aggregate) {
+    counts.calls += aggregate.calls;
+    Object.entries(aggregate.statuses).forEach(([status, count]) => {
+      counts.statuses[status] = (counts.statuses[status] || 0) + count;
+    });
+    counts.quotes += aggregate.quotes;
+    counts.latency_total += aggregate.latency_total;
+    counts.latency_count += aggregate.latency_count;
+    counts.latency_min = ProviderAnalyticsService.combine(
+      Math.min,
+      counts.latency_min,
+      aggregate.latency_min
+    );
+    counts.latency_max = ProviderAnalyticsService.combine(
+      Math.max,
+      counts.latency_max,
+      aggregate.latency_max
+    );
+    aggregate.latency_histogram.forEach((count, index) => {
+      counts.latency_histogram[index] += count;
+    });
+    counts.shown += aggregate.shown;
+    counts.tagged += aggregate.tagged;
+    counts.competed += aggregate.competed;
+    counts.cheapest += aggregate.cheapest;
+    counts.selected += aggregate.selected;
+  }
+
+  /**
+   * Combine two optional values
+   * Aggregates saved before the fastest and slowest latencies were kept
+   * don't have them.
+   * @param {Function} pick - Math.min or Math.max
+   * @param {number|null|undefined} a - Value
+   * @param {number|null|undefined} b - Value
+   * @returns {number|null} - Picked value, or the one that is set
+   */
+  static combine(pick, a, b) {
+    if (typeof a !== "number") return typeof b === "number" ? b : null;
+    if (typeof b !== "number") return a;
+    return pick(a, b);
+  }
+
+  /**
+   * Estimate a latency percentile from a histogram
+   * The percentile is interpolated linearly between the bounds of the
+   * bucket it falls in, and kept between the fastest and slowest latency
+   * when they are known.
+   * @param {Object} counts - Counts, with the latency histogram
+   * @param {number} percentile - Percentile (0-100)
+   * @returns {number|null} - Latency in milliseconds, or null without
+   *   latencies
+   */
+  static getPercentile(counts, percentile) {
+    const { latency_histogram: histogram, latency_count: count } = counts;
+    if (count === 0) return null;
+
+    const rank = Math.max(Math.ceil((percentile / 100) * count), 1);
+    let below = 0;
+    const index = histogram.findIndex((bucketCount) => {
+      if (below + bucketCount >= rank) return true;
+      below += bucketCount;
+      return false;
+    });
+
+    const min = typeof counts.latency_min === "number" ? counts.latency_min : 0;
+    const max =
+      typeof counts.latency_max === "number"
+        ? counts.latency_max
+        : LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1];
+    const lower = Math.max(index > 0 ? LATENCY_BUCKETS[index - 1] : 0, min);
+    const upper = Math.min(
+      index < LATENCY_BUCKETS.length ? LATENCY_BUCKETS[index] : max,
+      max
+    );
+    const fraction = (rank - below) / histogram[index];
+
+    return Math.round(lower + (Math.max(upper, lower) - lower) * fraction);
+  }
+
+  /**
+   * Build metrics from counts
+   * @param {Object} counts - Counts
+   * @returns {Object} - Metrics
+   */
+  static buildMetrics(counts) {
+    const latency = {
+      average:
+        counts.latency_count > 0
+          ? Math.round(counts.latency_total / counts.latency_count)
+          : null,
+      min: counts.latency_count > 0 ? counts.latency_min : null,
+      max: counts.latency_count > 0 ? counts.latency_max : null,
+    };
+    PERCENTILES.forEach((percentile) => {
+      latency[`p${percentile}`] = ProviderAnalyticsService.getPercentile(
+        counts,
+        percentile
+      );
+    });
+
+    const statuses = counts.statuses;
+    const ok = statuses.ok || 0;
+    const failed = (statuses.error || 0) + (statuses.timeout || 0);
+
+    return {
+      calls: counts.calls,
+      statuses,
+      success_rate: rate(ok, counts.calls),
+      error_rate: rate(failed, counts.calls),
+      timeout_rate: rate(statuses.timeout || 0, counts.calls),
+      latency_ms: latency,
+      quotes_returned: counts.quotes,
+      quotes_per_call: ok > 0 ? round(counts.quotes / ok) : null,
+      quotes_shown: counts.shown,
+      competed: counts.competed,
+      cheapest: counts.cheapest,
+      win_rate: rate(counts.cheapest, counts.competed),
+      tagged: counts.tagged,
+      tag_rate: rate(counts.tagged, counts.shown),
+      selected: counts.selected,
+      selection_rate: rate(counts.selected, counts.competed),
+    };
+  }
+}
+
+// Create singleton instance
+const providerAnalyticsService = new ProviderAnalyticsService();
+
+module.exports = { providerAnalyticsService, PERCENTILES };
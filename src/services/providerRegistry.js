@@ -0,0 +1,419 @@
+require("dotenv").config();
+const logger = require("../logger");
+const fs = require("fs");
+const Joi = require("joi");
+const { providerConfig } = require("../config");
+const { cacheService } = require("./cacheService");
+const { JsonDocument } = require("./fileStore");
+const { ApiError } = require("../middleware/errorHandler");
+
+const PRODUCTS = ["vsc", "gap", "tire", "dent"];
+
+/**
+ * Schema for a provider registry definition
+ */
+const providerSchema = Joi.object({
+  name: Joi.string().required(),
+  baseUrl: Joi.string().uri().required(),
+  apiKey: Joi.string().allow("").default(""),
+  adapter: Joi.string().valid("simulator", "http").default("simulator"),
+  mapper: Joi.string(),
+  auth: Joi.object({
+    scheme: Joi.string()
+      .valid("none", "apiKeyHeader", "apiKeyQuery", "bearer", "basic")
+      .default("apiKeyHeader"),
+    header: Joi.string(),
+    param: Joi.string(),
+    username: Joi.string(),
+  }).default({ scheme: "apiKeyHeader" }),
+  products: Joi.array()
+    .items(Joi.string().valid(...PRODUCTS))
+    .min(1)
+    .required(),
+  markup: Joi.number().min(0).required(),
+  priority: Joi.number().integer().min(1).required(),
+  timeout: Joi.number().integer().min(1),
+  // Providers that only quote by VIN are skipped for indicative quotes
+  requiresVin: Joi.boolean().default(false),
+  enabled: Joi.boolean().default(true),
+  effective_from: Joi.date().iso().allow(null).default(null),
+  effective_to: Joi.date().iso().allow(null).default(null),
+});
+
+const stateListSchema = Joi.array()
+  .items(Joi.string().pattern(/^[A-Z]{2}$/))
+  .unique();
+
+const registrySchema = Joi.object({
+  providers: Joi.object()
+    .pattern(/^[A-Za-z0-9_-]+$/, providerSchema)
+    .min(1)
+    .required(),
+  // States where each product may not be sold
+  stateRestrictions: Joi.object()
+    .pattern(Joi.string().valid(...PRODUCTS), stateListSchema)
+    .default({}),
+});
+
+/**
+ * Replace ${VAR} and ${VAR:-default} references with environment values
+ * @param {*} value - Registry value
+ * @returns {*} - Value with environment references resolved
+ */
+const interpolateEnv = (value) => {
+  if (typeof value === "string") {
+    return value.replace(
+      /\$\{(\w+)(?::-([^}]*))?\}/g,
+      (match, name, fallback) => process.env[name] || fallback || ""
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+
+  if (value && typeof value === "object") {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = interpolateEnv(value[key]);
+      return result;
+    }, {});
+  }
+
+  return value;
+};
+
+/**
+ * Check whether two JSON values are the same
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} - True if they serialize the same
+ */
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Provider registry
+ * Loads providers from a JSON file or the cache store, validates them, and
+ * reloads them when the source changes. A definition that fails validation
+ * is rejected and the previous registry stays in use.
+ *
+ * With the file source, the file is only read: changes made through the
+ * admin API are saved in the data directory, as overrides applied on top of
+ * the file.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = {};
+    this.stateRestrictions = {};
+    this.definition = null;
+    this.source = providerConfig.registry.source;
+    this.loadedAt = null;
+    this.lastRaw = null;
+    this.watcher = null;
+    this.overrides = new JsonDocument("provider-registry-overrides");
+    this.fileRaw = null;
+    this.fileDefinition = null;
+
+    // Load synchronously from file so providers are available immediately;
+    // the cache source replaces them once it has been read
+    this.loadFromFile();
+  }
+
+  /**
+   * Validate a registry definition and make it current
+   * @param {Object} definition - Parsed registry definition
+   * @param {string} origin - Where the definition came from, for logging
+   */
+  apply(definition, origin) {
+    const { error, value } = registrySchema.validate(
+      interpolateEnv(definition),
+      { abortEarly: false }
+    );
+
+    if (error) {
+      const invalid = new Error(
+        `Invalid provider registry from ${origin}: ${error.message}`
+      );
+      invalid.details = error.details;
+      throw invalid;
+    }
+
+    // Keep the raw definition, with environment references unresolved,
+    // so changes can be saved without exposing secrets
+    this.definition = definition;
+    this.providers = value.providers;
+    this.stateRestrictions = value.stateRestrictions;
+    this.loadedAt = new Date();
+    logger.info(
+      `Loaded ${Object.keys(this.providers).length} providers from ${origin}`
+    );
+  }
+
+  /**
+   * Load the registry from the registry file, with the saved overrides
+   * @param {string} file - Registry file path
+   */
+  loadFromFile(file = providerConfig.registry.file) {
+    const raw = fs.readFileSync(file, "utf8");
+    const overrides = this.overrides.readSync({});
+    const combined = `${raw}\n${JSON.stringify(overrides)}`;
+
+    if (combined !== this.lastRaw) {
+      const fileDefinition = JSON.parse(raw);
+      this.apply(
+        ProviderRegistry.applyOverrides(fileDefinition, overrides),
+        Object.keys(overrides).length > 0
+          ? `${file} with overrides from ${this.overrides.file}`
+          : file
+      );
+      this.fileRaw = raw;
+      this.fileDefinition = fileDefinition;
+      this.lastRaw = combined;
+    }
+  }
+
+  /**
+   * Load the registry from the cache store
+   * @returns {Promise<boolean>} - False if the cache has no registry
+   */
+  async loadFromCache() {
+    const { cacheKey } = providerConfig.registry;
+    const raw = await cacheService.get(cacheKey);
+
+    if (!raw) {
+      return false;
+    }
+
+    if (raw !== this.lastRaw) {
+      this.apply(JSON.parse(raw), `cache key ${cacheKey}`);
+      this.lastRaw = raw;
+    }
+
+    return true;
+  }
+
+  /**
+   * Reload the registry from its configured source
+   * Errors are logged and the current registry is kept.
+   * @returns {Promise<boolean>} - True if the reload succeeded
+   */
+  async reload() {
+    try {
+      if (this.source === "cache") {
+        if (!(await this.loadFromCache())) {
+          logger.warn(
+            "No provider registry in cache, keeping the current registry"
+          );
+        }
+      } else {
+        this.loadFromFile();
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Provider registry reload failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Watch the registry source and reload on change
+   */
+  watch() {
+    if (this.watcher) return;
+
+    const { file, pollInterval } = providerConfig.registry;
+
+    if (this.source === "cache") {
+      this.reload();
+      this.watcher = setInterval(() => this.reload(), pollInterval);
+      this.watcher.unref();
+    } else {
+      this.watcher = fs.watchFile(
+        file,
+        { interval: pollInterval },
+        (curr, prev) => {
+          if (curr.mtimeMs !== prev.mtimeMs) {
+            logger.info("Provider registry file changed, reloading");
+            this.reload();
+          }
+        }
+      );
+      this.watcher.unref();
+    }
+  }
+
+  /**
+   * Stop watching the registry source
+   */
+  unwatch() {
+    if (!this.watcher) return;
+
+    if (this.source === "cache") {
+      clearInterval(this.watcher);
+    } else {
+      fs.unwatchFile(providerConfig.registry.file);
+    }
+    this.watcher = null;
+  }
+
+  /**
+   * Change the registry, then validate and persist it
+   * The change takes effect for the next quote request. With the cache
+   * source the whole definition is saved to the cache; with the file source
+   * the differences from the file are saved as overrides.
+   * @param {Function} mutate - Called with a copy of the raw definition to change
+   * @returns {Promise<void>}
+   */
+  async update(mutate) {
+    const definition = JSON.parse(JSON.stringify(this.definition));
+    mutate(definition);
+
+    try {
+      this.apply(definition, "update");
+    } catch (error) {
+      throw ApiError.badRequest("Invalid provider registry change", {
+        errors: (error.details || []).map((detail) => detail.message),
+      });
+    }
+
+    if (this.source === "cache") {
+      const raw = `${JSON.stringify(definition, null, 2)}\n`;
+      await cacheService.set(providerConfig.registry.cacheKey, raw, 0);
+      this.lastRaw = raw;
+      return;
+    }
+
+    const overrides = ProviderRegistry.getOverrides(
+      this.fileDefinition,
+      definition
+    );
+    await this.overrides.write(overrides);
+    this.lastRaw = `${this.fileRaw}\n${JSON.stringify(overrides)}`;
+  }
+
+  /**
+   * Get the raw definition of a provider, with environment references
+   * @param {string} providerId - Provider ID
+   * @returns {Object|undefined} - Raw provider definition
+   */
+  getProviderDefinition(providerId) {
+    return this.definition && this.definition.providers[providerId];
+  }
+
+  /**
+   * Get the states where each product may not be sold
+   * @returns {Object} - State codes keyed by product type
+   */
+  getStateRestrictions() {
+    return this.stateRestrictions;
+  }
+
+  /**
+   * Check whether a provider is enabled and within its effective dates
+   * @param {Object} provider - Provider configuration
+   * @param {Date} date - Date to check
+   * @returns {boolean} - True if the provider is active
+   */
+  isActive(provider, date = new Date()) {
+    if (!provider.enabled) return false;
+    if (provider.effective_from && date < provider.effective_from) return false;
+    if (provider.effective_to && date >= provider.effective_to) return false;
+    return true;
+  }
+
+  /**
+   * Get a provider by ID, whether or not it is active
+   * @param {string} providerId - Provider ID
+   * @returns {Object|undefined} - Provider configuration
+   */
+  getProvider(providerId) {
+    return this.providers[providerId];
+  }
+
+  /**
+   * Get all providers, whether or not they are active
+   * @returns {Object} - Provider configurations keyed by provider ID
+   */
+  getAllProviders() {
+    return this.providers;
+  }
+
+  /**
+   * Get the providers that may be quoted
+   * @param {Date} date - Date to check effective dates against
+   * @returns {Object} - Active provider configurations keyed by provider ID
+   */
+  getActiveProviders(date = new Date()) {
+    return Object.keys(this.providers).reduce((active, providerId) => {
+      if (this.isActive(this.providers[providerId], date)) {
+        active[providerId] = this.providers[providerId];
+      }
+      return active;
+    }, {});
+  }
+
+  /**
+   * Apply saved overrides to a registry file definition
+   * @param {Object} definition - Registry file definition
+   * @param {Object} overrides - Changed provider fields by provider ID, and
+   *   changed state restrictions by product
+   * @returns {Object} - Registry definition
+   */
+  static applyOverrides(definition, overrides) {
+    const providers = { ...definition.providers };
+    Object.entries(overrides.providers || {}).forEach(
+      ([providerId, changes]) => {
+        providers[providerId] = { ...providers[providerId], ...changes };
+      }
+    );
+
+    return {
+      ...definition,
+      providers,
+      stateRestrictions: {
+        ...definition.stateRestrictions,
+        ...overrides.stateRestrictions,
+      },
+    };
+  }
+
+  /**
+   * Get the overrides that turn a registry file definition into a definition
+   * @param {Object} fileDefinition - Registry file definition
+   * @param {Object} definition - Changed registry definition
+   * @returns {Object} - Changed provider fields by provider ID (whole
+   *   providers for new ones), and changed state restrictions by product
+   */
+  static getOverrides(fileDefinition, definition) {
+    const providers = {};
+    Object.entries(definition.providers).forEach(([providerId, provider]) => {
+      const original = fileDefinition.providers[providerId] || {};
+      const changed = Object.keys(provider).filter(
+        (field) => !sameValue(provider[field], original[field])
+      );
+
+      if (changed.length > 0) {
+        providers[providerId] = changed.reduce((changes, field) => {
+          changes[field] = provider[field];
+          return changes;
+        }, {});
+      }
+    });
+
+    const stateRestrictions = {};
+    const originalRestrictions = fileDefinition.stateRestrictions || {};
+    Object.entries(definition.stateRestrictions || {}).forEach(
+      ([product, states]) => {
+        if (!sameValue(states, originalRestrictions[product])) {
+          stateRestrictions[product] = states;
+        }
+      }
+    );
+
+    return { providers, stateRestrictions };
+  }
+}
+
+// Create singleton instance
+const providerRegistry = new ProviderRegistry();
+
+module.exports = { providerRegistry, providerSchema, PRODUCTS };
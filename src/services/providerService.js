@@ -1,46 +1,131 @@
 require("dotenv").config();
 const logger = require("../logger");
-const axios = require("axios");
 const { providerConfig } = require("../config");
 const { ApiError } = require("../middleware/errorHandler");
+const { createAdapter } = require("./adapters");
+const { circuitBreakers } = require("./circuitBreaker");
+const { providerRegistry } = require("./providerRegistry");
+const { providerAnalyticsService } = require("./providerAnalyticsService");
+
+/**
+ * Outcome of a provider call, reported in quote response metadata
+ */
+const PROVIDER_STATUS = {
+  OK: "ok",
+  TIMEOUT: "timeout",
+  ERROR: "error",
+  INELIGIBLE: "ineligible",
+  CIRCUIT_OPEN: "circuit-open",
+};
 
 /**
  * Provider service for interacting with provider APIs
  */
 class ProviderService {
   constructor() {
-    this.providers = providerConfig.providers;
+    // Snapshot of active providers, so a registry reload mid-request
+    // doesn't change the providers being quoted
+    this.providers = providerRegistry.getActiveProviders();
+    this.adapters = {};
   }
 
   /**
    * Get quotes from all providers
+   * The outcome of each call is recorded for provider analytics.
    * @param {Object} request - Quote request data
-   * @returns {Promise<Object>} - Quotes from all providers
+   * @param {Object} options - Fan-out options
+   * @param {Function} options.onProviderResult - Called with
+   *   (providerId, result, status) as each called provider finishes
+   * @returns {Promise<Object>} - Quotes keyed by provider ID, and the outcome
+   *   of each provider call ({ status, latency_ms, quote_count }, with a
+   *   reason for providers skipped because the request has no VIN)
    */
-  async getQuotesFromAllProviders(request) {
+  async getQuotesFromAllProviders(request, { onProviderResult } = {}) {
     const providerPromises = {};
     const results = {};
+    const statuses = {};
 
     // Determine which providers to call based on requested products
     const { products } = request.options;
-    const eligibleProviders = this.getEligibleProviders(products);
+    const offeringProviders = this.getEligibleProviders(products);
+    const eligibleProviders = this.getEligibleProviders(
+      products,
+      request.vehicle
+    );
 
-    // Call each eligible provider
+    // Providers that don't offer any requested product, or can't quote the
+    // vehicle without its VIN, are not called
+    Object.keys(this.providers).forEach((providerId) => {
+      if (!eligibleProviders.includes(providerId)) {
+        statuses[providerId] = this.buildProviderStatus(
+          providerId,
+          PROVIDER_STATUS.INELIGIBLE
+        );
+
+        if (offeringProviders.includes(providerId)) {
+          statuses[providerId].reason = "Quotes by VIN only";
+        }
+      }
+    });
+
+    // Call each eligible provider, skipping those with an open circuit
     for (const providerId of eligibleProviders) {
-      const provider = this.providers[providerId];
+      const breaker = circuitBreakers.get(providerId);
+
+      if (!breaker.allowRequest()) {
+        logger.warn(`Skipping provider ${providerId}: circuit is open`);
+        results[providerId] = null;
+        statuses[providerId] = this.buildProviderStatus(
+          providerId,
+          PROVIDER_STATUS.CIRCUIT_OPEN
+        );
+        providerAnalyticsService.recordCall(providerId, statuses[providerId]);
+        if (onProviderResult) {
+          onProviderResult(providerId, null, statuses[providerId]);
+        }
+        continue;
+      }
+
+      const startedAt = Date.now();
+
       providerPromises[providerId] = this.getQuotesFromProvider(
         providerId,
         request
-      ).catch((error) => {
-        console.error(
-          `Error getting quotes from provider ${providerId}:`,
-          error
-        );
-        return null; // Return null for failed providers
-      });
+      )
+        .then((result) => {
+          breaker.recordSuccess();
+          statuses[providerId] = this.buildProviderStatus(
+            providerId,
+            PROVIDER_STATUS.OK,
+            Date.now() - startedAt,
+            result && result.quotes ? result.quotes.length : 0
+          );
+          return result;
+        })
+        .catch((error) => {
+          breaker.recordFailure();
+          logger.warn(
+            `Error getting quotes from provider ${providerId}: ${error.message}`
+          );
+          statuses[providerId] = this.buildProviderStatus(
+            providerId,
+            error.code === "PROVIDER_TIMEOUT"
+              ? PROVIDER_STATUS.TIMEOUT
+              : PROVIDER_STATUS.ERROR,
+            Date.now() - startedAt
+          );
+          return null; // Return null for failed providers
+        })
+        .then((result) => {
+          providerAnalyticsService.recordCall(providerId, statuses[providerId]);
+          if (onProviderResult) {
+            onProviderResult(providerId, result, statuses[providerId]);
+          }
+          return result;
+        });
     }
 
-    // Wait for all provider requests to complete
+    // Wait for all provider requests to complete or time out
     const providerResults = await Promise.all(Object.values(providerPromises));
 
     // Map results to provider IDs
@@ -48,15 +133,40 @@ class ProviderService {
       results[providerId] = providerResults[index];
     });
 
-    return results;
+    // Report statuses in provider configuration order
+    const orderedStatuses = {};
+    Object.keys(this.providers).forEach((providerId) => {
+      orderedStatuses[providerId] = statuses[providerId];
+    });
+
+    return { results, statuses: orderedStatuses };
+  }
+
+  /**
+   * Build the outcome of a provider call for response metadata
+   * @param {string} providerId - Provider ID
+   * @param {string} status - One of PROVIDER_STATUS
+   * @param {number|null} latency - Call latency in milliseconds
+   * @param {number} quoteCount - Number of quotes returned
+   * @returns {Object} - Provider status
+   */
+  buildProviderStatus(providerId, status, latency = null, quoteCount = 0) {
+    return {
+      name: this.providers[providerId].name,
+      status,
+      latency_ms: latency,
+      quote_count: quoteCount,
+    };
   }
 
   /**
    * Get eligible providers for requested products
    * @param {Array<string>} products - Requested product types
+   * @param {Object} [vehicle] - Requested vehicle; when given without a VIN,
+   *   providers that require one are left out
    * @returns {Array<string>} - Array of eligible provider IDs
    */
-  getEligibleProviders(products) {
+  getEligibleProviders(products, vehicle) {
     const eligibleProviders = [];
 
     Object.keys(this.providers).forEach((providerId) => {
@@ -67,6 +177,8 @@ class ProviderService {
         provider.products.includes(product)
       );
 
+      if (vehicle && provider.requiresVin && !vehicle.vin) return;
+
       if (hasMatchingProducts) {
         eligibleProviders.push(providerId);
       }
@@ -79,448 +191,124 @@ class ProviderService {
   }
 
   /**
-   * Get quotes from a specific provider
+   * Get quotes from a specific provider within its deadline
    * @param {string} providerId - Provider ID
    * @param {Object} request - Quote request data
    * @returns {Promise<Object>} - Provider quotes
    */
   async getQuotesFromProvider(providerId, request) {
-    const provider = this.providers[providerId];
-
-    if (!provider) {
-      throw new Error(`Provider ${providerId} not found`);
-    }
-
-    // In a real implementation, this would call the actual provider API
-    // For this MVP, we'll simulate the provider response
-    return this.simulateProviderResponse(providerId, request);
-  }
-
-  /**
-   * Simulate provider API response (for MVP)
-   * @param {string} providerId - Provider ID
-   * @param {Object} request - Quote request data
-   * @returns {Promise<Object>} - Simulated provider response
-   */
-  async simulateProviderResponse(providerId, request) {
-    const provider = this.providers[providerId];
-    const { vehicle, customer, options } = request;
-
-    // Simulate API call delay
-    await new Promise((resolve) => setTimeout(resolve, 500));
-
-    // Base response structure
-    const response = {
-      quotes: [],
-    };
-
-    // Generate quotes based on provider and requested products
-    options.products.forEach((productType) => {
-      // Skip if provider doesn't offer this product
-      if (!provider.products.includes(productType)) {
-        return;
-      }
-
-      // Generate quotes based on product type
-      switch (productType) {
-        case "vsc":
-          response.quotes.push(
-            ...this.generateVscQuotes(providerId, vehicle, customer)
-          );
-          break;
-        case "gap":
-          response.quotes.push(
-            ...this.generateGapQuotes(providerId, vehicle, customer, options)
-          );
-          break;
-        case "tire":
-          response.quotes.push(
-            ...this.generateTireQuotes(providerId, vehicle, customer)
-          );
-          break;
-        case "dent":
-          response.quotes.push(
-            ...this.generateDentQuotes(providerId, vehicle, customer)
-          );
-          break;
-      }
-    });
-
-    return {
-      quotes: response.quotes,
-      meta: {
-        vehicle_eligibility: "eligible",
-        coverage_disclaimer:
-          "Coverage is subject to terms and conditions of the service contract.",
-      },
-    };
+    return this.callProvider(providerId, (adapter, options) =>
+      adapter.getQuotes(request, options)
+    );
   }
 
   /**
-   * Generate VSC quotes
+   * Submit a contract to a provider
+   * Submissions count towards the provider's circuit breaker like quotes.
+   * A provider that doesn't accept contracts is refused before the breaker,
+   * since that is our configuration and not a provider failure.
    * @param {string} providerId - Provider ID
-   * @param {Object} vehicle - Vehicle data
-   * @param {Object} customer - Customer data
-   * @returns {Array<Object>} - Generated quotes
+   * @param {Object} submission - Contract submission data
+   * @returns {Promise<Object>} - Normalized contract result
    */
-  generateVscQuotes(providerId, vehicle, customer) {
-    const provider = this.providers[providerId];
-    const quotes = [];
-
-    // Base price calculation based on vehicle age and mileage
-    const vehicleYear = parseInt(vehicle.year);
-    const currentYear = new Date().getFullYear();
-    const vehicleAge = currentYear - vehicleYear;
-    const mileage = parseInt(vehicle.mileage);
-
-    // Skip if vehicle is too old or has too many miles
-    if (vehicleAge > 12 || mileage > 150000) {
-      return [];
+  async submitContract(providerId, submission) {
+    if (!this.acceptsContracts(providerId)) {
+      const error = new Error(
+        `Provider ${providerId} does not accept contracts through its API`
+      );
+      error.code = "PROVIDER_CONTRACTS_UNSUPPORTED";
+      throw error;
     }
 
-    // Calculate base price factors
-    const ageFactor = 1 + vehicleAge * 0.1;
-    const mileageFactor = 1 + (mileage / 20000) * 0.15;
-
-    // Premium coverage
-    if (vehicleAge <= 7 && mileage <= 85000) {
-      const basePrice = 800 * ageFactor * mileageFactor;
-      quotes.push({
-        product_type: "vsc",
-        product_id: `${providerId}_vsc_premium_36_36`,
-        provider: {
-          id: providerId,
-          name: provider.name,
-          logo_url: `https://example.com/logos/${providerId}.png`,
-        },
-        name: "Premium Coverage",
-        description: "Comprehensive coverage for your vehicle",
-        term: {
-          months: 36,
-          miles: 36000,
-        },
-        deductible: 100,
-        retail_price: Math.round(basePrice),
-        dealer_cost: Math.round(basePrice * 0.6),
-        coverage: {
-          engine: true,
-          transmission: true,
-          drivetrain: true,
-          electrical: true,
-          steering: true,
-          suspension: true,
-          brakes: true,
-          air_conditioning: true,
-          fuel_system: true,
-          high_tech: true,
-        },
-        exclusions: [
-          "Normal wear and tear",
-          "Maintenance items",
-          "Pre-existing conditions",
-        ],
-        sample_contract_url: `https://example.com/contracts/${providerId}_premium_36_36.pdf`,
-      });
-    }
+    const breaker = circuitBreakers.get(providerId);
 
-    // Standard coverage
-    if (vehicleAge <= 10 && mileage <= 100000) {
-      const basePrice = 700 * ageFactor * mileageFactor;
-      quotes.push({
-        product_type: "vsc",
-        product_id: `${providerId}_vsc_standard_48_48`,
-        provider: {
-          id: providerId,
-          name: provider.name,
-          logo_url: `https://example.com/logos/${providerId}.png`,
-        },
-        name: "Standard Coverage",
-        description: "Essential coverage for your vehicle",
-        term: {
-          months: 48,
-          miles: 48000,
-        },
-        deductible: 100,
-        retail_price: Math.round(basePrice),
-        dealer_cost: Math.round(basePrice * 0.6),
-        coverage: {
-          engine: true,
-          transmission: true,
-          drivetrain: true,
-          electrical: true,
-          steering: true,
-          suspension: true,
-          brakes: true,
-          air_conditioning: true,
-          fuel_system: false,
-          high_tech: false,
-        },
-        exclusions: [
-          "Normal wear and tear",
-          "Maintenance items",
-          "Pre-existing conditions",
-          "High-tech components",
-        ],
-        sample_contract_url: `https://example.com/contracts/${providerId}_standard_48_48.pdf`,
-      });
+    if (!breaker.allowRequest()) {
+      const error = new Error(`Provider ${providerId} is unavailable`);
+      error.code = "PROVIDER_CIRCUIT_OPEN";
+      throw error;
     }
 
-    // Basic coverage
-    if (vehicleAge <= 12 && mileage <= 120000) {
-      const basePrice = 500 * ageFactor * mileageFactor;
-      quotes.push({
-        product_type: "vsc",
-        product_id: `${providerId}_vsc_basic_60_60`,
-        provider: {
-          id: providerId,
-          name: provider.name,
-          logo_url: `https://example.com/logos/${providerId}.png`,
-        },
-        name: "Basic Coverage",
-        description: "Basic powertrain coverage for your vehicle",
-        term: {
-          months: 60,
-          miles: 60000,
-        },
-        deductible: 250,
-        retail_price: Math.round(basePrice),
-        dealer_cost: Math.round(basePrice * 0.6),
-        coverage: {
-          engine: true,
-          transmission: true,
-          drivetrain: true,
-          electrical: false,
-          steering: true,
-          suspension: false,
-          brakes: true,
-          air_conditioning: false,
-          fuel_system: false,
-          high_tech: false,
-        },
-        exclusions: [
-          "Normal wear and tear",
-          "Maintenance items",
-          "Pre-existing conditions",
-          "Electrical components",
-          "High-tech components",
-          "Suspension components",
-        ],
-        sample_contract_url: `https://example.com/contracts/${providerId}_basic_60_60.pdf`,
-      });
+    try {
+      const result = await this.callProvider(providerId, (adapter, options) =>
+        adapter.submitContract(submission, options)
+      );
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      breaker.recordFailure();
+      throw error;
     }
-
-    return quotes;
   }
 
   /**
-   * Generate GAP quotes
+   * Check whether a provider accepts contracts through its adapter
    * @param {string} providerId - Provider ID
-   * @param {Object} vehicle - Vehicle data
-   * @param {Object} customer - Customer data
-   * @param {Object} options - Options data
-   * @returns {Array<Object>} - Generated quotes
+   * @returns {boolean} - True if contracts can be submitted to the provider
    */
-  generateGapQuotes(providerId, vehicle, customer, options) {
-    const provider = this.providers[providerId];
-    const quotes = [];
-
-    // Skip if no price provided
-    if (!options.price) {
-      return [];
-    }
-
-    const vehiclePrice = options.price;
-    const basePrice = vehiclePrice * 0.02; // 2% of vehicle price
-
-    // Premium GAP
-    quotes.push({
-      product_type: "gap",
-      product_id: `${providerId}_gap_premium`,
-      provider: {
-        id: providerId,
-        name: provider.name,
-        logo_url: `https://example.com/logos/${providerId}.png`,
-      },
-      name: "Premium GAP",
-      description:
-        "Comprehensive GAP coverage with insurance deductible coverage",
-      term: {
-        months: 36,
-        miles: null,
-      },
-      deductible: 0,
-      retail_price: Math.round(basePrice * 1.2),
-      dealer_cost: Math.round(basePrice * 0.7),
-      coverage: {
-        loan_payoff: true,
-        insurance_deductible: true,
-        max_benefit: 10000,
-      },
-      exclusions: [
-        "Commercial vehicles",
-        "Exotic vehicles",
-        "Vehicles over $100,000",
-      ],
-      sample_contract_url: `https://example.com/contracts/${providerId}_gap_premium.pdf`,
-    });
-
-    // Standard GAP
-    quotes.push({
-      product_type: "gap",
-      product_id: `${providerId}_gap_standard`,
-      provider: {
-        id: providerId,
-        name: provider.name,
-        logo_url: `https://example.com/logos/${providerId}.png`,
-      },
-      name: "Standard GAP",
-      description: "Basic GAP coverage",
-      term: {
-        months: 36,
-        miles: null,
-      },
-      deductible: 0,
-      retail_price: Math.round(basePrice),
-      dealer_cost: Math.round(basePrice * 0.6),
-      coverage: {
-        loan_payoff: true,
-        insurance_deductible: false,
-        max_benefit: 7500,
-      },
-      exclusions: [
-        "Commercial vehicles",
-        "Exotic vehicles",
-        "Vehicles over $100,000",
-        "Insurance deductible",
-      ],
-      sample_contract_url: `https://example.com/contracts/${providerId}_gap_standard.pdf`,
-    });
-
-    return quotes;
+  acceptsContracts(providerId) {
+    return (
+      Boolean(this.providers[providerId]) &&
+      this.getAdapter(providerId).acceptsContracts()
+    );
   }
 
   /**
-   * Generate Tire & Wheel quotes
+   * Call a provider's adapter within the provider's deadline
    * @param {string} providerId - Provider ID
-   * @param {Object} vehicle - Vehicle data
-   * @param {Object} customer - Customer data
-   * @returns {Array<Object>} - Generated quotes
+   * @param {Function} call - Called with (adapter, { timeout, signal })
+   * @returns {Promise<*>} - Result of the call
    */
-  generateTireQuotes(providerId, vehicle, customer) {
+  async callProvider(providerId, call) {
     const provider = this.providers[providerId];
-    const quotes = [];
-
-    // Premium Tire & Wheel
-    quotes.push({
-      product_type: "tire",
-      product_id: `${providerId}_tire_premium`,
-      provider: {
-        id: providerId,
-        name: provider.name,
-        logo_url: `https://example.com/logos/${providerId}.png`,
-      },
-      name: "Premium Tire & Wheel",
-      description:
-        "Comprehensive tire and wheel protection with roadside assistance",
-      term: {
-        months: 36,
-        miles: null,
-      },
-      deductible: 0,
-      retail_price: 495,
-      dealer_cost: 295,
-      coverage: {
-        tire_replacement: true,
-        wheel_replacement: true,
-        roadside_assistance: true,
-      },
-      exclusions: [
-        "Racing or off-road use",
-        "Cosmetic damage",
-        "Pre-existing damage",
-      ],
-      sample_contract_url: `https://example.com/contracts/${providerId}_tire_premium.pdf`,
-    });
 
-    // Basic Tire & Wheel
-    quotes.push({
-      product_type: "tire",
-      product_id: `${providerId}_tire_basic`,
-      provider: {
-        id: providerId,
-        name: provider.name,
-        logo_url: `https://example.com/logos/${providerId}.png`,
-      },
-      name: "Basic Tire & Wheel",
-      description: "Basic tire and wheel protection",
-      term: {
-        months: 36,
-        miles: null,
-      },
-      deductible: 50,
-      retail_price: 395,
-      dealer_cost: 235,
-      coverage: {
-        tire_replacement: true,
-        wheel_replacement: false,
-        roadside_assistance: false,
-      },
-      exclusions: [
-        "Racing or off-road use",
-        "Cosmetic damage",
-        "Pre-existing damage",
-        "Wheel replacement",
-        "Roadside assistance",
-      ],
-      sample_contract_url: `https://example.com/contracts/${providerId}_tire_basic.pdf`,
+    if (!provider) {
+      throw new Error(`Provider ${providerId} not found`);
+    }
+
+    const timeout = provider.timeout || providerConfig.requestTimeout;
+    const controller = new AbortController();
+    let timer;
+
+    const deadline = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(
+          `Provider ${providerId} did not respond within ${timeout}ms`
+        );
+        error.code = "PROVIDER_TIMEOUT";
+        reject(error);
+      }, timeout);
     });
 
-    return quotes;
+    try {
+      return await Promise.race([
+        call(this.getAdapter(providerId), {
+          timeout,
+          signal: controller.signal,
+        }),
+        deadline,
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
-   * Generate Dent & Ding quotes
+   * Get the adapter for a provider
    * @param {string} providerId - Provider ID
-   * @param {Object} vehicle - Vehicle data
-   * @param {Object} customer - Customer data
-   * @returns {Array<Object>} - Generated quotes
+   * @returns {Object} - Provider adapter
    */
-  generateDentQuotes(providerId, vehicle, customer) {
-    const provider = this.providers[providerId];
-    const quotes = [];
-
-    // Dent & Ding Protection
-    quotes.push({
-      product_type: "dent",
-      product_id: `${providerId}_dent_repair`,
-      provider: {
-        id: providerId,
-        name: provider.name,
-        logo_url: `https://example.com/logos/${providerId}.png`,
-      },
-      name: "Dent & Ding Protection",
-      description: "Paintless dent repair coverage",
-      term: {
-        months: 36,
-        miles: null,
-      },
-      deductible: 0,
-      retail_price: 395,
-      dealer_cost: 235,
-      coverage: {
-        paintless_dent_repair: true,
-        unlimited_repairs: true,
-      },
-      exclusions: [
-        "Dents larger than 4 inches",
-        "Dents with paint damage",
-        "Pre-existing damage",
-      ],
-      sample_contract_url: `https://example.com/contracts/${providerId}_dent_repair.pdf`,
-    });
+  getAdapter(providerId) {
+    if (!this.adapters[providerId]) {
+      this.adapters[providerId] = createAdapter(
+        providerId,
+        this.providers[providerId]
+      );
+    }
 
-    return quotes;
+    return this.adapters[providerId];
   }
 }
 
 module.exports = ProviderService;
+module.exports.PROVIDER_STATUS = PROVIDER_STATUS;
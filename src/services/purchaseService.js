@@ -0,0 +1,463 @@
+require("dotenv").config();
+const logger = require("../logger");
+const crypto = require("crypto");
+const { ApiError } = require("../middleware/errorHandler");
+const { JsonDocument } = require("./fileStore");
+const { cacheService } = require("./cacheService");
+const ProviderService = require("./providerService");
+const { providerRegistry } = require("./providerRegistry");
+const { quoteSessionService } = require("./quoteSessionService");
+const { selectionStatsService } = require("./selectionStatsService");
+const { kpiService } = require("./kpiService");
+const { providerAnalyticsService } = require("./providerAnalyticsService");
+
+/**
+ * Purchase states of a quote
+ */
+const PURCHASE_STATUS = {
+  QUOTED: "quoted",
+  SELECTED: "selected",
+  BUYER_COLLECTED: "buyer_collected",
+  SUBMITTED: "submitted",
+  ISSUED: "issued",
+  REJECTED: "rejected",
+  FAILED: "failed",
+};
+
+/**
+ * States each state can move to
+ * A failed submission (provider error or timeout) can be retried, or the
+ * buyer details corrected first; issued and rejected are final.
+ */
+const TRANSITIONS = {
+  [PURCHASE_STATUS.QUOTED]: [PURCHASE_STATUS.SELECTED],
+  [PURCHASE_STATUS.SELECTED]: [PURCHASE_STATUS.BUYER_COLLECTED],
+  [PURCHASE_STATUS.BUYER_COLLECTED]: [
+    PURCHASE_STATUS.BUYER_COLLECTED,
+    PURCHASE_STATUS.SUBMITTED,
+  ],
+  [PURCHASE_STATUS.SUBMITTED]: [
+    PURCHASE_STATUS.ISSUED,
+    PURCHASE_STATUS.REJECTED,
+    PURCHASE_STATUS.FAILED,
+  ],
+  [PURCHASE_STATUS.FAILED]: [
+    PURCHASE_STATUS.BUYER_COLLECTED,
+    PURCHASE_STATUS.SUBMITTED,
+  ],
+  [PURCHASE_STATUS.ISSUED]: [],
+  [PURCHASE_STATUS.REJECTED]: [],
+};
+
+// Seconds a purchase step may hold its quote's lock, well over the longest
+// provider call, so a crashed instance can't hold it for good
+const STEP_LOCK_TTL = 120;
+
+/**
+ * Hash a purchase token for storage
+ * @param {string} token - Purchase token
+ * @returns {string} - SHA-256 hash (hex)
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Purchase service
+ * Takes a saved quote through select → buyer details → submission to the
+ * provider → contract issued, saving the purchase of each quote and recording
+ * selections and sales for the KPI report.
+ *
+ * Selecting a quote returns a purchase token, shown once and stored only as a
+ * hash. The later steps need it, and without it the purchase is returned
+ * without the buyer's details and the contract, so knowing a quote ID isn't
+ * enough to see or complete someone else's purchase.
+ */
+class PurchaseService {
+  constructor() {
+    // Purchase steps in progress on this instance, by quote ID, so they wait
+    // for each other instead of failing on the quote's lock
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the purchase of a quote
+   * @param {string} quoteId - Quote ID
+   * @param {string} token - Purchase token, if any
+   * @returns {Promise<Object>} - Purchase, with status "quoted" if the quote
+   *   hasn't been selected
+   */
+  async get(quoteId, token) {
+    const saved = await PurchaseService.getSavedQuote(quoteId);
+    const purchase = await PurchaseService.document(quoteId).read(
+      PurchaseService.createPurchase(saved)
+    );
+
+    return PurchaseService.format(purchase, token);
+  }
+
+  /**
+   * Select a quote for purchase
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object>} - Purchase, with the purchase token the later
+   *   steps need
+   */
+  async select(quoteId) {
+    const token = crypto.randomBytes(24).toString("base64url");
+
+    const purchase = await this.step(quoteId, async (purchase, saved) => {
+      PurchaseService.checkPriceLock(saved.session);
+      PurchaseService.checkProvider(saved.quote, new ProviderService());
+      PurchaseService.transition(purchase, PURCHASE_STATUS.SELECTED);
+      purchase.token_hash = hashToken(token);
+
+      selectionStatsService.recordSelected(saved.quote.product_id);
+      providerAnalyticsService.recordSelected(saved.quote.provider_id);
+      await kpiService.recordSelection(saved);
+
+      return purchase;
+    });
+
+    return { ...PurchaseService.format(purchase, token), purchase_token: token };
+  }
+
+  /**
+   * Set the buyer of a selected quote
+   * @param {string} quoteId - Quote ID
+   * @param {Object} buyer - Validated buyer details
+   * @param {string} token - Purchase token
+   * @returns {Promise<Object>} - Purchase
+   */
+  async setBuyer(quoteId, buyer, token) {
+    const purchase = await this.step(quoteId, async (purchase, saved) => {
+      PurchaseService.checkToken(purchase, token);
+
+      // The quote was priced and checked for compliance in the customer's state
+      const quotedState = saved.session.customer.state;
+      if (buyer.address.state !== quotedState) {
+        throw ApiError.badRequest(
+          "Buyer address is outside the state the quote was made for, please request a new quote",
+          { quoted_state: quotedState, buyer_state: buyer.address.state }
+        );
+      }
+
+      PurchaseService.transition(purchase, PURCHASE_STATUS.BUYER_COLLECTED);
+      purchase.buyer = buyer;
+
+      return purchase;
+    });
+
+    return PurchaseService.format(purchase, token);
+  }
+
+  /**
+   * Submit a quote with buyer details to its provider for a contract
+   * @param {string} quoteId - Quote ID
+   * @param {string} token - Purchase token
+   * @returns {Promise<Object>} - Purchase, issued or rejected
+   */
+  async purchase(quoteId, token) {
+    const submitted = await this.step(quoteId, async (purchase, saved) => {
+      PurchaseService.checkToken(purchase, token);
+      PurchaseService.checkPriceLock(saved.session);
+
+      const { quote, session } = saved;
+      const providers = new ProviderService();
+      PurchaseService.checkProvider(quote, providers);
+
+      PurchaseService.transition(purchase, PURCHASE_STATUS.SUBMITTED);
+      await PurchaseService.document(quoteId).write(purchase);
+
+      let result;
+      try {
+        result = await providers.submitContract(
+          quote.provider_id,
+          PurchaseService.buildSubmission(purchase, saved)
+        );
+      } catch (error) {
+        logger.warn(
+          `Contract submission for quote ${quoteId} to ${quote.provider_id} failed: ${error.message}`
+        );
+        PurchaseService.transition(purchase, PURCHASE_STATUS.FAILED);
+        purchase.error = error.message;
+        await PurchaseService.document(quoteId).write(purchase);
+
+        throw ApiError.badGateway(
+          `${quote.provider} could not be reached, please try again`,
+          { status: purchase.status }
+        );
+      }
+
+      if (result.status === "issued") {
+        PurchaseService.transition(purchase, PURCHASE_STATUS.ISSUED);
+        purchase.contract = {
+          number: result.contract_number,
+          url: result.contract_url,
+          issued_at: result.issued_at || new Date().toISOString(),
+        };
+        purchase.error = null;
+        await kpiService.recordSale(saved);
+      } else {
+        PurchaseService.transition(purchase, PURCHASE_STATUS.REJECTED);
+        purchase.error = result.reason || "Rejected by provider";
+      }
+
+      logger.info(
+        `Contract for quote ${quoteId} (session ${session.id}) ${purchase.status}`
+      );
+      return purchase;
+    });
+
+    return PurchaseService.format(submitted, token);
+  }
+
+  /**
+   * Run a purchase step on a quote and save the purchase
+   * Each step holds a lock on the quote in the cache, so steps on the same
+   * quote run one at a time across instances. Steps on this instance wait
+   * for the one in progress; a step already running on another instance
+   * fails the step with a conflict.
+   * @param {string} quoteId - Quote ID
+   * @param {Function} update - Called with (purchase, saved quote), returns
+   *   the updated purchase
+   * @returns {Promise<Object>} - Purchase
+   */
+  async step(quoteId, update) {
+    const previous = this.pending.get(quoteId) || Promise.resolve();
+
+    const current = previous
+      .catch(() => {})
+      .then(() =>
+        PurchaseService.withLock(quoteId, async () => {
+          const saved = await PurchaseService.getSavedQuote(quoteId);
+          const document = PurchaseService.document(quoteId);
+          const purchase = await document.read(
+            PurchaseService.createPurchase(saved)
+          );
+
+          const updated = await update(purchase, saved);
+          await document.write(updated);
+          return updated;
+        })
+      );
+
+    this.pending.set(quoteId, current);
+    try {
+      return await current;
+    } finally {
+      if (this.pending.get(quoteId) === current) {
+        this.pending.delete(quoteId);
+      }
+    }
+  }
+
+  /**
+   * Run a task holding the purchase lock of a quote
+   * @param {string} quoteId - Quote ID
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} - Result of the task
+   * @throws {ApiError} - If another step holds the lock
+   */
+  static async withLock(quoteId, task) {
+    const key = `purchase-lock:${quoteId}`;
+    const owner = crypto.randomBytes(16).toString("hex");
+
+    if (!(await cacheService.setIfAbsent(key, owner, STEP_LOCK_TTL))) {
+      throw ApiError.conflict(
+        "Another step of this purchase is in progress, please try again"
+      );
+    }
+
+    try {
+      return await task();
+    } finally {
+      await cacheService.deleteIfEquals(key, owner);
+    }
+  }
+
+  /**
+   * Get a saved quote and its session
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object>} - { quote, session }
+   */
+  static async getSavedQuote(quoteId) {
+    const saved = await quoteSessionService.getQuote(quoteId);
+
+    if (!saved) {
+      throw ApiError.notFound("Quote not found");
+    }
+
+    return saved;
+  }
+
+  /**
+   * Create the purchase of a quote that hasn't been selected
+   * @param {Object} saved - Saved quote and session
+   * @returns {Object} - Purchase
+   */
+  static createPurchase({ quote, session }) {
+    return {
+      quote_id: quote.id,
+      session_id: session.id,
+      status: PURCHASE_STATUS.QUOTED,
+      buyer: null,
+      contract: null,
+      error: null,
+      history: [],
+    };
+  }
+
+  /**
+   * Move a purchase to a new state
+   * @param {Object} purchase - Purchase
+   * @param {string} status - One of PURCHASE_STATUS
+   * @throws {ApiError} - If the purchase can't move to the state
+   */
+  static transition(purchase, status) {
+    const allowed = TRANSITIONS[purchase.status];
+
+    if (!allowed.includes(status)) {
+      throw ApiError.conflict(
+        `Purchase can't move from ${purchase.status} to ${status}`,
+        { status: purchase.status, allowed }
+      );
+    }
+
+    purchase.status = status;
+    purchase.history.push({ status, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Check the purchase token of a purchase
+   * @param {Object} purchase - Purchase
+   * @param {string} token - Purchase token sent
+   * @throws {ApiError} - If the token is missing or wrong
+   */
+  static checkToken(purchase, token) {
+    if (!PurchaseService.tokenMatches(purchase, token)) {
+      throw ApiError.forbidden(
+        "Missing or wrong purchase token, send the X-Purchase-Token returned when the quote was selected"
+      );
+    }
+  }
+
+  /**
+   * Check whether a token is the purchase token of a purchase
+   * @param {Object} purchase - Purchase
+   * @param {string} token - Token sent, if any
+   * @returns {boolean} - True if the token matches
+   */
+  static tokenMatches(purchase, token) {
+    if (!purchase.token_hash || typeof token !== "string") return false;
+
+    return crypto.timingSafeEqual(
+      Buffer.from(purchase.token_hash, "hex"),
+      Buffer.from(hashToken(token), "hex")
+    );
+  }
+
+  /**
+   * Format a purchase for output
+   * The buyer's details, the contract and provider errors are only included
+   * for the holder of the purchase token.
+   * @param {Object} purchase - Saved purchase
+   * @param {string} token - Purchase token sent, if any
+   * @returns {Object} - Purchase
+   */
+  static format(purchase, token) {
+    const { token_hash, ...details } = purchase;
+    if (PurchaseService.tokenMatches(purchase, token)) return details;
+
+    return { ...details, buyer: null, contract: null, error: null };
+  }
+
+  /**
+   * Check that a quote's price can still be purchased
+   * @param {Object} session - Saved quote session
+   * @throws {ApiError} - If the quote is indicative or its price lock expired
+   */
+  static checkPriceLock(session) {
+    const priceLock = quoteSessionService.getPriceLock(session);
+
+    if (priceLock.status === "indicative") {
+      throw ApiError.badRequest(
+        "Indicative quotes can't be purchased, please request quotes with the VIN"
+      );
+    }
+
+    if (priceLock.status === "expired") {
+      throw ApiError.conflict(
+        "The quoted price has expired, please request a new quote",
+        priceLock
+      );
+    }
+  }
+
+  /**
+   * Check that a quote's provider can take a contract for it
+   * @param {Object} quote - Saved quote
+   * @param {ProviderService} providers - Provider service
+   * @throws {ApiError} - If the provider is no longer active, or doesn't
+   *   accept contracts through its API
+   */
+  static checkProvider(quote, providers) {
+    if (!providerRegistry.getActiveProviders()[quote.provider_id]) {
+      throw ApiError.conflict(
+        `${quote.provider} is not accepting contracts, please request a new quote`
+      );
+    }
+
+    if (!providers.acceptsContracts(quote.provider_id)) {
+      throw ApiError.conflict(
+        `${quote.provider} contracts can't be bought online, please contact ${quote.provider} to buy this plan`
+      );
+    }
+  }
+
+  /**
+   * Build the contract submission for a provider adapter
+   * @param {Object} purchase - Purchase with buyer details
+   * @param {Object} saved - Saved quote and session
+   * @returns {Object} - Contract submission
+   */
+  static buildSubmission(purchase, { quote, session }) {
+    const { vehicle, inputs } = session;
+
+    return {
+      reference: quote.id,
+      quote: {
+        product_id: quote.product_id,
+        product_type: quote.product_type,
+        name: quote.name,
+        term: quote.term,
+        mileage: quote.mileage,
+        deductible: quote.deductible,
+        price: quote.price,
+      },
+      vehicle: {
+        vin: vehicle.vin,
+        year: vehicle.year,
+        make: vehicle.make,
+        model: vehicle.model,
+        trim: vehicle.trim,
+        mileage: inputs.mileage,
+        price: inputs.price,
+      },
+      buyer: purchase.buyer,
+      dealer: { id: inputs.dealer_id || "direct" },
+    };
+  }
+
+  /**
+   * Get the document of a quote's purchase
+   * @param {string} quoteId - Quote ID
+   * @returns {JsonDocument} - Purchase document
+   */
+  static document(quoteId) {
+    return new JsonDocument(`purchases/${quoteId}`);
+  }
+}
+
+// Create singleton instance
+const purchaseService = new PurchaseService();
+
+module.exports = { purchaseService, PURCHASE_STATUS };
@@ -0,0 +1,165 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { quoteConfig } = require("../config");
+const { cacheService } = require("./cacheService");
+
+/**
+ * Quote session service
+ * Saves each quote session (the inputs, vehicle and quotes of one quote
+ * request) and each of its quotes in the cache, so a quote can be retrieved
+ * by its ID from any instance after the response and its cached quote
+ * response are gone. Sessions expire quoteConfig.sessionTtlDays after the
+ * quote request.
+ */
+class QuoteSessionService {
+  /**
+   * Save a quote session and its quotes
+   * @param {Object} session - Quote session
+   * @param {string} session.id - Session ID
+   * @param {Array<Object>} session.quotes - Quotes, with product_type set
+   * @returns {Promise<Object>} - The saved session
+   */
+  async save(session) {
+    const { quotes, ...details } = session;
+
+    await QuoteSessionService.write(
+      QuoteSessionService.sessionKey(session.id),
+      {
+        ...details,
+        quote_ids: quotes.map((quote) => quote.id),
+      }
+    );
+
+    await Promise.all(
+      quotes.map((quote) =>
+        QuoteSessionService.write(QuoteSessionService.quoteKey(quote.id), {
+          ...quote,
+          session_id: session.id,
+        })
+      )
+    );
+
+    logger.info(`Saved quote session ${session.id} (${quotes.length} quotes)`);
+    return session;
+  }
+
+  /**
+   * Get a saved quote and the session it belongs to
+   * @param {string} quoteId - Quote ID
+   * @returns {Promise<Object|null>} - { quote, session }, or null if there
+   *   is no such quote
+   */
+  async getQuote(quoteId) {
+    const quote = await QuoteSessionService.read(
+      QuoteSessionService.quoteKey(quoteId)
+    );
+    if (!quote) return null;
+
+    const session = await QuoteSessionService.read(
+      QuoteSessionService.sessionKey(quote.session_id)
+    );
+    if (!session) {
+      logger.warn(`Quote ${quoteId} has no session ${quote.session_id}`);
+      return null;
+    }
+
+    return { quote, session };
+  }
+
+  /**
+   * Get a saved quote session with its quotes
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} - { session, quotes }, or null if there
+   *   is no such session
+   */
+  async getSession(sessionId) {
+    const session = await QuoteSessionService.read(
+      QuoteSessionService.sessionKey(sessionId)
+    );
+    if (!session) return null;
+
+    const { quote_ids, ...details } = session;
+    const quotes = await Promise.all(
+      quote_ids.map((quoteId) =>
+        QuoteSessionService.read(QuoteSessionService.quoteKey(quoteId))
+      )
+    );
+
+    return {
+      session: details,
+      quotes: quotes
+        .filter(Boolean)
+        .map(({ session_id, ...quote }) => quote),
+    };
+  }
+
+  /**
+   * Get the price lock of a quote session
+   * @param {Object} session - Saved quote session
+   * @param {Date} date - Date to check the lock on
+   * @returns {Object} - { status, locked_until }, where status is "locked",
+   *   "expired" or "indicative" (never locked)
+   */
+  getPriceLock(session, date = new Date()) {
+    const lockedUntil = session.price_locked_until;
+
+    let status = "indicative";
+    if (lockedUntil) {
+      status = date < new Date(lockedUntil) ? "locked" : "expired";
+    }
+
+    return { status, locked_until: lockedUntil };
+  }
+
+  /**
+   * Save a value in the cache for the session lifetime
+   * @param {string} key - Cache key
+   * @param {Object} value - Value to save
+   * @returns {Promise<void>}
+   * @throws {Error} - If the cache didn't save the value
+   */
+  static async write(key, value) {
+    const saved = await cacheService.set(
+      key,
+      JSON.stringify(value),
+      quoteConfig.sessionTtlDays * 24 * 60 * 60
+    );
+
+    if (!saved) {
+      throw new Error(`Could not save ${key}`);
+    }
+  }
+
+  /**
+   * Read a value from the cache
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - Value, or null if there is none
+   */
+  static async read(key) {
+    const raw = await cacheService.get(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Get the cache key of a quote session
+   * @param {string} sessionId - Session ID
+   * @returns {string} - Cache key
+   */
+  static sessionKey(sessionId) {
+    return `quote-session:${sessionId}`;
+  }
+
+  /**
+   * Get the cache key of a quote
+   * @param {string} quoteId - Quote ID
+   * @returns {string} - Cache key
+   */
+  static quoteKey(quoteId) {
+    return `quote:${quoteId}`;
+  }
+}
+
+// Create singleton instance
+const quoteSessionService = new QuoteSessionService();
+
+module.exports = { quoteSessionService };
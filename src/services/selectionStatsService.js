@@ -0,0 +1,97 @@
+require("dotenv").config();
+const logger = require("../logger");
+const { JsonDocument } = require("./fileStore");
+
+// Wait this long after a change before saving, to batch writes
+const SAVE_DELAY_MS = 5000;
+
+/**
+ * Selection stats service
+ * Counts how often each plan (quote product ID) is shown and selected, to
+ * give its historical selection rate.
+ */
+class SelectionStatsService {
+  constructor() {
+    this.document = new JsonDocument("selection-stats");
+    this.stats = this.document.readSync({});
+    this.saveTimer = null;
+  }
+
+  /**
+   * Record that quotes were shown
+   * @param {Array<string>} productIds - Product IDs of the quotes shown
+   */
+  recordShown(productIds) {
+    productIds.forEach((productId) => {
+      this.getEntry(productId).shown++;
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Record that a quote was selected
+   * @param {string} productId - Product ID of the selected quote
+   * @returns {boolean} - False if the plan was never shown, so the selection
+   *   isn't counted
+   */
+  recordSelected(productId) {
+    const entry = this.stats[productId];
+
+    if (!entry || entry.selected >= entry.shown) {
+      return false;
+    }
+
+    entry.selected++;
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Get the selection rate of a plan
+   * @param {string} productId - Product ID
+   * @param {number} minShown - Times shown before a rate is reported
+   * @returns {number|null} - Selections per time shown, or null without
+   *   enough history
+   */
+  getRate(productId, minShown = 20) {
+    const entry = this.stats[productId];
+
+    if (!entry || entry.shown < minShown) {
+      return null;
+    }
+
+    return entry.selected / entry.shown;
+  }
+
+  /**
+   * Get (or create) the counts for a plan
+   * @param {string} productId - Product ID
+   * @returns {Object} - { shown, selected }
+   */
+  getEntry(productId) {
+    if (!this.stats[productId]) {
+      this.stats[productId] = { shown: 0, selected: 0 };
+    }
+    return this.stats[productId];
+  }
+
+  /**
+   * Save the stats after a short delay
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.document.write(this.stats).catch((error) => {
+        logger.error(`Saving selection stats failed: ${error.message}`);
+      });
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+}
+
+// Create singleton instance
+const selectionStatsService = new SelectionStatsService();
+
+module.exports = { selectionStatsService };
@@ -0,0 +1,232 @@
+require("dotenv").config();
+const Joi = require("joi");
+const { taggingConfig } = require("../config");
+const { ConfigFile } = require("./configFile");
+const { selectionStatsService } = require("./selectionStatsService");
+
+const formatPrice = (price) => `$${price.toFixed(2)}`;
+
+/**
+ * Tagging strategies
+ * A strategy picks the quote that earns a tag from one product's quotes
+ * (sorted by price) and explains why, or returns null if it can't pick one.
+ *
+ *   strategy(quotes, context) => { quote, reason } | null
+ *
+ * context: { product, dealerId, settings } where settings are the dealer's
+ * tagging settings.
+ */
+const strategies = {
+  /**
+   * Lowest price
+   */
+  lowest_price: (quotes) => ({
+    quote: quotes[0],
+    reason: `Lowest price (${formatPrice(quotes[0].price)})`,
+  }),
+
+  /**
+   * Lowest price per month of coverage
+   */
+  lowest_price_per_month: (quotes) => {
+    const perMonth = (quote) => quote.price / (quote.term || 1);
+    const best = quotes.reduce((a, b) => (perMonth(b) < perMonth(a) ? b : a));
+
+    return {
+      quote: best,
+      reason: `Lowest price per month of coverage (${formatPrice(
+        perMonth(best)
+      )}/month over ${best.term} months)`,
+    };
+  },
+
+  /**
+   * Highest historical selection rate
+   */
+  highest_selection_rate: (quotes) => {
+    let best = null;
+    let bestRate = -1;
+
+    quotes.forEach((quote) => {
+      const rate = selectionStatsService.getRate(
+        quote.product_id,
+        taggingConfig.minSelectionHistory
+      );
+      if (rate !== null && rate > bestRate) {
+        best = quote;
+        bestRate = rate;
+      }
+    });
+
+    if (!best) return null;
+
+    return {
+      quote: best,
+      reason: `Chosen by ${Math.round(
+        bestRate * 100
+      )}% of shoppers offered this plan`,
+    };
+  },
+
+  /**
+   * Second lowest price (the lowest price if there is only one quote)
+   */
+  second_lowest_price: (quotes) => ({
+    quote: quotes[Math.min(1, quotes.length - 1)],
+    reason: "Second lowest price",
+  }),
+
+  /**
+   * First quote the dealer pinned for this product
+   */
+  dealer_pinned: (quotes, { product, dealerId, settings }) => {
+    if (!dealerId) return null;
+
+    const pinned = settings.pinned[product] || [];
+    const productId = pinned.find((id) =>
+      quotes.some((quote) => quote.product_id === id)
+    );
+
+    if (!productId) return null;
+
+    return {
+      quote: quotes.find((quote) => quote.product_id === productId),
+      reason: "Pinned by your dealer",
+    };
+  },
+
+  /**
+   * Most covered components, the lower price winning ties
+   */
+  most_coverage: (quotes, { dealerId }) => {
+    if (!dealerId) return null;
+
+    const covered = (quote) =>
+      Object.values(quote.coverage || {}).filter(Boolean).length;
+    const best = quotes.reduce((a, b) => (covered(b) > covered(a) ? b : a));
+
+    return {
+      quote: best,
+      reason: `Most coverage (${covered(best)} covered components)`,
+    };
+  },
+};
+
+const strategyList = Joi.array().items(
+  Joi.string().valid(...Object.keys(strategies))
+);
+
+const settingsSchema = Joi.object({
+  // Strategies to try for each tag, in order, until one picks a quote
+  tags: Joi.object().pattern(Joi.string(), strategyList),
+  // Product IDs the dealer pins, per product type
+  pinned: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string())),
+});
+
+const taggingSchema = Joi.object({
+  default: settingsSchema
+    .keys({
+      tags: Joi.object().pattern(Joi.string(), strategyList).required(),
+    })
+    .required(),
+  dealers: Joi.object().pattern(Joi.string(), settingsSchema).default({}),
+});
+
+/**
+ * Tagging service
+ * Tags quotes using the strategies configured for the dealer, falling back
+ * to the default configuration.
+ */
+class TaggingService {
+  constructor() {
+    this.config = new ConfigFile({
+      name: "tagging strategies",
+      file: taggingConfig.file,
+      schema: taggingSchema,
+    });
+  }
+
+  /**
+   * Watch the tagging config file and reload on change
+   */
+  watch() {
+    this.config.watch();
+  }
+
+  /**
+   * Get the tagging settings for a dealer
+   * @param {string} dealerId - Dealer ID, if any
+   * @returns {Object} - { tags, pinned }
+   */
+  getSettings(dealerId) {
+    const config = this.config.get();
+    const dealer = (dealerId && config.dealers[dealerId]) || {};
+
+    return {
+      tags: { ...config.default.tags, ...(dealer.tags || {}) },
+      pinned: dealer.pinned || config.default.pinned || {},
+    };
+  }
+
+  /**
+   * Tag aggregated quotes, sorting each product's quotes by price
+   * Each tagged quote gets the tag in `tags` and an explanation in
+   * `tag_reasons`.
+   * @param {Object} aggregatedQuotes - Quotes keyed by product type
+   * @param {string} dealerId - Dealer ID, if any
+   */
+  tagQuotes(aggregatedQuotes, dealerId) {
+    const settings = this.getSettings(dealerId);
+
+    Object.keys(aggregatedQuotes).forEach((product) => {
+      const quotes = aggregatedQuotes[product];
+
+      if (quotes.length === 0) return;
+
+      // Sort by price
+      quotes.sort((a, b) => a.price - b.price);
+      quotes.forEach((quote) => {
+        quote.tag_reasons = [];
+      });
+
+      Object.keys(settings.tags).forEach((tag) => {
+        const pick = TaggingService.pick(settings.tags[tag], quotes, {
+          product,
+          dealerId,
+          settings,
+        });
+
+        if (pick) {
+          pick.quote.tags.push(tag);
+          pick.quote.tag_reasons.push({
+            tag,
+            strategy: pick.strategy,
+            reason: pick.reason,
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Run strategies in order until one picks a quote
+   * @param {Array<string>} names - Strategy names
+   * @param {Array<Object>} quotes - Quotes sorted by price
+   * @param {Object} context - Strategy context
+   * @returns {Object|null} - { quote, reason, strategy }
+   */
+  static pick(names, quotes, context) {
+    for (const name of names) {
+      const pick = strategies[name](quotes, context);
+      if (pick) {
+        return { ...pick, strategy: name };
+      }
+    }
+    return null;
+  }
+}
+
+// Create singleton instance
+const taggingService = new TaggingService();
+
+module.exports = { taggingService };
@@ -0,0 +1,207 @@
+require("dotenv").config();
+const logger = require("../logger");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const { authConfig } = require("../config");
+const { cacheService } = require("./cacheService");
+const { ApiError } = require("../middleware/errorHandler");
+
+/**
+ * Token types, in the `type` claim
+ */
+const TOKEN_TYPES = {
+  ACCESS: "access",
+  REFRESH: "refresh",
+};
+
+// Cache key prefix of revoked token IDs
+const DENYLIST_PREFIX = "auth:denylist:";
+
+/**
+ * Token service
+ * Issues short-lived access tokens and longer-lived refresh tokens (JWTs,
+ * HS256), verifies them against the signing key named by their `kid` header,
+ * and revokes them by listing their ID (jti) in the cache until they expire.
+ *
+ * Tokens without a `kid` (made before keys were named) are verified with the
+ * current signing key, and tokens without a `type` are taken as access tokens.
+ */
+class TokenService {
+  constructor() {
+    this.keys = TokenService.loadKeys();
+  }
+
+  /**
+   * Refuse to run in production with a placeholder signing secret
+   * @param {string} environment - NODE_ENV
+   * @throws {Error} - If the configuration isn't safe for the environment
+   */
+  assertSecureConfig(environment = process.env.NODE_ENV) {
+    if (environment !== "production") return;
+
+    const insecure = [...this.keys.values()]
+      .filter(({ secret }) => authConfig.insecureSecrets.includes(secret))
+      .map(({ kid }) => kid);
+
+    if (insecure.length > 0) {
+      throw new Error(
+        `Refusing to start in production: JWT key ${insecure.join(
+          ", "
+        )} uses a placeholder secret, set JWT_SECRET to a unique secret`
+      );
+    }
+  }
+
+  /**
+   * Issue an access token and a refresh token
+   * @param {Object} claims - Identity claims (sub, role, dealer_id, ...)
+   * @returns {Object} - OAuth 2.0 style token response
+   */
+  issue(claims) {
+    return {
+      access_token: this.sign(
+        claims,
+        TOKEN_TYPES.ACCESS,
+        authConfig.accessTokenTtl
+      ),
+      token_type: "Bearer",
+      expires_in: authConfig.accessTokenTtl,
+      refresh_token: this.sign(
+        claims,
+        TOKEN_TYPES.REFRESH,
+        authConfig.refreshTokenTtl
+      ),
+      refresh_expires_in: authConfig.refreshTokenTtl,
+    };
+  }
+
+  /**
+   * Sign a token with the current signing key
+   * @param {Object} claims - Identity claims
+   * @param {string} type - One of TOKEN_TYPES
+   * @param {number} ttl - Lifetime in seconds
+   * @returns {string} - Token
+   */
+  sign(claims, type, ttl) {
+    const { kid, secret } = authConfig.signingKey;
+
+    return jwt.sign({ ...claims, type }, secret, {
+      algorithm: "HS256",
+      expiresIn: ttl,
+      jwtid: uuidv4(),
+      keyid: kid,
+    });
+  }
+
+  /**
+   * Verify a token
+   * @param {string} token - Token
+   * @param {string} type - Expected type, one of TOKEN_TYPES
+   * @returns {Promise<Object>} - Token claims
+   * @throws {ApiError|Error} - ApiError for an unknown key, wrong type or
+   *   revoked token; jsonwebtoken's errors for invalid or expired tokens
+   */
+  async verify(token, type = TOKEN_TYPES.ACCESS) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw ApiError.unauthorized("Invalid token");
+    }
+
+    const key = this.getVerifyingKey(decoded.header.kid);
+    const claims = jwt.verify(token, key.secret, { algorithms: ["HS256"] });
+
+    if ((claims.type || TOKEN_TYPES.ACCESS) !== type) {
+      throw ApiError.unauthorized(`Wrong token type, expected ${type}`);
+    }
+
+    if (claims.jti && (await this.isRevoked(claims.jti))) {
+      throw ApiError.unauthorized("Token has been revoked");
+    }
+
+    return claims;
+  }
+
+  /**
+   * Revoke a token until it expires
+   * @param {Object} claims - Verified token claims
+   * @returns {Promise<void>}
+   */
+  async revoke(claims) {
+    if (!claims.jti || !claims.exp) return;
+
+    const ttl = claims.exp - Math.floor(Date.now() / 1000);
+    if (ttl <= 0) return;
+
+    await cacheService.set(`${DENYLIST_PREFIX}${claims.jti}`, "1", ttl);
+    logger.info(`Revoked ${claims.type || "access"} token ${claims.jti}`);
+  }
+
+  /**
+   * Check whether a token was revoked
+   * @param {string} jti - Token ID
+   * @returns {Promise<boolean>} - True if revoked
+   */
+  async isRevoked(jti) {
+    return Boolean(await cacheService.get(`${DENYLIST_PREFIX}${jti}`));
+  }
+
+  /**
+   * Get the key to verify a token with
+   * @param {string} kid - Key ID from the token header, if any
+   * @returns {Object} - Key ({ kid, secret, until })
+   * @throws {ApiError} - If the key is unknown or past its rollover window
+   */
+  getVerifyingKey(kid) {
+    const key = kid ? this.keys.get(kid) : authConfig.signingKey;
+
+    if (!key) {
+      throw ApiError.unauthorized("Token signed with an unknown key");
+    }
+    if (key.until && key.until <= new Date()) {
+      throw ApiError.unauthorized("Token signed with a retired key");
+    }
+
+    return key;
+  }
+
+  /**
+   * Load the signing key and the retired keys still verifying tokens
+   * @returns {Map<string, Object>} - Keys ({ kid, secret, until }) by kid
+   */
+  static loadKeys() {
+    const keys = new Map();
+
+    authConfig.previousKeys
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const separator = entry.indexOf("=");
+        const at = entry.lastIndexOf("@");
+        const until = at > separator ? new Date(entry.slice(at + 1)) : null;
+
+        if (separator <= 0 || (until && isNaN(until))) {
+          logger.warn("Ignoring malformed entry in JWT_PREVIOUS_KEYS");
+          return;
+        }
+
+        const kid = entry.slice(0, separator);
+        keys.set(kid, {
+          kid,
+          secret: entry.slice(separator + 1, until ? at : undefined),
+          until,
+        });
+      });
+
+    // The signing key always wins over a retired key of the same kid
+    const { kid } = authConfig.signingKey;
+    keys.set(kid, { ...authConfig.signingKey, until: null });
+
+    return keys;
+  }
+}
+
+// Create singleton instance
+const tokenService = new TokenService();
+
+module.exports = { tokenService, TOKEN_TYPES };
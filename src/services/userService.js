@@ -0,0 +1,128 @@
+require("dotenv").config();
+const logger = require("../logger");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { JsonDocument } = require("./fileStore");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Bytes of the derived password key
+const KEY_LENGTH = 64;
+
+/**
+ * User service
+ * Keeps the user accounts that sign in with a password (operators, and
+ * dealer staff with a dealer_id). Passwords are stored as salted scrypt
+ * hashes. Accounts are read on every sign-in, so accounts added with
+ * `npm run user:create` apply without a restart.
+ */
+class UserService {
+  constructor() {
+    this.document = new JsonDocument("users");
+  }
+
+  /**
+   * Get a user
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} - User, without the password hash
+   */
+  async get(username) {
+    const users = await this.document.read({});
+    const user = users[username];
+    if (!user) return null;
+
+    const { password_hash, ...details } = user;
+    return details;
+  }
+
+  /**
+   * Check a user's password
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} - User, or null if the username or
+   *   password is wrong or the account is disabled
+   */
+  async authenticate(username, password) {
+    const users = await this.document.read({});
+    const user = users[username];
+
+    // Hash even for unknown users, so response times don't reveal usernames
+    const valid = await UserService.verifyPassword(
+      password,
+      user ? user.password_hash : UserService.DUMMY_HASH
+    );
+
+    if (!user || !valid || !user.enabled) {
+      logger.warn(`Failed sign-in for ${username}`);
+      return null;
+    }
+
+    const { password_hash, ...details } = user;
+    return details;
+  }
+
+  /**
+   * Create or replace a user
+   * @param {Object} user - User
+   * @param {string} user.username - Username
+   * @param {string} user.password - Password
+   * @param {string} user.role - Role
+   * @param {string} user.dealerId - Dealer the user works for, if any
+   * @returns {Promise<Object>} - User, without the password hash
+   */
+  async save({ username, password, role, dealerId }) {
+    const passwordHash = await UserService.hashPassword(password);
+    const users = await this.document.update((current) => {
+      const now = new Date().toISOString();
+
+      current[username] = {
+        username,
+        password_hash: passwordHash,
+        role,
+        dealer_id: dealerId || null,
+        enabled: true,
+        created_at: current[username] ? current[username].created_at : now,
+        updated_at: now,
+      };
+      return current;
+    }, {});
+
+    const { password_hash, ...details } = users[username];
+    return details;
+  }
+
+  /**
+   * Hash a password
+   * @param {string} password - Password
+   * @returns {Promise<string>} - "scrypt$<salt>$<key>", base64
+   */
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString("base64")}$${key.toString("base64")}`;
+  }
+
+  /**
+   * Check a password against a hash
+   * @param {string} password - Password
+   * @param {string} hash - Hash from hashPassword
+   * @returns {Promise<boolean>} - True if the password matches
+   */
+  static async verifyPassword(password, hash) {
+    const [scheme, salt, expected] = hash.split("$");
+    if (scheme !== "scrypt" || !salt || !expected) return false;
+
+    const key = await scrypt(password, Buffer.from(salt, "base64"), KEY_LENGTH);
+    return crypto.timingSafeEqual(key, Buffer.from(expected, "base64"));
+  }
+}
+
+// Hash checked for unknown users (of a random password nobody knows)
+UserService.DUMMY_HASH = `scrypt$${crypto
+  .randomBytes(16)
+  .toString("base64")}$${crypto.randomBytes(KEY_LENGTH).toString("base64")}`;
+
+// Create singleton instance
+const userService = new UserService();
+
+module.exports = { userService };
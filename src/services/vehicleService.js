@@ -1,119 +1,301 @@
+require('dotenv').config();
+const logger = require('../logger');
+const { vinDecoderConfig } = require('../config');
+const { cacheService } = require('./cacheService');
+const { getDecoders } = require('./vinDecoders');
+const { zipService } = require('./zipService');
+const vehicleCatalog = require('../config/vehicleCatalog.json');
+const { YEAR_CODES } = require('./vinDecoders/offlineDecoder');
+
+// Characters allowed in a VIN (I, O and Q are never used)
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Numeric value of each VIN character for the check digit
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+// Check digit weight of each VIN position (position 9 is the check digit)
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Vehicle fields filled in by the VIN decoders
+const VEHICLE_FIELDS = [
+  'manufacturer', 'country', 'year', 'make', 'model', 'trim',
+  'body_style', 'engine', 'transmission'
+];
+
+/**
+ * Find a key in an object ignoring case
+ * @param {Object} object - Object to search
+ * @param {string} name - Key to find
+ * @returns {string|undefined} - Key as written in the object
+ */
+const findKey = (object, name) =>
+  Object.keys(object).find((key) => key.toLowerCase() === String(name).toLowerCase());
+
 /**
  * Vehicle service for getting vehicle details and location information
  */
 class VehicleService {
   /**
    * Get vehicle details from VIN
+   * Decoded VINs are cached. A valid VIN no decoder recognises comes back
+   * with status "unknown" and no make.
    * @param {string} vin - Vehicle Identification Number
-   * @returns {Promise<Object|null>} - Vehicle details or null if not found
+   * @returns {Promise<Object|null>} - Vehicle details or null if the VIN is invalid
    */
   static async getVehicleDetails(vin) {
-    // In a real implementation, this would call a VIN decoder API
-    // For this MVP, we'll simulate the response
+    if (this.validateVin(vin).length > 0) {
+      return null;
+    }
+    
+    const value = vin.toUpperCase();
+    const cacheKey = `vin:${value}`;
+    
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+    
+    const { vehicleDetails, complete } = await this.decodeVin(value);
+    
+    // Don't cache unknown VINs or answers missing a decoder that failed,
+    // the decoder may know more later
+    if (vehicleDetails.status === 'decoded' && complete) {
+      await cacheService.set(
+        cacheKey,
+        JSON.stringify(vehicleDetails),
+        vinDecoderConfig.cacheTtl
+      );
+    }
+    
+    return vehicleDetails;
+  }
+  
+  /**
+   * Validate a VIN
+   * @param {string} vin - Vehicle Identification Number
+   * @returns {Array<string>} - Validation errors, empty if the VIN is valid
+   */
+  static validateVin(vin) {
+    if (typeof vin !== 'string' || vin.length !== 17) {
+      return ['VIN must be 17 characters'];
+    }
+    
+    const value = vin.toUpperCase();
+    const errors = [];
+    
+    if (/[IOQ]/.test(value)) {
+      errors.push('VIN cannot contain the letters I, O or Q');
+    } else if (!VIN_PATTERN.test(value)) {
+      errors.push('VIN can only contain letters and digits');
+    } else {
+      if (!YEAR_CODES.includes(value.charAt(9))) {
+        errors.push(`Invalid model year code "${value.charAt(9)}" in position 10`);
+      }
+      if (this.calculateCheckDigit(value) !== value.charAt(8)) {
+        errors.push('VIN check digit (position 9) does not match');
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Calculate the check digit of a VIN
+   * @param {string} vin - Upper case VIN
+   * @returns {string} - Expected check digit, "0"-"9" or "X"
+   */
+  static calculateCheckDigit(vin) {
+    const sum = vin.split('').reduce((total, char, index) => {
+      const value = /[0-9]/.test(char) ? Number(char) : TRANSLITERATION[char];
+      return total + value * WEIGHTS[index];
+    }, 0);
+    
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+  }
+  
+  /**
+   * Decode a valid VIN with the configured decoders
+   * Decoders are tried in priority order until every field is known. Each
+   * field comes from the first decoder that knows it, recorded in `sources`.
+   * A decoder that fails is skipped.
+   * @param {string} vin - Valid, upper case VIN
+   * @returns {Promise<Object>} - { vehicleDetails, complete } where complete
+   *   is false if a decoder failed
+   */
+  static async decodeVin(vin) {
+    const vehicleDetails = { vin, status: 'unknown', wmi: vin.substring(0, 3) };
+    const sources = {};
+    let complete = true;
+    
+    VEHICLE_FIELDS.forEach((field) => {
+      vehicleDetails[field] = null;
+    });
     
-    // Validate VIN format
-    if (!vin || vin.length !== 17) {
+    for (const decoder of getDecoders()) {
+      if (VEHICLE_FIELDS.every((field) => vehicleDetails[field] !== null)) {
+        break;
+      }
+      
+      let decoded;
+      try {
+        decoded = await decoder.decode(vin, { timeout: vinDecoderConfig.timeout });
+      } catch (error) {
+        logger.warn(`VIN decoder ${decoder.name} failed for ${vin}: ${error.message}`);
+        complete = false;
+        continue;
+      }
+      
+      if (!decoded) continue;
+      
+      VEHICLE_FIELDS.forEach((field) => {
+        const value = decoded[field];
+        if (vehicleDetails[field] === null && value !== null && value !== undefined) {
+          vehicleDetails[field] = value;
+          sources[field] = decoder.name;
+        }
+      });
+    }
+    
+    vehicleDetails.status = vehicleDetails.make ? 'decoded' : 'unknown';
+    vehicleDetails.sources = sources;
+    
+    return { vehicleDetails, complete };
+  }
+  
+  /**
+   * Get vehicle details from a year, make, model and trim selection
+   * @param {Object} selection - Vehicle selection
+   * @param {number} selection.year - Model year
+   * @param {string} selection.make - Make
+   * @param {string} selection.model - Model
+   * @param {string} selection.trim - Trim, if known
+   * @returns {Object|null} - Vehicle details or null if the vehicle isn't in the catalog
+   */
+  static getVehicleFromSelection({ year, make, model, trim }) {
+    const entry = this.findCatalogModel(year, make, model);
+    
+    if (!entry) {
       return null;
     }
     
-    // Extract basic info from VIN
-    // This is a simplified implementation for demo purposes
-    const year = this.decodeModelYear(vin.charAt(9));
-    const make = this.decodeMake(vin.charAt(1));
-    const model = this.decodeModel(vin.substring(3, 6));
+    const trimName = trim ? entry.trims.find((name) => name.toLowerCase() === trim.toLowerCase()) : null;
+    if (trim && !trimName) {
+      return null;
+    }
+    
+    const vehicleDetails = { vin: null, status: 'selected', wmi: null };
+    VEHICLE_FIELDS.forEach((field) => {
+      vehicleDetails[field] = null;
+    });
     
     return {
-      vin,
-      year,
-      make,
-      model,
-      trim: 'XLT', // Hardcoded for demo
-      body_style: 'Sedan',
-      engine: '2.0L I4',
-      transmission: 'Automatic'
+      ...vehicleDetails,
+      year: parseInt(year),
+      make: entry.make,
+      model: entry.model,
+      trim: trimName,
+      sources: {}
     };
   }
   
   /**
-   * Get state from ZIP code
-   * @param {string} zip - 5-digit ZIP code
-   * @returns {Promise<string>} - 2-letter state code
+   * Get the model years in the vehicle catalog
+   * @returns {Array<number>} - Model years, newest first
    */
-  static async getStateFromZip(zip) {
-    // In a real implementation, this would call a ZIP code API
-    // For this MVP, we'll use a simple mapping for common ZIP codes
-    const zipPrefixes = {
-      '0': 'CT', // Connecticut
-      '1': 'NY', // New York
-      '2': 'DC', // Washington DC / MD / VA
-      '3': 'FL', // Florida
-      '4': 'MI', // Michigan
-      '5': 'LA', // Louisiana
-      '6': 'TX', // Texas
-      '7': 'TX', // Texas
-      '8': 'CO', // Colorado
-      '9': 'CA'  // California
-    };
+  static getYears() {
+    const years = new Set();
     
-    const prefix = zip.charAt(0);
-    return zipPrefixes[prefix] || 'CA'; // Default to CA
+    Object.values(vehicleCatalog.makes).forEach((models) => {
+      Object.values(models).forEach(({ years: [from, to] }) => {
+        for (let year = from; year <= to; year++) {
+          years.add(year);
+        }
+      });
+    });
+    
+    return [...years].sort((a, b) => b - a);
   }
   
   /**
-   * Decode model year from VIN
-   * @param {string} yearCode - Year code from VIN
-   * @returns {number} - Model year
+   * Get the makes in the vehicle catalog for a model year
+   * @param {number} year - Model year
+   * @returns {Array<string>} - Makes
    */
-  static decodeModelYear(yearCode) {
-    // Simplified year decoding for demo
-    const yearCodes = {
-      'A': 2010, 'B': 2011, 'C': 2012, 'D': 2013, 'E': 2014,
-      'F': 2015, 'G': 2016, 'H': 2017, 'J': 2018, 'K': 2019,
-      'L': 2020, 'M': 2021, 'N': 2022, 'P': 2023, 'R': 2024
-    };
-    
-    return yearCodes[yearCode] || 2018; // Default to 2018
+  static getMakes(year) {
+    return Object.keys(vehicleCatalog.makes)
+      .filter((make) => this.getModels(year, make).length > 0)
+      .sort();
   }
   
   /**
-   * Decode make from VIN
-   * @param {string} makeCode - Make code from VIN
-   * @returns {string} - Vehicle make
+   * Get the models of a make in the vehicle catalog for a model year
+   * @param {number} year - Model year
+   * @param {string} make - Make
+   * @returns {Array<string>|null} - Models, or null if the make is unknown
    */
-  static decodeMake(makeCode) {
-    // Simplified make decoding for demo
-    const makeCodes = {
-      'A': 'Audi', 'B': 'BMW', 'C': 'Chevrolet', 'D': 'Dodge',
-      'F': 'Ford', 'G': 'GMC', 'H': 'Honda', 'J': 'Jeep',
-      'K': 'Kia', 'L': 'Lincoln', 'M': 'Mercedes', 'N': 'Nissan',
-      'T': 'Toyota', 'V': 'Volkswagen'
-    };
+  static getModels(year, make) {
+    const makeKey = findKey(vehicleCatalog.makes, make);
     
-    return makeCodes[makeCode] || 'Ford'; // Default to Ford
+    if (!makeKey) {
+      return null;
+    }
+    
+    const models = vehicleCatalog.makes[makeKey];
+    return Object.keys(models)
+      .filter((model) => year >= models[model].years[0] && year <= models[model].years[1])
+      .sort();
   }
   
   /**
-   * Decode model from VIN
-   * @param {string} modelCode - Model code from VIN
-   * @returns {string} - Vehicle model
+   * Get the trims of a model in the vehicle catalog
+   * @param {number} year - Model year
+   * @param {string} make - Make
+   * @param {string} model - Model
+   * @returns {Array<string>|null} - Trims, or null if the model isn't sold that year
    */
-  static decodeModel(modelCode) {
-    // Simplified model decoding for demo
-    // In reality, this would be much more complex and depend on make
-    const modelMap = {
-      'F15': 'F-150',
-      'CRV': 'CR-V',
-      'CIV': 'Civic',
-      'ACC': 'Accord',
-      'CAM': 'Camry',
-      'RAV': 'RAV4',
-      'SIL': 'Silverado',
-      'EQU': 'Equinox',
-      'ESC': 'Escape',
-      'EXP': 'Explorer'
-    };
+  static getTrims(year, make, model) {
+    const entry = this.findCatalogModel(year, make, model);
+    return entry ? entry.trims : null;
+  }
+  
+  /**
+   * Find a model in the vehicle catalog
+   * @param {number} year - Model year
+   * @param {string} make - Make
+   * @param {string} model - Model
+   * @returns {Object|null} - { make, model, trims } with names as written in
+   *   the catalog, or null if the model isn't sold that year
+   */
+  static findCatalogModel(year, make, model) {
+    const makeKey = findKey(vehicleCatalog.makes, make);
+    const modelKey = makeKey && findKey(vehicleCatalog.makes[makeKey], model);
+    
+    if (!modelKey) {
+      return null;
+    }
     
-    return modelMap[modelCode] || 'F-150'; // Default to F-150
+    const { years: [from, to], trims } = vehicleCatalog.makes[makeKey][modelKey];
+    
+    if (year < from || year > to) {
+      return null;
+    }
+    
+    return { make: makeKey, model: modelKey, trims };
+  }
+  
+  /**
+   * Get state, county and city from ZIP code
+   * @param {string} zip - 5-digit ZIP code
+   * @returns {Promise<Object|null>} - { zip, state, county, city, precision }
+   *   or null if the ZIP code doesn't exist
+   */
+  static async getLocationFromZip(zip) {
+    return zipService.lookup(zip);
   }
 }
 
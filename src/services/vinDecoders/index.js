@@ -0,0 +1,61 @@
+const { vinDecoderConfig } = require("../../config");
+const OfflineDecoder = require("./offlineDecoder");
+const VpicDecoder = require("./vpicDecoder");
+const VendorDecoder = require("./vendorDecoder");
+
+/**
+ * VIN decoders
+ * A decoder decodes a valid, upper case VIN into any of the vehicle fields it
+ * knows, leaving the rest null, or returns null if it doesn't recognise the
+ * VIN:
+ *
+ *   { manufacturer, country, year, make, model, trim, body_style, engine,
+ *     transmission }
+ *
+ * Decoder interface:
+ *   constructor(options)
+ *   name
+ *   decode(vin, { timeout }) => Promise<Object|null>
+ */
+const decoderTypes = {
+  offline: OfflineDecoder,
+  vpic: VpicDecoder,
+  vendor: VendorDecoder,
+};
+
+let decoders = null;
+
+/**
+ * Get the configured decoders, in priority order
+ * @returns {Array<Object>} - Decoder instances
+ */
+const getDecoders = () => {
+  if (!decoders) {
+    decoders = vinDecoderConfig.decoders.map((type) => {
+      const Decoder = decoderTypes[type];
+
+      if (!Decoder) {
+        throw new Error(`Unknown VIN decoder "${type}"`);
+      }
+
+      return new Decoder(vinDecoderConfig[type] || {});
+    });
+  }
+
+  return decoders;
+};
+
+/**
+ * Register a decoder type
+ * @param {string} type - Decoder type, as listed in VIN_DECODERS
+ * @param {Function} Decoder - Decoder class
+ */
+const registerDecoder = (type, Decoder) => {
+  decoderTypes[type] = Decoder;
+  decoders = null;
+};
+
+module.exports = {
+  getDecoders,
+  registerDecoder,
+};
@@ -0,0 +1,59 @@
+const { wmiTable } = require("../../config/wmi");
+
+// Model year codes (position 10) for 1980-2009; the cycle repeats every 30 years
+const YEAR_CODES = "ABCDEFGHJKLMNPRSTVWXY123456789";
+
+/**
+ * Offline decoder
+ * Decodes the manufacturer (positions 1-3) from the bundled WMI table and the
+ * model year (positions 7 and 10). The model, trim and equipment live in the
+ * manufacturer's own section of the VIN and can't be decoded offline.
+ */
+class OfflineDecoder {
+  constructor() {
+    this.name = "offline";
+  }
+
+  /**
+   * Decode a VIN
+   * @param {string} vin - Valid, upper case VIN
+   * @returns {Promise<Object>} - Decoded fields; only the model year if the
+   *   manufacturer is unknown
+   */
+  async decode(vin) {
+    const manufacturer = wmiTable[vin.substring(0, 3)] || {};
+
+    return {
+      manufacturer: manufacturer.manufacturer || null,
+      country: manufacturer.country || null,
+      year: OfflineDecoder.decodeModelYear(vin),
+      make: manufacturer.make || null,
+    };
+  }
+
+  /**
+   * Decode model year from VIN
+   * Position 10 repeats every 30 years. For cars and light trucks position 7
+   * tells the cycles apart: a digit for 1980-2009, a letter from 2010. A
+   * result more than a year ahead falls back a cycle, for manufacturers that
+   * don't follow the position 7 convention.
+   * @param {string} vin - Valid, upper case VIN
+   * @returns {number} - Model year
+   */
+  static decodeModelYear(vin) {
+    let year = 1980 + YEAR_CODES.indexOf(vin.charAt(9));
+
+    if (/[A-Z]/.test(vin.charAt(6))) {
+      year += 30;
+    }
+
+    if (year > new Date().getFullYear() + 1) {
+      year -= 30;
+    }
+
+    return year;
+  }
+}
+
+module.exports = OfflineDecoder;
+module.exports.YEAR_CODES = YEAR_CODES;
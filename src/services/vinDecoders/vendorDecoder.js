@@ -0,0 +1,79 @@
+require("dotenv").config();
+const logger = require("../../logger");
+const axios = require("axios");
+const { getAuthScheme } = require("../adapters/authSchemes");
+
+const FIELDS = [
+  "manufacturer",
+  "country",
+  "year",
+  "make",
+  "model",
+  "trim",
+  "body_style",
+  "engine",
+  "transmission",
+];
+
+/**
+ * Vendor decoder
+ * Decodes VINs with a licensed data vendor. The vendor API takes
+ * POST /vin/decode { vin } and answers { vehicle: { year, make, ... } }, or
+ * 404 for a VIN it doesn't know. Credentials use the provider auth schemes.
+ */
+class VendorDecoder {
+  /**
+   * @param {Object} options - Decoder configuration
+   * @param {string} options.baseUrl - API base URL
+   * @param {string} options.apiKey - API key
+   * @param {Object} options.auth - Auth scheme settings ({ scheme, ... })
+   */
+  constructor(options) {
+    this.name = "vendor";
+    this.options = options;
+    this.applyAuth = getAuthScheme(options.auth && options.auth.scheme);
+  }
+
+  /**
+   * Decode a VIN
+   * @param {string} vin - Valid, upper case VIN
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @returns {Promise<Object|null>} - Decoded fields, or null if the VIN
+   *   wasn't recognised
+   */
+  async decode(vin, { timeout } = {}) {
+    const config = this.applyAuth(this.options, {
+      baseURL: this.options.baseUrl,
+      method: "POST",
+      url: "/vin/decode",
+      data: { vin },
+      headers: { "Content-Type": "application/json" },
+      timeout,
+    });
+
+    logger.debug(`Decoding VIN ${vin} with vendor decoder`);
+    let response;
+    try {
+      response = await axios.request(config);
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    const vehicle = response.data && response.data.vehicle;
+
+    if (!vehicle) {
+      return null;
+    }
+
+    return FIELDS.reduce((decoded, name) => {
+      decoded[name] = vehicle[name] === undefined ? null : vehicle[name];
+      return decoded;
+    }, {});
+  }
+}
+
+module.exports = VendorDecoder;
@@ -0,0 +1,79 @@
+require("dotenv").config();
+const logger = require("../../logger");
+const axios = require("axios");
+
+/**
+ * Read a vPIC result field, treating empty values as unknown
+ * @param {Object} result - vPIC result
+ * @param {string} name - Field name
+ * @returns {string|null} - Field value
+ */
+const field = (result, name) => {
+  const value = result[name];
+  return value === undefined || value === null || value === ""
+    ? null
+    : String(value).trim();
+};
+
+/**
+ * vPIC decoder
+ * Decodes VINs with an NHTSA vPIC-style API (DecodeVinValues), or any
+ * service that answers in the same format.
+ */
+class VpicDecoder {
+  /**
+   * @param {Object} options - Decoder configuration
+   * @param {string} options.baseUrl - API base URL
+   */
+  constructor({ baseUrl }) {
+    this.name = "vpic";
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Decode a VIN
+   * @param {string} vin - Valid, upper case VIN
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @returns {Promise<Object|null>} - Decoded fields, or null if the VIN
+   *   wasn't recognised
+   */
+  async decode(vin, { timeout } = {}) {
+    logger.debug(`Decoding VIN ${vin} with vPIC`);
+    const response = await axios.get(`/vehicles/DecodeVinValues/${vin}`, {
+      baseURL: this.baseUrl,
+      params: { format: "json" },
+      timeout,
+    });
+
+    const result = response.data && (response.data.Results || [])[0];
+
+    if (!result || !field(result, "Make")) {
+      return null;
+    }
+
+    const displacement = field(result, "DisplacementL");
+    const cylinders = field(result, "EngineCylinders");
+    const engine = [
+      displacement && `${parseFloat(displacement).toFixed(1)}L`,
+      cylinders && `${cylinders}-cylinder`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+    const year = parseInt(field(result, "ModelYear"));
+
+    return {
+      manufacturer: field(result, "Manufacturer"),
+      country: field(result, "PlantCountry"),
+      year: Number.isNaN(year) ? null : year,
+      make: field(result, "Make"),
+      model: field(result, "Model"),
+      trim: field(result, "Trim"),
+      body_style: field(result, "BodyClass"),
+      engine: engine || null,
+      transmission: field(result, "TransmissionStyle"),
+    };
+  }
+}
+
+module.exports = VpicDecoder;
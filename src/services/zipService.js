@@ -0,0 +1,145 @@
+require("dotenv").config();
+const logger = require("../logger");
+const fs = require("fs");
+const { zipConfig } = require("../config");
+const { zip3Ranges, unassignedZip3 } = require("../config/zip3");
+
+// Environments expected to run without the dataset, on the ZIP3 table alone
+const DATASET_OPTIONAL_ENVIRONMENTS = ["development", "test"];
+
+/**
+ * ZIP code service
+ * Resolves ZIP codes to state, county and city from the ZIP code dataset
+ * built by scripts/refreshZipData.js. Without the dataset, ZIP codes resolve
+ * to their state only, from the bundled ZIP3 table.
+ */
+class ZipService {
+  constructor() {
+    this.file = zipConfig.file;
+    this.dataset = null;
+    this.watching = false;
+
+    this.load();
+  }
+
+  /**
+   * Load the ZIP code dataset, if installed
+   */
+  load() {
+    let dataset;
+
+    try {
+      dataset = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        logger.warn(
+          `ZIP code dataset ${this.file} not found, resolving ZIP codes to states only`
+        );
+      } else {
+        logger.error(`Could not load ZIP code dataset: ${error.message}`);
+      }
+      return;
+    }
+
+    if (!dataset || typeof dataset.zips !== "object") {
+      logger.error(`Invalid ZIP code dataset in ${this.file}`);
+      return;
+    }
+
+    this.dataset = dataset;
+    logger.info(
+      `Loaded ${Object.keys(dataset.zips).length} ZIP codes from ${this.file}`
+    );
+  }
+
+  /**
+   * Warn when running outside development without the ZIP code dataset
+   * Quoting still works, but ZIP codes only resolve to their state.
+   * @param {string} environment - NODE_ENV
+   */
+  checkDataset(environment = process.env.NODE_ENV || "development") {
+    if (this.dataset || DATASET_OPTIONAL_ENVIRONMENTS.includes(environment)) {
+      return;
+    }
+
+    logger.warn(
+      `Running in ${environment} without ZIP code dataset ${this.file}: ZIP codes resolve to states only, build it with npm run refresh:zips`
+    );
+  }
+
+  /**
+   * Watch the dataset file and reload on change
+   */
+  watch() {
+    if (this.watching) return;
+
+    fs.watchFile(
+      this.file,
+      { interval: zipConfig.pollInterval },
+      (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) {
+          this.load();
+        }
+      }
+    ).unref();
+    this.watching = true;
+  }
+
+  /**
+   * Resolve a ZIP code
+   * @param {string} zip - 5-digit ZIP code
+   * @returns {Object|null} - { zip, state, county, city, precision } where
+   *   precision is "zip" or "zip3", or null if the ZIP code doesn't exist
+   */
+  lookup(zip) {
+    if (!/^\d{5}$/.test(zip)) {
+      return null;
+    }
+
+    const zip3 = zip.substring(0, 3);
+    if (unassignedZip3.includes(zip3)) {
+      return null;
+    }
+
+    if (this.dataset) {
+      const entry = this.dataset.zips[zip];
+
+      if (!entry) {
+        return null;
+      }
+
+      const [city, county, state] = entry;
+      return { zip, state, county, city, precision: "zip" };
+    }
+
+    const range = zip3Ranges.find(([from, to]) => zip3 >= from && zip3 <= to);
+
+    if (!range) {
+      return null;
+    }
+
+    return { zip, state: range[2], county: null, city: null, precision: "zip3" };
+  }
+
+  /**
+   * Describe the loaded dataset
+   * @returns {Object} - { source, generated_at, zip_count }, or null without
+   *   a dataset
+   */
+  getDatasetInfo() {
+    if (!this.dataset) {
+      return null;
+    }
+
+    return {
+      source: this.dataset.source,
+      generated_at: this.dataset.generated_at,
+      zip_count: Object.keys(this.dataset.zips).length,
+    };
+  }
+}
+
+// Create singleton instance
+const zipService = new ZipService();
+
+module.exports = { zipService };
@@ -0,0 +1,183 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-routes-test-"));
+const registryFile = path.join(dataDir, "providers.json");
+fs.copyFileSync(
+  path.join(__dirname, "../src/config/providers.json"),
+  registryFile
+);
+process.env.DATA_DIR = dataDir;
+process.env.PROVIDER_REGISTRY_FILE = registryFile;
+process.env.JWT_SECRET = "admin-routes-test-secret";
+
+const express = require("express");
+const request = require("supertest");
+const adminRoutes = require("../src/routes/admin");
+const { errorHandler } = require("../src/middleware/errorHandler");
+const { tokenService } = require("../src/services/tokenService");
+const { auditService } = require("../src/services/auditService");
+const { providerRegistry } = require("../src/services/providerRegistry");
+
+const app = express();
+app.use(express.json());
+app.use("/api/admin", adminRoutes);
+app.use(errorHandler);
+
+const admin = `Bearer ${
+  tokenService.issue({ sub: "ops", role: "platform_admin" }).access_token
+}`;
+
+const registryFileContents = fs.readFileSync(registryFile, "utf8");
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("provider administration", () => {
+  test("changes a markup as an override, leaving the registry file alone", async () => {
+    const response = await request(app)
+      .put("/api/admin/providers/providerA/markup")
+      .set("Authorization", admin)
+      .send({ markup: 1.35 });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      id: "providerA",
+      markup: 1.35,
+      apiKey: "********",
+    });
+    expect(providerRegistry.getProvider("providerA").markup).toBe(1.35);
+    expect(fs.readFileSync(registryFile, "utf8")).toBe(registryFileContents);
+    expect(
+      JSON.parse(
+        fs.readFileSync(
+          path.join(dataDir, "provider-registry-overrides.json"),
+          "utf8"
+        )
+      ).providers
+    ).toEqual({ providerA: { markup: 1.35 } });
+  });
+
+  test("keeps overrides when the registry file changes", async () => {
+    const definition = JSON.parse(registryFileContents);
+    definition.providers.providerA.priority = 5;
+    fs.writeFileSync(registryFile, JSON.stringify(definition));
+
+    expect(await providerRegistry.reload()).toBe(true);
+    expect(providerRegistry.getProvider("providerA")).toMatchObject({
+      priority: 5,
+      markup: 1.35,
+    });
+  });
+
+  test("records changes in the audit log without API keys", async () => {
+    await request(app)
+      .patch("/api/admin/providers/providerB")
+      .set("Authorization", admin)
+      .send({ apiKey: "new-secret", timeout: 4000 });
+
+    const [entry] = await auditService.list({ target: "provider:providerB" });
+    expect(entry).toMatchObject({
+      actor: "ops",
+      action: "provider.update",
+      changes: {
+        before: { apiKey: "********", timeout: null },
+        after: { apiKey: "********", timeout: 4000 },
+      },
+    });
+    expect(providerRegistry.getProvider("providerB").apiKey).toBe("new-secret");
+  });
+
+  test("stops quoting a disabled provider", async () => {
+    const response = await request(app)
+      .post("/api/admin/providers/providerC/disable")
+      .set("Authorization", admin);
+
+    expect(response.body.active).toBe(false);
+    expect(providerRegistry.getActiveProviders()).not.toHaveProperty(
+      "providerC"
+    );
+
+    await request(app)
+      .post("/api/admin/providers/providerC/enable")
+      .set("Authorization", admin);
+    expect(providerRegistry.getActiveProviders()).toHaveProperty("providerC");
+  });
+
+  test("restricts a product in more states", async () => {
+    const response = await request(app)
+      .put("/api/admin/state-restrictions/tire")
+      .set("Authorization", admin)
+      .send({ states: ["fl", "GA"] });
+
+    expect(response.status).toBe(200);
+    expect(providerRegistry.getStateRestrictions()).toMatchObject({
+      gap: ["NY", "CA"],
+      tire: ["FL", "GA"],
+    });
+  });
+
+  test.each([
+    [
+      "an unknown provider",
+      "put",
+      "/providers/providerZ/markup",
+      { markup: 1 },
+      404,
+    ],
+    [
+      "a negative markup",
+      "put",
+      "/providers/providerA/markup",
+      { markup: -1 },
+      400,
+    ],
+    [
+      "an existing provider ID",
+      "post",
+      "/providers",
+      {
+        id: "providerA",
+        name: "Provider A",
+        baseUrl: "https://a.example.com",
+        products: ["vsc"],
+        markup: 1.2,
+        priority: 1,
+      },
+      409,
+    ],
+    [
+      "an unknown product",
+      "put",
+      "/state-restrictions/boat",
+      { states: [] },
+      400,
+    ],
+  ])("rejects %s", async (name, method, url, body, status) => {
+    const response = await request(app)
+      [method](`/api/admin${url}`)
+      .set("Authorization", admin)
+      .send(body);
+
+    expect(response.status).toBe(status);
+    expect(providerRegistry.getProvider("providerA").markup).toBe(1.35);
+  });
+
+  test("is limited to platform admins", async () => {
+    const dealerAdmin = tokenService.issue({
+      sub: "dana",
+      role: "dealer_admin",
+    }).access_token;
+
+    const response = await request(app)
+      .put("/api/admin/providers/providerA/markup")
+      .set("Authorization", `Bearer ${dealerAdmin}`)
+      .send({ markup: 2 });
+
+    expect(response.status).toBe(403);
+    expect((await request(app).get("/api/admin/providers")).status).toBe(401);
+  });
+});
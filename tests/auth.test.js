@@ -0,0 +1,205 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.JWT_KEY_ID = "2026-10";
+process.env.JWT_SECRET = "current-test-secret";
+process.env.JWT_PREVIOUS_KEYS =
+  "2026-04=previous-test-secret,2025-10=retired-test-secret@2026-01-01T00:00:00Z";
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const authRoutes = require("../src/routes/auth");
+const { errorHandler } = require("../src/middleware/errorHandler");
+const { tokenService, TOKEN_TYPES } = require("../src/services/tokenService");
+const { userService } = require("../src/services/userService");
+
+const app = express();
+app.use(express.json());
+app.use("/api/auth", authRoutes);
+app.use(errorHandler);
+
+const claims = { sub: "ops", role: "platform_admin" };
+
+const signWith = (kid, secret, type = TOKEN_TYPES.ACCESS) =>
+  jwt.sign({ ...claims, type }, secret, {
+    algorithm: "HS256",
+    expiresIn: 60,
+    jwtid: `${kid}-token`,
+    keyid: kid,
+  });
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("signing key rotation", () => {
+  test("new tokens are signed with the current key", async () => {
+    const { access_token } = tokenService.issue(claims);
+
+    expect(jwt.decode(access_token, { complete: true }).header.kid).toBe(
+      "2026-10"
+    );
+    await expect(tokenService.verify(access_token)).resolves.toMatchObject(
+      claims
+    );
+  });
+
+  test("tokens signed with a previous key still verify", async () => {
+    const token = signWith("2026-04", "previous-test-secret");
+
+    await expect(tokenService.verify(token)).resolves.toMatchObject(claims);
+  });
+
+  test("tokens signed with a key past its rollover window are rejected", async () => {
+    const token = signWith("2025-10", "retired-test-secret");
+
+    await expect(tokenService.verify(token)).rejects.toThrow(
+      "Token signed with a retired key"
+    );
+  });
+
+  test("tokens signed with an unknown key are rejected", async () => {
+    const token = signWith("2024-01", "unknown-test-secret");
+
+    await expect(tokenService.verify(token)).rejects.toThrow(
+      "Token signed with an unknown key"
+    );
+  });
+
+  test("a known key ID with the wrong secret is rejected", async () => {
+    const token = signWith("2026-04", "current-test-secret");
+
+    await expect(tokenService.verify(token)).rejects.toThrow(
+      "invalid signature"
+    );
+  });
+});
+
+describe("token revocation", () => {
+  test("a revoked token no longer verifies", async () => {
+    const { access_token } = tokenService.issue(claims);
+    const verified = await tokenService.verify(access_token);
+
+    await tokenService.revoke(verified);
+
+    await expect(tokenService.verify(access_token)).rejects.toThrow(
+      "Token has been revoked"
+    );
+  });
+
+  test("revoking one token leaves the others valid", async () => {
+    const first = tokenService.issue(claims);
+    const second = tokenService.issue(claims);
+
+    await tokenService.revoke(await tokenService.verify(first.access_token));
+
+    await expect(
+      tokenService.verify(second.access_token)
+    ).resolves.toMatchObject(claims);
+  });
+
+  test("tokens are only accepted as their own type", async () => {
+    const { access_token, refresh_token } = tokenService.issue(claims);
+
+    await expect(
+      tokenService.verify(access_token, TOKEN_TYPES.REFRESH)
+    ).rejects.toThrow("Wrong token type, expected refresh");
+    await expect(tokenService.verify(refresh_token)).rejects.toThrow(
+      "Wrong token type, expected access"
+    );
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  const login = async () => {
+    const response = await request(app)
+      .post("/api/auth/login")
+      .send({ username: "ops", password: "correct horse battery" });
+
+    expect(response.status).toBe(200);
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    await userService.save({
+      username: "ops",
+      password: "correct horse battery",
+      role: "platform_admin",
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("exchanges a refresh token for new tokens once", async () => {
+    const { refresh_token } = await login();
+
+    const refreshed = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refresh_token });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.refresh_token).not.toBe(refresh_token);
+    await expect(
+      tokenService.verify(refreshed.body.access_token)
+    ).resolves.toMatchObject(claims);
+
+    const reused = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refresh_token });
+    expect(reused.status).toBe(401);
+
+    const next = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refresh_token: refreshed.body.refresh_token });
+    expect(next.status).toBe(200);
+  });
+
+  test("doesn't accept an access token", async () => {
+    const { access_token } = await login();
+
+    const response = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refresh_token: access_token });
+
+    expect(response.status).toBe(401);
+  });
+
+  test("refuses a user who has been disabled since", async () => {
+    const { refresh_token } = await login();
+    jest.spyOn(userService, "get").mockResolvedValue({
+      username: "ops",
+      role: "platform_admin",
+      enabled: false,
+    });
+
+    const response = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refresh_token });
+
+    expect(response.status).toBe(401);
+  });
+
+  test("signing out revokes the access and refresh tokens", async () => {
+    const { access_token, refresh_token } = await login();
+
+    const logout = await request(app)
+      .post("/api/auth/logout")
+      .set("Authorization", `Bearer ${access_token}`)
+      .send({ refresh_token });
+    expect(logout.status).toBe(204);
+
+    await expect(tokenService.verify(access_token)).rejects.toThrow(
+      "Token has been revoked"
+    );
+    const refreshed = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refresh_token });
+    expect(refreshed.status).toBe(401);
+  });
+});
@@ -0,0 +1,138 @@
+const {
+  authorize,
+  canAccessDealer,
+  getRole,
+  isDealer,
+} = require("../src/middleware/auth");
+const { PERMISSIONS } = require("../src/config/roles");
+
+const consumer = { sub: "shopper", role: "consumer" };
+const dealerUser = { sub: "sam", role: "dealer_user", dealer_id: "dealer-1" };
+const dealerAdmin = {
+  sub: "dana",
+  role: "dealer_admin",
+  dealer_id: "dealer-1",
+};
+const dealerKey = {
+  sub: "dealer:dealer-1",
+  role: "dealer_user",
+  dealer_id: "dealer-1",
+  api_key_id: "key-1",
+};
+const platformAdmin = { sub: "ops", role: "platform_admin" };
+
+describe("canAccessDealer", () => {
+  test.each([
+    ["a dealer user", dealerUser],
+    ["a dealer admin", dealerAdmin],
+    ["a dealer API key", dealerKey],
+  ])("%s only sees their own dealer's data", (name, user) => {
+    expect(canAccessDealer(user, "dealer-1")).toBe(true);
+    expect(canAccessDealer(user, "dealer-2")).toBe(false);
+  });
+
+  test("platform admins see every dealer's data", () => {
+    expect(canAccessDealer(platformAdmin, "dealer-1")).toBe(true);
+    expect(canAccessDealer(platformAdmin, "dealer-2")).toBe(true);
+  });
+
+  test("legacy operator tokens are platform admins", () => {
+    expect(canAccessDealer({ sub: "ops", role: "operator" }, "dealer-1")).toBe(
+      true
+    );
+  });
+
+  test.each([
+    ["anonymous callers", undefined],
+    ["consumers", consumer],
+    ["tokens without a role", { sub: "someone" }],
+    ["tokens with an unknown role", { sub: "someone", role: "superuser" }],
+  ])("%s don't see dealers' data", (name, user) => {
+    expect(canAccessDealer(user, "dealer-1")).toBe(false);
+  });
+
+  test("a dealer role without a dealer ID sees no dealer's data", () => {
+    expect(
+      canAccessDealer({ sub: "sam", role: "dealer_user" }, "dealer-1")
+    ).toBe(false);
+  });
+
+  test("anyone sees data without a dealer", () => {
+    [undefined, consumer, dealerUser, platformAdmin].forEach((user) => {
+      expect(canAccessDealer(user, null)).toBe(true);
+    });
+  });
+});
+
+describe("isDealer", () => {
+  test("dealer roles and tokens with a dealer ID are dealers", () => {
+    expect(isDealer(dealerUser)).toBe(true);
+    expect(isDealer(dealerAdmin)).toBe(true);
+    expect(isDealer({ sub: "sam", role: "dealer" })).toBe(true);
+    expect(
+      isDealer({ sub: "x", role: "consumer", dealer_id: "dealer-1" })
+    ).toBe(true);
+  });
+
+  test("other callers aren't", () => {
+    expect(isDealer(undefined)).toBe(false);
+    expect(isDealer(consumer)).toBe(false);
+    expect(isDealer(platformAdmin)).toBe(false);
+  });
+});
+
+describe("getRole", () => {
+  test.each([
+    [undefined, "consumer"],
+    [{ sub: "someone" }, "consumer"],
+    [{ sub: "someone", role: "superuser" }, "consumer"],
+    [{ sub: "someone", role: "toString" }, "consumer"],
+    [{ sub: "ops", role: "operator" }, "platform_admin"],
+    [{ sub: "sam", role: "dealer" }, "dealer_user"],
+    [dealerAdmin, "dealer_admin"],
+  ])("%p has role %s", (user, role) => {
+    expect(getRole(user)).toBe(role);
+  });
+});
+
+describe("authorize", () => {
+  const run = (user, ...permissions) => {
+    const next = jest.fn();
+    authorize(...permissions)({ user }, {}, next);
+    return next.mock.calls[0][0];
+  };
+
+  test("lets a role with every permission through", () => {
+    expect(run(dealerUser, PERMISSIONS.KPI_REPORT)).toBeUndefined();
+    expect(
+      run(platformAdmin, PERMISSIONS.PROVIDERS_MANAGE, PERMISSIONS.AUDIT_READ)
+    ).toBeUndefined();
+  });
+
+  test("lets anonymous callers do what consumers can", () => {
+    expect(run(undefined, PERMISSIONS.QUOTES_REQUEST)).toBeUndefined();
+  });
+
+  test("asks anonymous callers to authenticate for more", () => {
+    expect(run(undefined, PERMISSIONS.KPI_REPORT)).toMatchObject({
+      statusCode: 401,
+    });
+  });
+
+  test("refuses a role missing a permission", () => {
+    expect(run(dealerUser, PERMISSIONS.PRICING_RULES_MANAGE)).toMatchObject({
+      statusCode: 403,
+      details: {
+        role: "dealer_user",
+        missing: [PERMISSIONS.PRICING_RULES_MANAGE],
+      },
+    });
+  });
+
+  test("only platform admins get every dealer's data", () => {
+    expect(run(dealerAdmin, PERMISSIONS.DEALER_DATA_ALL)).toMatchObject({
+      statusCode: 403,
+    });
+    expect(run(platformAdmin, PERMISSIONS.DEALER_DATA_ALL)).toBeUndefined();
+  });
+});
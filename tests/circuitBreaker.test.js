@@ -0,0 +1,99 @@
+const { CircuitBreaker, STATES } = require("../src/services/circuitBreaker");
+
+describe("CircuitBreaker", () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+    breaker = new CircuitBreaker("test", {
+      failureThreshold: 3,
+      cooldownMs: 1000,
+      halfOpenMaxCalls: 1,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fail = (times) => {
+    for (let i = 0; i < times; i++) breaker.recordFailure();
+  };
+
+  test("starts closed and allows requests", () => {
+    expect(breaker.getStatus()).toEqual({
+      state: STATES.CLOSED,
+      failures: 0,
+      opened_at: null,
+    });
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test("stays closed below the failure threshold", () => {
+    fail(2);
+
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test("a success resets the consecutive failure count", () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.failures).toBe(2);
+  });
+
+  test("opens at the failure threshold and skips requests during cool-down", () => {
+    fail(3);
+
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.getStatus().opened_at).toBe(new Date(now).toISOString());
+    expect(breaker.allowRequest()).toBe(false);
+
+    now += 999;
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.state).toBe(STATES.OPEN);
+  });
+
+  test("turns half-open after cool-down and allows limited trial requests", () => {
+    fail(3);
+    now += 1000;
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+
+  test("closes when a half-open trial request succeeds", () => {
+    fail(3);
+    now += 1000;
+    breaker.allowRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.getStatus()).toEqual({
+      state: STATES.CLOSED,
+      failures: 0,
+      opened_at: null,
+    });
+    expect(breaker.allowRequest()).toBe(true);
+  });
+
+  test("reopens when a half-open trial request fails", () => {
+    fail(3);
+    now += 1000;
+    breaker.allowRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+
+    // The cool-down starts again from the failed trial
+    now += 1000;
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(STATES.HALF_OPEN);
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "compliance-test-"));
+const matrixFile = path.join(dataDir, "compliance.json");
+const matrix = {
+  rules: [
+    {
+      id: "fl-vsc-disclosure",
+      match: { state: "FL", product: "vsc" },
+      disclosure: "Florida service agreements are regulated by the state.",
+    },
+    {
+      id: "ny-gap-withdrawn",
+      match: { state: ["NY", "CA"], product: "gap" },
+      available: false,
+      reason: "GAP waivers can't be sold with this product in the state",
+    },
+    {
+      id: "tx-providerB-premium",
+      match: { state: "TX", provider: "providerB", plan: "*_premium_*" },
+      effective_from: "2026-03-01T00:00:00Z",
+      effective_to: "2026-09-01T00:00:00Z",
+      available: false,
+      reason: "Premium plans are suspended pending refiling",
+    },
+  ],
+};
+fs.writeFileSync(matrixFile, JSON.stringify(matrix));
+process.env.COMPLIANCE_MATRIX_FILE = matrixFile;
+
+const { complianceService } = require("../src/services/complianceService");
+
+const quote = (productId, productType, providerId) => ({
+  product_id: productId,
+  product_type: productType,
+  provider: { id: providerId, name: `Provider ${providerId.slice(-1)}` },
+});
+
+const vsc = quote("providerA_vsc_basic_60_60", "vsc", "providerA");
+const gap = quote("providerA_gap_standard", "gap", "providerA");
+const premium = quote("providerB_vsc_premium_36_36", "vsc", "providerB");
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("ComplianceService.evaluate", () => {
+  test("adds the state's disclosures to plans it covers", () => {
+    expect(complianceService.evaluate(vsc, "FL")).toEqual({
+      available: true,
+      reasons: [],
+      disclosures: [
+        {
+          id: "fl-vsc-disclosure",
+          text: "Florida service agreements are regulated by the state.",
+        },
+      ],
+    });
+    expect(complianceService.evaluate(vsc, "GA").disclosures).toEqual([]);
+  });
+
+  test("withdraws plans the state doesn't allow, with the reason", () => {
+    expect(complianceService.evaluate(gap, "CA")).toEqual({
+      available: false,
+      reasons: [
+        {
+          rule: "ny-gap-withdrawn",
+          reason: "GAP waivers can't be sold with this product in the state",
+        },
+      ],
+      disclosures: [],
+    });
+    expect(complianceService.evaluate(gap, "TX").available).toBe(true);
+  });
+
+  test("only applies rules in force on the date", () => {
+    const evaluate = (date) =>
+      complianceService.evaluate(premium, "TX", new Date(date)).available;
+
+    expect(evaluate("2026-02-28T23:59:59Z")).toBe(true);
+    expect(evaluate("2026-03-01T00:00:00Z")).toBe(false);
+    expect(evaluate("2026-08-31T23:59:59Z")).toBe(false);
+    expect(evaluate("2026-09-01T00:00:00Z")).toBe(true);
+  });
+
+  test("matches the provider and plan of the rule", () => {
+    const during = new Date("2026-06-01T00:00:00Z");
+
+    expect(
+      complianceService.evaluate(
+        quote("providerB_vsc_basic_60_60", "vsc", "providerB"),
+        "TX",
+        during
+      ).available
+    ).toBe(true);
+    expect(
+      complianceService.evaluate(
+        quote("providerA_vsc_premium_36_36", "vsc", "providerA"),
+        "TX",
+        during
+      ).available
+    ).toBe(true);
+  });
+});
+
+describe("compliance matrix file", () => {
+  test("rejects a withdrawal without a reason, keeping the current matrix", () => {
+    fs.writeFileSync(
+      matrixFile,
+      JSON.stringify({
+        rules: [{ id: "no-reason", match: { state: "TX" }, available: false }],
+      })
+    );
+
+    expect(complianceService.config.reload()).toBe(false);
+    expect(complianceService.getRules()).toHaveLength(3);
+  });
+});
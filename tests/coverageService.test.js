@@ -0,0 +1,118 @@
+const CoverageService = require("../src/services/coverageService");
+
+const basic = {
+  id: "quote-1",
+  product_id: "providerA_vsc_basic",
+  provider: "Provider A",
+  name: "Basic",
+  price: 900,
+  term: 36,
+  mileage: 36000,
+  deductible: 100,
+  coverage: { Engine: true, "Trans-axle": true, brake_system: false },
+  exclusions: ["Wear items", "Pre-existing conditions"],
+  tags: [],
+};
+
+const plus = {
+  id: "quote-2",
+  product_id: "providerB_vsc_plus",
+  provider: "Provider B",
+  name: "Plus",
+  price: 1100,
+  term: 36,
+  mileage: 36000,
+  deductible: 100,
+  coverage: { motor: true, transmission: true, brakes: true, rental: 40 },
+  exclusions: ["wear-items"],
+  tags: ["Most Popular"],
+};
+
+describe("CoverageService.normalizeCoverage", () => {
+  test("maps provider keys onto the taxonomy by alias", () => {
+    expect(CoverageService.normalizeCoverage("vsc", basic.coverage)).toEqual(
+      expect.objectContaining({
+        engine: true,
+        transmission: true,
+        brakes: false,
+        steering: false,
+        other: {},
+      })
+    );
+  });
+
+  test("keeps keys the taxonomy doesn't know apart", () => {
+    expect(
+      CoverageService.normalizeCoverage("vsc", plus.coverage).other
+    ).toEqual({ rental: 40 });
+  });
+
+  test("leaves amount components empty when not given", () => {
+    expect(
+      CoverageService.normalizeCoverage("gap", { loan_payoff: true })
+    ).toMatchObject({ loan_payoff: true, max_benefit: null });
+  });
+});
+
+describe("CoverageService.getHighlights", () => {
+  test("lists covered components with amount limits, in taxonomy order", () => {
+    expect(
+      CoverageService.getHighlights("gap", {
+        benefit_limit: 50000,
+        gap_payoff: true,
+        insurance_deductible: false,
+      })
+    ).toEqual(["Loan Payoff", "Maximum Benefit: $50,000"]);
+  });
+});
+
+describe("CoverageService.compare", () => {
+  const comparison = CoverageService.compare("vsc", [basic, plus]);
+  const row = (key) =>
+    comparison.rows.find((candidate) => candidate.key === key);
+
+  test("lines up each quote's values, in the order given", () => {
+    expect(comparison.quotes.map(({ id }) => id)).toEqual([
+      "quote-1",
+      "quote-2",
+    ]);
+    expect(row("price")).toMatchObject({ values: [900, 1100], differs: true });
+    expect(row("term_months")).toMatchObject({
+      values: [36, 36],
+      differs: false,
+    });
+    expect(row("engine")).toMatchObject({
+      section: "coverage",
+      label: "Engine",
+      values: [true, true],
+    });
+  });
+
+  test("flags differing coverage, including keys the taxonomy doesn't know", () => {
+    expect(row("brakes").values).toEqual([false, true]);
+    expect(row("rental").values).toEqual([null, 40]);
+    expect(comparison.differences).toEqual(
+      expect.arrayContaining(["price", "brakes", "rental"])
+    );
+    expect(comparison.differences).not.toContain("engine");
+  });
+
+  test("matches exclusions worded differently", () => {
+    const exclusions = comparison.rows.filter(
+      ({ section }) => section === "exclusions"
+    );
+
+    expect(exclusions).toEqual([
+      expect.objectContaining({
+        label: "Wear items",
+        values: [true, true],
+        differs: false,
+      }),
+      expect.objectContaining({
+        label: "Pre-existing conditions",
+        values: [true, false],
+        differs: true,
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,208 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "dealer-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.JWT_SECRET = "dealer-test-secret";
+
+const { dealerService } = require("../src/services/dealerService");
+const { tokenService } = require("../src/services/tokenService");
+const { authenticate } = require("../src/middleware/auth");
+const { bindDealer } = require("../src/middleware/dealer");
+
+const profile = {
+  name: "Lakeside Motors",
+  states: ["TX"],
+  products: ["vsc", "gap"],
+  enabled: true,
+};
+
+/**
+ * Run the authentication middleware on a request with the given headers
+ */
+const runAuthenticate = async (headers) => {
+  const req = { headers };
+  const next = jest.fn();
+  await authenticate(req, {}, next);
+  return { req, error: next.mock.calls[0][0] };
+};
+
+/**
+ * Run bindDealer on a quote request body for a dealer
+ */
+const runBindDealer = (dealer, body) => {
+  const req = {
+    dealer,
+    body: { zip: "75201", products: ["vsc"], ...body },
+  };
+  const next = jest.fn();
+  bindDealer(req, {}, next);
+  return { body: req.body, error: next.mock.calls[0][0] };
+};
+
+beforeAll(async () => {
+  await dealerService.create({ id: "dealer-1", ...profile });
+  await dealerService.create({ id: "dealer-2", ...profile, enabled: false });
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("dealer API keys", () => {
+  test("shows a key once and stores only its hash", async () => {
+    const issued = await dealerService.issueKey("dealer-1", "DMS integration");
+
+    expect(issued).toMatchObject({
+      name: "DMS integration",
+      key: expect.stringMatching(/^aqk_/),
+      revoked_at: null,
+    });
+    expect(issued.key.startsWith(issued.prefix)).toBe(true);
+    expect(issued).not.toHaveProperty("hash");
+
+    const stored = JSON.parse(
+      fs.readFileSync(path.join(dataDir, "dealers.json"), "utf8")
+    );
+    expect(JSON.stringify(stored)).not.toContain(issued.key);
+    expect(dealerService.get("dealer-1").api_keys[0]).not.toHaveProperty(
+      "hash"
+    );
+  });
+
+  test("finds the dealer of a key until it is revoked", async () => {
+    const { id, key } = await dealerService.issueKey("dealer-1");
+
+    expect(dealerService.authenticateKey(key)).toMatchObject({
+      dealer: { id: "dealer-1" },
+      keyId: id,
+    });
+    expect(dealerService.isKeyActive("dealer-1", id)).toBe(true);
+
+    expect(await dealerService.revokeKey("dealer-1", id)).toMatchObject({
+      id,
+      revoked_at: expect.any(String),
+    });
+    expect(dealerService.authenticateKey(key)).toBeNull();
+    expect(dealerService.isKeyActive("dealer-1", id)).toBe(false);
+  });
+
+  test("returns null for unknown dealers and keys", async () => {
+    expect(await dealerService.issueKey("unknown")).toBeNull();
+    expect(await dealerService.revokeKey("dealer-1", "unknown")).toBeNull();
+    expect(dealerService.authenticateKey("aqk_unknown")).toBeNull();
+  });
+});
+
+describe("authenticate", () => {
+  test("identifies a dealer by API key", async () => {
+    const { id, key } = await dealerService.issueKey("dealer-1");
+
+    const { req, error } = await runAuthenticate({ "x-api-key": key });
+
+    expect(error).toBeUndefined();
+    expect(req.dealer.id).toBe("dealer-1");
+    expect(req.user).toEqual({
+      sub: "dealer:dealer-1",
+      role: "dealer_user",
+      dealer_id: "dealer-1",
+      api_key_id: id,
+    });
+  });
+
+  test("refuses revoked keys and tokens exchanged for them", async () => {
+    const { id, key } = await dealerService.issueKey("dealer-1");
+    const token = tokenService.issue({
+      sub: "dealer:dealer-1",
+      role: "dealer_user",
+      dealer_id: "dealer-1",
+      api_key_id: id,
+    }).access_token;
+    await dealerService.revokeKey("dealer-1", id);
+
+    const byKey = await runAuthenticate({ "x-api-key": key });
+    const byToken = await runAuthenticate({
+      authorization: `Bearer ${token}`,
+    });
+
+    expect(byKey.error).toMatchObject({ statusCode: 401 });
+    expect(byToken.error).toMatchObject({
+      statusCode: 401,
+      message: "Invalid API key",
+    });
+  });
+
+  test("refuses the credentials of a disabled or unknown dealer", async () => {
+    const { key } = await dealerService.issueKey("dealer-2");
+    const token = tokenService.issue({
+      sub: "sam",
+      role: "dealer_user",
+      dealer_id: "unknown",
+    }).access_token;
+
+    const byKey = await runAuthenticate({ "x-api-key": key });
+    const byToken = await runAuthenticate({
+      authorization: `Bearer ${token}`,
+    });
+
+    expect(byKey.error).toMatchObject({
+      statusCode: 401,
+      message: "Dealer account is not active",
+    });
+    expect(byToken.error).toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe("bindDealer", () => {
+  test("sets the body dealer ID from the credentials", () => {
+    const dealer = dealerService.get("dealer-1");
+
+    expect(runBindDealer(dealer, {})).toEqual({
+      body: expect.objectContaining({ dealer_id: "dealer-1" }),
+      error: undefined,
+    });
+    expect(runBindDealer(dealer, { dealer_id: "dealer-1" }).error).toBe(
+      undefined
+    );
+  });
+
+  test("refuses a body dealer ID that doesn't match the credentials", () => {
+    expect(
+      runBindDealer(dealerService.get("dealer-1"), { dealer_id: "dealer-2" })
+        .error
+    ).toMatchObject({ statusCode: 403 });
+    expect(
+      runBindDealer(undefined, { dealer_id: "dealer-1" }).error
+    ).toMatchObject({ statusCode: 403 });
+  });
+
+  test("leaves requests without a dealer unbound", () => {
+    expect(runBindDealer(undefined, { products: ["tire"] })).toEqual({
+      body: expect.objectContaining({ dealer_id: null }),
+      error: undefined,
+    });
+  });
+
+  test("refuses products not enabled for the dealer", () => {
+    expect(
+      runBindDealer(dealerService.get("dealer-1"), {
+        products: ["vsc", "tire", "dent"],
+      }).error
+    ).toMatchObject({
+      statusCode: 400,
+      details: { products: ["tire", "dent"], enabled: ["vsc", "gap"] },
+    });
+  });
+
+  test("refuses customers in states the dealer doesn't sell in", () => {
+    expect(
+      runBindDealer(dealerService.get("dealer-1"), { zip: "10001" }).error
+    ).toMatchObject({
+      statusCode: 400,
+      message: "Your dealership does not sell in NY",
+      details: { state: "NY", states: ["TX"] },
+    });
+  });
+});
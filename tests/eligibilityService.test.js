@@ -0,0 +1,175 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "eligibility-test-"));
+const rulesFile = path.join(dataDir, "eligibilityRules.json");
+const rules = {
+  rules: [
+    {
+      id: "vsc-limits",
+      match: { product: "vsc" },
+      max_age_years: 10,
+      max_mileage: 100000,
+      excluded_makes: ["Ferrari"],
+    },
+    {
+      id: "providerA-premium",
+      match: { provider: "providerA", plan: "providerA_vsc_premium_*" },
+      max_age_years: 5,
+      excluded_models: [{ make: "Ford", model: "F-150" }],
+      commercial_use: false,
+    },
+    {
+      id: "gap-price-cap",
+      match: { product: ["gap"] },
+      max_vehicle_price: 80000,
+      min_model_year: 2015,
+    },
+  ],
+};
+fs.writeFileSync(rulesFile, JSON.stringify(rules));
+process.env.ELIGIBILITY_RULES_FILE = rulesFile;
+
+const { eligibilityService } = require("../src/services/eligibilityService");
+
+const thisYear = new Date().getFullYear();
+
+const quote = (productId, productType, providerId = "providerA") => ({
+  product_id: productId,
+  product_type: productType,
+  provider: { id: providerId, name: `Provider ${providerId.slice(-1)}` },
+});
+
+const vehicle = (changes) => ({
+  year: thisYear - 2,
+  make: "Honda",
+  model: "Accord",
+  mileage: 20000,
+  price: 30000,
+  commercial_use: false,
+  ...changes,
+});
+
+const premium = quote("providerA_vsc_premium_36_36", "vsc");
+const basic = quote("providerA_vsc_basic_60_60", "vsc");
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("EligibilityService.check", () => {
+  test("passes a vehicle meeting every rule that applies", () => {
+    expect(eligibilityService.check(premium, vehicle())).toEqual([]);
+  });
+
+  test("gives a reason for each condition the vehicle fails", () => {
+    expect(
+      eligibilityService.check(
+        premium,
+        vehicle({ year: thisYear - 12, mileage: 120000 })
+      )
+    ).toEqual([
+      {
+        rule: "vsc-limits",
+        reason: "Vehicle is 12 years old, the limit is 10 years",
+      },
+      {
+        rule: "vsc-limits",
+        reason: "Mileage of 120,000 exceeds the limit of 100,000",
+      },
+      {
+        rule: "providerA-premium",
+        reason: "Vehicle is 12 years old, the limit is 5 years",
+      },
+    ]);
+  });
+
+  test("only applies rules matching the provider and plan", () => {
+    const sixYearsOld = vehicle({ year: thisYear - 6 });
+
+    expect(eligibilityService.check(premium, sixYearsOld)).toHaveLength(1);
+    expect(eligibilityService.check(basic, sixYearsOld)).toEqual([]);
+    expect(
+      eligibilityService.check(
+        quote("providerB_vsc_premium_36_36", "vsc", "providerB"),
+        sixYearsOld
+      )
+    ).toEqual([]);
+  });
+
+  test("excludes makes and models ignoring case", () => {
+    expect(
+      eligibilityService.check(basic, vehicle({ make: "FERRARI" }))
+    ).toEqual([
+      { rule: "vsc-limits", reason: "FERRARI vehicles are excluded" },
+    ]);
+    expect(
+      eligibilityService.check(
+        premium,
+        vehicle({ make: "ford", model: "f-150" })
+      )
+    ).toEqual([
+      {
+        rule: "providerA-premium",
+        reason: "ford f-150 vehicles are excluded",
+      },
+    ]);
+  });
+
+  test("excludes vehicles in commercial use where the rule says so", () => {
+    const commercial = vehicle({ commercial_use: true });
+
+    expect(eligibilityService.check(premium, commercial)).toEqual([
+      {
+        rule: "providerA-premium",
+        reason: "Vehicles in commercial use are excluded",
+      },
+    ]);
+    expect(eligibilityService.check(basic, commercial)).toEqual([]);
+  });
+
+  test("caps the vehicle price and model year", () => {
+    expect(
+      eligibilityService
+        .check(
+          quote("providerA_gap_standard", "gap"),
+          vehicle({ price: 95000, year: 2014 })
+        )
+        .map(({ reason }) => reason)
+    ).toEqual([
+      "Model year 2014 is before 2015",
+      "Vehicle price of $95,000 exceeds the cap of $80,000",
+    ]);
+  });
+});
+
+describe("eligibility rules file", () => {
+  afterEach(() => {
+    fs.writeFileSync(rulesFile, JSON.stringify(rules));
+    eligibilityService.config.reload();
+  });
+
+  test("reloads changed rules", () => {
+    fs.writeFileSync(
+      rulesFile,
+      JSON.stringify({
+        rules: [{ id: "no-honda", excluded_makes: ["Honda"] }],
+      })
+    );
+
+    expect(eligibilityService.config.reload()).toBe(true);
+    expect(eligibilityService.check(basic, vehicle())).toHaveLength(1);
+  });
+
+  test("keeps the current rules when the file is invalid", () => {
+    fs.writeFileSync(
+      rulesFile,
+      JSON.stringify({ rules: [{ id: "broken", max_mileage: -1 }] })
+    );
+
+    expect(eligibilityService.config.reload()).toBe(false);
+    expect(eligibilityService.getRules()).toHaveLength(3);
+  });
+});
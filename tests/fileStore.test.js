@@ -0,0 +1,70 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "file-store-"));
+
+const { JsonDocument, DataFile } = require("../src/services/fileStore");
+
+describe("JsonDocument", () => {
+  test("applies concurrent writes in order without leaving temporary files", async () => {
+    const document = new JsonDocument("ordered");
+
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) => document.write({ value: i }))
+    );
+
+    expect(await document.read()).toEqual({ value: 19 });
+    expect(
+      fs
+        .readdirSync(process.env.DATA_DIR)
+        .filter((file) => file.startsWith("ordered."))
+    ).toEqual(["ordered.json"]);
+  });
+
+  test("does not lose concurrent updates", async () => {
+    const document = new JsonDocument("counter");
+
+    await Promise.all(
+      Array.from({ length: 20 }, () =>
+        document.update(
+          async (current) => {
+            await new Promise((resolve) => setImmediate(resolve));
+            return { count: current.count + 1 };
+          },
+          { count: 0 }
+        )
+      )
+    );
+
+    expect(await document.read()).toEqual({ count: 20 });
+  });
+
+  test("keeps the document and later writes when a change fails", async () => {
+    const document = new JsonDocument("failing");
+    await document.write({ value: "kept" });
+
+    await expect(
+      document.update(() => {
+        throw new Error("Invalid change");
+      })
+    ).rejects.toThrow("Invalid change");
+    expect(await document.read()).toEqual({ value: "kept" });
+
+    await document.write({ value: "next" });
+    expect(await document.read()).toEqual({ value: "next" });
+  });
+});
+
+describe("DataFile", () => {
+  test("applies concurrent writes in order", async () => {
+    const file = new DataFile("reports/report.csv");
+
+    await Promise.all(["a", "b", "c"].map((data) => file.write(data)));
+
+    expect((await file.read()).toString()).toBe("c");
+    expect(fs.readdirSync(path.join(process.env.DATA_DIR, "reports"))).toEqual([
+      "report.csv",
+    ]);
+  });
+});
@@ -0,0 +1,238 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kpi-routes-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.JWT_SECRET = "kpi-routes-test-secret";
+
+const express = require("express");
+const request = require("supertest");
+const kpiRoutes = require("../src/routes/kpi");
+const KpiController = require("../src/controllers/kpiController");
+const { errorHandler } = require("../src/middleware/errorHandler");
+const { tokenService } = require("../src/services/tokenService");
+const { dealerService } = require("../src/services/dealerService");
+
+const app = express();
+app.use(express.json());
+app.use("/api", kpiRoutes);
+app.use(errorHandler);
+
+const bearer = (claims) => `Bearer ${tokenService.issue(claims).access_token}`;
+
+const admin = bearer({ sub: "ops", role: "platform_admin" });
+const dealer = (dealerId) =>
+  bearer({ sub: `${dealerId}-user`, role: "dealer_user", dealer_id: dealerId });
+
+const createReport = (token, body) =>
+  request(app)
+    .post("/api/kpi-reports")
+    .set("Authorization", token)
+    .send({ name: "Weekly", cadence: "weekly", ...body });
+
+beforeAll(async () => {
+  await Promise.all(
+    ["dealer-1", "dealer-2"].map((id) =>
+      dealerService.create({ id, name: id, states: ["TX"], enabled: true })
+    )
+  );
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("GET /api/kpi-report", () => {
+  test("reports on the dealer's own dealership", async () => {
+    const response = await request(app)
+      .get("/api/kpi-report")
+      .set("Authorization", dealer("dealer-1"));
+
+    expect(response.status).toBe(200);
+    expect(response.body.filters.dealer_id).toBe("dealer-1");
+  });
+
+  test("refuses a dealer another dealership's KPIs", async () => {
+    const response = await request(app)
+      .get("/api/kpi-report?dealer_id=dealer-2")
+      .set("Authorization", dealer("dealer-1"));
+
+    expect(response.status).toBe(403);
+  });
+
+  test("reports across dealerships to platform admins", async () => {
+    const response = await request(app)
+      .get("/api/kpi-report")
+      .set("Authorization", admin);
+
+    expect(response.status).toBe(200);
+    expect(response.body.filters.dealer_id).toBeNull();
+  });
+
+  test("requires authentication", async () => {
+    expect((await request(app).get("/api/kpi-report")).status).toBe(401);
+  });
+});
+
+describe("saved KPI reports", () => {
+  let allDealers;
+  let dealerOne;
+
+  beforeAll(async () => {
+    allDealers = (await createReport(admin, {})).body;
+    dealerOne = (await createReport(dealer("dealer-1"), {})).body;
+  });
+
+  test("are saved on the dealer's own dealership", () => {
+    expect(allDealers).not.toHaveProperty("dealer_id");
+    expect(dealerOne.dealer_id).toBe("dealer-1");
+  });
+
+  test("are listed to dealers only for their own dealership", async () => {
+    const list = async (token) =>
+      (
+        await request(app).get("/api/kpi-reports").set("Authorization", token)
+      ).body.reports.map(({ id }) => id);
+
+    expect(await list(dealer("dealer-1"))).toEqual([dealerOne.id]);
+    expect(await list(dealer("dealer-2"))).toEqual([]);
+    expect(await list(admin)).toEqual(
+      expect.arrayContaining([allDealers.id, dealerOne.id])
+    );
+  });
+
+  test("are not found for another dealer", async () => {
+    const response = await request(app)
+      .get(`/api/kpi-reports/${dealerOne.id}`)
+      .set("Authorization", dealer("dealer-2"));
+
+    expect(response.status).toBe(404);
+  });
+
+  test("can't be saved on another dealership", async () => {
+    const response = await createReport(dealer("dealer-1"), {
+      dealer_id: "dealer-2",
+    });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe("KPI report downloads", () => {
+  /**
+   * Collect a binary response body
+   */
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => callback(null, Buffer.concat(chunks)));
+  };
+
+  test("sends CSV reports as a download with a header row", async () => {
+    const response = await request(app)
+      .get("/api/kpi-report?from=2026-01-01&to=2026-01-31&format=csv")
+      .set("Authorization", dealer("dealer-1"));
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("text/csv; charset=utf-8");
+    expect(response.headers["content-disposition"]).toBe(
+      'attachment; filename="kpi-report-2026-01-01-to-2026-01-31.csv"'
+    );
+    expect(response.text.split("\r\n")[0]).toContain("Date");
+  });
+
+  test("sends XLSX reports as a workbook", async () => {
+    const response = await request(app)
+      .get("/api/kpi-report?format=xlsx")
+      .set("Authorization", dealer("dealer-1"))
+      .buffer(true)
+      .parse(binary);
+
+    expect(response.status).toBe(200);
+    expect(response.body.subarray(0, 2).toString()).toBe("PK");
+  });
+
+  test("runs a saved report and downloads its snapshot", async () => {
+    const token = dealer("dealer-1");
+    const report = (await createReport(token, { format: "csv" })).body;
+
+    const run = await request(app)
+      .post(`/api/kpi-reports/${report.id}/run`)
+      .set("Authorization", token);
+    expect(run.status).toBe(201);
+    expect(run.body.file_name).toMatch(/^kpi-report-.+\.csv$/);
+
+    const saved = await request(app)
+      .get(`/api/kpi-reports/${report.id}`)
+      .set("Authorization", token);
+    expect(saved.body.snapshots.map(({ id }) => id)).toEqual([run.body.id]);
+
+    const download = await request(app)
+      .get(`/api/kpi-reports/${report.id}/snapshots/${run.body.id}`)
+      .set("Authorization", token);
+    expect(download.status).toBe(200);
+    expect(download.headers["content-disposition"]).toBe(
+      `attachment; filename="${run.body.file_name}"`
+    );
+    expect(download.text.length).toBe(run.body.size);
+  });
+
+  test("keeps another dealer from running or downloading a saved report", async () => {
+    const report = (await createReport(dealer("dealer-1"), {})).body;
+    const run = await request(app)
+      .post(`/api/kpi-reports/${report.id}/run`)
+      .set("Authorization", dealer("dealer-1"));
+
+    const otherRun = await request(app)
+      .post(`/api/kpi-reports/${report.id}/run`)
+      .set("Authorization", dealer("dealer-2"));
+    const otherDownload = await request(app)
+      .get(`/api/kpi-reports/${report.id}/snapshots/${run.body.id}`)
+      .set("Authorization", dealer("dealer-2"));
+
+    expect(otherRun.status).toBe(404);
+    expect(otherDownload.status).toBe(404);
+  });
+
+  test("reports an unknown snapshot as not found", async () => {
+    const report = (await createReport(admin, {})).body;
+
+    const response = await request(app)
+      .get(
+        `/api/kpi-reports/${report.id}/snapshots/0a1b2c3d-4e5f-4a6b-8c7d-8e9f0a1b2c3d`
+      )
+      .set("Authorization", admin);
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("KpiController dealer scoping", () => {
+  // Signed in without every dealer's data, and not a dealer
+  const consumer = { sub: "pat", role: "consumer" };
+
+  test("needs every dealer's data to report across dealerships", () => {
+    expect(() => KpiController.scopeToDealer(consumer)).toThrow(
+      "Not allowed to report across dealerships"
+    );
+    expect(() => KpiController.scopeToDealer(consumer, "dealer-1")).toThrow(
+      "Not allowed to report on this dealership"
+    );
+    expect(KpiController.canAccessReport(consumer, { dealer_id: null })).toBe(
+      false
+    );
+  });
+
+  test("keeps dealers out of reports across dealerships", () => {
+    const user = { sub: "sam", role: "dealer_user", dealer_id: "dealer-1" };
+
+    expect(KpiController.canAccessReport(user, { dealer_id: null })).toBe(
+      false
+    );
+    expect(KpiController.canAccessReport(user, { dealer_id: "dealer-1" })).toBe(
+      true
+    );
+  });
+});
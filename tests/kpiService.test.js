@@ -0,0 +1,156 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kpi-test-"));
+process.env.DATA_DIR = dataDir;
+
+const { kpiService, bucketDate } = require("../src/services/kpiService");
+
+const today = new Date().toISOString().slice(0, 10);
+
+const quote = (id, product, provider, price, margin) => ({
+  id,
+  product_type: product,
+  provider_id: provider,
+  price,
+  dealer_pricing: margin === undefined ? undefined : { margin },
+});
+
+const saved = (quoteValue, dealerId) => ({
+  quote: quoteValue,
+  session: { id: "session-1", inputs: { dealer_id: dealerId } },
+});
+
+const vscA = quote("quote-1", "vsc", "providerA", 1000, 300);
+const vscB = quote("quote-2", "vsc", "providerB", 1200, 200);
+
+beforeAll(async () => {
+  await kpiService.recordQuoteRequest({
+    sessionId: "session-1",
+    dealerId: "dealer-1",
+    products: ["vsc", "tire"],
+    quotes: [vscA, vscB],
+  });
+  await kpiService.recordQuoteRequest({
+    sessionId: "session-2",
+    products: ["vsc"],
+    quotes: [],
+  });
+  await kpiService.recordSelection(saved(vscA, "dealer-1"));
+  await kpiService.recordSale(saved(vscA, "dealer-1"));
+  await kpiService.flush();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("KpiService.report", () => {
+  test("counts quote requests, selections and sales", () => {
+    const { totals } = kpiService.report({ from: today, to: today });
+
+    expect(totals).toEqual({
+      quotes: 3,
+      quotes_shown: 2,
+      selections: 1,
+      conversions: 1,
+      conversion_rate: 0.3333,
+      revenue: 1000,
+      average_margin: 300,
+    });
+  });
+
+  test("counts requests that returned no quotes", () => {
+    const { rows } = kpiService.report({
+      from: today,
+      to: today,
+      groupBy: ["dealer", "product"],
+    });
+
+    expect(rows).toEqual([
+      expect.objectContaining({
+        dealer_id: "dealer-1",
+        product: "tire",
+        quotes: 1,
+        quotes_shown: 0,
+      }),
+      expect.objectContaining({ dealer_id: "dealer-1", product: "vsc" }),
+      expect.objectContaining({
+        dealer_id: "direct",
+        product: "vsc",
+        quotes: 1,
+        quotes_shown: 0,
+      }),
+    ]);
+  });
+
+  test("counts the requests each provider quoted when split by provider", () => {
+    const { rows, totals } = kpiService.report({
+      from: today,
+      to: today,
+      dealerId: "dealer-1",
+      groupBy: ["provider"],
+    });
+
+    expect(
+      rows.map(({ provider, quotes, conversions }) => ({
+        provider,
+        quotes,
+        conversions,
+      }))
+    ).toEqual([
+      { provider: "providerA", quotes: 1, conversions: 1 },
+      { provider: "providerB", quotes: 1, conversions: 0 },
+    ]);
+    expect(totals.quotes).toBe(2);
+  });
+
+  test("leaves out days outside the range", () => {
+    const { rows, totals } = kpiService.report({
+      from: "2000-01-01",
+      to: "2000-01-31",
+    });
+
+    expect(rows).toEqual([]);
+    expect(totals.conversion_rate).toBeNull();
+  });
+});
+
+describe("KpiService aggregates", () => {
+  test("are rebuilt from the event log on startup", () => {
+    jest.isolateModules(() => {
+      const restarted = require("../src/services/kpiService").kpiService;
+
+      expect(restarted).not.toBe(kpiService);
+      expect(restarted.report({ from: today, to: today })).toEqual(
+        kpiService.report({ from: today, to: today })
+      );
+    });
+  });
+
+  test("keep counting when an event can't be logged", async () => {
+    jest
+      .spyOn(kpiService.events, "append")
+      .mockRejectedValueOnce(new Error("Disk full"));
+
+    await expect(
+      kpiService.recordSelection(saved(vscB, "dealer-1"))
+    ).resolves.toBeNull();
+    expect(
+      kpiService.report({ from: today, to: today }).totals.selections
+    ).toBe(2);
+  });
+});
+
+describe("bucketDate", () => {
+  test.each([
+    ["2026-01-14", "day", "2026-01-14"],
+    ["2026-01-14", "week", "2026-01-12"],
+    ["2026-01-18", "week", "2026-01-12"],
+    ["2026-01-14", "month", "2026-01"],
+  ])("%s by %s is %s", (date, interval, bucket) => {
+    expect(bucketDate(date, interval)).toBe(bucket);
+  });
+});
@@ -0,0 +1,44 @@
+const OfflineDecoder = require("../src/services/vinDecoders/offlineDecoder");
+
+// A VIN with the given position 7 and model year code (position 10)
+const vin = (position7, yearCode) => `1HGCM8${position7}63${yearCode}A004352`;
+
+describe("OfflineDecoder.decodeModelYear", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-06-01T00:00:00Z") });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test.each([
+    ["A", 1980],
+    ["J", 1988],
+    ["Y", 2000],
+    ["1", 2001],
+    ["9", 2009],
+  ])("a digit in position 7 with code %s is %i", (yearCode, year) => {
+    expect(OfflineDecoder.decodeModelYear(vin("2", yearCode))).toBe(year);
+  });
+
+  test.each([
+    ["A", 2010],
+    ["J", 2018],
+    ["T", 2026],
+    ["V", 2027],
+  ])("a letter in position 7 with code %s is %i", (yearCode, year) => {
+    expect(OfflineDecoder.decodeModelYear(vin("A", yearCode))).toBe(year);
+  });
+
+  test.each([
+    ["W", 1998],
+    ["Y", 2000],
+    ["1", 2001],
+  ])(
+    "a letter in position 7 with code %s more than a year ahead falls back a cycle to %i",
+    (yearCode, year) => {
+      expect(OfflineDecoder.decodeModelYear(vin("A", yearCode))).toBe(year);
+    }
+  );
+});
@@ -0,0 +1,115 @@
+const { pricingService } = require("../src/services/pricingService");
+
+const PricingService = pricingService.constructor;
+
+const rule = (id, match, fields = {}) => ({
+  id,
+  description: "",
+  priority: 0,
+  match,
+  flat_addon: 0,
+  rounding: "none",
+  ...fields,
+});
+
+describe("PricingService.round", () => {
+  test.each([
+    ["none", 1323.456, 1323.46],
+    ["dollar", 1323.5, 1324],
+    ["dollar", 1323.49, 1323],
+    ["end_in_9", 1323.6, 1329],
+    ["end_in_9", 1329, 1329],
+    ["end_in_9", 1328.99, 1329],
+    ["end_in_99_cents", 1323.6, 1323.99],
+    ["end_in_99_cents", 1323.99, 1323.99],
+    ["end_in_99_cents", 1323.994, 1323.99],
+    ["end_in_99_cents", 1323.996, 1324.99],
+  ])("rounds with %s: %p -> %p", (rounding, price, expected) => {
+    expect(PricingService.round(price, rounding)).toBe(expected);
+  });
+});
+
+describe("PricingService.findRule", () => {
+  const quote = { provider: { id: "providerA" }, product_type: "vsc" };
+  const context = {
+    dealerId: "dealer-1",
+    state: "TX",
+    vehicle: { year: 2018, make: "Ford", model: "F-150", mileage: 30000 },
+  };
+
+  const findWith = (rules) => {
+    jest.spyOn(pricingService, "getRules").mockReturnValue(rules);
+    return pricingService.findRule(quote, context);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("returns null when no rule matches", () => {
+    expect(findWith([rule("gap", { product: "gap" })])).toBeNull();
+  });
+
+  test("a rule without criteria matches anything", () => {
+    expect(findWith([rule("all", {})]).id).toBe("all");
+  });
+
+  test("the rule with the most criteria wins, whatever the order", () => {
+    const rules = [
+      rule("product", { product: "vsc" }),
+      rule("dealer-product-vehicle", {
+        dealer_id: "dealer-1",
+        product: "vsc",
+        vehicle: { make: "ford", max_mileage: 50000 },
+      }),
+      rule("dealer-product", { dealer_id: "dealer-1", product: "vsc" }),
+    ];
+
+    expect(findWith(rules).id).toBe("dealer-product-vehicle");
+  });
+
+  test("vehicle criteria count towards specificity", () => {
+    expect(
+      PricingService.specificity({
+        product: "vsc",
+        vehicle: { min_year: 2015, max_year: 2020 },
+      })
+    ).toBe(3);
+  });
+
+  test("rules with unmet criteria are skipped however specific", () => {
+    const rules = [
+      rule("product", { product: "vsc" }),
+      rule("other-dealer", {
+        dealer_id: "dealer-2",
+        product: "vsc",
+        state: "TX",
+      }),
+      rule("too-old", { product: "vsc", vehicle: { max_year: 2015 } }),
+    ];
+
+    expect(findWith(rules).id).toBe("product");
+  });
+
+  test("ties go to the higher priority", () => {
+    const rules = [
+      rule("low", { product: "vsc" }, { priority: 1 }),
+      rule("high", { state: "TX" }, { priority: 5 }),
+    ];
+
+    expect(findWith(rules).id).toBe("high");
+  });
+
+  test("ties of equal priority go to the rule listed first", () => {
+    const rules = [
+      rule("first", { product: "vsc" }),
+      rule("second", { state: "TX" }),
+    ];
+
+    expect(findWith(rules).id).toBe("first");
+  });
+
+  test("list criteria match any of their values, ignoring case", () => {
+    expect(findWith([rule("list", { state: ["ok", "tx"] })]).id).toBe("list");
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "proposal-test-"));
+process.env.DATA_DIR = dataDir;
+
+const { quoteSessionService } = require("../src/services/quoteSessionService");
+const { dealerService } = require("../src/services/dealerService");
+const { proposalService } = require("../src/services/proposalService");
+const ProposalService = proposalService.constructor;
+
+const disclosure = { id: "fl-vsc-disclosure", text: "Florida disclosure" };
+
+const quote = (id, productType, price, coverage, extra = {}) => ({
+  id,
+  product_id: `providerA_${productType}_${id}`,
+  product_type: productType,
+  provider: "Provider A",
+  name: `Plan ${id}`,
+  price,
+  term: 36,
+  deductible: 100,
+  coverage,
+  ...extra,
+});
+
+const saveSession = (id, dealerId, quotes) =>
+  quoteSessionService.save({
+    id,
+    quote_set_id: `set-${id}`,
+    created_at: "2026-01-01T00:00:00.000Z",
+    price_locked_until: "2026-01-31T00:00:00.000Z",
+    indicative: false,
+    inputs: {
+      vin: "1HGCM82690A004352",
+      zip: "75201",
+      mileage: 30000,
+      dealer_id: dealerId,
+    },
+    vehicle: { year: 2009, make: "Honda", model: "Accord" },
+    customer: { state: "TX", county: "Dallas", city: "Dallas" },
+    quotes,
+  });
+
+beforeAll(async () => {
+  await dealerService.create({
+    id: "123",
+    name: "Lakeside Motors",
+    states: ["TX"],
+    products: ["vsc", "gap"],
+    enabled: true,
+    branding: { primary_color: "#00ff00" },
+  });
+  await saveSession("session-1", undefined, [
+    quote(
+      "powertrain",
+      "vsc",
+      900,
+      { engine: true },
+      { disclosures: [disclosure] }
+    ),
+    quote("powertrain-cheaper", "vsc", 850, { engine: true }),
+    quote("plus", "vsc", 1100, { engine: true, transmission: true }),
+    quote(
+      "exclusive",
+      "vsc",
+      1600,
+      { engine: true, transmission: true, brakes: true, electrical: true },
+      { disclosures: [disclosure] }
+    ),
+    quote("gap", "gap", 600.5, { loan_payoff: true }),
+  ]);
+  await saveSession("session-2", "123", [
+    quote("dealer", "vsc", 1300, { engine: true }),
+  ]);
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("ProposalService.assignTiers", () => {
+  const item = (name, price, highlights) => ({
+    name,
+    price,
+    term: 36,
+    highlights,
+  });
+
+  test("returns no tiers without plans", () => {
+    expect(ProposalService.assignTiers([])).toEqual({});
+  });
+
+  test("fills every column with a single plan", () => {
+    const only = item("only", 900, ["Engine"]);
+
+    expect(ProposalService.assignTiers([only])).toEqual({
+      good: only,
+      better: only,
+      best: only,
+    });
+  });
+
+  test("fills good and better from the lowest level with two levels", () => {
+    const low = item("low", 900, ["Engine"]);
+    const high = item("high", 1200, ["Engine", "Brakes"]);
+
+    expect(ProposalService.assignTiers([high, low])).toEqual({
+      good: low,
+      better: low,
+      best: high,
+    });
+  });
+
+  test("takes the cheapest plan of each coverage level", () => {
+    const low = item("low", 900, ["Engine"]);
+    const lowCheaper = item("low-cheaper", 800, ["Engine"]);
+    const middle = item("middle", 1100, ["Engine", "Brakes"]);
+    const high = item("high", 1500, ["Engine", "Brakes", "Steering"]);
+
+    expect(
+      ProposalService.assignTiers([high, low, middle, lowCheaper])
+    ).toEqual({ good: lowCheaper, better: middle, best: high });
+  });
+});
+
+describe("ProposalService.build", () => {
+  test("lays out each product's plans in good, better and best columns", async () => {
+    const proposal = await proposalService.build("session-1");
+
+    expect(proposal.tiers).toEqual(["good", "better", "best"]);
+    expect(
+      proposal.products.map(({ product_type, tiers }) => [
+        product_type,
+        tiers.good.name,
+        tiers.better.name,
+        tiers.best.name,
+      ])
+    ).toEqual([
+      ["vsc", "Plan powertrain-cheaper", "Plan plus", "Plan exclusive"],
+      ["gap", "Plan gap", "Plan gap", "Plan gap"],
+    ]);
+    expect(proposal.products[0].tiers.best.highlights).toEqual([
+      "Engine",
+      "Transmission",
+      "Brakes",
+      "Electrical",
+    ]);
+  });
+
+  test("totals each column across products", async () => {
+    const { totals } = await proposalService.build("session-1");
+
+    expect(totals).toEqual({ good: 1450.5, better: 1700.5, best: 2200.5 });
+  });
+
+  test("lists each disclosure once", async () => {
+    const { disclosures } = await proposalService.build("session-1");
+
+    expect(disclosures).toEqual(["Florida disclosure"]);
+  });
+
+  test("uses the default branding without a dealer", async () => {
+    const proposal = await proposalService.build("session-1");
+
+    expect(proposal.dealer_id).toBeNull();
+    expect(proposal.branding).toMatchObject({
+      name: "Auto Quote",
+      primary_color: "#1f4e79",
+    });
+  });
+
+  test("puts the dealer account's branding over the branding file", async () => {
+    const proposal = await proposalService.build("session-2");
+
+    expect(proposal.dealer_id).toBe("123");
+    expect(proposal.branding).toMatchObject({
+      name: "Lakeside Motors",
+      phone: "(555) 010-0123",
+      primary_color: "#00ff00",
+    });
+  });
+
+  test("returns null for an unknown session", async () => {
+    expect(await proposalService.build("unknown")).toBeNull();
+  });
+});
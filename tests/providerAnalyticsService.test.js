@@ -0,0 +1,192 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "analytics-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.JWT_SECRET = "analytics-test-secret";
+
+const express = require("express");
+const request = require("supertest");
+const analyticsRoutes = require("../src/routes/analytics");
+const { errorHandler } = require("../src/middleware/errorHandler");
+const { tokenService } = require("../src/services/tokenService");
+const { dealerService } = require("../src/services/dealerService");
+const {
+  providerAnalyticsService,
+} = require("../src/services/providerAnalyticsService");
+const { bucketDate } = require("../src/services/kpiService");
+
+const app = express();
+app.use("/api/analytics", analyticsRoutes);
+app.use(errorHandler);
+
+const bearer = (claims) => `Bearer ${tokenService.issue(claims).access_token}`;
+
+const today = new Date().toISOString().slice(0, 10);
+
+const shown = (providerId, productType, price, tags = []) => ({
+  provider_id: providerId,
+  product_type: productType,
+  price,
+  tags,
+});
+
+beforeAll(async () => {
+  await dealerService.create({
+    id: "dealer-1",
+    name: "dealer-1",
+    states: ["TX"],
+    enabled: true,
+  });
+
+  providerAnalyticsService.recordCall("providerA", {
+    status: "ok",
+    latency_ms: 120,
+    quote_count: 3,
+  });
+  providerAnalyticsService.recordCall("providerA", {
+    status: "ok",
+    latency_ms: 180,
+    quote_count: 1,
+  });
+  providerAnalyticsService.recordCall("providerA", {
+    status: "timeout",
+    latency_ms: 5000,
+    quote_count: 0,
+  });
+  providerAnalyticsService.recordCall("providerA", {
+    status: "error",
+    quote_count: 0,
+  });
+  providerAnalyticsService.recordCall("providerB", {
+    status: "ok",
+    latency_ms: 90,
+    quote_count: 2,
+  });
+
+  providerAnalyticsService.recordQuotesShown([
+    shown("providerA", "vsc", 900, ["Best Value"]),
+    shown("providerA", "vsc", 1100),
+    shown("providerB", "vsc", 950),
+    shown("providerA", "gap", 600),
+  ]);
+  providerAnalyticsService.recordSelected("providerA");
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("ProviderAnalyticsService.report", () => {
+  const report = (options) =>
+    providerAnalyticsService.report({ from: today, to: today, ...options });
+
+  test("rolls up call outcomes and latency per provider", () => {
+    const [providerA] = report({ provider: "providerA" });
+
+    expect(providerA).toMatchObject({
+      provider_id: "providerA",
+      calls: 4,
+      statuses: { ok: 2, timeout: 1, error: 1 },
+      success_rate: 0.5,
+      error_rate: 0.5,
+      timeout_rate: 0.25,
+      quotes_returned: 4,
+      quotes_per_call: 2,
+    });
+    expect(providerA.latency_ms).toEqual({
+      average: 1767,
+      min: 120,
+      max: 5000,
+      p50: 200,
+      p90: 5000,
+      p95: 5000,
+      p99: 5000,
+    });
+  });
+
+  test("counts how a provider's quotes fared against the others", () => {
+    const [providerA, providerB] = report();
+
+    expect(providerA).toMatchObject({
+      quotes_shown: 3,
+      competed: 2,
+      cheapest: 2,
+      win_rate: 1,
+      tagged: 1,
+      tag_rate: 0.3333,
+      selected: 1,
+      selection_rate: 0.5,
+    });
+    expect(providerB).toMatchObject({
+      quotes_shown: 1,
+      competed: 1,
+      cheapest: 0,
+      win_rate: 0,
+      selection_rate: 0,
+    });
+  });
+
+  test("keeps percentiles within the latencies seen", () => {
+    const [providerB] = report({ provider: "providerB" });
+
+    expect(providerB.latency_ms).toMatchObject({ min: 90, max: 90, p50: 90 });
+  });
+
+  test("trends the metrics per period", () => {
+    const [providerA] = report({ provider: "providerA", interval: "week" });
+
+    expect(providerA.trend).toEqual([
+      expect.objectContaining({ period: bucketDate(today, "week"), calls: 4 }),
+    ]);
+  });
+
+  test("leaves out days outside the range", () => {
+    expect(report({ from: "2000-01-01", to: "2000-01-31" })).toEqual([]);
+  });
+});
+
+describe("GET /api/analytics/providers", () => {
+  test("reports every provider with its current settings", async () => {
+    const response = await request(app)
+      .get("/api/analytics/providers")
+      .set("Authorization", bearer({ sub: "ops", role: "platform_admin" }));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      to: today,
+      interval: "day",
+      count: 2,
+    });
+    expect(response.body.providers[0]).toMatchObject({
+      provider_id: "providerA",
+      name: "Provider A",
+      active: true,
+      calls: 4,
+    });
+  });
+
+  test("rejects a range that ends before it starts", async () => {
+    const response = await request(app)
+      .get("/api/analytics/providers?from=2026-02-01&to=2026-01-01")
+      .set("Authorization", bearer({ sub: "ops", role: "platform_admin" }));
+
+    expect(response.status).toBe(400);
+  });
+
+  test("is for platform admins only", async () => {
+    const dealer = await request(app)
+      .get("/api/analytics/providers")
+      .set(
+        "Authorization",
+        bearer({ sub: "sam", role: "dealer_admin", dealer_id: "dealer-1" })
+      );
+
+    expect(dealer.status).toBe(403);
+    expect((await request(app).get("/api/analytics/providers")).status).toBe(
+      401
+    );
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-test-"));
+const registryFile = path.join(dataDir, "providers.json");
+const original = JSON.parse(
+  fs.readFileSync(path.join(__dirname, "../src/config/providers.json"), "utf8")
+);
+fs.writeFileSync(registryFile, JSON.stringify(original));
+process.env.DATA_DIR = dataDir;
+process.env.PROVIDER_REGISTRY_FILE = registryFile;
+process.env.PROVIDER_B_KEY = "provider-b-secret";
+
+const { providerRegistry } = require("../src/services/providerRegistry");
+
+/**
+ * Write the registry file with changes to the original definition
+ */
+const writeRegistry = (change) => {
+  const definition = JSON.parse(JSON.stringify(original));
+  change(definition);
+  fs.writeFileSync(registryFile, JSON.stringify(definition));
+};
+
+afterEach(() => {
+  fs.writeFileSync(registryFile, JSON.stringify(original));
+  providerRegistry.loadFromFile();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("ProviderRegistry", () => {
+  test("loads providers with environment references resolved", () => {
+    expect(providerRegistry.getProvider("providerA")).toMatchObject({
+      baseUrl: "https://api.provider-a.example.com",
+      apiKey: "demo_key",
+      adapter: "simulator",
+    });
+    expect(providerRegistry.getProvider("providerB").apiKey).toBe(
+      "provider-b-secret"
+    );
+    expect(providerRegistry.getProviderDefinition("providerB").apiKey).toBe(
+      "${PROVIDER_B_KEY:-demo_key}"
+    );
+  });
+
+  test("reloads a changed registry file", async () => {
+    writeRegistry((definition) => {
+      definition.providers.providerA.markup = 1.5;
+    });
+
+    expect(await providerRegistry.reload()).toBe(true);
+    expect(providerRegistry.getProvider("providerA").markup).toBe(1.5);
+  });
+
+  test("keeps the current registry when the file is invalid", async () => {
+    writeRegistry((definition) => {
+      definition.providers.providerA.products = ["boat"];
+      definition.providers.providerB.markup = 2;
+    });
+
+    expect(await providerRegistry.reload()).toBe(false);
+    expect(providerRegistry.getProvider("providerB").markup).toBe(1.15);
+
+    fs.writeFileSync(registryFile, "{ not json");
+    expect(await providerRegistry.reload()).toBe(false);
+    expect(Object.keys(providerRegistry.getAllProviders())).toHaveLength(4);
+  });
+
+  test("only quotes enabled providers within their effective dates", async () => {
+    writeRegistry((definition) => {
+      definition.providers.providerA.enabled = false;
+      definition.providers.providerB.effective_from = "2030-01-01T00:00:00Z";
+      definition.providers.providerC.effective_to = "2026-01-01T00:00:00Z";
+    });
+    await providerRegistry.reload();
+
+    expect(
+      Object.keys(
+        providerRegistry.getActiveProviders(new Date("2026-06-01T00:00:00Z"))
+      )
+    ).toEqual(["providerD"]);
+    expect(
+      Object.keys(
+        providerRegistry.getActiveProviders(new Date("2025-06-01T00:00:00Z"))
+      )
+    ).toEqual(["providerC", "providerD"]);
+  });
+});
+
+describe("ProviderRegistry from the cache", () => {
+  test("loads the registry saved in the cache store", async () => {
+    await jest.isolateModulesAsync(async () => {
+      process.env.PROVIDER_REGISTRY_SOURCE = "cache";
+      const { cacheService } = require("../src/services/cacheService");
+      const registry =
+        require("../src/services/providerRegistry").providerRegistry;
+      delete process.env.PROVIDER_REGISTRY_SOURCE;
+
+      const definition = JSON.parse(JSON.stringify(original));
+      delete definition.providers.providerD;
+      await cacheService.set("config:providers", JSON.stringify(definition), 0);
+
+      expect(await registry.reload()).toBe(true);
+      expect(Object.keys(registry.getAllProviders())).toEqual([
+        "providerA",
+        "providerB",
+        "providerC",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "provider-test-"));
+process.env.DATA_DIR = dataDir;
+
+const ProviderService = require("../src/services/providerService");
+const { circuitBreakers } = require("../src/services/circuitBreaker");
+const { providerRegistry } = require("../src/services/providerRegistry");
+
+const submission = {
+  reference: "quote-1",
+  quote: { product_id: "providerA_vsc_basic", product_type: "vsc" },
+  vehicle: { vin: "1HGCM82690A004352" },
+  buyer: { first_name: "Pat", last_name: "Lee" },
+  dealer: { id: "direct" },
+};
+
+/**
+ * Make providerA use the http adapter with the given settings
+ */
+const useHttpAdapter = (settings) => {
+  const providers = providerRegistry.getActiveProviders();
+  jest.spyOn(providerRegistry, "getActiveProviders").mockReturnValue({
+    ...providers,
+    providerA: { ...providers.providerA, adapter: "http", ...settings },
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  circuitBreakers.reset();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("ProviderService.submitContract", () => {
+  test("returns the provider's contract result", async () => {
+    const result = await new ProviderService().submitContract(
+      "providerA",
+      submission
+    );
+
+    expect(result).toMatchObject({
+      status: "issued",
+      contract_number: expect.stringMatching(/^PROVIDERA-/),
+    });
+    expect(circuitBreakers.get("providerA").getStatus().state).toBe("closed");
+  });
+
+  test("counts an unreachable provider against its circuit breaker", async () => {
+    useHttpAdapter({ mapper: "standard", baseUrl: "http://127.0.0.1:1" });
+
+    await expect(
+      new ProviderService().submitContract("providerA", submission)
+    ).rejects.toThrow();
+    expect(circuitBreakers.get("providerA").getStatus().failures).toBe(1);
+  });
+
+  test("refuses a provider without a contract API without tripping its circuit breaker", async () => {
+    useHttpAdapter({ mapper: "providerA" });
+    const providers = new ProviderService();
+
+    for (let i = 0; i < 10; i++) {
+      await expect(
+        providers.submitContract("providerA", submission)
+      ).rejects.toMatchObject({ code: "PROVIDER_CONTRACTS_UNSUPPORTED" });
+    }
+
+    expect(circuitBreakers.get("providerA").getStatus().failures).toBe(0);
+    expect(circuitBreakers.get("providerA").allowRequest()).toBe(true);
+  });
+});
+
+describe("ProviderService.getQuotesFromAllProviders", () => {
+  const quoteRequest = (vin) => ({
+    vehicle: {
+      vin,
+      year: 2019,
+      make: "Honda",
+      model: "Accord",
+      mileage: 30000,
+    },
+    customer: { zip: "75201", state: "TX", county: "Dallas", city: "Dallas" },
+    options: { products: ["tire"] },
+  });
+
+  test("skips VIN-only providers for indicative quotes and says why", async () => {
+    const providers = new ProviderService();
+    const getQuotes = jest.spyOn(providers, "getQuotesFromProvider");
+
+    const { results, statuses } = await providers.getQuotesFromAllProviders(
+      quoteRequest(null)
+    );
+
+    expect(
+      getQuotes.mock.calls.map(([providerId]) => providerId)
+    ).not.toContain("providerD");
+    expect(results).not.toHaveProperty("providerD");
+    expect(statuses.providerD).toMatchObject({
+      status: "ineligible",
+      reason: "Quotes by VIN only",
+    });
+    expect(statuses.providerA).not.toHaveProperty("reason");
+  });
+
+  test("calls VIN-only providers when the request has a VIN", async () => {
+    const providers = new ProviderService();
+
+    const { results, statuses } = await providers.getQuotesFromAllProviders(
+      quoteRequest("1HGCM82690A004352")
+    );
+
+    expect(results.providerD.quotes.length).toBeGreaterThan(0);
+    expect(statuses.providerD.status).toBe("ok");
+  });
+});
@@ -0,0 +1,343 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "purchase-test-"));
+process.env.DATA_DIR = dataDir;
+
+const { cacheService } = require("../src/services/cacheService");
+const ProviderService = require("../src/services/providerService");
+const { kpiService } = require("../src/services/kpiService");
+const { providerRegistry } = require("../src/services/providerRegistry");
+const { quoteSessionService } = require("../src/services/quoteSessionService");
+const {
+  purchaseService,
+  PURCHASE_STATUS,
+} = require("../src/services/purchaseService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buyer = {
+  first_name: "Pat",
+  last_name: "Lee",
+  email: "pat@example.com",
+  phone: "2145550100",
+  address: { line1: "1 Main St", city: "Dallas", state: "TX", zip: "75201" },
+};
+
+let sessions = 0;
+
+/**
+ * Save a quote session with one quote and return the quote ID
+ */
+const saveQuote = async ({
+  providerId = "providerA",
+  lockedUntil = new Date(Date.now() + DAY_MS).toISOString(),
+} = {}) => {
+  sessions++;
+  const quoteId = `quote-${sessions}`;
+
+  await quoteSessionService.save({
+    id: `session-${sessions}`,
+    quote_set_id: `set-${sessions}`,
+    created_at: new Date().toISOString(),
+    price_locked_until: lockedUntil,
+    indicative: !lockedUntil,
+    inputs: { vin: "1HGCM82690A004352", zip: "75201", mileage: 30000 },
+    vehicle: { vin: "1HGCM82690A004352", year: 2009, make: "Honda" },
+    customer: { state: "TX", county: "Dallas", city: "Dallas" },
+    quotes: [
+      {
+        id: quoteId,
+        product_id: `${providerId}_vsc_basic`,
+        product_type: "vsc",
+        provider: `Provider ${providerId.slice(-1)}`,
+        provider_id: providerId,
+        name: "Basic",
+        price: 900,
+        term: 36,
+      },
+    ],
+  });
+
+  return quoteId;
+};
+
+/**
+ * Make a provider use the http adapter with the given mapper
+ */
+const useHttpAdapter = (providerId, mapper) => {
+  const providers = providerRegistry.getActiveProviders();
+  jest.spyOn(providerRegistry, "getActiveProviders").mockReturnValue({
+    ...providers,
+    [providerId]: { ...providers[providerId], adapter: "http", mapper },
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await kpiService.flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("providers without a contract API", () => {
+  test("quotes can't be selected", async () => {
+    useHttpAdapter("providerA", "providerA");
+    const quoteId = await saveQuote();
+
+    await expect(purchaseService.select(quoteId)).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining("can't be bought online"),
+    });
+    expect((await purchaseService.get(quoteId)).status).toBe(
+      PURCHASE_STATUS.QUOTED
+    );
+  });
+
+  test("selected quotes are rejected before reaching the provider", async () => {
+    const quoteId = await saveQuote();
+    const { purchase_token } = await purchaseService.select(quoteId);
+    await purchaseService.setBuyer(quoteId, buyer, purchase_token);
+
+    useHttpAdapter("providerA", "providerA");
+
+    await expect(
+      purchaseService.purchase(quoteId, purchase_token)
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect((await purchaseService.get(quoteId)).status).toBe(
+      PURCHASE_STATUS.BUYER_COLLECTED
+    );
+  });
+});
+
+describe("purchase step lock", () => {
+  test("a step waits for another step on the same quote on this instance", async () => {
+    const quoteId = await saveQuote();
+
+    const results = await Promise.allSettled([
+      purchaseService.select(quoteId),
+      purchaseService.select(quoteId),
+    ]);
+
+    expect(results.map(({ status }) => status)).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(results[1].reason.message).toBe(
+      "Purchase can't move from selected to selected"
+    );
+  });
+
+  test("a step fails while another instance holds the quote's lock", async () => {
+    const quoteId = await saveQuote();
+    await cacheService.setIfAbsent(`purchase-lock:${quoteId}`, "other", 60);
+
+    await expect(purchaseService.select(quoteId)).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining("in progress"),
+    });
+    expect((await purchaseService.get(quoteId)).status).toBe(
+      PURCHASE_STATUS.QUOTED
+    );
+
+    await cacheService.deleteIfEquals(`purchase-lock:${quoteId}`, "other");
+    await expect(purchaseService.select(quoteId)).resolves.toMatchObject({
+      status: PURCHASE_STATUS.SELECTED,
+    });
+  });
+
+  test("a step releases the lock when it fails", async () => {
+    const quoteId = await saveQuote();
+    const { purchase_token } = await purchaseService.select(quoteId);
+
+    await expect(
+      purchaseService.setBuyer(quoteId, buyer, "wrong-token")
+    ).rejects.toMatchObject({ statusCode: 403 });
+    await expect(
+      purchaseService.setBuyer(quoteId, buyer, purchase_token)
+    ).resolves.toMatchObject({ status: PURCHASE_STATUS.BUYER_COLLECTED });
+  });
+});
+
+/**
+ * Select a quote and give its buyer, returning the purchase token
+ */
+const selectWithBuyer = async (quoteId) => {
+  const { purchase_token } = await purchaseService.select(quoteId);
+  await purchaseService.setBuyer(quoteId, buyer, purchase_token);
+  return purchase_token;
+};
+
+describe("purchase workflow", () => {
+  test("takes a quote from selection to an issued contract", async () => {
+    const recordSale = jest.spyOn(kpiService, "recordSale");
+    const quoteId = await saveQuote();
+
+    const selected = await purchaseService.select(quoteId);
+    expect(selected).toMatchObject({
+      quote_id: quoteId,
+      status: PURCHASE_STATUS.SELECTED,
+      purchase_token: expect.any(String),
+    });
+    expect(selected).not.toHaveProperty("token_hash");
+
+    const token = selected.purchase_token;
+    await expect(
+      purchaseService.setBuyer(quoteId, buyer, token)
+    ).resolves.toMatchObject({
+      status: PURCHASE_STATUS.BUYER_COLLECTED,
+      buyer,
+    });
+
+    const issued = await purchaseService.purchase(quoteId, token);
+    expect(issued).toMatchObject({
+      status: PURCHASE_STATUS.ISSUED,
+      contract: { number: expect.stringMatching(/^PROVIDERA-/) },
+      error: null,
+    });
+    expect(issued.history.map(({ status }) => status)).toEqual([
+      PURCHASE_STATUS.SELECTED,
+      PURCHASE_STATUS.BUYER_COLLECTED,
+      PURCHASE_STATUS.SUBMITTED,
+      PURCHASE_STATUS.ISSUED,
+    ]);
+    expect(recordSale).toHaveBeenCalledTimes(1);
+  });
+
+  test("only shows the buyer and contract to the holder of the token", async () => {
+    const quoteId = await saveQuote();
+    const token = await selectWithBuyer(quoteId);
+    await purchaseService.purchase(quoteId, token);
+
+    expect(await purchaseService.get(quoteId)).toMatchObject({
+      status: PURCHASE_STATUS.ISSUED,
+      buyer: null,
+      contract: null,
+    });
+    expect(await purchaseService.get(quoteId, token)).toMatchObject({
+      buyer,
+      contract: expect.any(Object),
+    });
+  });
+
+  test.each([
+    ["a missing token", undefined],
+    ["a wrong token", "not-the-token"],
+  ])("refuses later steps with %s", async (name, token) => {
+    const quoteId = await saveQuote();
+    await purchaseService.select(quoteId);
+
+    await expect(
+      purchaseService.setBuyer(quoteId, buyer, token)
+    ).rejects.toMatchObject({ statusCode: 403 });
+    await expect(
+      purchaseService.purchase(quoteId, token)
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test("refuses steps out of order", async () => {
+    const quoteId = await saveQuote();
+    const { purchase_token } = await purchaseService.select(quoteId);
+
+    await expect(
+      purchaseService.purchase(quoteId, purchase_token)
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      message: "Purchase can't move from selected to submitted",
+    });
+  });
+
+  test("refuses a buyer outside the state the quote was made for", async () => {
+    const quoteId = await saveQuote();
+    const { purchase_token } = await purchaseService.select(quoteId);
+
+    await expect(
+      purchaseService.setBuyer(
+        quoteId,
+        { ...buyer, address: { ...buyer.address, state: "OK" } },
+        purchase_token
+      )
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      details: { quoted_state: "TX", buyer_state: "OK" },
+    });
+  });
+
+  test("refuses indicative and expired quotes", async () => {
+    const indicative = await saveQuote({ lockedUntil: null });
+    const expired = await saveQuote({
+      lockedUntil: new Date(Date.now() - DAY_MS).toISOString(),
+    });
+
+    await expect(purchaseService.select(indicative)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await expect(purchaseService.select(expired)).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining("expired"),
+    });
+  });
+
+  test("refuses quotes of a provider that is no longer active", async () => {
+    const quoteId = await saveQuote({ providerId: "providerB" });
+    const providers = providerRegistry.getActiveProviders();
+    const { providerB, ...others } = providers;
+    jest.spyOn(providerRegistry, "getActiveProviders").mockReturnValue(others);
+
+    await expect(purchaseService.select(quoteId)).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining("not accepting contracts"),
+    });
+  });
+
+  test("reports an unknown quote as not found", async () => {
+    await expect(purchaseService.select("unknown")).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  test("can retry a submission that failed", async () => {
+    const quoteId = await saveQuote();
+    const token = await selectWithBuyer(quoteId);
+    jest
+      .spyOn(ProviderService.prototype, "submitContract")
+      .mockRejectedValueOnce(new Error("Connection reset"));
+
+    await expect(
+      purchaseService.purchase(quoteId, token)
+    ).rejects.toMatchObject({
+      statusCode: 502,
+      details: { status: PURCHASE_STATUS.FAILED },
+    });
+    expect(await purchaseService.get(quoteId, token)).toMatchObject({
+      status: PURCHASE_STATUS.FAILED,
+      error: "Connection reset",
+    });
+
+    await expect(
+      purchaseService.purchase(quoteId, token)
+    ).resolves.toMatchObject({ status: PURCHASE_STATUS.ISSUED, error: null });
+  });
+
+  test("ends the purchase when the provider rejects it", async () => {
+    const quoteId = await saveQuote();
+    const token = await selectWithBuyer(quoteId);
+    jest
+      .spyOn(ProviderService.prototype, "submitContract")
+      .mockResolvedValueOnce({ status: "rejected", reason: "VIN mismatch" });
+
+    await expect(
+      purchaseService.purchase(quoteId, token)
+    ).resolves.toMatchObject({
+      status: PURCHASE_STATUS.REJECTED,
+      error: "VIN mismatch",
+    });
+    await expect(
+      purchaseService.purchase(quoteId, token)
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,569 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "quote-routes-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.JWT_SECRET = "quote-routes-test-secret";
+
+const express = require("express");
+const request = require("supertest");
+const quoteRoutes = require("../src/routes/quotes");
+const { errorHandler } = require("../src/middleware/errorHandler");
+const { tokenService } = require("../src/services/tokenService");
+const { quoteSessionService } = require("../src/services/quoteSessionService");
+const { dealerService } = require("../src/services/dealerService");
+const { cacheService } = require("../src/services/cacheService");
+const { circuitBreakers } = require("../src/services/circuitBreaker");
+const ProviderService = require("../src/services/providerService");
+const { kpiService } = require("../src/services/kpiService");
+const QuoteController = require("../src/controllers/quoteController");
+
+const app = express();
+app.use(express.json());
+app.use("/api/quotes", quoteRoutes);
+app.use(errorHandler);
+
+const bearer = (claims) => `Bearer ${tokenService.issue(claims).access_token}`;
+
+const QUOTE_SET_ID = "a1b2c3d4e5f60718";
+const DEALER_QUOTE_SET_ID = "c1b2c3d4e5f60718";
+const BASIC = "6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b";
+const PLUS = "0d9e8f7a-6b5c-4d3e-9f2a-1b0c9d8e7f6a";
+const DEALER_QUOTE = "9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d";
+const GAP = "3c4d5e6f-7a8b-4c9d-8e0f-1a2b3c4d5e6f";
+
+const quote = (id, price) => ({
+  id,
+  product_id: `providerA_vsc_${price}`,
+  product_type: "vsc",
+  provider: { id: "providerA", name: "Provider A" },
+  name: `Plan ${price}`,
+  price,
+  term: 36,
+  coverage: {},
+  tags: [],
+  dealer_pricing: { dealer_cost: price - 200, margin: 200 },
+});
+
+const saveSession = (id, quoteSetId, dealerId, quotes) =>
+  quoteSessionService.save({
+    id,
+    quote_set_id: quoteSetId,
+    created_at: "2026-01-01T00:00:00.000Z",
+    price_locked_until: "2026-01-31T00:00:00.000Z",
+    indicative: false,
+    inputs: {
+      vin: "1HGCM82690A004352",
+      zip: "75201",
+      mileage: 30000,
+      dealer_id: dealerId,
+    },
+    vehicle: { year: 2009, make: "Honda", model: "Accord" },
+    customer: { state: "TX", county: "Dallas", city: "Dallas" },
+    quotes,
+  });
+
+beforeAll(async () => {
+  await Promise.all(
+    ["dealer-1", "dealer-2"].map((id) =>
+      dealerService.create({
+        id,
+        name: id,
+        states: ["TX"],
+        products: ["vsc", "gap", "tire", "dent"],
+        enabled: true,
+      })
+    )
+  );
+  await saveSession("session-1", QUOTE_SET_ID, undefined, [
+    quote(BASIC, 900),
+    quote(PLUS, 1100),
+    { ...quote(GAP, 600), product_type: "gap" },
+  ]);
+  await saveSession("session-2", DEALER_QUOTE_SET_ID, "dealer-1", [
+    quote(DEALER_QUOTE, 1300),
+  ]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  circuitBreakers.reset();
+});
+
+afterAll(async () => {
+  await kpiService.flush();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+let requests = 0;
+
+/**
+ * Build a quote request body not answered from the cache yet
+ */
+const quoteRequest = (body) => {
+  requests++;
+  return {
+    vin: "1HGCV1F38LA004352",
+    zip: "75201",
+    mileage: 30000 + requests,
+    price: 25000,
+    products: ["vsc"],
+    ...body,
+  };
+};
+
+/**
+ * Make a provider's quote calls fail with the given error
+ */
+const failProvider = (providerId, error) => {
+  const getQuotes = ProviderService.prototype.getQuotesFromProvider;
+  jest
+    .spyOn(ProviderService.prototype, "getQuotesFromProvider")
+    .mockImplementation(function (id, ...args) {
+      return id === providerId
+        ? Promise.reject(error)
+        : getQuotes.call(this, id, ...args);
+    });
+};
+
+describe("GET /api/quotes/:quoteId", () => {
+  test("returns the quote and its session without the request inputs", async () => {
+    const response = await request(app).get(`/api/quotes/${PLUS}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.session).toEqual({
+      id: "session-1",
+      quote_set_id: QUOTE_SET_ID,
+      created_at: "2026-01-01T00:00:00.000Z",
+      indicative: false,
+      vehicle: { year: 2009, make: "Honda", model: "Accord" },
+      state: "TX",
+    });
+    expect(response.body.quote).toMatchObject({ id: PLUS, price: 1100 });
+    expect(response.body.quote).not.toHaveProperty("dealer_pricing");
+  });
+
+  test("shows dealer pricing to the dealer that quoted", async () => {
+    const response = await request(app)
+      .get(`/api/quotes/${DEALER_QUOTE}`)
+      .set(
+        "Authorization",
+        bearer({ sub: "sam", role: "dealer_user", dealer_id: "dealer-1" })
+      );
+
+    expect(response.status).toBe(200);
+    expect(response.body.quote.dealer_pricing).toEqual({
+      dealer_cost: 1100,
+      margin: 200,
+    });
+  });
+
+  test("reports a dealer's quote as not found to anyone else", async () => {
+    const response = await request(app)
+      .get(`/api/quotes/${DEALER_QUOTE}`)
+      .set(
+        "Authorization",
+        bearer({ sub: "max", role: "dealer_user", dealer_id: "dealer-2" })
+      );
+
+    expect(response.status).toBe(404);
+    expect((await request(app).get(`/api/quotes/${DEALER_QUOTE}`)).status).toBe(
+      404
+    );
+  });
+});
+
+describe("saved quotes", () => {
+  test("are saved under a new session for every response, cached or not", async () => {
+    const body = quoteRequest();
+    const first = await request(app).post("/api/quotes").send(body);
+    const second = await request(app).post("/api/quotes").send(body);
+
+    expect(second.body.meta.quote_session_id).not.toBe(
+      first.body.meta.quote_session_id
+    );
+    expect(second.body.vsc.map(({ id }) => id)).not.toContain(
+      first.body.vsc[0].id
+    );
+
+    const saved = await request(app).get(
+      `/api/quotes/${second.body.vsc[0].id}`
+    );
+    expect(saved.status).toBe(200);
+    expect(saved.body.session.id).toBe(second.body.meta.quote_session_id);
+    expect(saved.body.quote.price).toBe(second.body.vsc[0].price);
+  });
+
+  test.each([
+    ["an unknown quote", "0a1b2c3d-4e5f-4a6b-8c7d-8e9f0a1b2c3d", 404],
+    ["an invalid quote ID", "quote-1", 400],
+  ])("rejects %s", async (name, quoteId, status) => {
+    expect((await request(app).get(`/api/quotes/${quoteId}`)).status).toBe(
+      status
+    );
+  });
+});
+
+describe("GET /api/quotes/sessions/:sessionId/proposal", () => {
+  const SESSION = "5b6c7d8e-9f0a-4b1c-8d2e-3f4a5b6c7d8e";
+  const DEALER_SESSION = "7d8e9f0a-1b2c-4d3e-8f4a-5b6c7d8e9f0a";
+
+  beforeAll(async () => {
+    await saveSession(SESSION, "e1b2c3d4e5f60718", undefined, [
+      quote("1e2f3a4b-5c6d-4e7f-8a9b-0c1d2e3f4a5b", 900),
+    ]);
+    await saveSession(DEALER_SESSION, "f1b2c3d4e5f60718", "dealer-1", [
+      quote("2f3a4b5c-6d7e-4f8a-9b0c-1d2e3f4a5b6c", 1300),
+    ]);
+  });
+
+  test("renders the proposal as HTML by default", async () => {
+    const response = await request(app).get(
+      `/api/quotes/sessions/${SESSION}/proposal`
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toMatch(/^text\/html/);
+    expect(response.headers["content-disposition"]).toBe(
+      `inline; filename="proposal-${SESSION}.html"`
+    );
+    expect(response.text).toContain("Plan 900");
+  });
+
+  test("renders the proposal as a PDF", async () => {
+    const response = await request(app)
+      .get(`/api/quotes/sessions/${SESSION}/proposal?format=pdf`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toBe("application/pdf");
+    expect(response.body.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  test("shows a dealer's proposal only to the dealer", async () => {
+    const url = `/api/quotes/sessions/${DEALER_SESSION}/proposal`;
+
+    const own = await request(app)
+      .get(url)
+      .set(
+        "Authorization",
+        bearer({ sub: "sam", role: "dealer_user", dealer_id: "dealer-1" })
+      );
+    const other = await request(app)
+      .get(url)
+      .set(
+        "Authorization",
+        bearer({ sub: "max", role: "dealer_user", dealer_id: "dealer-2" })
+      );
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(404);
+    expect((await request(app).get(url)).status).toBe(404);
+  });
+
+  test.each([
+    ["an unknown session", "0a1b2c3d-4e5f-4a6b-8c7d-8e9f0a1b2c3d", "", 404],
+    ["an invalid session ID", "session-1", "", 400],
+    ["an unknown format", SESSION, "?format=docx", 400],
+  ])("rejects %s", async (name, sessionId, query, status) => {
+    const response = await request(app).get(
+      `/api/quotes/sessions/${sessionId}/proposal${query}`
+    );
+
+    expect(response.status).toBe(status);
+  });
+});
+
+describe("POST /api/quotes/compare", () => {
+  test("compares quotes of the quote set without dealer pricing", async () => {
+    const response = await request(app)
+      .post("/api/quotes/compare")
+      .send({ quote_set_id: QUOTE_SET_ID, quote_ids: [PLUS, BASIC] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.quotes.map(({ id }) => id)).toEqual([PLUS, BASIC]);
+    expect(JSON.stringify(response.body)).not.toMatch(
+      /dealer_pricing|1HGCM82690A004352/
+    );
+  });
+
+  test("rejects quotes of different product types", async () => {
+    const response = await request(app)
+      .post("/api/quotes/compare")
+      .send({ quote_set_id: QUOTE_SET_ID, quote_ids: [PLUS, GAP] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details.product_types).toEqual(["vsc", "gap"]);
+  });
+
+  test("rejects quotes from another quote set", async () => {
+    const response = await request(app)
+      .post("/api/quotes/compare")
+      .send({ quote_set_id: "b1b2c3d4e5f60718", quote_ids: [PLUS, BASIC] });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("POST /api/quotes", () => {
+  test("reports each provider's outcome and caches complete responses", async () => {
+    const set = jest.spyOn(cacheService, "set");
+    const response = await request(app)
+      .post("/api/quotes")
+      .send(quoteRequest());
+
+    expect(response.status).toBe(200);
+    expect(response.body.meta.providers.providerA).toMatchObject({
+      name: "Provider A",
+      status: "ok",
+      latency_ms: expect.any(Number),
+    });
+    expect(response.body.meta.providers.providerD).toMatchObject({
+      status: "ineligible",
+      quote_count: 0,
+    });
+    expect(set).toHaveBeenCalledWith(
+      expect.stringMatching(/^quotes:/),
+      expect.any(String),
+      600
+    );
+  });
+
+  test("returns the other providers' quotes when one fails, cached briefly", async () => {
+    failProvider("providerB", new Error("Connection refused"));
+    const set = jest.spyOn(cacheService, "set");
+
+    const response = await request(app)
+      .post("/api/quotes")
+      .send(quoteRequest());
+
+    expect(response.status).toBe(200);
+    expect(response.body.meta.providers.providerB).toMatchObject({
+      status: "error",
+      quote_count: 0,
+    });
+    expect(response.body.vsc.length).toBeGreaterThan(0);
+    expect(
+      new Set(response.body.vsc.map(({ provider_id }) => provider_id))
+    ).toEqual(new Set(["providerA"]));
+    expect(set).toHaveBeenCalledWith(
+      expect.stringMatching(/^quotes:/),
+      expect.any(String),
+      60
+    );
+  });
+
+  test("reports provider timeouts apart from errors", async () => {
+    failProvider(
+      "providerB",
+      Object.assign(new Error("Timed out"), { code: "PROVIDER_TIMEOUT" })
+    );
+
+    const response = await request(app)
+      .post("/api/quotes")
+      .send(quoteRequest());
+
+    expect(response.body.meta.providers.providerB.status).toBe("timeout");
+  });
+});
+
+describe("POST /api/quotes/stream", () => {
+  /**
+   * Post a quote request to the stream and parse the events it sends
+   */
+  const stream = async (body) => {
+    const response = await request(app)
+      .post("/api/quotes/stream")
+      .send(body)
+      .buffer(true)
+      .parse((res, callback) => {
+        let data = "";
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () => callback(null, data));
+      });
+
+    const events = response.body
+      .split("\n\n")
+      .filter(Boolean)
+      .map((message) => {
+        const [event, data] = message.split("\n");
+        return {
+          event: event.replace("event: ", ""),
+          data: JSON.parse(data.replace("data: ", "")),
+        };
+      });
+
+    return { response, events };
+  };
+
+  test("sends the vehicle, each provider as it answers, then the full response", async () => {
+    const { response, events } = await stream(quoteRequest());
+
+    expect(response.headers["content-type"]).toMatch(/^text\/event-stream/);
+    expect(events.map(({ event }) => event)).toEqual([
+      "vehicle",
+      "provider",
+      "provider",
+      "complete",
+    ]);
+    expect(events[0].data).toMatchObject({ make: "Honda", state: "TX" });
+    expect(events[1].data).toMatchObject({
+      status: "ok",
+      quotes: { vsc: expect.any(Array) },
+    });
+
+    const complete = events[3].data;
+    expect(Object.keys(complete.meta.providers)).toEqual([
+      "providerA",
+      "providerB",
+      "providerC",
+      "providerD",
+    ]);
+    expect(complete.vsc).toHaveLength(
+      events[1].data.quote_count + events[2].data.quote_count
+    );
+  });
+
+  test("sends a failed provider's outcome and still completes", async () => {
+    failProvider("providerB", new Error("Connection refused"));
+
+    const { events } = await stream(quoteRequest());
+    const providerB = events.find(
+      ({ event, data }) => event === "provider" && data.id === "providerB"
+    );
+
+    expect(providerB.data).toMatchObject({ status: "error", quote_count: 0 });
+    expect(events[events.length - 1].event).toBe("complete");
+  });
+
+  test("answers an invalid request with an error before streaming", async () => {
+    const response = await request(app)
+      .post("/api/quotes/stream")
+      .send(quoteRequest({ zip: "1" }));
+
+    expect(response.status).toBe(400);
+    expect(response.headers["content-type"]).toMatch(/^application\/json/);
+  });
+});
+
+describe("dealer pricing", () => {
+  test("shows dealer users the cost and margin of each quote", async () => {
+    const response = await request(app)
+      .post("/api/quotes")
+      .set(
+        "Authorization",
+        bearer({ sub: "sam", role: "dealer_user", dealer_id: "dealer-1" })
+      )
+      .send(quoteRequest());
+
+    expect(response.status).toBe(200);
+    expect(response.body.vsc.length).toBeGreaterThan(0);
+    response.body.vsc.forEach(({ price, dealer_pricing }) => {
+      expect(dealer_pricing.retail_price).toBe(price);
+      expect(dealer_pricing.margin).toBeCloseTo(price - dealer_pricing.cost);
+    });
+  });
+
+  test("only shows consumers retail prices", async () => {
+    const body = quoteRequest();
+    const anonymous = await request(app).post("/api/quotes").send(body);
+    const consumer = await request(app)
+      .post("/api/quotes")
+      .set("Authorization", bearer({ sub: "pat", role: "consumer" }))
+      .send(body);
+
+    [anonymous, consumer].forEach((response) => {
+      expect(response.status).toBe(200);
+      expect(response.body.vsc.length).toBeGreaterThan(0);
+      expect(JSON.stringify(response.body)).not.toMatch(/dealer_pricing/);
+    });
+  });
+
+  test.each([
+    [
+      800,
+      1000,
+      { cost: 800, retail_price: 1000, margin: 200, margin_percent: 20 },
+    ],
+    [
+      null,
+      1000,
+      { cost: null, retail_price: 1000, margin: null, margin_percent: null },
+    ],
+    [0, 0, { cost: 0, retail_price: 0, margin: 0, margin_percent: null }],
+  ])("a cost of %s at %s is %o", (cost, price, expected) => {
+    expect(QuoteController.buildDealerPricing(cost, price)).toEqual(expected);
+  });
+});
+
+describe("vehicle eligibility", () => {
+  test("leaves out plans the vehicle is ineligible for, with the reasons", async () => {
+    const response = await request(app)
+      .post("/api/quotes")
+      .send(quoteRequest({ vin: "1HGCM82633A004352" }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.vsc).toEqual([]);
+    expect(response.body.meta.vehicle_eligibility).toMatchObject({
+      status: "ineligible",
+      reasons: expect.arrayContaining([
+        expect.stringMatching(/^Vehicle is \d+ years old/),
+      ]),
+      products: {
+        vsc: {
+          status: "ineligible",
+          excluded: expect.arrayContaining([
+            expect.objectContaining({ provider: "Provider A" }),
+          ]),
+        },
+      },
+    });
+  });
+});
+
+describe("state restrictions", () => {
+  test("leaves out products the customer's state doesn't allow", async () => {
+    const response = await request(app)
+      .post("/api/quotes")
+      .send(quoteRequest({ zip: "10001", products: ["vsc", "gap"] }));
+
+    expect(response.status).toBe(200);
+    expect(response.body).not.toHaveProperty("gap");
+    expect(response.body.meta.state_restrictions).toMatchObject({
+      restricted_products: ["gap"],
+      state: "NY",
+    });
+  });
+
+  test("shows the state's disclosures with each plan", async () => {
+    const response = await request(app)
+      .post("/api/quotes")
+      .send(quoteRequest({ zip: "33101" }));
+
+    expect(response.body.vsc.length).toBeGreaterThan(0);
+    response.body.vsc.forEach(({ disclosures }) => {
+      expect(disclosures.map(({ id }) => id)).toEqual(["fl-vsc-disclosure"]);
+    });
+  });
+
+  test("answers without quotes when the state allows none of the products", async () => {
+    const response = await request(app)
+      .post("/api/quotes")
+      .send(quoteRequest({ zip: "10001", products: ["gap"] }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.meta.vehicle_eligibility).toMatchObject({
+      status: "ineligible",
+      reasons: ["No products available in your state."],
+    });
+  });
+});
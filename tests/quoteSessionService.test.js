@@ -0,0 +1,77 @@
+const { cacheService } = require("../src/services/cacheService");
+const { quoteSessionService } = require("../src/services/quoteSessionService");
+
+const session = {
+  id: "session-1",
+  quote_set_id: "set-1",
+  created_at: "2026-01-01T00:00:00.000Z",
+  price_locked_until: "2026-01-31T00:00:00.000Z",
+  indicative: false,
+  inputs: { vin: "1HGCM82690A004352", zip: "75201" },
+  quotes: [
+    { id: "quote-1", product_id: "providerA_vsc_basic", price: 900 },
+    { id: "quote-2", product_id: "providerB_vsc_plus", price: 1100 },
+  ],
+};
+
+describe("QuoteSessionService", () => {
+  beforeAll(() => quoteSessionService.save(session));
+
+  test("saves the session and its quotes in the cache until they expire", async () => {
+    const set = jest.spyOn(cacheService, "set");
+    await quoteSessionService.save({ ...session, id: "session-2", quotes: [] });
+
+    expect(set).toHaveBeenCalledWith(
+      "quote-session:session-2",
+      expect.any(String),
+      90 * 24 * 60 * 60
+    );
+    set.mockRestore();
+  });
+
+  test("gets a quote with its session", async () => {
+    const { quote, session: saved } =
+      await quoteSessionService.getQuote("quote-2");
+
+    expect(quote).toMatchObject({ price: 1100, session_id: "session-1" });
+    expect(saved).toMatchObject({
+      id: "session-1",
+      quote_ids: ["quote-1", "quote-2"],
+    });
+  });
+
+  test("gets a session with its quotes", async () => {
+    const { session: saved, quotes } =
+      await quoteSessionService.getSession("session-1");
+
+    expect(saved.quote_set_id).toBe("set-1");
+    expect(quotes.map((quote) => quote.id)).toEqual(["quote-1", "quote-2"]);
+    expect(quotes[0]).not.toHaveProperty("session_id");
+  });
+
+  test("returns null for unknown quotes and sessions", async () => {
+    expect(await quoteSessionService.getQuote("unknown")).toBeNull();
+    expect(await quoteSessionService.getSession("unknown")).toBeNull();
+  });
+
+  test("fails the save when the cache can't save", async () => {
+    jest.spyOn(cacheService, "set").mockResolvedValueOnce(false);
+
+    await expect(
+      quoteSessionService.save({ ...session, id: "session-3" })
+    ).rejects.toThrow("Could not save quote-session:session-3");
+  });
+
+  test.each([
+    [undefined, "2026-01-10T00:00:00.000Z", "indicative"],
+    ["2026-01-31T00:00:00.000Z", "2026-01-10T00:00:00.000Z", "locked"],
+    ["2026-01-31T00:00:00.000Z", "2026-02-01T00:00:00.000Z", "expired"],
+  ])("price locked until %s on %s is %s", (lockedUntil, date, status) => {
+    expect(
+      quoteSessionService.getPriceLock(
+        { price_locked_until: lockedUntil },
+        new Date(date)
+      ).status
+    ).toBe(status);
+  });
+});
@@ -0,0 +1,185 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "tagging-"));
+
+// A copy of the shipped tagging strategies, to change in tests
+const configFile = path.join(process.env.DATA_DIR, "tagging.json");
+fs.copyFileSync(path.join(__dirname, "../src/config/tagging.json"), configFile);
+process.env.TAGGING_CONFIG_FILE = configFile;
+
+const { taggingService } = require("../src/services/taggingService");
+const {
+  selectionStatsService,
+} = require("../src/services/selectionStatsService");
+
+const quote = (productId, price, term = 36, coverage = {}) => ({
+  id: `quote-${productId}`,
+  product_id: productId,
+  price,
+  term,
+  coverage,
+  tags: [],
+});
+
+const tagQuotes = () => {
+  const quotes = { vsc: [quote("basic", 900), quote("premium", 1400)] };
+  taggingService.tagQuotes(quotes);
+  return quotes.vsc;
+};
+
+const taggedWith = (quotes, tag) => {
+  const tagged = quotes.find((quote) => quote.tags.includes(tag));
+  return {
+    id: tagged.product_id,
+    strategy: tagged.tag_reasons.find((reason) => reason.tag === tag).strategy,
+  };
+};
+
+const show = (times) => {
+  for (let i = 0; i < times; i++) {
+    selectionStatsService.recordShown(["basic", "premium"]);
+  }
+};
+
+const select = (productId, times) => {
+  for (let i = 0; i < times; i++) {
+    selectionStatsService.recordSelected(productId);
+  }
+};
+
+describe("Most Popular tag", () => {
+  beforeEach(() => {
+    selectionStatsService.stats = {};
+  });
+
+  test("falls back to the second lowest price without selection history", () => {
+    show(5);
+    select("basic", 5);
+
+    expect(taggedWith(tagQuotes(), "Most Popular")).toEqual({
+      id: "premium",
+      strategy: "second_lowest_price",
+    });
+  });
+
+  test("follows the plan shoppers select most once it has been shown enough", () => {
+    show(20);
+    select("basic", 2);
+    select("premium", 6);
+
+    expect(taggedWith(tagQuotes(), "Most Popular")).toEqual({
+      id: "premium",
+      strategy: "highest_selection_rate",
+    });
+
+    select("basic", 6);
+
+    expect(taggedWith(tagQuotes(), "Most Popular")).toEqual({
+      id: "basic",
+      strategy: "highest_selection_rate",
+    });
+  });
+});
+
+describe("SelectionStatsService.recordSelected", () => {
+  beforeEach(() => {
+    selectionStatsService.stats = {};
+  });
+
+  test("does not count a plan that was never shown", () => {
+    expect(selectionStatsService.recordSelected("unknown")).toBe(false);
+    expect(selectionStatsService.stats).toEqual({});
+  });
+
+  test("does not count more selections than times shown", () => {
+    show(1);
+
+    expect(selectionStatsService.recordSelected("basic")).toBe(true);
+    expect(selectionStatsService.recordSelected("basic")).toBe(false);
+    expect(selectionStatsService.stats.basic).toEqual({
+      shown: 1,
+      selected: 1,
+    });
+  });
+});
+
+describe("dealer tagging strategies", () => {
+  const PINNED = "providerA_vsc_premium_36_36";
+
+  const tagFor = (quotes, dealerId) => {
+    taggingService.tagQuotes({ vsc: quotes }, dealerId);
+    return (tag) => {
+      const tagged = quotes.find((candidate) => candidate.tags.includes(tag));
+      return (
+        tagged && {
+          id: tagged.product_id,
+          ...tagged.tag_reasons.find((reason) => reason.tag === tag),
+        }
+      );
+    };
+  };
+
+  test("recommends the plan the dealer pinned", () => {
+    const tagged = tagFor(
+      [quote("basic", 900), quote(PINNED, 1400), quote("plus", 1100)],
+      "123"
+    );
+
+    expect(tagged("Dealer Recommended")).toEqual({
+      id: PINNED,
+      tag: "Dealer Recommended",
+      strategy: "dealer_pinned",
+      reason: "Pinned by your dealer",
+    });
+  });
+
+  test("falls back to the dealer's next strategy without a pinned plan", () => {
+    const tagged = tagFor(
+      [
+        quote("basic", 900, 36, { engine: true }),
+        quote("plus", 1100, 36, { engine: true, brakes: true }),
+      ],
+      "123"
+    );
+
+    expect(tagged("Dealer Recommended")).toMatchObject({
+      id: "plus",
+      strategy: "most_coverage",
+      reason: "Most coverage (2 covered components)",
+    });
+  });
+
+  test("gives no dealer recommendation without a dealer", () => {
+    const tagged = tagFor([quote(PINNED, 1400)]);
+
+    expect(tagged("Dealer Recommended")).toBeUndefined();
+  });
+
+  test("explains the best value by its monthly price", () => {
+    const tagged = tagFor([quote("basic", 900), quote("long", 1200, 60)]);
+
+    expect(tagged("Best Value")).toMatchObject({
+      id: "long",
+      strategy: "lowest_price_per_month",
+      reason:
+        "Lowest price per month of coverage ($20.00/month over 60 months)",
+    });
+  });
+
+  test("keeps the current strategies when the file names an unknown one", () => {
+    const shipped = fs.readFileSync(configFile, "utf8");
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({ default: { tags: { "Best Value": ["cheapest"] } } })
+    );
+
+    expect(taggingService.config.reload()).toBe(false);
+    expect(taggingService.getSettings().tags["Best Value"]).toEqual([
+      "lowest_price_per_month",
+    ]);
+
+    fs.writeFileSync(configFile, shipped);
+  });
+});
@@ -0,0 +1,56 @@
+const VehicleService = require("../src/services/vehicleService");
+
+describe("VehicleService.calculateCheckDigit", () => {
+  test.each([
+    ["1M8GDM9AXKP042788", "X"],
+    ["1HGCM82633A004352", "3"],
+    ["JH4KA7561PC008269", "1"],
+    ["11111111111111111", "1"],
+  ])("%s has check digit %s", (vin, checkDigit) => {
+    expect(VehicleService.calculateCheckDigit(vin)).toBe(checkDigit);
+  });
+});
+
+describe("VehicleService.validateVin", () => {
+  test("accepts a VIN with the right check digit, in any case", () => {
+    expect(VehicleService.validateVin("1HGCM82633A004352")).toEqual([]);
+    expect(VehicleService.validateVin("1m8gdm9axkp042788")).toEqual([]);
+  });
+
+  test("rejects a wrong check digit", () => {
+    expect(VehicleService.validateVin("1HGCM82643A004352")).toEqual([
+      "VIN check digit (position 9) does not match",
+    ]);
+  });
+
+  test("rejects a wrong length", () => {
+    expect(VehicleService.validateVin("1HGCM82633A00435")).toEqual([
+      "VIN must be 17 characters",
+    ]);
+    expect(VehicleService.validateVin(undefined)).toEqual([
+      "VIN must be 17 characters",
+    ]);
+  });
+
+  test("rejects I, O and Q", () => {
+    expect(VehicleService.validateVin("1HGCM82633O004352")).toEqual([
+      "VIN cannot contain the letters I, O or Q",
+    ]);
+  });
+
+  test("rejects characters other than letters and digits", () => {
+    expect(VehicleService.validateVin("1HGCM82633-004352")).toEqual([
+      "VIN can only contain letters and digits",
+    ]);
+  });
+
+  test("rejects a model year code that isn't used", () => {
+    // 0, U and Z are never model year codes; the check digit still matches
+    const vin = "1HGCM82690A004352";
+
+    expect(VehicleService.calculateCheckDigit(vin)).toBe("9");
+    expect(VehicleService.validateVin(vin)).toEqual([
+      'Invalid model year code "0" in position 10',
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+// Configuration is read when the modules load
+process.env.VIN_DECODERS = "primary,offline";
+
+const VehicleService = require("../src/services/vehicleService");
+const { cacheService } = require("../src/services/cacheService");
+const { getDecoders, registerDecoder } = require("../src/services/vinDecoders");
+
+const decode = jest.fn();
+
+/**
+ * Decoder answering with whatever the test sets up
+ */
+class PrimaryDecoder {
+  constructor() {
+    this.name = "primary";
+  }
+
+  decode(vin, options) {
+    return decode(vin, options);
+  }
+}
+
+registerDecoder("primary", PrimaryDecoder);
+
+const HONDA = "1HGCV1F38LA004352";
+let vins = 0;
+
+/**
+ * Get a valid Honda VIN that hasn't been decoded or cached yet
+ */
+const newVin = () => {
+  vins++;
+  const vin = `${HONDA.slice(0, 8)}0${HONDA.slice(9, 11)}${String(
+    100000 + vins
+  )}`;
+  return `${vin.slice(0, 8)}${VehicleService.calculateCheckDigit(
+    vin
+  )}${vin.slice(9)}`;
+};
+
+afterEach(() => {
+  decode.mockReset();
+  jest.restoreAllMocks();
+});
+
+describe("VehicleService.getVehicleDetails", () => {
+  test("takes each field from the first decoder that knows it", async () => {
+    decode.mockResolvedValue({ model: "Accord", trim: "EX", make: null });
+
+    const vehicle = await VehicleService.getVehicleDetails(newVin());
+
+    expect(vehicle).toMatchObject({
+      status: "decoded",
+      make: "Honda",
+      model: "Accord",
+      trim: "EX",
+      year: 2020,
+    });
+    expect(vehicle.sources).toMatchObject({
+      model: "primary",
+      trim: "primary",
+      make: "offline",
+    });
+  });
+
+  test("caches a complete decode", async () => {
+    const vin = newVin();
+    decode.mockResolvedValue({ model: "Accord" });
+
+    await VehicleService.getVehicleDetails(vin);
+    const cached = await VehicleService.getVehicleDetails(vin);
+
+    expect(decode).toHaveBeenCalledTimes(1);
+    expect(cached.model).toBe("Accord");
+  });
+
+  test("skips a failing decoder and decodes the VIN again next time", async () => {
+    const vin = newVin();
+    decode.mockRejectedValueOnce(new Error("Timed out"));
+
+    const vehicle = await VehicleService.getVehicleDetails(vin);
+    expect(vehicle).toMatchObject({ status: "decoded", make: "Honda" });
+    expect(vehicle.sources.make).toBe("offline");
+
+    decode.mockResolvedValueOnce({ model: "Accord" });
+    expect((await VehicleService.getVehicleDetails(vin)).model).toBe("Accord");
+    expect(decode).toHaveBeenCalledTimes(2);
+  });
+
+  test("doesn't cache a VIN no decoder recognises", async () => {
+    const set = jest.spyOn(cacheService, "set");
+    decode.mockResolvedValue(null);
+
+    const vehicle = await VehicleService.getVehicleDetails("1M8GDM9AXKP042788");
+
+    expect(vehicle).toMatchObject({ status: "unknown", make: null });
+    expect(set).not.toHaveBeenCalled();
+  });
+
+  test("doesn't decode an invalid VIN", async () => {
+    expect(
+      await VehicleService.getVehicleDetails("1HGCV1F39LA004352")
+    ).toBeNull();
+    expect(decode).not.toHaveBeenCalled();
+  });
+});
+
+describe("getDecoders", () => {
+  test("rejects an unknown decoder type", () => {
+    jest.isolateModules(() => {
+      process.env.VIN_DECODERS = "offline,psychic";
+      const decoders = require("../src/services/vinDecoders");
+      delete process.env.VIN_DECODERS;
+
+      expect(() => decoders.getDecoders()).toThrow(
+        'Unknown VIN decoder "psychic"'
+      );
+    });
+  });
+
+  test("lists the configured decoders in priority order", () => {
+    expect(getDecoders().map(({ name }) => name)).toEqual([
+      "primary",
+      "offline",
+    ]);
+  });
+});
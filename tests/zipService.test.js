@@ -0,0 +1,102 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Configuration is read when the modules load
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "zip-test-"));
+const datasetFile = path.join(dataDir, "zip-codes.json");
+process.env.ZIP_DATA_FILE = datasetFile;
+
+const logger = require("../src/logger");
+const { zipService } = require("../src/services/zipService");
+
+const dataset = {
+  source: "test",
+  generated_at: "2026-01-01T00:00:00.000Z",
+  zips: {
+    75201: ["Dallas", "Dallas County", "TX"],
+    10001: ["New York", "New York County", "NY"],
+  },
+};
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("without the ZIP code dataset", () => {
+  test("resolves ZIP codes to their state from the ZIP3 table", () => {
+    expect(zipService.lookup("75201")).toEqual({
+      zip: "75201",
+      state: "TX",
+      county: null,
+      city: null,
+      precision: "zip3",
+    });
+    expect(zipService.lookup("10001").state).toBe("NY");
+  });
+
+  test.each([["21301"], ["7520"], ["7520a"], [undefined]])(
+    "doesn't resolve %s",
+    (zip) => {
+      expect(zipService.lookup(zip)).toBeNull();
+    }
+  );
+
+  test("warns outside development without stopping", () => {
+    const warn = jest.spyOn(logger, "warn").mockImplementation(() => {});
+
+    expect(() => zipService.checkDataset("production")).not.toThrow();
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining("ZIP codes resolve to states only")
+    );
+
+    warn.mockClear();
+    zipService.checkDataset("development");
+    zipService.checkDataset("test");
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe("with the ZIP code dataset", () => {
+  beforeAll(() => {
+    fs.writeFileSync(datasetFile, JSON.stringify(dataset));
+    zipService.load();
+  });
+
+  test("resolves ZIP codes to their city and county", () => {
+    expect(zipService.lookup("75201")).toEqual({
+      zip: "75201",
+      state: "TX",
+      county: "Dallas County",
+      city: "Dallas",
+      precision: "zip",
+    });
+    expect(zipService.getDatasetInfo()).toEqual({
+      source: "test",
+      generated_at: "2026-01-01T00:00:00.000Z",
+      zip_count: 2,
+    });
+  });
+
+  test("doesn't resolve ZIP codes missing from the dataset", () => {
+    expect(zipService.lookup("75202")).toBeNull();
+  });
+
+  test("keeps the dataset when the file is replaced with an invalid one", () => {
+    fs.writeFileSync(datasetFile, JSON.stringify({ zips: "none" }));
+    zipService.load();
+    fs.writeFileSync(datasetFile, "{ not json");
+    zipService.load();
+
+    expect(zipService.lookup("10001").city).toBe("New York");
+  });
+
+  test("doesn't warn when the dataset is installed", () => {
+    const warn = jest.spyOn(logger, "warn").mockImplementation(() => {});
+
+    zipService.checkDataset("production");
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});